@@ -6,27 +6,51 @@ const express = require("express");
 const cors = require("cors");
 
 const { NotFoundError } = require("./helpers/expressError");
+const { TRUST_PROXY } = require("./config");
 
 const { authenticateJWT } = require("./middleware/auth");
+const {
+  registerNotificationListeners,
+} = require("./helpers/notificationListeners");
+const { registerTripStreamListeners } = require("./helpers/tripStream");
+const { registerEmailListeners } = require("./helpers/emailNotifications");
 
 const morgan = require("morgan");
 
 const app = express();
 
+// so req.ip is the client's address, not a proxy's (see config.js)
+app.set("trust proxy", TRUST_PROXY);
+
 app.use(cors());
 app.use(express.json());
+// stream URLs can carry a token (see authenticateQueryToken); "tiny" logs
+// :url, so keep the token out of it
+morgan.token("url", (req) =>
+  (req.originalUrl || req.url).replace(/([?&]token=)[^&]*/g, "$1[redacted]")
+);
 app.use(morgan("tiny"));
 app.use(authenticateJWT);
 
+registerNotificationListeners();
+registerTripStreamListeners();
+registerEmailListeners();
+
 const authRoutes = require("./routes/auth");
+const oidcRoutes = require("./routes/oidc");
 const userRoutes = require("./routes/users");
 const tripRoutes = require("./routes/trips");
 const friendRoutes = require("./routes/friends");
+const exchangeRateRoutes = require("./routes/exchangeRates");
+const calendarRoutes = require("./routes/calendar");
 
+app.use("/auth/oidc", oidcRoutes);
 app.use("/auth", authRoutes);
 app.use("/users", userRoutes);
 app.use("/trips", tripRoutes);
 app.use("/friends", friendRoutes);
+app.use("/exchange-rates", exchangeRateRoutes);
+app.use("/calendar", calendarRoutes);
 
 /** Handle 404 errors -- matches everything */
 app.use(function (req, res, next) {
@@ -38,6 +62,7 @@ app.use(function (err, req, res, next) {
   if (process.env.NODE_ENV !== "test") console.error(err.stack);
   const status = err.status || 500;
   const message = err.message;
+  if (err.retryAfter) res.set("Retry-After", String(err.retryAfter));
 
   return res.status(status).json({
     error: { message, status },
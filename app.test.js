@@ -1,4 +1,5 @@
 const request = require("supertest");
+const morgan = require("morgan");
 
 const app = require("./app");
 const db = require("./db");
@@ -16,6 +17,13 @@ test("not found for site 404 (test stack print)", async function () {
   delete process.env.NODE_ENV;
 });
 
+test("query tokens are left out of the request log", function () {
+  const url = morgan.url({
+    originalUrl: "/trips/1/stream?token=secret.jwt&x=1",
+  });
+  expect(url).toEqual("/trips/1/stream?token=[redacted]&x=1");
+});
+
 afterAll(function () {
   db.end();
 });
@@ -19,6 +19,29 @@ function getDatabaseUri() {
 // Reduce bcrypt work factor for speed for testing
 const BCRYPT_WORK_FACTOR = process.env.NODE_ENV === "test" ? 1 : 12;
 
+// Outgoing email: "smtp" (delivers through SMTP_URL), "file" (writes .eml
+// files to MAIL_DIR) or "console" (prints them); see helpers/mailer.js
+const MAIL_TRANSPORT =
+  process.env.MAIL_TRANSPORT ||
+  (process.env.NODE_ENV === "production" ? "smtp" : "console");
+const SMTP_URL = process.env.SMTP_URL;
+const MAIL_FROM = process.env.MAIL_FROM || "OurTabi <no-reply@ourtabi.app>";
+const MAIL_DIR = process.env.MAIL_DIR || "mail";
+
+// Where the frontend lives, for links in emails
+const APP_URL = process.env.APP_URL || "http://localhost:3000";
+
+// Logging in with other accounts (OpenID Connect, see helpers/oidc.js), as
+// JSON: { "<name>": { "issuer", "clientId", "clientSecret" }, ... }. Each can
+// also set "scope" and "redirectUri", which defaults to
+// APP_URL/auth/oidc/<name>/callback, the frontend page that finishes logging in.
+const OIDC_PROVIDERS = JSON.parse(process.env.OIDC_PROVIDERS || "{}");
+
+// How many proxies (e.g. a load balancer) sit in front of the app; requests'
+// IP addresses are read from X-Forwarded-For past them. Login throttling
+// counts failures per IP address, so set this when behind a proxy.
+const TRUST_PROXY = +process.env.TRUST_PROXY || false;
+
 // Make sure that envs are set in production mode
 if (process.env.NODE_ENV === "production" && !process.env.DATABASE_URL) {
   console.error("FATAL ERROR: DATABASE_URL is not set in production!".red);
@@ -30,5 +53,12 @@ module.exports = {
   SECRET_KEY,
   PORT,
   BCRYPT_WORK_FACTOR,
+  MAIL_TRANSPORT,
+  SMTP_URL,
+  MAIL_FROM,
+  MAIL_DIR,
+  APP_URL,
+  TRUST_PROXY,
+  OIDC_PROVIDERS,
   getDatabaseUri,
 };
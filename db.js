@@ -1,23 +1,159 @@
 "use strict";
 /** Database setup for ourtabi. */
-const { Client } = require("pg");
+const { AsyncLocalStorage } = require("async_hooks");
+const { Pool } = require("pg");
 const { getDatabaseUri } = require("./config");
 
-let db;
+let pool;
 
 if (process.env.NODE_ENV === "production") {
-  db = new Client({
+  pool = new Pool({
     connectionString: getDatabaseUri(),
     ssl: {
       rejectUnauthorized: false
     }
   });
 } else {
-  db = new Client({
+  pool = new Pool({
     connectionString: getDatabaseUri()
   });
 }
 
-db.connect();
+// a connection dropped while idle in the pool; the pool replaces it
+pool.on("error", (err) =>
+  console.error("Idle database connection error:", err)
+);
 
-module.exports = db;
\ No newline at end of file
+// { client, afterCommit: [callback, ...] } while running inside transaction()
+const currentTransaction = new AsyncLocalStorage();
+
+// { client } while a test runs in a transaction it rolls back afterwards (see
+// beginTestTransaction)
+let testTransaction = null;
+
+let savepoints = 0;
+
+/** Run a query, on the current transaction's connection if there is one.
+ *
+ * Same as pg's query: returns { rows, rowCount, ... }
+ */
+function query(text, params) {
+  const transaction = currentTransaction.getStore() || testTransaction;
+  return (transaction ? transaction.client : pool).query(text, params);
+}
+
+/** Run fn in a transaction: every query it makes, including through other
+ *  models, is committed together, or rolled back together if fn throws.
+ *
+ * Transactions can be nested; an inner one is a savepoint, so only its own
+ * queries are rolled back if it throws.
+ *
+ * @param {Function} fn - async; what it returns is returned.
+ */
+async function transaction(fn) {
+  const outer = currentTransaction.getStore();
+  if (outer) return await inSavepoint(outer, fn);
+
+  if (testTransaction) {
+    // the test's transaction is never committed; releasing the savepoint is
+    // as close as it gets
+    const store = { client: testTransaction.client, afterCommit: [] };
+    const result = await inSavepoint(store, fn);
+    for (const callback of store.afterCommit) await callback();
+    return result;
+  }
+
+  const client = await pool.connect();
+  const store = { client, afterCommit: [] };
+  let result;
+  try {
+    await client.query("BEGIN");
+    result = await currentTransaction.run(store, fn);
+    await client.query("COMMIT");
+  } catch (err) {
+    await client.query("ROLLBACK");
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  for (const callback of store.afterCommit) await callback();
+  return result;
+}
+
+/** Run fn in a savepoint inside the outer transaction; its afterCommit
+ *  callbacks wait for the outer one's. */
+async function inSavepoint(outer, fn) {
+  const { client } = outer;
+  const store = { client, afterCommit: [] };
+  const savepoint = `savepoint_${++savepoints}`;
+  let result;
+  try {
+    await client.query(`SAVEPOINT ${savepoint}`);
+    result = await currentTransaction.run(store, fn);
+    await client.query(`RELEASE SAVEPOINT ${savepoint}`);
+  } catch (err) {
+    await client.query(`ROLLBACK TO SAVEPOINT ${savepoint}`);
+    throw err;
+  }
+
+  outer.afterCommit.push(...store.afterCommit);
+  return result;
+}
+
+/** Call callback once the current transaction commits; straight away if
+ *  there isn't one. It's dropped if the transaction is rolled back.
+ *
+ * For side effects that must not happen for changes that are rolled back,
+ * e.g. publishing events (see helpers/events.js).
+ */
+async function afterCommit(callback) {
+  const transaction = currentTransaction.getStore();
+  if (transaction) {
+    transaction.afterCommit.push(callback);
+  } else {
+    await callback();
+  }
+}
+
+/** For tests: run every query until rollbackTestTransaction() in a
+ *  transaction on one connection, so the test's changes can be undone.
+ *
+ * transaction() makes savepoints inside it.
+ */
+async function beginTestTransaction() {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+  } catch (err) {
+    client.release();
+    throw err;
+  }
+  testTransaction = { client };
+}
+
+/** For tests: undo everything since beginTestTransaction(). */
+async function rollbackTestTransaction() {
+  if (!testTransaction) return;
+  const { client } = testTransaction;
+  testTransaction = null;
+  try {
+    await client.query("ROLLBACK");
+  } finally {
+    client.release();
+  }
+}
+
+/** Close every connection, e.g. when a script is done. */
+function end() {
+  return pool.end();
+}
+
+module.exports = {
+  query,
+  transaction,
+  afterCommit,
+  beginTestTransaction,
+  rollbackTestTransaction,
+  end,
+};
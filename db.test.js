@@ -0,0 +1,149 @@
+"use strict";
+
+const db = require("./db");
+const { subscribe, publish } = require("./helpers/events");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./models/_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+async function bios() {
+  const result = await db.query(`SELECT bio FROM users ORDER BY username`);
+  return result.rows.map((r) => r.bio);
+}
+
+/************************************** transaction */
+
+describe("transaction", function () {
+  test("works: commits and returns fn's result", async function () {
+    const result = await db.transaction(async () => {
+      await db.query(`UPDATE users SET bio = 'changed'`);
+      return "done";
+    });
+    expect(result).toEqual("done");
+    expect(await bios()).toEqual(["changed", "changed", "changed"]);
+  });
+
+  test("works: rolls back everything if fn throws", async function () {
+    await expect(
+      db.transaction(async () => {
+        await db.query(`UPDATE users SET bio = 'changed'`);
+        throw new Error("boom");
+      })
+    ).rejects.toThrow("boom");
+    expect(await bios()).toEqual(["Admin Bio", "Bio of U1", "Bio of U2"]);
+  });
+
+  test("works: nested transactions roll back on their own", async function () {
+    await db.transaction(async () => {
+      await db.query(`UPDATE users SET bio = 'outer' WHERE username = 'u1'`);
+      await expect(
+        db.transaction(async () => {
+          await db.query(`UPDATE users SET bio = 'inner'`);
+          throw new Error("boom");
+        })
+      ).rejects.toThrow("boom");
+    });
+    expect(await bios()).toEqual(["Admin Bio", "outer", "Bio of U2"]);
+  });
+});
+
+/************************************** afterCommit */
+
+describe("afterCommit", function () {
+  test("works: events wait for the commit", async function () {
+    const seen = [];
+    const off = subscribe("test.db", (payload) => seen.push(payload.id));
+
+    await db.transaction(async () => {
+      await publish("test.db", { id: 1 });
+      expect(seen).toEqual([]);
+    });
+    expect(seen).toEqual([1]);
+    off();
+  });
+
+  test("works: nothing is published if rolled back", async function () {
+    const seen = [];
+    const off = subscribe("test.db", (payload) => seen.push(payload.id));
+
+    await db
+      .transaction(async () => {
+        await publish("test.db", { id: 1 });
+        throw new Error("boom");
+      })
+      .catch(() => null);
+    expect(seen).toEqual([]);
+    off();
+  });
+});
+
+/************************************** outside a test's transaction */
+
+describe("transaction outside a test's transaction", function () {
+  // a table of its own, since what's committed here stays
+  beforeEach(async function () {
+    await db.rollbackTestTransaction();
+    await db.query(`CREATE TABLE db_test_scratch (name TEXT NOT NULL)`);
+  });
+
+  afterEach(async function () {
+    await db.query(`DROP TABLE db_test_scratch`);
+    await db.beginTestTransaction();
+  });
+
+  async function names() {
+    const result = await db.query(
+      `SELECT name FROM db_test_scratch ORDER BY name`
+    );
+    return result.rows.map((r) => r.name);
+  }
+
+  test("works: commits", async function () {
+    await db.transaction(async () => {
+      await db.query(`INSERT INTO db_test_scratch VALUES ('a')`);
+    });
+    expect(await names()).toEqual(["a"]);
+  });
+
+  test("works: rolls back if fn throws", async function () {
+    await expect(
+      db.transaction(async () => {
+        await db.query(`INSERT INTO db_test_scratch VALUES ('a')`);
+        throw new Error("boom");
+      })
+    ).rejects.toThrow("boom");
+    expect(await names()).toEqual([]);
+  });
+
+  test("works: nested transactions roll back on their own", async function () {
+    await db.transaction(async () => {
+      await db.query(`INSERT INTO db_test_scratch VALUES ('outer')`);
+      await expect(
+        db.transaction(async () => {
+          await db.query(`INSERT INTO db_test_scratch VALUES ('inner')`);
+          throw new Error("boom");
+        })
+      ).rejects.toThrow("boom");
+    });
+    expect(await names()).toEqual(["outer"]);
+  });
+
+  test("works: afterCommit runs once committed", async function () {
+    let seen;
+    await db.transaction(async () => {
+      await db.query(`INSERT INTO db_test_scratch VALUES ('a')`);
+      await db.afterCommit(async () => {
+        seen = await names();
+      });
+    });
+    expect(seen).toEqual(["a"]);
+  });
+});
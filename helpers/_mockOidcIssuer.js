@@ -0,0 +1,111 @@
+"use strict";
+
+/** A local OpenID Connect provider for tests of logging in with other
+ *  accounts (see helpers/oidc.js).
+ *
+ * It serves discovery, keys and the token endpoint. Instead of a login page,
+ * tests call login() with the authorization URL and the claims about the
+ * user, like a user logging in and being sent back with a code.
+ */
+
+const crypto = require("crypto");
+const express = require("express");
+const jwt = require("jsonwebtoken");
+const { codeChallenge } = require("./oidc");
+
+const CLIENT_ID = "ourtabi-test";
+const CLIENT_SECRET = "mock-secret";
+
+/** Start a mock provider on a free local port.
+ *
+ * @returns {Promise<Object>} - { issuer, settings, login, signIdToken, close };
+ *   settings is for registerProvider.
+ */
+async function startMockIssuer() {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync("rsa", {
+    modulusLength: 2048,
+  });
+  const kid = "mock-key";
+  // code => { claims, nonce, codeChallenge, redirectUri }
+  const codes = new Map();
+
+  const app = express();
+  app.use(express.urlencoded({ extended: false }));
+
+  app.get("/.well-known/openid-configuration", function (req, res) {
+    return res.json({
+      issuer,
+      authorization_endpoint: `${issuer}/authorize`,
+      token_endpoint: `${issuer}/token`,
+      jwks_uri: `${issuer}/jwks`,
+      response_types_supported: ["code"],
+      id_token_signing_alg_values_supported: ["RS256"],
+    });
+  });
+
+  app.get("/jwks", function (req, res) {
+    const jwk = publicKey.export({ format: "jwk" });
+    return res.json({ keys: [{ ...jwk, kid, use: "sig", alg: "RS256" }] });
+  });
+
+  app.post("/token", function (req, res) {
+    const login = codes.get(req.body.code);
+    codes.delete(req.body.code);
+    if (
+      !login ||
+      req.body.client_id !== CLIENT_ID ||
+      req.body.client_secret !== CLIENT_SECRET ||
+      req.body.redirect_uri !== login.redirectUri ||
+      codeChallenge(req.body.code_verifier || "") !== login.codeChallenge
+    ) {
+      return res.status(400).json({ error: "invalid_grant" });
+    }
+
+    return res.json({
+      access_token: "mock-access-token",
+      token_type: "Bearer",
+      id_token: signIdToken({ nonce: login.nonce, ...login.claims }),
+    });
+  });
+
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, "127.0.0.1", () => resolve(listening));
+  });
+  const issuer = `http://127.0.0.1:${server.address().port}`;
+
+  /** Sign an ID token with the provider's key; options can override the
+   *  audience. */
+  function signIdToken(claims, { audience = CLIENT_ID } = {}) {
+    return jwt.sign(claims, privateKey, {
+      algorithm: "RS256",
+      keyid: kid,
+      issuer,
+      audience,
+      expiresIn: "5m",
+    });
+  }
+
+  /** Log in at an authorization URL; claims are what the ID token says
+   *  about the user (sub, email...). Returns { code, state }. */
+  function login(authorizationUrl, claims) {
+    const params = new URL(authorizationUrl).searchParams;
+    const code = crypto.randomBytes(16).toString("hex");
+    codes.set(code, {
+      claims,
+      nonce: params.get("nonce"),
+      codeChallenge: params.get("code_challenge"),
+      redirectUri: params.get("redirect_uri"),
+    });
+    return { code, state: params.get("state") };
+  }
+
+  return {
+    issuer,
+    settings: { issuer, clientId: CLIENT_ID, clientSecret: CLIENT_SECRET },
+    login,
+    signIdToken,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
+
+module.exports = { startMockIssuer };
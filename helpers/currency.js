@@ -0,0 +1,134 @@
+const { BadRequestError } = require("./expressError");
+
+const CURRENCY_CODE = /^[A-Z]{3}$/;
+
+/** Parse exchange rates from CSV text.
+ *
+ * One rate per line as "base,quote,rate", meaning 1 base = rate quote:
+ *
+ *   base,quote,rate
+ *   USD,EUR,0.92
+ *   USD,JPY,151.3
+ *
+ * The header line is optional; blank lines and lines starting with # are
+ * skipped. Currency codes are upper-cased.
+ *
+ * @returns {Array} [{ base, quote, rate }, ...]
+ *
+ * @throws {BadRequestError} - listing every invalid line, or every line
+ *  repeating a currency pair
+ */
+function parseRatesCsv(text) {
+  const rates = [];
+  const errors = [];
+  const duplicates = [];
+  // "USD/EUR" => the line it's on
+  const pairLines = new Map();
+
+  text.split(/\r?\n/).forEach((line, idx) => {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith("#")) return;
+    if (idx === 0 && /^base\s*,/i.test(trimmed)) return;
+
+    const [base, quote, rateText, ...extra] = trimmed
+      .split(",")
+      .map((field) => field.trim());
+    const rate = Number(rateText);
+
+    if (
+      extra.length ||
+      !CURRENCY_CODE.test(base?.toUpperCase()) ||
+      !CURRENCY_CODE.test(quote?.toUpperCase()) ||
+      base.toUpperCase() === quote.toUpperCase() ||
+      !rateText ||
+      !(rate > 0)
+    ) {
+      errors.push(`line ${idx + 1}: "${trimmed}"`);
+      return;
+    }
+
+    const pair = `${base.toUpperCase()}/${quote.toUpperCase()}`;
+    if (pairLines.has(pair)) {
+      duplicates.push(
+        `line ${idx + 1}: ${pair} is already on line ${pairLines.get(pair)}`
+      );
+      return;
+    }
+    pairLines.set(pair, idx + 1);
+    rates.push({ base: base.toUpperCase(), quote: quote.toUpperCase(), rate });
+  });
+
+  if (errors.length) {
+    throw new BadRequestError(
+      `Invalid exchange rates, expected "base,quote,rate" on ${errors.join(", ")}`
+    );
+  }
+  if (duplicates.length) {
+    throw new BadRequestError(
+      `Each currency pair can only have one rate; ${duplicates.join(", ")}`
+    );
+  }
+  if (!rates.length) throw new BadRequestError("No exchange rates found.");
+
+  return rates;
+}
+
+/** Find the rate to convert from one currency to another.
+ *
+ * Uses a direct rate if there is one, the inverse of the opposite rate, or
+ * otherwise chains rates through other currencies (e.g. EUR -> USD -> JPY),
+ * preferring the fewest steps.
+ *
+ * @param {Array} rates - [{ base, quote, rate }, ...]
+ *
+ * @returns {number|null} - how many `to` one `from` is worth, or null if the
+ *  currencies are not connected by any rates
+ */
+function findRate(rates, from, to) {
+  if (from === to) return 1;
+
+  const direct = rates.find((r) => r.base === from && r.quote === to);
+  if (direct) return direct.rate;
+
+  // every rate can be used in both directions
+  const edges = new Map();
+  const addEdge = (a, b, rate) => {
+    if (!edges.has(a)) edges.set(a, []);
+    edges.get(a).push({ to: b, rate });
+  };
+  for (let { base, quote, rate } of rates) {
+    addEdge(base, quote, rate);
+    addEdge(quote, base, 1 / rate);
+  }
+
+  // breadth-first, so the first path found has the fewest conversions
+  const visited = new Set([from]);
+  let frontier = [{ currency: from, rate: 1 }];
+  while (frontier.length) {
+    const next = [];
+    for (let { currency, rate } of frontier) {
+      for (let edge of edges.get(currency) || []) {
+        if (visited.has(edge.to)) continue;
+        if (edge.to === to) return rate * edge.rate;
+        visited.add(edge.to);
+        next.push({ currency: edge.to, rate: rate * edge.rate });
+      }
+    }
+    frontier = next;
+  }
+  return null;
+}
+
+/** Convert an amount in cents between currencies, rounding to whole cents.
+ *
+ * @throws {BadRequestError} - if there is no rate between the currencies
+ */
+function convertCents(cents, from, to, rates) {
+  const rate = findRate(rates, from, to);
+  if (rate === null) {
+    throw new BadRequestError(`No exchange rate from ${from} to ${to}.`);
+  }
+  return Math.round(cents * rate);
+}
+
+module.exports = { CURRENCY_CODE, parseRatesCsv, findRate, convertCents };
@@ -0,0 +1,79 @@
+const { parseRatesCsv, findRate, convertCents } = require("./currency");
+const { BadRequestError } = require("./expressError");
+
+describe("parseRatesCsv", function () {
+  test("works", function () {
+    const csv = "base,quote,rate\nUSD,EUR,0.92\r\n\n# comment\nusd, jpy , 151.3\n";
+    expect(parseRatesCsv(csv)).toEqual([
+      { base: "USD", quote: "EUR", rate: 0.92 },
+      { base: "USD", quote: "JPY", rate: 151.3 },
+    ]);
+  });
+
+  test("bad request: reports every invalid line", function () {
+    expect(() => parseRatesCsv("USD,EUR,abc\nUSD,EUR,0.9\nUS,EUR,1")).toThrow(
+      'Invalid exchange rates, expected "base,quote,rate" on line 1: "USD,EUR,abc", line 3: "US,EUR,1"'
+    );
+  });
+
+  test("bad request: the same pair twice", function () {
+    expect(() =>
+      parseRatesCsv("base,quote,rate\nUSD,EUR,0.92\nUSD,JPY,151\nusd,eur,0.9")
+    ).toThrow(
+      "Each currency pair can only have one rate; line 4: USD/EUR is already on line 2"
+    );
+    // the opposite pair is a different rate
+    expect(parseRatesCsv("USD,EUR,0.92\nEUR,USD,1.09")).toHaveLength(2);
+  });
+
+  test("bad request: zero or negative rates", function () {
+    expect(() => parseRatesCsv("USD,EUR,0")).toThrow(BadRequestError);
+    expect(() => parseRatesCsv("USD,EUR,-1")).toThrow(BadRequestError);
+  });
+
+  test("bad request: empty file", function () {
+    expect(() => parseRatesCsv("base,quote,rate\n")).toThrow(
+      "No exchange rates found."
+    );
+  });
+});
+
+describe("findRate", function () {
+  const rates = [
+    { base: "USD", quote: "EUR", rate: 0.8 },
+    { base: "USD", quote: "JPY", rate: 150 },
+    { base: "GBP", quote: "CHF", rate: 1.1 },
+  ];
+
+  test("works: same currency", function () {
+    expect(findRate(rates, "EUR", "EUR")).toEqual(1);
+  });
+
+  test("works: direct and inverse", function () {
+    expect(findRate(rates, "USD", "EUR")).toEqual(0.8);
+    expect(findRate(rates, "EUR", "USD")).toBeCloseTo(1.25);
+  });
+
+  test("works: through another currency", function () {
+    expect(findRate(rates, "EUR", "JPY")).toBeCloseTo(187.5);
+  });
+
+  test("works: null when not connected", function () {
+    expect(findRate(rates, "USD", "CHF")).toBeNull();
+  });
+});
+
+describe("convertCents", function () {
+  const rates = [{ base: "USD", quote: "EUR", rate: 0.8 }];
+
+  test("works", function () {
+    expect(convertCents(1000, "USD", "EUR", rates)).toEqual(800);
+    expect(convertCents(1000, "EUR", "USD", rates)).toEqual(1250);
+  });
+
+  test("bad request: no rate", function () {
+    expect(() => convertCents(1000, "USD", "GBP", rates)).toThrow(
+      "No exchange rate from USD to GBP."
+    );
+  });
+});
@@ -0,0 +1,93 @@
+"use strict";
+
+/** Emails about what happens in the app.
+ *
+ * Friend requests and being added to a trip are emailed as they happen;
+ * everything else about a user's trips waits for the daily digest. Users
+ * can turn each kind off (see User.updateEmailPreferences). Emails are only
+ * queued here; scripts/emailWorker.js sends them.
+ */
+
+const { subscribe } = require("./events");
+const {
+  notificationEmail,
+  digestEmail,
+  verificationEmail,
+} = require("./emails");
+const EmailOutbox = require("../models/emailOutbox");
+const Notification = require("../models/notification");
+const User = require("../models/user");
+
+/** notification type => the email preference that allows emailing it */
+const INSTANT_EMAILS = {
+  friend_request: "friendRequests",
+  trip_added: "tripInvites",
+};
+
+let registered = false;
+
+/** Queue an email for a new notification, if it's the kind that gets one. */
+async function emailNotification({ id, userId, type }) {
+  const preference = INSTANT_EMAILS[type];
+  if (!preference) return null;
+
+  const recipient = await User.getEmailRecipient(userId, preference);
+  if (!recipient) return null;
+
+  const notification = await Notification.get(id);
+  return EmailOutbox.enqueue({
+    userId,
+    to: recipient.email,
+    kind: type,
+    ...notificationEmail(recipient, notification),
+  });
+}
+
+/** Queue an email asking the user to confirm their email address. */
+async function queueVerificationEmail(userId) {
+  const { token, user } = await User.createEmailVerificationToken(userId);
+  return EmailOutbox.enqueue({
+    userId,
+    to: user.email,
+    kind: "email_verification",
+    ...verificationEmail(user, token),
+  });
+}
+
+/** Queue everyone's daily digest.
+ *
+ * Returns the number of digests queued.
+ */
+async function queueDailyDigests() {
+  const digests = await Notification.getDigests();
+
+  for (let { notifications, ...recipient } of digests) {
+    await EmailOutbox.enqueue({
+      userId: recipient.userId,
+      to: recipient.email,
+      kind: "digest",
+      ...digestEmail(recipient, notifications),
+    });
+    await User.markDigestSent(
+      recipient.userId,
+      notifications.map((n) => n.id)
+    );
+  }
+
+  return digests.length;
+}
+
+/** Subscribe instant emails to app events. Safe to call more than once. */
+function registerEmailListeners() {
+  if (registered) return;
+  registered = true;
+
+  subscribe("notification.created", emailNotification);
+}
+
+module.exports = {
+  emailNotification,
+  queueVerificationEmail,
+  queueDailyDigests,
+  registerEmailListeners,
+};
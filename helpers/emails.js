@@ -0,0 +1,92 @@
+"use strict";
+
+/** The emails OurTabi sends. Each builder returns { subject, text }. */
+
+const { APP_URL } = require("../config");
+
+const FOOTER =
+  "\n\n--\nYou can choose which emails you get from OurTabi in your account settings.";
+
+function tripUrl(tripId) {
+  return `${APP_URL}/trips/${tripId}`;
+}
+
+/** An email for a single notification, e.g. a friend request.
+ *
+ * notification is as returned by Notification.get.
+ */
+function notificationEmail(recipient, notification) {
+  const link = notification.tripId
+    ? tripUrl(notification.tripId)
+    : `${APP_URL}/friends`;
+
+  return {
+    subject: notification.message.replace(/\.$/, ""),
+    text:
+      `Hi ${recipient.firstName},\n\n` +
+      `${notification.message}\n\n` +
+      `${link}` +
+      FOOTER,
+  };
+}
+
+/** The daily digest: a user's unread trip notifications, grouped by trip. */
+function digestEmail(recipient, notifications) {
+  const byTrip = new Map();
+  for (let n of notifications) {
+    if (!byTrip.has(n.tripId)) {
+      byTrip.set(n.tripId, { title: n.tripTitle, lines: [] });
+    }
+    byTrip.get(n.tripId).lines.push(`  - ${n.message}`);
+  }
+
+  const sections = [...byTrip].map(
+    ([tripId, { title, lines }]) =>
+      `${title}\n${lines.join("\n")}\n  ${tripUrl(tripId)}`
+  );
+  const count = notifications.length;
+
+  return {
+    subject: `Your OurTabi digest: ${count} ${count === 1 ? "update" : "updates"}`,
+    text:
+      `Hi ${recipient.firstName},\n\n` +
+      "Here's what happened on your trips since your last digest:\n\n" +
+      sections.join("\n\n") +
+      FOOTER,
+  };
+}
+
+/** The link to choose a new password. */
+function passwordResetEmail(recipient, token) {
+  return {
+    subject: "Reset your OurTabi password",
+    text:
+      `Hi ${recipient.firstName},\n\n` +
+      "Someone asked to reset the password for your OurTabi account " +
+      `(${recipient.username}). To choose a new password, open:\n\n` +
+      `${APP_URL}/reset-password?token=${token}\n\n` +
+      "The link works once and expires in an hour. If you didn't ask for " +
+      "this, you can ignore this email; your password won't change.",
+  };
+}
+
+/** The link to confirm the user's email address. */
+function verificationEmail(recipient, token) {
+  return {
+    subject: "Confirm your email for OurTabi",
+    text:
+      `Hi ${recipient.firstName},\n\n` +
+      `Please confirm that this is the email address for ${recipient.username} ` +
+      "on OurTabi by opening:\n\n" +
+      `${APP_URL}/verify-email/${token}\n\n` +
+      "The link expires in 48 hours. Until then you can't send friend " +
+      "requests or ask to join trips.",
+  };
+}
+
+module.exports = {
+  notificationEmail,
+  digestEmail,
+  passwordResetEmail,
+  verificationEmail,
+};
@@ -0,0 +1,71 @@
+const {
+  notificationEmail,
+  digestEmail,
+  passwordResetEmail,
+} = require("./emails");
+
+const recipient = { firstName: "U1F", email: "u1@email.com" };
+
+describe("notificationEmail", function () {
+  test("works: trip notification links to the trip", function () {
+    const email = notificationEmail(recipient, {
+      type: "trip_added",
+      message: "u2 added you to Paris.",
+      tripId: 3,
+    });
+    expect(email.subject).toEqual("u2 added you to Paris");
+    expect(email.text).toContain("Hi U1F,\n\nu2 added you to Paris.\n\n");
+    expect(email.text).toContain("/trips/3");
+  });
+
+  test("works: friend request links to friends", function () {
+    const email = notificationEmail(recipient, {
+      type: "friend_request",
+      message: "u2 sent you a friend request.",
+      tripId: null,
+    });
+    expect(email.text).toContain("/friends");
+  });
+});
+
+describe("digestEmail", function () {
+  test("works: grouped by trip", function () {
+    const email = digestEmail(recipient, [
+      {
+        tripId: 1,
+        tripTitle: "Paris",
+        message: "u2 proposed Louvre for Paris.",
+      },
+      { tripId: 2, tripTitle: "Rome", message: "u3 commented on Rome." },
+      { tripId: 1, tripTitle: "Paris", message: "u3 commented on Paris." },
+    ]);
+
+    expect(email.subject).toEqual("Your OurTabi digest: 3 updates");
+    expect(email.text).toContain(
+      "Paris\n  - u2 proposed Louvre for Paris.\n  - u3 commented on Paris.\n"
+    );
+    expect(email.text).toContain("Rome\n  - u3 commented on Rome.\n");
+    expect(email.text.indexOf("Paris")).toBeLessThan(
+      email.text.indexOf("Rome")
+    );
+  });
+
+  test("works: one update", function () {
+    const email = digestEmail(recipient, [
+      { tripId: 1, tripTitle: "Paris", message: "u3 commented on Paris." },
+    ]);
+    expect(email.subject).toEqual("Your OurTabi digest: 1 update");
+  });
+});
+
+describe("passwordResetEmail", function () {
+  test("works", function () {
+    const email = passwordResetEmail(
+      { firstName: "U1F", username: "u1" },
+      "abc123"
+    );
+    expect(email.subject).toEqual("Reset your OurTabi password");
+    expect(email.text).toContain("/reset-password?token=abc123");
+    expect(email.text).toContain("(u1)");
+  });
+});
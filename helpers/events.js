@@ -0,0 +1,64 @@
+/** A small in-process event bus.
+ *
+ * Models publish what just happened and other parts of the app (e.g. the
+ * notification inbox) subscribe to it, so models don't need to know about
+ * them. Events published today:
+ *
+ *  - "friendRequest.sent"     { id, senderId, recipientId, status }
+ *  - "friendRequest.accepted" { id, senderId, recipientId, status }
+ *  - "tripMember.added"       { id, userId, tripId, role, addedBy }
+ *  - "tripMember.updated"     { id, userId, tripId, role }
+ *  - "tripMember.removed"     { id, userId, tripId, role }
+ *  - "comment.created"        { id, userId, tripId, activityId, parentId, text, mentions, ... }
+ *  - "comment.updated"        { id, userId, tripId, activityId, parentId, text, mentions, ... }
+ *  - "comment.deleted"        { id, tripId, activityId, deletedBy }
+ *  - "activity.created"       { id, tripId, name, createdBy, ... }
+ *  - "activity.updated"       { id, tripId, name, status, scheduledTime, ... }
+ *  - "activity.deleted"       { id, tripId }
+ *  - "notification.created"   { id, userId, type }
+ *  - "vote.changed"           { tripId, activityId, userId, voteValue, upvotes, downvotes }
+ */
+
+const { afterCommit } = require("../db");
+
+const subscribers = new Map();
+
+/** Call handler(payload) every time `event` is published.
+ *
+ * @returns {Function} - call it to unsubscribe
+ */
+function subscribe(event, handler) {
+  if (!subscribers.has(event)) subscribers.set(event, new Set());
+  subscribers.get(event).add(handler);
+  return () => subscribers.get(event).delete(handler);
+}
+
+/** Publish an event and wait for every subscriber to handle it.
+ *
+ * Subscribers run side effects of something that has already happened, so
+ * their errors are logged rather than thrown back at the publisher. Inside
+ * a transaction, that's once it commits (see db.transaction); nothing is
+ * published if it's rolled back.
+ */
+async function publish(event, payload) {
+  await afterCommit(() => deliver(event, payload));
+}
+
+/** Call every subscriber of event with payload. */
+async function deliver(event, payload) {
+  const handlers = [...(subscribers.get(event) || [])];
+
+  await Promise.all(
+    handlers.map(async (handler) => {
+      try {
+        await handler(payload);
+      } catch (err) {
+        if (process.env.NODE_ENV !== "test") {
+          console.error(`Error handling ${event}:`, err.stack);
+        }
+      }
+    })
+  );
+}
+
+module.exports = { subscribe, publish };
@@ -0,0 +1,45 @@
+const { subscribe, publish } = require("./events");
+
+describe("publish", function () {
+  test("works: waits for every subscriber", async function () {
+    const seen = [];
+    const off1 = subscribe("test.waits", async (payload) => {
+      await new Promise((resolve) => setTimeout(resolve, 5));
+      seen.push(["a", payload.id]);
+    });
+    const off2 = subscribe("test.waits", (payload) => seen.push(["b", payload.id]));
+
+    await publish("test.waits", { id: 1 });
+    expect(seen).toEqual([
+      ["b", 1],
+      ["a", 1],
+    ]);
+    off1();
+    off2();
+  });
+
+  test("works: unsubscribe", async function () {
+    const handler = jest.fn();
+    const off = subscribe("test.off", handler);
+    off();
+    await publish("test.off", {});
+    expect(handler).not.toHaveBeenCalled();
+  });
+
+  test("works: subscriber errors don't reach the publisher", async function () {
+    const handler = jest.fn();
+    const off1 = subscribe("test.errors", () => {
+      throw new Error("boom");
+    });
+    const off2 = subscribe("test.errors", handler);
+
+    await expect(publish("test.errors", {})).resolves.toBeUndefined();
+    expect(handler).toHaveBeenCalled();
+    off1();
+    off2();
+  });
+
+  test("works: no subscribers", async function () {
+    await expect(publish("test.nobody", {})).resolves.toBeUndefined();
+  });
+});
@@ -0,0 +1,219 @@
+const { BadRequestError } = require("./expressError");
+const { convertCents } = require("./currency");
+
+const SPLIT_TYPES = ["equal", "shares", "exact"];
+
+/** Convert an amount like 12.34 to whole cents (1234). */
+function toCents(amount) {
+  return Math.round(Number(amount) * 100);
+}
+
+/** Convert whole cents (1234) back to an amount (12.34). */
+function fromCents(cents) {
+  return cents / 100;
+}
+
+/** Divide totalCents proportionally to weights, in whole cents.
+ *
+ * Uses the largest remainder method so the parts always add up to the total;
+ * leftover cents go to the largest remainders, earlier entries first on ties.
+ */
+function allocateCents(totalCents, weights) {
+  const totalWeight = weights.reduce((sum, w) => sum + w, 0);
+  const exact = weights.map((w) => (totalCents * w) / totalWeight);
+  const parts = exact.map(Math.floor);
+
+  let leftover = totalCents - parts.reduce((sum, p) => sum + p, 0);
+  const byRemainder = exact
+    .map((value, idx) => ({ idx, remainder: value - parts[idx] }))
+    .sort((a, b) => b.remainder - a.remainder || a.idx - b.idx);
+
+  for (let { idx } of byRemainder) {
+    if (leftover === 0) break;
+    parts[idx] += 1;
+    leftover -= 1;
+  }
+  return parts;
+}
+
+/** splitExpense works out how much each participant owes for an expense.
+ *
+ * @param {number} amountCents - the expense total in cents
+ * @param {string} splitType - "equal", "shares" or "exact"
+ * @param {Array} participants - [{ userId, shares, amount }, ...]
+ *  - equal: only userId is used
+ *  - shares: shares is a positive integer weight, e.g. 2 for a couple
+ *  - exact: amount is what that participant owes; the amounts must add up
+ *    to the total
+ *
+ * @returns {Array} [{ userId, shares, amountCents }, ...] in the given order
+ *
+ * @throws {BadRequestError} - if the split is invalid
+ */
+function splitExpense(amountCents, splitType, participants) {
+  if (!SPLIT_TYPES.includes(splitType)) {
+    throw new BadRequestError(`Invalid split type: ${splitType}`);
+  }
+  if (!participants.length) {
+    throw new BadRequestError(
+      "An expense must be split between at least one member."
+    );
+  }
+
+  const userIds = participants.map((p) => p.userId);
+  if (new Set(userIds).size !== userIds.length) {
+    throw new BadRequestError("Each member can only appear once in a split.");
+  }
+
+  if (splitType === "exact") {
+    const amounts = participants.map((p) => toCents(p.amount));
+    const sum = amounts.reduce((total, a) => total + a, 0);
+    if (amounts.some((a) => !(a >= 0)) || sum !== amountCents) {
+      throw new BadRequestError(
+        `Exact split amounts must add up to ${fromCents(amountCents)}.`
+      );
+    }
+    return participants.map((p, idx) => ({
+      userId: p.userId,
+      shares: null,
+      amountCents: amounts[idx],
+    }));
+  }
+
+  const shares =
+    splitType === "equal"
+      ? participants.map(() => 1)
+      : participants.map((p) => p.shares);
+  if (shares.some((s) => !Number.isInteger(s) || s < 1)) {
+    throw new BadRequestError("Shares must be positive whole numbers.");
+  }
+
+  const amounts = allocateCents(amountCents, shares);
+  return participants.map((p, idx) => ({
+    userId: p.userId,
+    shares: splitType === "shares" ? shares[idx] : null,
+    amountCents: amounts[idx],
+  }));
+}
+
+/** convertExpense restates an expense in another currency.
+ *
+ * The total is converted and then divided in the same proportions as the
+ * original shares, so the converted shares still add up to the total.
+ *
+ * @param {Object} expense - { paidBy, amountCents, currency, shares: [{ userId, amountCents }, ...] }
+ * @param {string} currency - the currency to convert to
+ * @param {Array} rates - [{ base, quote, rate }, ...]
+ *
+ * @returns {Object} the expense with amountCents, currency and shares converted
+ *
+ * @throws {BadRequestError} - if there is no rate between the currencies
+ */
+function convertExpense(expense, currency, rates) {
+  if (expense.currency === currency) return expense;
+
+  const amountCents = convertCents(
+    expense.amountCents,
+    expense.currency,
+    currency,
+    rates
+  );
+  const parts = allocateCents(
+    amountCents,
+    expense.shares.map((s) => s.amountCents)
+  );
+
+  return {
+    ...expense,
+    amountCents,
+    currency,
+    shares: expense.shares.map((share, idx) => ({
+      ...share,
+      amountCents: parts[idx],
+    })),
+  };
+}
+
+/** computeBalances totals what each member paid and owes.
+ *
+ * @param {Array} expenses - [{ paidBy, amountCents, shares: [{ userId, amountCents }, ...] }, ...]
+ *  all in the same currency
+ *
+ * @returns {Map} userId => { paidCents, owesCents, netCents }
+ *  A positive netCents means the member is owed money.
+ */
+function computeBalances(expenses) {
+  const balances = new Map();
+  const balanceFor = (userId) => {
+    if (!balances.has(userId)) {
+      balances.set(userId, { paidCents: 0, owesCents: 0, netCents: 0 });
+    }
+    return balances.get(userId);
+  };
+
+  for (let expense of expenses) {
+    const payer = balanceFor(expense.paidBy);
+    payer.paidCents += expense.amountCents;
+    payer.netCents += expense.amountCents;
+
+    for (let share of expense.shares) {
+      const member = balanceFor(share.userId);
+      member.owesCents += share.amountCents;
+      member.netCents -= share.amountCents;
+    }
+  }
+  return balances;
+}
+
+/** settleUp suggests transfers that bring every balance back to zero.
+ *
+ * Repeatedly has the member who owes the most pay the member who is owed the
+ * most. This needs at most one transfer fewer than the number of members with
+ * a balance, and usually far fewer.
+ *
+ * @param {Map} balances - userId => { netCents }, as from computeBalances
+ *
+ * @returns {Array} [{ from: userId, to: userId, amountCents }, ...]
+ */
+function settleUp(balances) {
+  const creditors = [];
+  const debtors = [];
+  for (let [userId, { netCents }] of balances) {
+    if (netCents > 0) creditors.push({ userId, cents: netCents });
+    if (netCents < 0) debtors.push({ userId, cents: -netCents });
+  }
+
+  const byLargest = (a, b) => b.cents - a.cents || a.userId - b.userId;
+  const transfers = [];
+
+  while (creditors.length && debtors.length) {
+    creditors.sort(byLargest);
+    debtors.sort(byLargest);
+    const creditor = creditors[0];
+    const debtor = debtors[0];
+    const cents = Math.min(creditor.cents, debtor.cents);
+
+    transfers.push({
+      from: debtor.userId,
+      to: creditor.userId,
+      amountCents: cents,
+    });
+
+    creditor.cents -= cents;
+    debtor.cents -= cents;
+    if (!creditor.cents) creditors.shift();
+    if (!debtor.cents) debtors.shift();
+  }
+  return transfers;
+}
+
+module.exports = {
+  SPLIT_TYPES,
+  toCents,
+  fromCents,
+  allocateCents,
+  splitExpense,
+  convertExpense,
+  computeBalances,
+  settleUp,
+};
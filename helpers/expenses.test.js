@@ -0,0 +1,153 @@
+const {
+  toCents,
+  fromCents,
+  allocateCents,
+  splitExpense,
+  computeBalances,
+  settleUp,
+} = require("./expenses");
+const { BadRequestError } = require("./expressError");
+
+describe("toCents / fromCents", function () {
+  test("works", function () {
+    expect(toCents(12.34)).toEqual(1234);
+    expect(toCents("0.1")).toEqual(10);
+    expect(fromCents(1234)).toEqual(12.34);
+  });
+});
+
+describe("allocateCents", function () {
+  test("works: parts add up to the total", function () {
+    expect(allocateCents(100, [1, 1, 1])).toEqual([34, 33, 33]);
+    expect(allocateCents(1000, [2, 1, 1])).toEqual([500, 250, 250]);
+  });
+});
+
+describe("splitExpense", function () {
+  const members = [{ userId: 1 }, { userId: 2 }, { userId: 3 }];
+
+  test("works: equal", function () {
+    expect(splitExpense(1000, "equal", members)).toEqual([
+      { userId: 1, shares: null, amountCents: 334 },
+      { userId: 2, shares: null, amountCents: 333 },
+      { userId: 3, shares: null, amountCents: 333 },
+    ]);
+  });
+
+  test("works: shares", function () {
+    expect(
+      splitExpense(9000, "shares", [
+        { userId: 1, shares: 2 },
+        { userId: 2, shares: 1 },
+      ])
+    ).toEqual([
+      { userId: 1, shares: 2, amountCents: 6000 },
+      { userId: 2, shares: 1, amountCents: 3000 },
+    ]);
+  });
+
+  test("works: exact", function () {
+    expect(
+      splitExpense(1500, "exact", [
+        { userId: 1, amount: 10 },
+        { userId: 2, amount: 5 },
+      ])
+    ).toEqual([
+      { userId: 1, shares: null, amountCents: 1000 },
+      { userId: 2, shares: null, amountCents: 500 },
+    ]);
+  });
+
+  test("bad request: exact amounts do not add up", function () {
+    expect(() =>
+      splitExpense(1500, "exact", [
+        { userId: 1, amount: 10 },
+        { userId: 2, amount: 4 },
+      ])
+    ).toThrow("Exact split amounts must add up to 15.");
+  });
+
+  test("bad request: invalid shares", function () {
+    expect(() =>
+      splitExpense(1500, "shares", [{ userId: 1, shares: 0 }])
+    ).toThrow(BadRequestError);
+  });
+
+  test("bad request: duplicate members", function () {
+    expect(() =>
+      splitExpense(1500, "equal", [{ userId: 1 }, { userId: 1 }])
+    ).toThrow(BadRequestError);
+  });
+
+  test("bad request: nobody to split with", function () {
+    expect(() => splitExpense(1500, "equal", [])).toThrow(BadRequestError);
+  });
+});
+
+describe("computeBalances", function () {
+  test("works", function () {
+    const balances = computeBalances([
+      {
+        paidBy: 1,
+        amountCents: 3000,
+        shares: [
+          { userId: 1, amountCents: 1000 },
+          { userId: 2, amountCents: 1000 },
+          { userId: 3, amountCents: 1000 },
+        ],
+      },
+      {
+        paidBy: 2,
+        amountCents: 600,
+        shares: [
+          { userId: 2, amountCents: 300 },
+          { userId: 3, amountCents: 300 },
+        ],
+      },
+    ]);
+
+    expect(balances.get(1)).toEqual({
+      paidCents: 3000,
+      owesCents: 1000,
+      netCents: 2000,
+    });
+    expect(balances.get(2)).toEqual({
+      paidCents: 600,
+      owesCents: 1300,
+      netCents: -700,
+    });
+    expect(balances.get(3)).toEqual({
+      paidCents: 0,
+      owesCents: 1300,
+      netCents: -1300,
+    });
+  });
+});
+
+describe("settleUp", function () {
+  test("works: everyone pays the creditor directly", function () {
+    const balances = new Map([
+      [1, { netCents: 2000 }],
+      [2, { netCents: -700 }],
+      [3, { netCents: -1300 }],
+    ]);
+    expect(settleUp(balances)).toEqual([
+      { from: 3, to: 1, amountCents: 1300 },
+      { from: 2, to: 1, amountCents: 700 },
+    ]);
+  });
+
+  test("works: chains collapse into fewer transfers", function () {
+    // 3 owes 2 and 2 owes 1 the same amount: 3 can just pay 1
+    const balances = new Map([
+      [1, { netCents: 500 }],
+      [2, { netCents: 0 }],
+      [3, { netCents: -500 }],
+    ]);
+    expect(settleUp(balances)).toEqual([{ from: 3, to: 1, amountCents: 500 }]);
+  });
+
+  test("works: nothing to settle", function () {
+    expect(settleUp(new Map())).toEqual([]);
+  });
+});
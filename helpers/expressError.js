@@ -44,10 +44,24 @@ class ForbiddenError extends ExpressError {
   }
 }
 
+/** 429 TOO MANY REQUESTS error.
+ *
+ * retryAfter is how many seconds until trying again may work; the error
+ * handler sends it as the Retry-After header.
+ */
+
+class TooManyRequestsError extends ExpressError {
+  constructor(message = "Too Many Requests", retryAfter = null) {
+    super(message, 429);
+    this.retryAfter = retryAfter;
+  }
+}
+
 module.exports = {
   ExpressError,
   NotFoundError,
   UnauthorizedError,
   BadRequestError,
   ForbiddenError,
+  TooManyRequestsError,
 };
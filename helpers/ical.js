@@ -0,0 +1,151 @@
+const { toDateString } = require("./schedule");
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const MAX_LINE_OCTETS = 75;
+const PRODID = "-//OurTabi//Trip Calendar//EN";
+
+/** Escape a TEXT value (RFC 5545 3.3.11): backslashes, semicolons, commas
+ *  and newlines.
+ */
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+/** Fold a content line longer than 75 octets (RFC 5545 3.1) by continuing it
+ *  on lines that start with a single space. Never splits a UTF-8 character.
+ */
+function foldLine(line) {
+  const parts = [];
+  let current = "";
+  let octets = 0;
+
+  for (let char of line) {
+    const size = Buffer.byteLength(char);
+    // continuation lines lose one octet to the leading space
+    const limit = parts.length ? MAX_LINE_OCTETS - 1 : MAX_LINE_OCTETS;
+    if (octets + size > limit) {
+      parts.push(current);
+      current = "";
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  }
+  parts.push(current);
+
+  return parts.join("\r\n ");
+}
+
+/** Format a timestamp as a UTC DATE-TIME, e.g. "20250801T100000Z" */
+function formatDateTime(date) {
+  return new Date(date).toISOString().replace(/[-:]/g, "").slice(0, 15) + "Z";
+}
+
+/** Format a trip date as a DATE, e.g. "20250801" */
+function formatDate(date) {
+  return toDateString(date).replace(/-/g, "");
+}
+
+/** The day after a trip date, e.g. for the exclusive end of an all-day event */
+function nextDay(date) {
+  const time = Date.parse(`${toDateString(date)}T00:00:00Z`) + MS_PER_DAY;
+  return new Date(time).toISOString().slice(0, 10);
+}
+
+/** Build the VEVENTs for a trip: one all-day event spanning the trip dates
+ *  (if it has dates) and one event per scheduled activity.
+ *
+ * Rejected activities and activities without a scheduledTime are left out.
+ * Proposed activities are marked TENTATIVE, accepted ones CONFIRMED.
+ *
+ * @returns {Array} [{ uid, summary, description, location, start, end, allDay, status }, ...]
+ */
+function tripCalendarEvents(trip, activities) {
+  const events = [];
+
+  if (trip.startDate && trip.endDate) {
+    events.push({
+      uid: `trip-${trip.id}@ourtabi`,
+      summary: trip.title,
+      location: trip.destination,
+      start: toDateString(trip.startDate),
+      end: nextDay(trip.endDate),
+      allDay: true,
+    });
+  }
+
+  for (let activity of activities) {
+    if (!activity.scheduledTime || activity.status === "rejected") continue;
+    events.push({
+      uid: `activity-${activity.id}@ourtabi`,
+      summary: activity.name,
+      description: activity.description,
+      location: activity.location,
+      start: activity.scheduledTime,
+      end: activity.endTime,
+      status: activity.status === "accepted" ? "CONFIRMED" : "TENTATIVE",
+    });
+  }
+
+  return events;
+}
+
+/** Render a VEVENT as unfolded content lines */
+function eventLines(event, stamp) {
+  const lines = ["BEGIN:VEVENT", `UID:${event.uid}`, `DTSTAMP:${stamp}`];
+
+  if (event.allDay) {
+    lines.push(`DTSTART;VALUE=DATE:${formatDate(event.start)}`);
+    if (event.end) lines.push(`DTEND;VALUE=DATE:${formatDate(event.end)}`);
+  } else {
+    lines.push(`DTSTART:${formatDateTime(event.start)}`);
+    if (event.end) lines.push(`DTEND:${formatDateTime(event.end)}`);
+  }
+
+  lines.push(`SUMMARY:${escapeText(event.summary)}`);
+  if (event.description) {
+    lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  }
+  if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+  if (event.status) lines.push(`STATUS:${event.status}`);
+  lines.push("END:VEVENT");
+
+  return lines;
+}
+
+/** Render an iCalendar (RFC 5545) document.
+ *
+ * @param {string} name - shown as the calendar's name by most clients
+ * @param {Array} events - see tripCalendarEvents
+ * @param {Date} now - used for every event's DTSTAMP
+ *
+ * @returns {string} - CRLF-separated, folded content lines
+ */
+function buildCalendar({ name, events, now = new Date() }) {
+  const stamp = formatDateTime(now);
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${PRODID}`,
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeText(name)}`,
+  ];
+  for (let event of events) lines.push(...eventLines(event, stamp));
+  lines.push("END:VCALENDAR");
+
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+}
+
+module.exports = {
+  escapeText,
+  foldLine,
+  formatDateTime,
+  formatDate,
+  tripCalendarEvents,
+  buildCalendar,
+};
@@ -0,0 +1,134 @@
+const {
+  escapeText,
+  foldLine,
+  formatDateTime,
+  formatDate,
+  tripCalendarEvents,
+  buildCalendar,
+} = require("./ical");
+
+describe("escapeText", function () {
+  test("works: escapes special characters", function () {
+    expect(escapeText("a\\b; c, d\ne")).toEqual("a\\\\b\\; c\\, d\\ne");
+  });
+});
+
+describe("foldLine", function () {
+  test("works: short lines are unchanged", function () {
+    expect(foldLine("SUMMARY:Louvre")).toEqual("SUMMARY:Louvre");
+  });
+
+  test("works: long lines fold at 75 octets", function () {
+    const folded = foldLine("DESCRIPTION:" + "x".repeat(200));
+    const lines = folded.split("\r\n");
+    expect(lines[0].length).toEqual(75);
+    expect(lines.slice(1).every((l) => l.startsWith(" "))).toBe(true);
+    expect(lines.every((l) => Buffer.byteLength(l) <= 75)).toBe(true);
+    expect(lines.map((l, i) => (i ? l.slice(1) : l)).join("")).toEqual(
+      "DESCRIPTION:" + "x".repeat(200)
+    );
+  });
+
+  test("works: does not split multi-byte characters", function () {
+    const folded = foldLine("SUMMARY:" + "東京".repeat(30));
+    const lines = folded.split("\r\n");
+    expect(lines.every((l) => Buffer.byteLength(l) <= 75)).toBe(true);
+    expect(lines.map((l, i) => (i ? l.slice(1) : l)).join("")).toEqual(
+      "SUMMARY:" + "東京".repeat(30)
+    );
+  });
+});
+
+describe("formatDateTime / formatDate", function () {
+  test("works", function () {
+    expect(formatDateTime("2025-08-01T10:30:00.000Z")).toEqual(
+      "20250801T103000Z"
+    );
+    expect(formatDate("2025-08-01")).toEqual("20250801");
+  });
+});
+
+describe("tripCalendarEvents", function () {
+  const trip = {
+    id: 1,
+    title: "Paris",
+    destination: "France",
+    startDate: "2025-08-01",
+    endDate: "2025-08-31",
+  };
+
+  test("works: all-day trip event with an exclusive end date", function () {
+    const [event] = tripCalendarEvents(trip, []);
+    expect(event).toEqual({
+      uid: "trip-1@ourtabi",
+      summary: "Paris",
+      location: "France",
+      start: "2025-08-01",
+      end: "2025-09-01",
+      allDay: true,
+    });
+  });
+
+  test("works: skips unscheduled and rejected activities", function () {
+    const events = tripCalendarEvents({ ...trip, startDate: null }, [
+      { id: 1, name: "A", scheduledTime: "2025-08-01T10:00:00Z", status: "accepted" },
+      { id: 2, name: "B", scheduledTime: null, status: "accepted" },
+      { id: 3, name: "C", scheduledTime: "2025-08-02T10:00:00Z", status: "rejected" },
+      { id: 4, name: "D", scheduledTime: "2025-08-03T10:00:00Z", status: "proposed" },
+    ]);
+    expect(events.map((e) => [e.uid, e.status])).toEqual([
+      ["activity-1@ourtabi", "CONFIRMED"],
+      ["activity-4@ourtabi", "TENTATIVE"],
+    ]);
+  });
+});
+
+describe("buildCalendar", function () {
+  test("works", function () {
+    const calendar = buildCalendar({
+      name: "Paris, again",
+      now: new Date("2025-07-01T12:00:00Z"),
+      events: [
+        {
+          uid: "activity-1@ourtabi",
+          summary: "Louvre",
+          description: "Bring tickets; and water",
+          location: "Rue de Rivoli, Paris",
+          start: "2025-08-01T10:00:00Z",
+          end: "2025-08-01T12:00:00Z",
+          status: "CONFIRMED",
+        },
+      ],
+    });
+
+    expect(calendar).toEqual(
+      [
+        "BEGIN:VCALENDAR",
+        "VERSION:2.0",
+        "PRODID:-//OurTabi//Trip Calendar//EN",
+        "CALSCALE:GREGORIAN",
+        "METHOD:PUBLISH",
+        "X-WR-CALNAME:Paris\\, again",
+        "BEGIN:VEVENT",
+        "UID:activity-1@ourtabi",
+        "DTSTAMP:20250701T120000Z",
+        "DTSTART:20250801T100000Z",
+        "DTEND:20250801T120000Z",
+        "SUMMARY:Louvre",
+        "DESCRIPTION:Bring tickets\\; and water",
+        "LOCATION:Rue de Rivoli\\, Paris",
+        "STATUS:CONFIRMED",
+        "END:VEVENT",
+        "END:VCALENDAR",
+        "",
+      ].join("\r\n")
+    );
+  });
+
+  test("works: no events", function () {
+    const calendar = buildCalendar({ name: "Empty", events: [] });
+    expect(calendar).toContain("BEGIN:VCALENDAR\r\n");
+    expect(calendar).not.toContain("BEGIN:VEVENT");
+    expect(calendar.endsWith("END:VCALENDAR\r\n")).toBe(true);
+  });
+});
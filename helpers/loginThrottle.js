@@ -0,0 +1,68 @@
+"use strict";
+
+/** Rules for slowing down password guessing (see models/loginAttempt.js). */
+
+// failed logins for a username before each attempt has to wait
+const FREE_FAILURES = 5;
+
+// failed logins for a username before it is locked for LOCKOUT_SECONDS
+const LOCKOUT_FAILURES = 10;
+const LOCKOUT_SECONDS = 15 * 60;
+
+// failures older than this don't count against a username
+const USER_WINDOW_SECONDS = 60 * 60;
+
+// failed logins from one IP address, across all usernames, before it is blocked
+const IP_MAX_FAILURES = 50;
+const IP_WINDOW_SECONDS = 15 * 60;
+
+/** How long the next attempt has to wait after a username's failures.
+ *
+ * Nothing for the first FREE_FAILURES, then 2, 4, 8... seconds after the
+ * last failure, until LOCKOUT_FAILURES locks the username for LOCKOUT_SECONDS.
+ */
+function backoffSeconds(failures) {
+  if (failures < FREE_FAILURES) return 0;
+  if (failures >= LOCKOUT_FAILURES) return LOCKOUT_SECONDS;
+  return 2 ** (failures - FREE_FAILURES + 1);
+}
+
+/** How many seconds until a login may be tried, or 0 if it may be tried now.
+ *
+ * @param {Object} history
+ *   - userFailures: recent failures for the username
+ *   - secondsSinceUserFailure: since the last of them
+ *   - ipFailures: failures from the IP address in the last IP_WINDOW_SECONDS
+ *   - secondsSinceFirstIpFailure: since the first of them
+ * @returns {number} - whole seconds
+ */
+function loginRetryAfter({
+  userFailures = 0,
+  secondsSinceUserFailure = 0,
+  ipFailures = 0,
+  secondsSinceFirstIpFailure = 0,
+}) {
+  const userWait = userFailures
+    ? backoffSeconds(userFailures) - secondsSinceUserFailure
+    : 0;
+  const ipWait =
+    ipFailures >= IP_MAX_FAILURES
+      ? IP_WINDOW_SECONDS - secondsSinceFirstIpFailure
+      : 0;
+
+  return Math.max(0, Math.ceil(Math.max(userWait, ipWait)));
+}
+
+/** Describe a wait for users, e.g. "8 seconds" or "15 minutes". */
+function describeWait(seconds) {
+  if (seconds < 60) return seconds === 1 ? "1 second" : `${seconds} seconds`;
+  const minutes = Math.ceil(seconds / 60);
+  return minutes === 1 ? "1 minute" : `${minutes} minutes`;
+}
+
+module.exports = {
+  loginRetryAfter,
+  describeWait,
+  USER_WINDOW_SECONDS,
+  IP_WINDOW_SECONDS,
+};
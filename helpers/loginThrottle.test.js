@@ -0,0 +1,65 @@
+const { loginRetryAfter, describeWait } = require("./loginThrottle");
+
+describe("loginRetryAfter", function () {
+  test("works: no failures", function () {
+    expect(loginRetryAfter({})).toEqual(0);
+  });
+
+  test("works: a few failures are free", function () {
+    expect(
+      loginRetryAfter({ userFailures: 4, secondsSinceUserFailure: 0 })
+    ).toEqual(0);
+  });
+
+  test("works: backoff doubles after each failure", function () {
+    const waits = [5, 6, 7, 8, 9].map((userFailures) =>
+      loginRetryAfter({ userFailures, secondsSinceUserFailure: 0 })
+    );
+    expect(waits).toEqual([2, 4, 8, 16, 32]);
+  });
+
+  test("works: time since the last failure counts", function () {
+    expect(
+      loginRetryAfter({ userFailures: 8, secondsSinceUserFailure: 10.5 })
+    ).toEqual(6);
+    expect(
+      loginRetryAfter({ userFailures: 8, secondsSinceUserFailure: 60 })
+    ).toEqual(0);
+  });
+
+  test("works: lockout", function () {
+    expect(
+      loginRetryAfter({ userFailures: 10, secondsSinceUserFailure: 60 })
+    ).toEqual(15 * 60 - 60);
+  });
+
+  test("works: busy IP addresses are blocked", function () {
+    expect(
+      loginRetryAfter({ ipFailures: 49, secondsSinceFirstIpFailure: 100 })
+    ).toEqual(0);
+    expect(
+      loginRetryAfter({ ipFailures: 50, secondsSinceFirstIpFailure: 100 })
+    ).toEqual(15 * 60 - 100);
+  });
+
+  test("works: the longer wait wins", function () {
+    expect(
+      loginRetryAfter({
+        userFailures: 6,
+        secondsSinceUserFailure: 0,
+        ipFailures: 50,
+        secondsSinceFirstIpFailure: 0,
+      })
+    ).toEqual(15 * 60);
+  });
+});
+
+describe("describeWait", function () {
+  test("works", function () {
+    expect(describeWait(1)).toEqual("1 second");
+    expect(describeWait(8)).toEqual("8 seconds");
+    expect(describeWait(60)).toEqual("1 minute");
+    expect(describeWait(840)).toEqual("14 minutes");
+    expect(describeWait(61)).toEqual("2 minutes");
+  });
+});
@@ -0,0 +1,35 @@
+"use strict";
+
+/** Finishing logins, however the user logged in (password, another
+ *  provider...). */
+
+const Session = require("../models/session");
+const { createToken, createChallengeToken } = require("./tokens");
+
+/** Start a login session for a user.
+ *
+ * Returns { token, refreshToken }
+ */
+async function startSession(user) {
+  const { sessionId, refreshToken } = await Session.create(user.id);
+  return { token: createToken(user, { sessionId }), refreshToken };
+}
+
+/** What a login responds with once the user has proven who they are.
+ *
+ * Users with two-factor authentication on still have to give a code (see
+ * POST /auth/token/2fa).
+ *
+ * Returns { token, refreshToken } or { twoFactorRequired, challengeToken }
+ */
+async function loginResponse(user) {
+  if (user.totpEnabled) {
+    return {
+      twoFactorRequired: true,
+      challengeToken: createChallengeToken(user),
+    };
+  }
+  return await startSession(user);
+}
+
+module.exports = { startSession, loginResponse };
@@ -0,0 +1,91 @@
+"use strict";
+
+/** Email transports.
+ *
+ * A transport has a `send({ from, to, subject, text })` method that returns
+ * a promise, and rejects if the message could not be handed off. Which one
+ * the app uses is set by MAIL_TRANSPORT (see config.js):
+ *
+ *  - smtp: real delivery through nodemailer, to the server in SMTP_URL
+ *  - file: writes each message to MAIL_DIR as an .eml file
+ *  - console: prints each message
+ *
+ * Emails aren't sent straight from requests; they go through the outbox
+ * (models/emailOutbox.js) and the worker in scripts/emailWorker.js.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const nodemailer = require("nodemailer");
+const { MAIL_TRANSPORT, SMTP_URL, MAIL_DIR } = require("../config");
+
+/** Format a message as a plain-text email (RFC 5322), for the dev transports. */
+function formatMessage({ from, to, subject, text }, date = new Date()) {
+  return [
+    `From: ${from}`,
+    `To: ${to}`,
+    `Subject: ${subject}`,
+    `Date: ${date.toUTCString()}`,
+    "MIME-Version: 1.0",
+    "Content-Type: text/plain; charset=utf-8",
+    "",
+    text,
+  ].join("\r\n");
+}
+
+function createSmtpTransport(url = SMTP_URL) {
+  if (!url) throw new Error("SMTP_URL must be set to send email over SMTP.");
+  const transporter = nodemailer.createTransport(url);
+
+  return {
+    name: "smtp",
+    send: (message) => transporter.sendMail(message),
+  };
+}
+
+function createFileTransport(dir = MAIL_DIR) {
+  return {
+    name: "file",
+    async send(message) {
+      await fs.promises.mkdir(dir, { recursive: true });
+      const file = path.join(
+        dir,
+        `${Date.now()}-${crypto.randomBytes(4).toString("hex")}.eml`
+      );
+      await fs.promises.writeFile(file, formatMessage(message));
+      return { file };
+    },
+  };
+}
+
+function createConsoleTransport(log = console.log) {
+  return {
+    name: "console",
+    async send(message) {
+      log(`${formatMessage(message)}\n`);
+    },
+  };
+}
+
+/** Create the transport named `type` (defaults to MAIL_TRANSPORT). */
+function createTransport(type = MAIL_TRANSPORT) {
+  switch (type) {
+    case "smtp":
+      return createSmtpTransport();
+    case "file":
+      return createFileTransport();
+    case "console":
+      return createConsoleTransport();
+    default:
+      throw new Error(`Unknown mail transport: ${type}`);
+  }
+}
+
+module.exports = {
+  formatMessage,
+  createSmtpTransport,
+  createFileTransport,
+  createConsoleTransport,
+  createTransport,
+};
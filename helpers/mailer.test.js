@@ -0,0 +1,79 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  formatMessage,
+  createSmtpTransport,
+  createFileTransport,
+  createConsoleTransport,
+  createTransport,
+} = require("./mailer");
+
+const message = {
+  from: "OurTabi <no-reply@ourtabi.app>",
+  to: "u1@email.com",
+  subject: "Hello",
+  text: "Hi there",
+};
+
+describe("formatMessage", function () {
+  test("works", function () {
+    expect(formatMessage(message, new Date("2025-06-01T10:00:00Z"))).toEqual(
+      "From: OurTabi <no-reply@ourtabi.app>\r\n" +
+        "To: u1@email.com\r\n" +
+        "Subject: Hello\r\n" +
+        "Date: Sun, 01 Jun 2025 10:00:00 GMT\r\n" +
+        "MIME-Version: 1.0\r\n" +
+        "Content-Type: text/plain; charset=utf-8\r\n" +
+        "\r\n" +
+        "Hi there"
+    );
+  });
+});
+
+describe("createFileTransport", function () {
+  test("works: writes one .eml file per message", async function () {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "ourtabi-mail-"));
+    const transport = createFileTransport(path.join(dir, "out"));
+
+    const { file } = await transport.send(message);
+    expect(path.extname(file)).toEqual(".eml");
+    expect(fs.readFileSync(file, "utf8")).toContain("Subject: Hello");
+
+    fs.rmSync(dir, { recursive: true });
+  });
+});
+
+describe("createConsoleTransport", function () {
+  test("works", async function () {
+    const log = jest.fn();
+    await createConsoleTransport(log).send(message);
+    expect(log).toHaveBeenCalledWith(
+      expect.stringContaining("To: u1@email.com")
+    );
+  });
+});
+
+describe("createSmtpTransport", function () {
+  test("needs a server", function () {
+    expect(() => createSmtpTransport("")).toThrow("SMTP_URL must be set");
+  });
+
+  test("works", function () {
+    const transport = createSmtpTransport("smtp://localhost:2525");
+    expect(transport.name).toEqual("smtp");
+  });
+});
+
+describe("createTransport", function () {
+  test("works", function () {
+    expect(createTransport("console").name).toEqual("console");
+    expect(createTransport("file").name).toEqual("file");
+  });
+
+  test("fails: unknown transport", function () {
+    expect(() => createTransport("pigeon")).toThrow(
+      "Unknown mail transport: pigeon"
+    );
+  });
+});
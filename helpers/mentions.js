@@ -0,0 +1,23 @@
+/** Find which of the given usernames are @mentioned in some text.
+ *
+ * Matching ignores case, and a mention must not run on into a longer name:
+ * "@ann." mentions ann, but "@anne" and "@ann.lee" do not. Usernames can
+ * contain punctuation, so the candidates are matched rather than parsed out
+ * of the text.
+ *
+ * @param {string} text - e.g. a comment
+ * @param {Array} usernames - e.g. the trip's members
+ *
+ * @returns {Array} - the mentioned usernames, in the order given
+ */
+function findMentionedUsernames(text, usernames) {
+  if (!text || !text.includes("@")) return [];
+
+  return usernames.filter((username) => {
+    const escaped = username.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    const mention = new RegExp(`(^|[^\\w@])@${escaped}(?![\\w.-]*\\w)`, "i");
+    return mention.test(text);
+  });
+}
+
+module.exports = { findMentionedUsernames };
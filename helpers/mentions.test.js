@@ -0,0 +1,36 @@
+const { findMentionedUsernames } = require("./mentions");
+
+describe("findMentionedUsernames", function () {
+  const members = ["ann", "ann.lee", "bob_1", "c++"];
+
+  test("works: finds mentions anywhere in the text", function () {
+    expect(
+      findMentionedUsernames("@ann can you book? cc @bob_1.", members)
+    ).toEqual(["ann", "bob_1"]);
+  });
+
+  test("works: ignores case", function () {
+    expect(findMentionedUsernames("Thanks @ANN!", members)).toEqual(["ann"]);
+  });
+
+  test("works: a mention must not run into a longer name", function () {
+    expect(findMentionedUsernames("@anne and @ann.lee", members)).toEqual([
+      "ann.lee",
+    ]);
+  });
+
+  test("works: usernames with regex characters", function () {
+    expect(findMentionedUsernames("ask @c++ about it", members)).toEqual([
+      "c++",
+    ]);
+  });
+
+  test("works: email addresses are not mentions", function () {
+    expect(findMentionedUsernames("mail me at x@ann", members)).toEqual([]);
+  });
+
+  test("works: no mentions", function () {
+    expect(findMentionedUsernames("see you there", members)).toEqual([]);
+    expect(findMentionedUsernames("", members)).toEqual([]);
+  });
+});
@@ -0,0 +1,273 @@
+"use strict";
+
+/** Versioned changes to the database schema.
+ *
+ * Migrations live in migrations/, named <version>_<name>.sql or .js, e.g.
+ * 0002_add_trip_notes.sql, and run in version order. SQL migrations have a
+ * "-- migrate:up" section and optionally a "-- migrate:down" section that
+ * undoes it. JS migrations export async up(db) and optionally down(db).
+ *
+ * Each migration runs in its own transaction, along with recording it in the
+ * schema_migrations table, so a failed migration leaves nothing behind.
+ * scripts/migrate.js runs them (npm run migrate, migrate:rollback...).
+ */
+
+const fs = require("fs");
+const path = require("path");
+const db = require("../db");
+
+const MIGRATIONS_DIR = path.join(__dirname, "..", "migrations");
+
+const FILENAME_PATTERN = /^(\d+)_([A-Za-z0-9_-]+)\.(sql|js)$/;
+
+// only one migration runs at a time, even from different processes
+const ADVISORY_LOCK_KEY = 47150125;
+
+/** Split an SQL migration into its up and down sections.
+ *
+ * @returns {Object} - { up, down }; down is null if there's no down section.
+ */
+function parseSqlMigration(sql) {
+  const up = sql.match(/^--\s*migrate:up\s*$/m);
+  const down = sql.match(/^--\s*migrate:down\s*$/m);
+  if (!up) throw new Error('SQL migrations need a "-- migrate:up" line');
+  if (down && down.index < up.index) {
+    throw new Error('"-- migrate:down" has to come after "-- migrate:up"');
+  }
+
+  const upEnd = down ? down.index : sql.length;
+  return {
+    up: sql.slice(up.index + up[0].length, upEnd).trim(),
+    down: down ? sql.slice(down.index + down[0].length).trim() || null : null,
+  };
+}
+
+/** Read one migration file.
+ *
+ * @returns {Object} - { version, name, file, up, down }; up and down are
+ *   async functions, down is null if the migration can't be undone.
+ */
+function loadMigration(dir, file) {
+  const [, version, name, type] = file.match(FILENAME_PATTERN);
+  const fullPath = path.join(dir, file);
+
+  if (type === "sql") {
+    const sql = parseSqlMigration(fs.readFileSync(fullPath, "utf8"));
+    return {
+      version,
+      name,
+      file,
+      up: () => db.query(sql.up),
+      down: sql.down && (() => db.query(sql.down)),
+    };
+  }
+
+  const migration = require(fullPath);
+  if (typeof migration.up !== "function") {
+    throw new Error(`${file} has to export an up(db) function`);
+  }
+  return {
+    version,
+    name,
+    file,
+    up: () => migration.up(db),
+    down: migration.down ? () => migration.down(db) : null,
+  };
+}
+
+/** Read every migration in dir, in version order.
+ *
+ * Other files (e.g. a README) are skipped.
+ *
+ * Throws Error if two migrations have the same version.
+ */
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const migrations = fs
+    .readdirSync(dir)
+    .filter((file) => FILENAME_PATTERN.test(file))
+    .map((file) => loadMigration(dir, file))
+    .sort((a, b) => Number(a.version) - Number(b.version));
+
+  for (let i = 1; i < migrations.length; i++) {
+    if (Number(migrations[i].version) === Number(migrations[i - 1].version)) {
+      throw new Error(
+        `Migrations ${migrations[i - 1].file} and ${migrations[i].file} have the same version`
+      );
+    }
+  }
+  return migrations;
+}
+
+/** The file name for a new migration after the existing ones, e.g.
+ *  "0003_add_trip_notes.sql". */
+function nextMigrationFile(migrations, name) {
+  const slug = name
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "_")
+    .replace(/^_|_$/g, "");
+  if (!slug) throw new Error("Migrations need a name");
+
+  const last = migrations[migrations.length - 1];
+  const version = String(last ? Number(last.version) + 1 : 1).padStart(4, "0");
+  return `${version}_${slug}.sql`;
+}
+
+/** Make the table that records which migrations have run, if needed. */
+async function ensureMigrationsTable() {
+  await db.query(
+    `CREATE TABLE IF NOT EXISTS schema_migrations (
+       version TEXT PRIMARY KEY,
+       name TEXT NOT NULL,
+       applied_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+     )`
+  );
+}
+
+/** The migrations that have run, oldest first.
+ *
+ * Returns [{ version, name, appliedAt }, ...]
+ */
+async function appliedMigrations() {
+  await ensureMigrationsTable();
+  const result = await db.query(
+    `SELECT version, name, applied_at AS "appliedAt"
+     FROM schema_migrations
+     ORDER BY version::BIGINT`
+  );
+  return result.rows;
+}
+
+/** Run fn in a transaction holding the migrations lock; fn gets whether
+ *  version is recorded as applied, checked once the lock is held. */
+async function withMigrationLock(version, fn) {
+  return await db.transaction(async () => {
+    await db.query(`SELECT pg_advisory_xact_lock($1)`, [ADVISORY_LOCK_KEY]);
+    const applied = await db.query(
+      `SELECT 1 FROM schema_migrations WHERE version = $1`,
+      [version]
+    );
+    return await fn(applied.rows.length > 0);
+  });
+}
+
+/** Run the migrations that haven't run yet, in order.
+ *
+ * Stops at the first one that fails; the ones before it stay applied.
+ *
+ * Returns [{ version, name }, ...] that ran.
+ */
+async function migrate(migrations) {
+  await ensureMigrationsTable();
+  const ran = [];
+  for (const migration of migrations) {
+    const { version, name } = migration;
+    const didRun = await withMigrationLock(version, async (applied) => {
+      if (applied) return false;
+      await migration.up();
+      await db.query(
+        `INSERT INTO schema_migrations (version, name) VALUES ($1, $2)`,
+        [version, name]
+      );
+      return true;
+    });
+    if (didRun) ran.push({ version, name });
+  }
+  return ran;
+}
+
+/** Undo the last steps migrations that ran, newest first.
+ *
+ * Returns [{ version, name }, ...] that were undone.
+ *
+ * Throws Error if one of them has no down, or its file is gone; the ones
+ * before it stay undone.
+ */
+async function rollback(migrations, steps = 1) {
+  const byVersion = new Map(migrations.map((m) => [Number(m.version), m]));
+  const toUndo = (await appliedMigrations()).reverse().slice(0, steps);
+
+  const undone = [];
+  for (const { version, name } of toUndo) {
+    const migration = byVersion.get(Number(version));
+    if (!migration) throw new Error(`No migration file for ${version}_${name}`);
+    if (!migration.down) {
+      throw new Error(`Migration ${migration.file} can't be rolled back`);
+    }
+
+    const didUndo = await withMigrationLock(version, async (applied) => {
+      if (!applied) return false;
+      await migration.down();
+      await db.query(`DELETE FROM schema_migrations WHERE version = $1`, [
+        version,
+      ]);
+      return true;
+    });
+    if (didUndo) undone.push({ version, name });
+  }
+  return undone;
+}
+
+/** Record migrations up to and including version as applied, without
+ *  running them: for databases that already have their changes, e.g. one
+ *  created from the schema before migrations.
+ *
+ * Returns [{ version, name }, ...] that were recorded.
+ */
+async function baseline(migrations, version) {
+  if (!migrations.some((m) => Number(m.version) === Number(version))) {
+    throw new Error(`No migration with version ${version}`);
+  }
+  await ensureMigrationsTable();
+
+  const recorded = [];
+  for (const { version: v, name } of migrations) {
+    if (Number(v) > Number(version)) break;
+    const didRecord = await withMigrationLock(v, async (applied) => {
+      if (applied) return false;
+      await db.query(
+        `INSERT INTO schema_migrations (version, name) VALUES ($1, $2)`,
+        [v, name]
+      );
+      return true;
+    });
+    if (didRecord) recorded.push({ version: v, name });
+  }
+  return recorded;
+}
+
+/** Which migrations have run.
+ *
+ * Returns [{ version, name, appliedAt }, ...] in version order; appliedAt is
+ * null for pending ones. Applied migrations whose files are gone are
+ * included with missing: true.
+ */
+async function migrationStatus(migrations) {
+  const applied = new Map(
+    (await appliedMigrations()).map((m) => [Number(m.version), m])
+  );
+
+  const status = migrations.map(({ version, name }) => ({
+    version,
+    name,
+    appliedAt: applied.has(Number(version))
+      ? applied.get(Number(version)).appliedAt
+      : null,
+  }));
+  for (const [number, m] of applied) {
+    if (!migrations.some((migration) => Number(migration.version) === number)) {
+      status.push({ ...m, missing: true });
+    }
+  }
+  return status.sort((a, b) => Number(a.version) - Number(b.version));
+}
+
+module.exports = {
+  MIGRATIONS_DIR,
+  parseSqlMigration,
+  loadMigrations,
+  nextMigrationFile,
+  migrate,
+  rollback,
+  baseline,
+  migrationStatus,
+};
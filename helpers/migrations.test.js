@@ -0,0 +1,289 @@
+"use strict";
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const db = require("../db");
+const {
+  parseSqlMigration,
+  loadMigrations,
+  nextMigrationFile,
+  migrate,
+  rollback,
+  baseline,
+  migrationStatus,
+} = require("./migrations");
+const {
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("../models/_testCommon");
+
+// each test's changes, migrations included, are rolled back afterwards
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+const dirs = [];
+afterAll(function () {
+  for (const dir of dirs) fs.rmSync(dir, { recursive: true });
+});
+
+/** Make a migrations directory with these files ({ name: contents }) */
+function migrationsDir(files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "migrations-"));
+  dirs.push(dir);
+  for (const [name, contents] of Object.entries(files)) {
+    fs.writeFileSync(path.join(dir, name), contents);
+  }
+  return dir;
+}
+
+describe("parseSqlMigration", function () {
+  test("works", function () {
+    const sql = `-- adds notes
+-- migrate:up
+ALTER TABLE trip ADD COLUMN notes TEXT;
+
+-- migrate:down
+ALTER TABLE trip DROP COLUMN notes;
+`;
+    expect(parseSqlMigration(sql)).toEqual({
+      up: "ALTER TABLE trip ADD COLUMN notes TEXT;",
+      down: "ALTER TABLE trip DROP COLUMN notes;",
+    });
+  });
+
+  test("works: no down", function () {
+    expect(
+      parseSqlMigration("-- migrate:up\nSELECT 1;\n-- migrate:down\n")
+    ).toEqual({ up: "SELECT 1;", down: null });
+    expect(parseSqlMigration("-- migrate:up\nSELECT 1;")).toEqual({
+      up: "SELECT 1;",
+      down: null,
+    });
+  });
+
+  test("fails: no up", function () {
+    expect(() => parseSqlMigration("SELECT 1;")).toThrow();
+    expect(() =>
+      parseSqlMigration("-- migrate:down\nSELECT 2;\n-- migrate:up\nSELECT 1;")
+    ).toThrow();
+  });
+});
+
+describe("loadMigrations", function () {
+  test("works: in version order, SQL and JS", function () {
+    const dir = migrationsDir({
+      "0010_later.sql": "-- migrate:up\nSELECT 10;",
+      "0002_js_one.js":
+        "module.exports = { up: async (db) => db.query('SELECT 2') };",
+      "0001_first.sql": "-- migrate:up\nSELECT 1;\n-- migrate:down\nSELECT 0;",
+      "README.md": "not a migration",
+    });
+
+    const migrations = loadMigrations(dir);
+    expect(migrations.map((m) => [m.version, m.name, m.file])).toEqual([
+      ["0001", "first", "0001_first.sql"],
+      ["0002", "js_one", "0002_js_one.js"],
+      ["0010", "later", "0010_later.sql"],
+    ]);
+    expect(migrations.map((m) => typeof m.up)).toEqual([
+      "function",
+      "function",
+      "function",
+    ]);
+    expect(migrations.map((m) => m.down === null)).toEqual([false, true, true]);
+  });
+
+  test("fails: same version twice", function () {
+    const dir = migrationsDir({
+      "0001_one.sql": "-- migrate:up\nSELECT 1;",
+      "1_other.sql": "-- migrate:up\nSELECT 1;",
+    });
+    expect(() => loadMigrations(dir)).toThrow("have the same version");
+  });
+
+  test("fails: JS migration without up", function () {
+    const dir = migrationsDir({ "0001_bad.js": "module.exports = {};" });
+    expect(() => loadMigrations(dir)).toThrow("up(db)");
+  });
+
+  test("works: the app's migrations", function () {
+    const [first] = loadMigrations();
+    expect(first).toEqual(
+      expect.objectContaining({ version: "0001", name: "initial_schema" })
+    );
+    expect(first.down).toEqual(expect.any(Function));
+  });
+});
+
+describe("nextMigrationFile", function () {
+  test("works", function () {
+    const migrations = [{ version: "0001" }, { version: "0009" }];
+    expect(nextMigrationFile(migrations, "Add trip notes!")).toEqual(
+      "0010_add_trip_notes.sql"
+    );
+    expect(nextMigrationFile([], "first")).toEqual("0001_first.sql");
+  });
+
+  test("fails: no name", function () {
+    expect(() => nextMigrationFile([], " ")).toThrow();
+  });
+});
+
+/************************************** running migrations */
+
+/** Migrations that make a scratch table and add a row to it. */
+function scratchMigrations(extraFiles = {}) {
+  return loadMigrations(
+    migrationsDir({
+      "0001_create_scratch.sql": `-- migrate:up
+CREATE TABLE migrations_test_scratch (name TEXT NOT NULL);
+-- migrate:down
+DROP TABLE migrations_test_scratch;`,
+      "0002_add_row.js": `module.exports = {
+  up: (db) => db.query("INSERT INTO migrations_test_scratch VALUES ('row')"),
+  down: (db) => db.query("DELETE FROM migrations_test_scratch"),
+};`,
+      ...extraFiles,
+    })
+  );
+}
+
+async function recorded() {
+  const result = await db.query(
+    `SELECT version, name FROM schema_migrations ORDER BY version`
+  );
+  return result.rows;
+}
+
+async function scratchTableRows() {
+  const table = await db.query(
+    `SELECT to_regclass('migrations_test_scratch') AS "exists"`
+  );
+  if (!table.rows[0].exists) return null;
+  const result = await db.query(`SELECT name FROM migrations_test_scratch`);
+  return result.rows.map((r) => r.name);
+}
+
+describe("migrate, rollback and baseline", function () {
+  // without the test database's own migrations
+  beforeEach(async function () {
+    await db.query(`DELETE FROM schema_migrations`);
+  });
+
+  test("migrate works", async function () {
+    const migrations = scratchMigrations();
+    expect(await migrate(migrations)).toEqual([
+      { version: "0001", name: "create_scratch" },
+      { version: "0002", name: "add_row" },
+    ]);
+    expect(await scratchTableRows()).toEqual(["row"]);
+    expect(await recorded()).toEqual([
+      { version: "0001", name: "create_scratch" },
+      { version: "0002", name: "add_row" },
+    ]);
+
+    // nothing left to run
+    expect(await migrate(migrations)).toEqual([]);
+    expect(await scratchTableRows()).toEqual(["row"]);
+  });
+
+  test("migrate: a failed migration leaves nothing behind", async function () {
+    const migrations = scratchMigrations({
+      "0003_broken.sql": `-- migrate:up
+INSERT INTO migrations_test_scratch VALUES ('broken');
+SELECT * FROM no_such_table;`,
+    });
+    await expect(migrate(migrations)).rejects.toThrow("no_such_table");
+    expect(await scratchTableRows()).toEqual(["row"]);
+    expect((await recorded()).map((m) => m.version)).toEqual(["0001", "0002"]);
+  });
+
+  test("rollback works", async function () {
+    const migrations = scratchMigrations();
+    await migrate(migrations);
+
+    expect(await rollback(migrations)).toEqual([
+      { version: "0002", name: "add_row" },
+    ]);
+    expect(await scratchTableRows()).toEqual([]);
+    expect(await recorded()).toEqual([
+      { version: "0001", name: "create_scratch" },
+    ]);
+
+    expect(await rollback(migrations, 5)).toEqual([
+      { version: "0001", name: "create_scratch" },
+    ]);
+    expect(await scratchTableRows()).toBeNull();
+    expect(await recorded()).toEqual([]);
+    expect(await rollback(migrations)).toEqual([]);
+  });
+
+  test("rollback fails: no down", async function () {
+    const migrations = scratchMigrations({
+      "0003_one_way.sql": "-- migrate:up\nSELECT 1;",
+    });
+    await migrate(migrations);
+    await expect(rollback(migrations)).rejects.toThrow("can't be rolled back");
+    expect(await recorded()).toHaveLength(3);
+  });
+
+  test("baseline works", async function () {
+    const migrations = scratchMigrations();
+    expect(await baseline(migrations, "1")).toEqual([
+      { version: "0001", name: "create_scratch" },
+    ]);
+    // recorded, not run
+    expect(await scratchTableRows()).toBeNull();
+    expect(await recorded()).toEqual([
+      { version: "0001", name: "create_scratch" },
+    ]);
+    expect(await baseline(migrations, "0001")).toEqual([]);
+
+    await db.query(`CREATE TABLE migrations_test_scratch (name TEXT)`);
+    expect(await migrate(migrations)).toEqual([
+      { version: "0002", name: "add_row" },
+    ]);
+  });
+
+  test("baseline fails: no such version", async function () {
+    await expect(baseline(scratchMigrations(), "0009")).rejects.toThrow(
+      "No migration with version 0009"
+    );
+    expect(await recorded()).toEqual([]);
+  });
+});
+
+describe("migrationStatus", function () {
+  beforeEach(async function () {
+    await db.query(`DELETE FROM schema_migrations`);
+  });
+
+  test("works", async function () {
+    const migrations = scratchMigrations();
+    await migrate(migrations.slice(0, 1));
+
+    expect(await migrationStatus(migrations)).toEqual([
+      { version: "0001", name: "create_scratch", appliedAt: expect.any(Date) },
+      { version: "0002", name: "add_row", appliedAt: null },
+    ]);
+  });
+
+  test("works: applied migrations whose files are gone", async function () {
+    await db.query(
+      `INSERT INTO schema_migrations (version, name) VALUES ('0005', 'gone')`
+    );
+    expect(await migrationStatus(scratchMigrations())).toEqual([
+      { version: "0001", name: "create_scratch", appliedAt: null },
+      { version: "0002", name: "add_row", appliedAt: null },
+      {
+        version: "0005",
+        name: "gone",
+        appliedAt: expect.any(Date),
+        missing: true,
+      },
+    ]);
+  });
+});
@@ -0,0 +1,94 @@
+"use strict";
+
+/** Turns app events (see helpers/events.js) into inbox notifications. */
+
+const { subscribe } = require("./events");
+const Notification = require("../models/notification");
+const TripMember = require("../models/tripMember");
+const Comment = require("../models/comment");
+
+let registered = false;
+
+/** Notify a trip's members about a new comment.
+ *
+ * Each member gets at most one notification: mentioned members get
+ * "mention", the author of the comment being replied to gets
+ * "comment_reply" and everyone else gets "comment".
+ */
+async function notifyComment(comment) {
+  const members = await TripMember.getTripMembers(comment.tripId);
+  const mentioned = comment.mentions.map((m) => m.userId);
+  const parentAuthor = comment.parentId
+    ? (await Comment.get(comment.parentId)).userId
+    : null;
+
+  const details = {
+    actorId: comment.userId,
+    tripId: comment.tripId,
+    activityId: comment.activityId,
+    commentId: comment.id,
+  };
+
+  await Notification.create(mentioned, { ...details, type: "mention" });
+  if (parentAuthor && !mentioned.includes(parentAuthor)) {
+    await Notification.create([parentAuthor], {
+      ...details,
+      type: "comment_reply",
+    });
+  }
+  await Notification.create(
+    members
+      .map((m) => m.userId)
+      .filter((id) => id !== parentAuthor && !mentioned.includes(id)),
+    { ...details, type: "comment" }
+  );
+}
+
+/** Subscribe the notification inbox to app events. Safe to call more than once. */
+function registerNotificationListeners() {
+  if (registered) return;
+  registered = true;
+
+  subscribe("friendRequest.sent", (request) =>
+    Notification.create([request.recipientId], {
+      type: "friend_request",
+      actorId: request.senderId,
+      friendRequestId: request.id,
+    })
+  );
+
+  subscribe("friendRequest.accepted", (request) =>
+    Notification.create([request.senderId], {
+      type: "friend_accepted",
+      actorId: request.recipientId,
+      friendRequestId: request.id,
+    })
+  );
+
+  // members who joined by themselves (invite codes, creating the trip) already know
+  subscribe("tripMember.added", (member) => {
+    if (!member.addedBy) return;
+    return Notification.create([member.userId], {
+      type: "trip_added",
+      actorId: member.addedBy,
+      tripId: member.tripId,
+    });
+  });
+
+  subscribe("comment.created", notifyComment);
+
+  subscribe("activity.created", async (activity) => {
+    const members = await TripMember.getTripMembers(activity.tripId);
+    await Notification.create(
+      members.map((m) => m.userId),
+      {
+        type: "activity_added",
+        actorId: activity.createdBy,
+        tripId: activity.tripId,
+        activityId: activity.id,
+      }
+    );
+  });
+}
+
+module.exports = { registerNotificationListeners };
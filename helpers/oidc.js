@@ -0,0 +1,218 @@
+"use strict";
+
+/** Logging in with other accounts through OpenID Connect providers.
+ *
+ * Any provider that supports the authorization code flow and discovery works;
+ * they are set up in OIDC_PROVIDERS (see config.js). The flow is:
+ *
+ *  1. authorizationUrl: where the frontend sends the user to log in with the
+ *     provider. PKCE and a nonce tie the result to this login.
+ *  2. The provider sends the user back to the provider's redirectUri with a
+ *     code and the state.
+ *  3. exchangeCode: swaps the code for an ID token and checks it, giving the
+ *     provider's claims about the user (sub, email, name...).
+ */
+
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const { APP_URL, OIDC_PROVIDERS } = require("../config");
+const { NotFoundError, UnauthorizedError } = require("./expressError");
+
+const DEFAULT_SCOPE = "openid email profile";
+
+// signing algorithms accepted for ID tokens
+const ID_TOKEN_ALGORITHMS = [
+  "RS256",
+  "RS384",
+  "RS512",
+  "ES256",
+  "ES384",
+  "PS256",
+];
+
+/** name => provider; see registerProvider */
+const providers = new Map();
+
+/** Add a provider users can log in with, or replace one with the same name.
+ *
+ * @param {string} name - used in URLs, e.g. "google".
+ * @param {Object} settings - { issuer, clientId, clientSecret }, and
+ *   optionally scope and redirectUri.
+ */
+function registerProvider(
+  name,
+  { issuer, clientId, clientSecret, scope, redirectUri }
+) {
+  if (!/^[a-z0-9-]+$/.test(name)) {
+    throw new Error(
+      `OIDC provider names are lowercase letters, digits and -: ${name}`
+    );
+  }
+  if (!issuer || !clientId) {
+    throw new Error(`OIDC provider ${name} needs an issuer and a clientId`);
+  }
+
+  providers.set(name, {
+    name,
+    issuer: issuer.replace(/\/$/, ""),
+    clientId,
+    clientSecret,
+    scope: scope || DEFAULT_SCOPE,
+    redirectUri: redirectUri || `${APP_URL}/auth/oidc/${name}/callback`,
+    // filled in from the issuer when first needed
+    metadata: null,
+    keys: null,
+  });
+}
+
+/** Get a provider by name; throws NotFoundError if there's no such provider. */
+function getProvider(name) {
+  const provider = providers.get(name);
+  if (!provider) throw new NotFoundError(`No login provider: ${name}`);
+  return provider;
+}
+
+/** Names of the providers users can log in with. */
+function providerNames() {
+  return [...providers.keys()];
+}
+
+/** Fetch JSON; throws UnauthorizedError if the provider can't be reached or
+ *  answers with an error, as the login can't go on either way. */
+async function fetchJson(url, options) {
+  let resp;
+  try {
+    resp = await fetch(url, options);
+  } catch (err) {
+    throw new UnauthorizedError("Login provider is unavailable");
+  }
+  const body = await resp.json().catch(() => null);
+  if (!resp.ok || !body) {
+    throw new UnauthorizedError("Login with provider failed");
+  }
+  return body;
+}
+
+/** The provider's endpoints, from its discovery document. */
+async function getMetadata(provider) {
+  if (!provider.metadata) {
+    const metadata = await fetchJson(
+      `${provider.issuer}/.well-known/openid-configuration`
+    );
+    if (metadata.issuer.replace(/\/$/, "") !== provider.issuer) {
+      throw new UnauthorizedError("Login provider is misconfigured");
+    }
+    provider.metadata = metadata;
+  }
+  return provider.metadata;
+}
+
+/** The key the provider signed an ID token with.
+ *
+ * Keys are cached; they're fetched again for an unknown key id, as providers
+ * rotate their keys.
+ */
+async function getSigningKey(provider, kid) {
+  const findKey = () =>
+    provider.keys.find((key) => key.kid === kid || (!kid && key.use !== "enc"));
+
+  if (!provider.keys || !findKey()) {
+    const { jwks_uri } = await getMetadata(provider);
+    provider.keys = (await fetchJson(jwks_uri)).keys || [];
+  }
+
+  const jwk = findKey();
+  if (!jwk) throw new UnauthorizedError("Invalid ID token");
+  return crypto.createPublicKey({ key: jwk, format: "jwk" });
+}
+
+/** Where to send the user to log in with the provider.
+ *
+ * @param {Object} provider - from getProvider.
+ * @param {Object} login - { state, nonce, codeVerifier }, kept until the
+ *   user comes back (see ExternalIdentity.createLoginState).
+ * @returns {Promise<string>} - URL
+ */
+async function authorizationUrl(provider, { state, nonce, codeVerifier }) {
+  const { authorization_endpoint } = await getMetadata(provider);
+  const url = new URL(authorization_endpoint);
+  url.search = new URLSearchParams({
+    response_type: "code",
+    client_id: provider.clientId,
+    redirect_uri: provider.redirectUri,
+    scope: provider.scope,
+    state,
+    nonce,
+    code_challenge: codeChallenge(codeVerifier),
+    code_challenge_method: "S256",
+  });
+  return url.toString();
+}
+
+/** The PKCE code challenge for a code verifier. */
+function codeChallenge(codeVerifier) {
+  return crypto.createHash("sha256").update(codeVerifier).digest("base64url");
+}
+
+/** Swap the code the provider sent the user back with for the user's claims.
+ *
+ * @param {Object} provider - from getProvider.
+ * @param {Object} login - { code, nonce, codeVerifier }
+ * @returns {Promise<Object>} - the ID token's claims: sub, and usually email,
+ *   email_verified, name, given_name, family_name, preferred_username.
+ *
+ * Throws UnauthorizedError if the code or the ID token isn't valid.
+ */
+async function exchangeCode(provider, { code, nonce, codeVerifier }) {
+  const { token_endpoint } = await getMetadata(provider);
+  const tokens = await fetchJson(token_endpoint, {
+    method: "POST",
+    headers: {
+      "content-type": "application/x-www-form-urlencoded",
+      accept: "application/json",
+    },
+    body: new URLSearchParams({
+      grant_type: "authorization_code",
+      code,
+      redirect_uri: provider.redirectUri,
+      client_id: provider.clientId,
+      ...(provider.clientSecret && { client_secret: provider.clientSecret }),
+      code_verifier: codeVerifier,
+    }),
+  });
+  if (typeof tokens.id_token !== "string") {
+    throw new UnauthorizedError("Invalid ID token");
+  }
+
+  const decoded = jwt.decode(tokens.id_token, { complete: true });
+  if (!decoded) throw new UnauthorizedError("Invalid ID token");
+  const key = await getSigningKey(provider, decoded.header.kid);
+
+  let claims;
+  try {
+    claims = jwt.verify(tokens.id_token, key, {
+      algorithms: ID_TOKEN_ALGORITHMS,
+      issuer: [provider.issuer, `${provider.issuer}/`],
+      audience: provider.clientId,
+    });
+  } catch (err) {
+    throw new UnauthorizedError("Invalid ID token");
+  }
+  if (claims.nonce !== nonce || !claims.sub) {
+    throw new UnauthorizedError("Invalid ID token");
+  }
+  return claims;
+}
+
+for (const [name, settings] of Object.entries(OIDC_PROVIDERS)) {
+  registerProvider(name, settings);
+}
+
+module.exports = {
+  registerProvider,
+  getProvider,
+  providerNames,
+  authorizationUrl,
+  exchangeCode,
+  codeChallenge,
+};
@@ -0,0 +1,180 @@
+"use strict";
+
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const {
+  registerProvider,
+  getProvider,
+  providerNames,
+  authorizationUrl,
+  exchangeCode,
+} = require("./oidc");
+const { startMockIssuer } = require("./_mockOidcIssuer");
+const { NotFoundError, UnauthorizedError } = require("./expressError");
+
+let mock;
+beforeAll(async function () {
+  mock = await startMockIssuer();
+  registerProvider("mock", mock.settings);
+});
+afterAll(async function () {
+  await mock.close();
+});
+
+const LOGIN = {
+  state: "the-state",
+  nonce: "the-nonce",
+  codeVerifier: "v".repeat(43),
+};
+const CLAIMS = {
+  sub: "abc123",
+  email: "new@example.com",
+  email_verified: true,
+};
+
+describe("providers", function () {
+  test("works", function () {
+    expect(providerNames()).toContain("mock");
+    expect(getProvider("mock")).toEqual(
+      expect.objectContaining({
+        issuer: mock.issuer,
+        scope: "openid email profile",
+        redirectUri: "http://localhost:3000/auth/oidc/mock/callback",
+      })
+    );
+  });
+
+  test("not found if no such provider", function () {
+    expect(() => getProvider("nope")).toThrow(NotFoundError);
+  });
+
+  test("names are checked", function () {
+    expect(() => registerProvider("Bad Name", mock.settings)).toThrow();
+  });
+});
+
+describe("authorizationUrl", function () {
+  test("works", async function () {
+    const url = new URL(await authorizationUrl(getProvider("mock"), LOGIN));
+    expect(url.origin + url.pathname).toEqual(`${mock.issuer}/authorize`);
+    expect(Object.fromEntries(url.searchParams)).toEqual({
+      response_type: "code",
+      client_id: "ourtabi-test",
+      redirect_uri: "http://localhost:3000/auth/oidc/mock/callback",
+      scope: "openid email profile",
+      state: "the-state",
+      nonce: "the-nonce",
+      code_challenge: crypto
+        .createHash("sha256")
+        .update(LOGIN.codeVerifier)
+        .digest("base64url"),
+      code_challenge_method: "S256",
+    });
+  });
+});
+
+describe("exchangeCode", function () {
+  async function getCode(claims = CLAIMS) {
+    const url = await authorizationUrl(getProvider("mock"), LOGIN);
+    return mock.login(url, claims).code;
+  }
+
+  test("works", async function () {
+    const code = await getCode();
+    const claims = await exchangeCode(getProvider("mock"), { ...LOGIN, code });
+    expect(claims).toEqual(
+      expect.objectContaining({
+        ...CLAIMS,
+        iss: mock.issuer,
+        aud: "ourtabi-test",
+      })
+    );
+  });
+
+  test("unauth: code works once", async function () {
+    const code = await getCode();
+    await exchangeCode(getProvider("mock"), { ...LOGIN, code });
+    await expect(
+      exchangeCode(getProvider("mock"), { ...LOGIN, code })
+    ).rejects.toThrow(UnauthorizedError);
+  });
+
+  test("unauth: wrong code verifier", async function () {
+    const code = await getCode();
+    await expect(
+      exchangeCode(getProvider("mock"), {
+        ...LOGIN,
+        code,
+        codeVerifier: "w".repeat(43),
+      })
+    ).rejects.toThrow(UnauthorizedError);
+  });
+
+  test("unauth: wrong nonce", async function () {
+    const code = await getCode();
+    await expect(
+      exchangeCode(getProvider("mock"), { ...LOGIN, code, nonce: "other" })
+    ).rejects.toThrow(UnauthorizedError);
+  });
+
+  /** Have the provider's token endpoint answer with this ID token */
+  async function exchangeFor(idToken) {
+    const realFetch = global.fetch;
+    global.fetch = jest.fn(async (url, options) =>
+      url.endsWith("/token")
+        ? new Response(JSON.stringify({ id_token: idToken }))
+        : realFetch(url, options)
+    );
+    try {
+      return await exchangeCode(getProvider("mock"), { ...LOGIN, code: "any" });
+    } finally {
+      global.fetch = realFetch;
+    }
+  }
+
+  test("works: a good ID token", async function () {
+    const idToken = mock.signIdToken({ ...CLAIMS, nonce: LOGIN.nonce });
+    await expect(exchangeFor(idToken)).resolves.toEqual(
+      expect.objectContaining(CLAIMS)
+    );
+  });
+
+  test("unauth: ID token for another client", async function () {
+    const idToken = mock.signIdToken(
+      { ...CLAIMS, nonce: LOGIN.nonce },
+      { audience: "someone-else" }
+    );
+    await expect(exchangeFor(idToken)).rejects.toThrow(UnauthorizedError);
+  });
+
+  test("unauth: ID token not signed by the provider", async function () {
+    const { privateKey } = crypto.generateKeyPairSync("rsa", {
+      modulusLength: 2048,
+    });
+    const forged = jwt.sign({ ...CLAIMS, nonce: LOGIN.nonce }, privateKey, {
+      algorithm: "RS256",
+      keyid: "mock-key",
+      issuer: mock.issuer,
+      audience: "ourtabi-test",
+    });
+    await expect(exchangeFor(forged)).rejects.toThrow(UnauthorizedError);
+  });
+
+  test("unauth: no subject", async function () {
+    const idToken = mock.signIdToken({
+      email: "x@example.com",
+      nonce: LOGIN.nonce,
+    });
+    await expect(exchangeFor(idToken)).rejects.toThrow(UnauthorizedError);
+  });
+
+  test("unauth: provider unavailable", async function () {
+    registerProvider("mock-down", {
+      ...mock.settings,
+      issuer: "http://127.0.0.1:1",
+    });
+    await expect(
+      exchangeCode(getProvider("mock-down"), { ...LOGIN, code: "any" })
+    ).rejects.toThrow(UnauthorizedError);
+  });
+});
@@ -0,0 +1,67 @@
+"use strict";
+
+/** Rules for new passwords. */
+
+const PASSWORD_MIN_LENGTH = 8;
+
+// bcrypt ignores everything after the first 72 bytes
+const PASSWORD_MAX_BYTES = 72;
+
+// a few of the passwords tried first when guessing
+const COMMON_PASSWORDS = new Set([
+  "password",
+  "password1",
+  "password123",
+  "passw0rd",
+  "12345678",
+  "123456789",
+  "1234567890",
+  "qwerty123",
+  "qwertyuiop",
+  "iloveyou",
+  "letmein1",
+  "welcome1",
+  "abc12345",
+  "11111111",
+  "00000000",
+]);
+
+const CHARACTER_CLASSES = [/[a-z]/, /[A-Z]/, /[0-9]/, /[^A-Za-z0-9]/];
+
+/** Check a new password against the policy.
+ *
+ * A password needs PASSWORD_MIN_LENGTH characters and at least two kinds of
+ * character (lowercase, uppercase, digits, symbols), and can't be a common
+ * password or contain the username, if given.
+ *
+ * @param {string} password
+ * @param {Object} [user] - { username }
+ * @returns {string[]} - what's wrong with the password; empty if it's fine.
+ */
+function checkPasswordStrength(password, { username } = {}) {
+  const problems = [];
+
+  if (password.length < PASSWORD_MIN_LENGTH) {
+    problems.push(
+      `Password must be at least ${PASSWORD_MIN_LENGTH} characters long.`
+    );
+  }
+  if (Buffer.byteLength(password) > PASSWORD_MAX_BYTES) {
+    problems.push(`Password must be at most ${PASSWORD_MAX_BYTES} bytes long.`);
+  }
+  if (CHARACTER_CLASSES.filter((re) => re.test(password)).length < 2) {
+    problems.push(
+      "Password must mix at least two of lowercase letters, uppercase letters, digits and symbols."
+    );
+  }
+  if (COMMON_PASSWORDS.has(password.toLowerCase())) {
+    problems.push("Password is too common.");
+  }
+  if (username && password.toLowerCase().includes(username.toLowerCase())) {
+    problems.push("Password must not contain your username.");
+  }
+
+  return problems;
+}
+
+module.exports = { checkPasswordStrength, PASSWORD_MIN_LENGTH };
@@ -0,0 +1,42 @@
+const { checkPasswordStrength } = require("./passwordPolicy");
+
+describe("checkPasswordStrength", function () {
+  test("works: strong password", function () {
+    expect(checkPasswordStrength("correct-horse-battery")).toEqual([]);
+    expect(checkPasswordStrength("Tr1pPlanner")).toEqual([]);
+  });
+
+  test("too short", function () {
+    expect(checkPasswordStrength("ab-12")).toEqual([
+      "Password must be at least 8 characters long.",
+    ]);
+  });
+
+  test("too long for bcrypt", function () {
+    expect(checkPasswordStrength("é1".repeat(25))).toEqual([
+      "Password must be at most 72 bytes long.",
+    ]);
+  });
+
+  test("only one kind of character", function () {
+    expect(checkPasswordStrength("alllowercase")).toEqual([
+      "Password must mix at least two of lowercase letters, uppercase letters, digits and symbols.",
+    ]);
+  });
+
+  test("common password", function () {
+    expect(checkPasswordStrength("Password1")).toEqual([
+      "Password is too common.",
+    ]);
+  });
+
+  test("contains the username, ignoring case", function () {
+    expect(
+      checkPasswordStrength("Hello-Traveler", { username: "traveler" })
+    ).toEqual(["Password must not contain your username."]);
+  });
+
+  test("lists every problem", function () {
+    expect(checkPasswordStrength("abc")).toHaveLength(2);
+  });
+});
@@ -0,0 +1,205 @@
+const { BadRequestError } = require("./expressError");
+
+const MS_PER_MINUTE = 60 * 1000;
+const MS_PER_DAY = 24 * 60 * MS_PER_MINUTE;
+
+/** Convert a trip date to a "YYYY-MM-DD" string.
+ *
+ * pg parses DATE columns as local midnight, so Date values are read with the
+ * local getters; strings are assumed to already start with YYYY-MM-DD.
+ */
+function toDateString(date) {
+  if (typeof date === "string") return date.slice(0, 10);
+  const month = String(date.getMonth() + 1).padStart(2, "0");
+  const day = String(date.getDate()).padStart(2, "0");
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/** List every day of a trip, inclusive: ["2025-06-01", "2025-06-02", ...] */
+function listTripDays(startDate, endDate) {
+  const start = Date.parse(`${toDateString(startDate)}T00:00:00Z`);
+  const end = Date.parse(`${toDateString(endDate)}T00:00:00Z`);
+
+  const days = [];
+  for (let time = start; time <= end; time += MS_PER_DAY) {
+    days.push(new Date(time).toISOString().slice(0, 10));
+  }
+  return days;
+}
+
+/** Check whether an activity falls inside the trip's dates.
+ *
+ * The activity must start on or after the first day and end (or, without an
+ * end time, start) no later than midnight at the end of the last day.
+ * Trips without dates accept any time.
+ *
+ * @returns {boolean}
+ */
+function isWithinTripDates({ scheduledTime, endTime }, { startDate, endDate }) {
+  if (!scheduledTime || !startDate || !endDate) return true;
+
+  const tripStart = Date.parse(`${toDateString(startDate)}T00:00:00Z`);
+  const tripEnd =
+    Date.parse(`${toDateString(endDate)}T00:00:00Z`) + MS_PER_DAY;
+  const start = new Date(scheduledTime).getTime();
+  const end = endTime ? new Date(endTime).getTime() : start;
+
+  return start >= tripStart && start < tripEnd && end <= tripEnd;
+}
+
+/** findScheduleConflicts reports activities that clash with each other or
+ * with the trip dates.
+ *
+ * Activities without a scheduledTime are ignored. An activity without an
+ * endTime is treated as a moment in time: it clashes with anything that
+ * starts at the same time or is still going on.
+ *
+ * @param {Array} activities - [{ id, name, scheduledTime, endTime }, ...]
+ * @param {Object} trip - { startDate, endDate }
+ *
+ * @returns {Object}
+ *  { overlapping: [{ activities: [activity, activity] }, ...],
+ *    outOfRange: [activity, ...] }
+ *  where activity is { id, name, scheduledTime, endTime }.
+ */
+function findScheduleConflicts(activities, trip) {
+  const timed = activities
+    .filter((a) => a.scheduledTime)
+    .map((a) => ({
+      summary: {
+        id: a.id,
+        name: a.name,
+        scheduledTime: a.scheduledTime,
+        endTime: a.endTime || null,
+      },
+      start: new Date(a.scheduledTime).getTime(),
+      end: new Date(a.endTime || a.scheduledTime).getTime(),
+    }))
+    .sort((a, b) => a.start - b.start || a.summary.id - b.summary.id);
+
+  const overlapping = [];
+  for (let i = 0; i < timed.length; i++) {
+    // sorted by start, so later activities can only clash if they start
+    // before this one ends
+    for (let j = i + 1; j < timed.length; j++) {
+      const [a, b] = [timed[i], timed[j]];
+      if (b.start > a.end || (b.start === a.end && a.start !== a.end)) break;
+      overlapping.push({ activities: [a.summary, b.summary] });
+    }
+  }
+
+  const outOfRange = timed
+    .filter((a) => !isWithinTripDates(a.summary, trip))
+    .map((a) => a.summary);
+
+  return { overlapping, outOfRange };
+}
+
+/** buildItinerary turns voted-on activities into a day-by-day schedule.
+ *
+ * Activities are ranked by net score (upvotes - downvotes), highest first, and
+ * each one is placed in the next free slot of the least busy trip day it still
+ * fits in, so the best-liked activities are spread across the trip and nothing
+ * overlaps. Times are wall-clock times expressed in UTC, like scheduledTime.
+ *
+ * @param {Array} activities - [{ id, name, netScore, durationMinutes }, ...]
+ *  durationMinutes is optional and defaults to options.slotMinutes.
+ *
+ * @param {Object} options
+ *  - startDate, endDate: the trip dates (Date or "YYYY-MM-DD"), required
+ *  - dayStartHour: first hour of each day that can be planned (default 9)
+ *  - dayEndHour: hour by which each day's activities must end (default 21)
+ *  - slotMinutes: length of an activity without a duration (default 120)
+ *  - minScore: activities scoring below this are left out (default 0)
+ *
+ * @returns {Object}
+ *  { scheduled: [{ activityId, name, netScore, day, scheduledTime, endTime }, ...],
+ *    unscheduled: [{ activityId, name, netScore, reason }, ...] }
+ *  scheduled is sorted by time.
+ *
+ * @throws {BadRequestError} - if the trip has no dates or the day window is empty.
+ */
+function buildItinerary(
+  activities,
+  {
+    startDate,
+    endDate,
+    dayStartHour = 9,
+    dayEndHour = 21,
+    slotMinutes = 120,
+    minScore = 0,
+  }
+) {
+  if (!startDate || !endDate) {
+    throw new BadRequestError(
+      "The trip needs a start and end date to build an itinerary."
+    );
+  }
+  if (dayEndHour <= dayStartHour) {
+    throw new BadRequestError("dayEndHour must be after dayStartHour.");
+  }
+
+  const days = listTripDays(startDate, endDate).map((day) => ({
+    day,
+    // next free moment and minutes booked so far for this day
+    nextFree: Date.parse(`${day}T00:00:00Z`) + dayStartHour * 60 * MS_PER_MINUTE,
+    dayEnd: Date.parse(`${day}T00:00:00Z`) + dayEndHour * 60 * MS_PER_MINUTE,
+    bookedMinutes: 0,
+  }));
+
+  const ranked = [...activities].sort(
+    (a, b) => b.netScore - a.netScore || a.id - b.id
+  );
+
+  const scheduled = [];
+  const unscheduled = [];
+
+  for (let activity of ranked) {
+    const summary = {
+      activityId: activity.id,
+      name: activity.name,
+      netScore: activity.netScore,
+    };
+
+    if (activity.netScore < minScore) {
+      unscheduled.push({ ...summary, reason: "score too low" });
+      continue;
+    }
+
+    const minutes = activity.durationMinutes || slotMinutes;
+    const duration = minutes * MS_PER_MINUTE;
+
+    // least busy day that still has room; earlier days win ties
+    let target = null;
+    for (let day of days) {
+      if (day.nextFree + duration > day.dayEnd) continue;
+      if (!target || day.bookedMinutes < target.bookedMinutes) target = day;
+    }
+
+    if (!target) {
+      unscheduled.push({ ...summary, reason: "no room left in the trip" });
+      continue;
+    }
+
+    scheduled.push({
+      ...summary,
+      day: target.day,
+      scheduledTime: new Date(target.nextFree).toISOString(),
+      endTime: new Date(target.nextFree + duration).toISOString(),
+    });
+    target.nextFree += duration;
+    target.bookedMinutes += minutes;
+  }
+
+  scheduled.sort((a, b) => a.scheduledTime.localeCompare(b.scheduledTime));
+
+  return { scheduled, unscheduled };
+}
+
+module.exports = {
+  buildItinerary,
+  findScheduleConflicts,
+  isWithinTripDates,
+  listTripDays,
+  toDateString,
+};
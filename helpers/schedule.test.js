@@ -0,0 +1,264 @@
+const {
+  buildItinerary,
+  findScheduleConflicts,
+  isWithinTripDates,
+  listTripDays,
+  toDateString,
+} = require("./schedule");
+const { BadRequestError } = require("./expressError");
+
+describe("toDateString", function () {
+  test("works: strings", function () {
+    expect(toDateString("2025-06-01T00:00:00.000Z")).toEqual("2025-06-01");
+  });
+
+  test("works: dates parsed as local midnight", function () {
+    expect(toDateString(new Date(2025, 5, 1))).toEqual("2025-06-01");
+  });
+});
+
+describe("listTripDays", function () {
+  test("works: inclusive of both ends", function () {
+    expect(listTripDays("2025-06-30", "2025-07-02")).toEqual([
+      "2025-06-30",
+      "2025-07-01",
+      "2025-07-02",
+    ]);
+  });
+
+  test("works: single day trip", function () {
+    expect(listTripDays("2025-06-01", "2025-06-01")).toEqual(["2025-06-01"]);
+  });
+});
+
+describe("isWithinTripDates", function () {
+  const trip = { startDate: "2025-06-01", endDate: "2025-06-02" };
+
+  test("works: inside the trip", function () {
+    expect(
+      isWithinTripDates(
+        {
+          scheduledTime: "2025-06-02T20:00:00Z",
+          endTime: "2025-06-03T00:00:00Z",
+        },
+        trip
+      )
+    ).toBe(true);
+  });
+
+  test("works: before, after or running past the trip", function () {
+    expect(
+      isWithinTripDates({ scheduledTime: "2025-05-31T23:00:00Z" }, trip)
+    ).toBe(false);
+    expect(
+      isWithinTripDates({ scheduledTime: "2025-06-03T00:00:00Z" }, trip)
+    ).toBe(false);
+    expect(
+      isWithinTripDates(
+        {
+          scheduledTime: "2025-06-02T22:00:00Z",
+          endTime: "2025-06-03T01:00:00Z",
+        },
+        trip
+      )
+    ).toBe(false);
+  });
+
+  test("works: unscheduled activities and undated trips always fit", function () {
+    expect(isWithinTripDates({ scheduledTime: null }, trip)).toBe(true);
+    expect(
+      isWithinTripDates(
+        { scheduledTime: "2030-01-01T10:00:00Z" },
+        { startDate: null, endDate: null }
+      )
+    ).toBe(true);
+  });
+});
+
+describe("findScheduleConflicts", function () {
+  const trip = { startDate: "2025-06-01", endDate: "2025-06-02" };
+
+  test("works: overlapping and out of range activities", function () {
+    const conflicts = findScheduleConflicts(
+      [
+        {
+          id: 1,
+          name: "Hike",
+          scheduledTime: "2025-06-01T09:00:00Z",
+          endTime: "2025-06-01T12:00:00Z",
+        },
+        { id: 2, name: "Lunch", scheduledTime: "2025-06-01T11:00:00Z" },
+        {
+          id: 3,
+          name: "Museum",
+          scheduledTime: "2025-06-01T12:00:00Z",
+          endTime: "2025-06-01T14:00:00Z",
+        },
+        { id: 4, name: "Flight home", scheduledTime: "2025-06-05T10:00:00Z" },
+        { id: 5, name: "Someday", scheduledTime: null },
+      ],
+      trip
+    );
+
+    expect(conflicts).toEqual({
+      overlapping: [
+        {
+          activities: [
+            {
+              id: 1,
+              name: "Hike",
+              scheduledTime: "2025-06-01T09:00:00Z",
+              endTime: "2025-06-01T12:00:00Z",
+            },
+            {
+              id: 2,
+              name: "Lunch",
+              scheduledTime: "2025-06-01T11:00:00Z",
+              endTime: null,
+            },
+          ],
+        },
+      ],
+      outOfRange: [
+        {
+          id: 4,
+          name: "Flight home",
+          scheduledTime: "2025-06-05T10:00:00Z",
+          endTime: null,
+        },
+      ],
+    });
+  });
+
+  test("works: activities starting at the same moment clash", function () {
+    const { overlapping } = findScheduleConflicts(
+      [
+        { id: 1, name: "Breakfast", scheduledTime: "2025-06-01T08:00:00Z" },
+        { id: 2, name: "Taxi", scheduledTime: "2025-06-01T08:00:00Z" },
+      ],
+      trip
+    );
+    expect(overlapping.map((o) => o.activities.map((a) => a.id))).toEqual([
+      [1, 2],
+    ]);
+  });
+});
+
+describe("buildItinerary", function () {
+  const dates = { startDate: "2025-06-01", endDate: "2025-06-02" };
+
+  test("works: spreads the highest scores across days", function () {
+    const { scheduled, unscheduled } = buildItinerary(
+      [
+        { id: 1, name: "Museum", netScore: 1 },
+        { id: 2, name: "Hike", netScore: 3 },
+        { id: 3, name: "Market", netScore: 2 },
+      ],
+      dates
+    );
+
+    expect(scheduled).toEqual([
+      {
+        activityId: 2,
+        name: "Hike",
+        netScore: 3,
+        day: "2025-06-01",
+        scheduledTime: "2025-06-01T09:00:00.000Z",
+        endTime: "2025-06-01T11:00:00.000Z",
+      },
+      {
+        activityId: 1,
+        name: "Museum",
+        netScore: 1,
+        day: "2025-06-01",
+        scheduledTime: "2025-06-01T11:00:00.000Z",
+        endTime: "2025-06-01T13:00:00.000Z",
+      },
+      {
+        activityId: 3,
+        name: "Market",
+        netScore: 2,
+        day: "2025-06-02",
+        scheduledTime: "2025-06-02T09:00:00.000Z",
+        endTime: "2025-06-02T11:00:00.000Z",
+      },
+    ]);
+    expect(unscheduled).toEqual([]);
+  });
+
+  test("works: leaves out negative scores", function () {
+    const { scheduled, unscheduled } = buildItinerary(
+      [{ id: 1, name: "Museum", netScore: -1 }],
+      dates
+    );
+    expect(scheduled).toEqual([]);
+    expect(unscheduled).toEqual([
+      { activityId: 1, name: "Museum", netScore: -1, reason: "score too low" },
+    ]);
+  });
+
+  test("works: lowest scores are dropped when the trip is full", function () {
+    const { scheduled, unscheduled } = buildItinerary(
+      [
+        { id: 1, name: "Morning", netScore: 2 },
+        { id: 2, name: "Afternoon", netScore: 1 },
+        { id: 3, name: "Evening", netScore: 0 },
+      ],
+      {
+        startDate: "2025-06-01",
+        endDate: "2025-06-01",
+        dayStartHour: 9,
+        dayEndHour: 13,
+      }
+    );
+    expect(scheduled.map((s) => s.activityId)).toEqual([1, 2]);
+    expect(unscheduled).toEqual([
+      {
+        activityId: 3,
+        name: "Evening",
+        netScore: 0,
+        reason: "no room left in the trip",
+      },
+    ]);
+  });
+
+  test("works: durations are respected and never overlap", function () {
+    const { scheduled } = buildItinerary(
+      [
+        { id: 1, name: "Day trip", netScore: 5, durationMinutes: 480 },
+        { id: 2, name: "Coffee", netScore: 4, durationMinutes: 30 },
+        { id: 3, name: "Dinner", netScore: 3, durationMinutes: 90 },
+      ],
+      dates
+    );
+    expect(scheduled).toEqual([
+      expect.objectContaining({
+        activityId: 1,
+        scheduledTime: "2025-06-01T09:00:00.000Z",
+        endTime: "2025-06-01T17:00:00.000Z",
+      }),
+      expect.objectContaining({
+        activityId: 2,
+        scheduledTime: "2025-06-02T09:00:00.000Z",
+        endTime: "2025-06-02T09:30:00.000Z",
+      }),
+      expect.objectContaining({
+        activityId: 3,
+        scheduledTime: "2025-06-02T09:30:00.000Z",
+        endTime: "2025-06-02T11:00:00.000Z",
+      }),
+    ]);
+  });
+
+  test("bad request: trip without dates", function () {
+    expect(() => buildItinerary([], { startDate: null, endDate: null })).toThrow(
+      BadRequestError
+    );
+  });
+
+  test("bad request: empty day window", function () {
+    expect(() =>
+      buildItinerary([], { ...dates, dayStartHour: 12, dayEndHour: 12 })
+    ).toThrow(BadRequestError);
+  });
+});
@@ -1,11 +1,22 @@
+const crypto = require("crypto");
+const bcrypt = require("bcryptjs");
 const jwt = require("jsonwebtoken");
-const { SECRET_KEY } = require("../config");
+const { SECRET_KEY, BCRYPT_WORK_FACTOR } = require("../config");
+
+// access tokens are short-lived; clients get new ones with a refresh token
+// (see models/session.js)
+const ACCESS_TOKEN_TTL = "15m";
 
 /** Create a signed JWT for a user.
+ *
+ * The token records the user's tokenVersion (0 if not given) and, if given,
+ * the login session it belongs to; tokens from an older version or an ended
+ * session are rejected (see middleware/session.js).
  * @param {Object} user - includes id and username.
+ * @param {Object} [options] - { sessionId }
  * @returns {string} - signed JWT token.
  */
-function createToken(user) {
+function createToken(user, { sessionId } = {}) {
   if (!user || !user.id || !user.username || typeof user.isAdmin !== "boolean") {
     throw new Error("createToken: user object must have 'id', 'username', and 'isAdmin' as boolean");
   }
@@ -14,9 +25,79 @@ function createToken(user) {
     id: user.id, 
     username: user.username, 
     isAdmin: user.isAdmin,
+    tokenVersion: user.tokenVersion || 0,
   };
+  if (sessionId) payload.sessionId = sessionId;
+
+  return jwt.sign(payload, SECRET_KEY, { expiresIn: ACCESS_TOKEN_TTL });
+}
+
+// how long a user has to enter their two-factor code after their password
+const CHALLENGE_TOKEN_TTL = "5m";
+
+// challenge tokens are signed with a different key, so they never pass as
+// access tokens
+const CHALLENGE_KEY = `${SECRET_KEY}:2fa-challenge`;
+
+/** Create a token saying a user got their password right and still has to
+ *  give a two-factor code (see POST /auth/token).
+ * @param {Object} user - includes id, username and tokenVersion.
+ * @returns {string} - signed JWT token.
+ */
+function createChallengeToken(user) {
+  return jwt.sign(
+    {
+      id: user.id,
+      username: user.username,
+      tokenVersion: user.tokenVersion || 0,
+    },
+    CHALLENGE_KEY,
+    { expiresIn: CHALLENGE_TOKEN_TTL }
+  );
+}
+
+/** Verify a token made by createChallengeToken.
+ * @returns {Object|null} - { id, username, tokenVersion }, or null if it's
+ *   invalid or expired.
+ */
+function verifyChallengeToken(token) {
+  try {
+    const { id, username, tokenVersion } = jwt.verify(token, CHALLENGE_KEY);
+    return { id, username, tokenVersion };
+  } catch (err) {
+    return null;
+  }
+}
+
+/** Create a random, URL-safe token for links that can't carry a JWT, e.g.
+ *  calendar feed URLs. Only store its hash (see hashOpaqueToken).
+ * @returns {string} - 43 characters of base64url.
+ */
+function createOpaqueToken() {
+  return crypto.randomBytes(32).toString("base64url");
+}
 
-  return jwt.sign(payload, SECRET_KEY, { expiresIn: "2h" });
+/** Hash an opaque token for storage and lookup.
+ * @returns {string} - hex SHA-256 digest.
+ */
+function hashOpaqueToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+/** Make a password hash no password matches (a hash of a random secret), for
+ *  users who have to set a password before they can log in with one (see
+ *  User.createPasswordResetToken).
+ * @returns {Promise<string>} - bcrypt hash.
+ */
+async function unusablePasswordHash() {
+  return await bcrypt.hash(createOpaqueToken(), BCRYPT_WORK_FACTOR);
 }
 
-module.exports = { createToken };
+module.exports = {
+  createToken,
+  createChallengeToken,
+  verifyChallengeToken,
+  createOpaqueToken,
+  hashOpaqueToken,
+  unusablePasswordHash,
+};
@@ -1,5 +1,13 @@
+const bcrypt = require("bcryptjs");
 const jwt = require("jsonwebtoken");
-const { createToken } = require("./tokens");
+const {
+  createToken,
+  createChallengeToken,
+  verifyChallengeToken,
+  createOpaqueToken,
+  hashOpaqueToken,
+  unusablePasswordHash,
+} = require("./tokens");
 const { SECRET_KEY } = require("../config");
 
 describe("createToken", function () {
@@ -10,6 +18,7 @@ describe("createToken", function () {
       id: 88,
       username: "testUser",
       isAdmin: false,
+      tokenVersion: 0,
       iat: expect.any(Number),
       exp: expect.any(Number),
     });
@@ -21,11 +30,32 @@ describe("createToken", function () {
       id: 45,
       username: "testUser2",
       isAdmin: true,
+      tokenVersion: 0,
       iat: expect.any(Number),
       exp: expect.any(Number),
     });
   });
 
+  test("works: records the token version", function () {
+    const token = createToken({
+      id: 45,
+      username: "testUser2",
+      isAdmin: false,
+      tokenVersion: 3,
+    });
+    expect(jwt.verify(token, SECRET_KEY).tokenVersion).toEqual(3);
+  });
+
+  test("works: records the session", function () {
+    const token = createToken(
+      { id: 45, username: "testUser2", isAdmin: false },
+      { sessionId: 7 }
+    );
+    const payload = jwt.verify(token, SECRET_KEY);
+    expect(payload.sessionId).toEqual(7);
+    expect(payload.exp - payload.iat).toEqual(15 * 60);
+  });
+
   test("throws error if missing id", function () {
     expect(() => createToken({ username: "testuser" })).toThrowError(
       "createToken: user object must have 'id', 'username', and 'isAdmin' as boolean"
@@ -45,3 +75,59 @@ describe("createToken", function () {
     );
   });
 });
+
+describe("challenge tokens", function () {
+  test("works: round trip", function () {
+    const token = createChallengeToken({
+      id: 45,
+      username: "u",
+      tokenVersion: 2,
+    });
+    expect(verifyChallengeToken(token)).toEqual({
+      id: 45,
+      username: "u",
+      tokenVersion: 2,
+    });
+  });
+
+  test("not an access token, and access tokens aren't challenges", function () {
+    const challenge = createChallengeToken({ id: 45 });
+    expect(() => jwt.verify(challenge, SECRET_KEY)).toThrow();
+
+    const access = createToken({ id: 45, username: "u", isAdmin: false });
+    expect(verifyChallengeToken(access)).toBeNull();
+  });
+
+  test("expires after 5 minutes; null if invalid", function () {
+    const token = createChallengeToken({ id: 45 });
+    const { exp, iat } = jwt.decode(token);
+    expect(exp - iat).toEqual(5 * 60);
+    expect(verifyChallengeToken("nope")).toBeNull();
+  });
+});
+
+describe("createOpaqueToken", function () {
+  test("works: url-safe and different each time", function () {
+    const token = createOpaqueToken();
+    expect(token).toMatch(/^[A-Za-z0-9_-]{43}$/);
+    expect(createOpaqueToken()).not.toEqual(token);
+  });
+});
+
+describe("hashOpaqueToken", function () {
+  test("works: stable sha256 hex digest", function () {
+    expect(hashOpaqueToken("abc")).toEqual(
+      "ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad"
+    );
+    expect(hashOpaqueToken("abc")).toEqual(hashOpaqueToken("abc"));
+  });
+});
+
+describe("unusablePasswordHash", function () {
+  test("works: a bcrypt hash no password matches", async function () {
+    const hash = await unusablePasswordHash();
+    expect(hash).toMatch(/^\$2[aby]\$/);
+    expect(await bcrypt.compare("", hash)).toBe(false);
+    expect(await unusablePasswordHash()).not.toEqual(hash);
+  });
+});
@@ -0,0 +1,168 @@
+"use strict";
+
+/** Time-based one-time passwords (RFC 6238) for two-factor authentication,
+ *  as used by authenticator apps: 6 digits, a new code every 30 seconds. */
+
+const crypto = require("crypto");
+const { SECRET_KEY } = require("../config");
+
+const TOTP_DIGITS = 6;
+const TOTP_STEP_SECONDS = 30;
+const TOTP_ISSUER = "OurTabi";
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+// secrets are stored encrypted with a key derived from SECRET_KEY
+const SECRET_ENCRYPTION_KEY = crypto
+  .createHash("sha256")
+  .update(`totp:${SECRET_KEY}`)
+  .digest();
+
+/** Encode bytes as unpadded base32, the format authenticator apps expect. */
+function base32Encode(buffer) {
+  let bits = "";
+  for (let byte of buffer) bits += byte.toString(2).padStart(8, "0");
+
+  let out = "";
+  for (let i = 0; i < bits.length; i += 5) {
+    out += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, "0"), 2)];
+  }
+  return out;
+}
+
+/** Decode base32, ignoring case, spaces and padding. */
+function base32Decode(text) {
+  let bits = "";
+  for (let char of text.toUpperCase().replace(/[\s=]/g, "")) {
+    const value = BASE32_ALPHABET.indexOf(char);
+    if (value === -1) throw new Error(`Invalid base32 character: ${char}`);
+    bits += value.toString(2).padStart(5, "0");
+  }
+
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+}
+
+/** Make a new random TOTP secret, base32-encoded. */
+function generateTotpSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+/** The time step a moment falls in. */
+function totpStep(now = Date.now()) {
+  return Math.floor(now / 1000 / TOTP_STEP_SECONDS);
+}
+
+/** The code for a base32 secret at a time step, e.g. "287082". */
+function totpCode(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto
+    .createHmac("sha1", base32Decode(secret))
+    .update(counter)
+    .digest();
+
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const value = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(value % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, "0");
+}
+
+/** Check a code against a secret.
+ *
+ * Codes from one step either side of now are accepted, for clocks that are a
+ * little off.
+ *
+ * @returns {number|null} - the time step the code is for, or null if it's
+ *   not valid. Callers should refuse a step that was already used.
+ */
+function verifyTotp(secret, code, { now = Date.now(), window = 1 } = {}) {
+  const current = totpStep(now);
+  for (let step = current - window; step <= current + window; step++) {
+    const expected = totpCode(secret, step);
+    if (
+      code.length === expected.length &&
+      crypto.timingSafeEqual(Buffer.from(code), Buffer.from(expected))
+    ) {
+      return step;
+    }
+  }
+  return null;
+}
+
+/** Make the otpauth:// URI authenticator apps scan (usually as a QR code). */
+function otpauthUri(secret, accountName) {
+  const label = encodeURIComponent(`${TOTP_ISSUER}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: TOTP_ISSUER,
+    algorithm: "SHA1",
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_STEP_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params}`;
+}
+
+/** Make single-use recovery codes, e.g. "K7QW2-MZP3A", for when the
+ *  authenticator app is lost. Only store their hashes. */
+function generateRecoveryCodes(count = 10) {
+  return Array.from({ length: count }, () => {
+    const code = base32Encode(crypto.randomBytes(7)).slice(0, 10);
+    return `${code.slice(0, 5)}-${code.slice(5)}`;
+  });
+}
+
+/** Normalize a recovery code as typed by a user: "k7qw2 mzp3a" => "K7QW2-MZP3A" */
+function normalizeRecoveryCode(code) {
+  const chars = code.toUpperCase().replace(/[^A-Z2-7]/g, "");
+  return `${chars.slice(0, 5)}-${chars.slice(5)}`;
+}
+
+/** Encrypt a TOTP secret for storage. */
+function encryptTotpSecret(secret) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(
+    "aes-256-gcm",
+    SECRET_ENCRYPTION_KEY,
+    iv
+  );
+  const encrypted = Buffer.concat([
+    cipher.update(secret, "utf8"),
+    cipher.final(),
+  ]);
+  return [iv, cipher.getAuthTag(), encrypted]
+    .map((part) => part.toString("base64url"))
+    .join(".");
+}
+
+/** Decrypt a TOTP secret made by encryptTotpSecret. */
+function decryptTotpSecret(stored) {
+  const [iv, tag, encrypted] = stored
+    .split(".")
+    .map((part) => Buffer.from(part, "base64url"));
+  const decipher = crypto.createDecipheriv(
+    "aes-256-gcm",
+    SECRET_ENCRYPTION_KEY,
+    iv
+  );
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString(
+    "utf8"
+  );
+}
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateTotpSecret,
+  totpStep,
+  totpCode,
+  verifyTotp,
+  otpauthUri,
+  generateRecoveryCodes,
+  normalizeRecoveryCode,
+  encryptTotpSecret,
+  decryptTotpSecret,
+};
@@ -0,0 +1,109 @@
+const {
+  base32Encode,
+  base32Decode,
+  generateTotpSecret,
+  totpStep,
+  totpCode,
+  verifyTotp,
+  otpauthUri,
+  generateRecoveryCodes,
+  normalizeRecoveryCode,
+  encryptTotpSecret,
+  decryptTotpSecret,
+} = require("./totp");
+
+// the RFC 6238 test secret, "12345678901234567890"
+const RFC_SECRET = "GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ";
+
+describe("base32", function () {
+  test("works: round trip", function () {
+    expect(base32Encode(Buffer.from("12345678901234567890"))).toEqual(
+      RFC_SECRET
+    );
+    expect(base32Decode(RFC_SECRET).toString()).toEqual("12345678901234567890");
+  });
+
+  test("works: decode ignores case and spaces", function () {
+    expect(base32Decode("gezd gnbv").toString("hex")).toEqual(
+      base32Decode("GEZDGNBV").toString("hex")
+    );
+  });
+
+  test("throws on bad characters", function () {
+    expect(() => base32Decode("GEZ1")).toThrow("Invalid base32 character: 1");
+  });
+});
+
+describe("generateTotpSecret", function () {
+  test("works: 160 bits of base32", function () {
+    expect(generateTotpSecret()).toMatch(/^[A-Z2-7]{32}$/);
+  });
+});
+
+describe("totpCode", function () {
+  test("works: RFC 6238 test vectors", function () {
+    expect(totpCode(RFC_SECRET, totpStep(59 * 1000))).toEqual("287082");
+    expect(totpCode(RFC_SECRET, totpStep(1111111109 * 1000))).toEqual("081804");
+    expect(totpCode(RFC_SECRET, totpStep(1234567890 * 1000))).toEqual("005924");
+  });
+});
+
+describe("verifyTotp", function () {
+  const now = 1234567890 * 1000;
+
+  test("works: returns the step", function () {
+    expect(verifyTotp(RFC_SECRET, "005924", { now })).toEqual(totpStep(now));
+  });
+
+  test("works: allows one step of clock drift", function () {
+    const code = totpCode(RFC_SECRET, totpStep(now) - 1);
+    expect(verifyTotp(RFC_SECRET, code, { now })).toEqual(totpStep(now) - 1);
+    const old = totpCode(RFC_SECRET, totpStep(now) - 2);
+    expect(verifyTotp(RFC_SECRET, old, { now })).toBeNull();
+  });
+
+  test("null for a wrong code", function () {
+    expect(verifyTotp(RFC_SECRET, "000000", { now })).toBeNull();
+    expect(verifyTotp(RFC_SECRET, "5924", { now })).toBeNull();
+  });
+});
+
+describe("otpauthUri", function () {
+  test("works", function () {
+    expect(otpauthUri("ABC234", "u1")).toEqual(
+      "otpauth://totp/OurTabi%3Au1?secret=ABC234&issuer=OurTabi&algorithm=SHA1&digits=6&period=30"
+    );
+  });
+});
+
+describe("recovery codes", function () {
+  test("works: different each time", function () {
+    const codes = generateRecoveryCodes();
+    expect(codes).toHaveLength(10);
+    for (let code of codes) expect(code).toMatch(/^[A-Z2-7]{5}-[A-Z2-7]{5}$/);
+    expect(new Set(codes).size).toEqual(10);
+  });
+
+  test("works: normalize what users type", function () {
+    expect(normalizeRecoveryCode("k7qw2 mzp3a")).toEqual("K7QW2-MZP3A");
+    expect(normalizeRecoveryCode("K7QW2-MZP3A")).toEqual("K7QW2-MZP3A");
+  });
+});
+
+describe("secret encryption", function () {
+  test("works: round trip", function () {
+    const stored = encryptTotpSecret(RFC_SECRET);
+    expect(stored).not.toContain(RFC_SECRET);
+    expect(decryptTotpSecret(stored)).toEqual(RFC_SECRET);
+  });
+
+  test("throws if tampered with", function () {
+    const [iv, tag, encrypted] = encryptTotpSecret(RFC_SECRET).split(".");
+    const tampered = [
+      iv,
+      tag,
+      encrypted.replace(/^./, (c) => (c === "A" ? "B" : "A")),
+    ];
+    expect(() => decryptTotpSecret(tampered.join("."))).toThrow();
+  });
+});
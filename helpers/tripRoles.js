@@ -0,0 +1,72 @@
+/** Trip member roles and what each of them is allowed to do.
+ *
+ * Roles, from most to least privileged:
+ *  - owner:    full control, including deleting the trip
+ *  - co-owner: manages members, invites, join requests, expenses and comments alongside the owner
+ *  - editor:   edits trip details and any activity
+ *  - member:   adds activities (and edits their own) and expenses, votes and comments
+ *  - viewer:   read-only
+ */
+
+const TRIP_ROLES = ["owner", "co-owner", "editor", "member", "viewer"];
+
+const TRIP_PERMISSIONS = {
+  view: ["owner", "co-owner", "editor", "member", "viewer"],
+  editTrip: ["owner", "co-owner", "editor"],
+  deleteTrip: ["owner"],
+  transferOwnership: ["owner"],
+  manageMembers: ["owner", "co-owner"],
+  addActivity: ["owner", "co-owner", "editor", "member"],
+  manageActivities: ["owner", "co-owner", "editor"],
+  vote: ["owner", "co-owner", "editor", "member"],
+  comment: ["owner", "co-owner", "editor", "member"],
+  moderateComments: ["owner", "co-owner"],
+  addExpense: ["owner", "co-owner", "editor", "member"],
+  manageExpenses: ["owner", "co-owner"],
+};
+
+/** Check whether a role is allowed to perform an action.
+ *
+ * @param {string} role - the member's role, e.g. "editor"
+ * @param {string} action - a key of TRIP_PERMISSIONS, e.g. "editTrip"
+ *
+ * @returns {boolean}
+ *
+ * @throws {Error} - if the action is unknown (a programming error)
+ */
+function hasTripPermission(role, action) {
+  const allowedRoles = TRIP_PERMISSIONS[action];
+  if (!allowedRoles) throw new Error(`Unknown trip permission: ${action}`);
+  return allowedRoles.includes(role);
+}
+
+/** Check whether a member with actorRole may give or take away targetRole.
+ *
+ * Ownership is never assigned this way, and only the owner can appoint or
+ * demote co-owners.
+ *
+ * @returns {boolean}
+ */
+function canAssignTripRole(actorRole, targetRole) {
+  if (targetRole === "owner") return false;
+  if (targetRole === "co-owner") return actorRole === "owner";
+  return hasTripPermission(actorRole, "manageMembers");
+}
+
+/** Human readable list of the roles allowed to perform an action.
+ *
+ * Ex: "owner, co-owner or editor"
+ */
+function describeAllowedRoles(action) {
+  const roles = TRIP_PERMISSIONS[action];
+  if (roles.length === 1) return roles[0];
+  return `${roles.slice(0, -1).join(", ")} or ${roles[roles.length - 1]}`;
+}
+
+module.exports = {
+  TRIP_ROLES,
+  TRIP_PERMISSIONS,
+  hasTripPermission,
+  canAssignTripRole,
+  describeAllowedRoles,
+};
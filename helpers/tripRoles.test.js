@@ -0,0 +1,82 @@
+const {
+  TRIP_ROLES,
+  hasTripPermission,
+  canAssignTripRole,
+  describeAllowedRoles,
+} = require("./tripRoles");
+
+describe("hasTripPermission", function () {
+  test("works: every role can view", function () {
+    for (let role of TRIP_ROLES) {
+      expect(hasTripPermission(role, "view")).toBe(true);
+    }
+  });
+
+  test("works: only the owner can delete the trip", function () {
+    expect(hasTripPermission("owner", "deleteTrip")).toBe(true);
+    expect(hasTripPermission("co-owner", "deleteTrip")).toBe(false);
+  });
+
+  test("works: members cannot manage others' activities", function () {
+    expect(hasTripPermission("member", "addActivity")).toBe(true);
+    expect(hasTripPermission("member", "manageActivities")).toBe(false);
+    expect(hasTripPermission("editor", "manageActivities")).toBe(true);
+  });
+
+  test("works: viewers are read-only", function () {
+    expect(hasTripPermission("viewer", "comment")).toBe(false);
+    expect(hasTripPermission("viewer", "vote")).toBe(false);
+    expect(hasTripPermission("viewer", "addActivity")).toBe(false);
+  });
+
+  test("works: members add expenses, only owners manage them", function () {
+    expect(hasTripPermission("member", "addExpense")).toBe(true);
+    expect(hasTripPermission("viewer", "addExpense")).toBe(false);
+    expect(hasTripPermission("editor", "manageExpenses")).toBe(false);
+    expect(hasTripPermission("co-owner", "manageExpenses")).toBe(true);
+  });
+
+  test("works: only owners moderate comments", function () {
+    expect(hasTripPermission("co-owner", "moderateComments")).toBe(true);
+    expect(hasTripPermission("editor", "moderateComments")).toBe(false);
+  });
+
+  test("false for unknown roles", function () {
+    expect(hasTripPermission("stranger", "view")).toBe(false);
+  });
+
+  test("throws for unknown actions", function () {
+    expect(() => hasTripPermission("owner", "fly")).toThrow(
+      "Unknown trip permission: fly"
+    );
+  });
+});
+
+describe("canAssignTripRole", function () {
+  test("works: ownership cannot be assigned", function () {
+    expect(canAssignTripRole("owner", "owner")).toBe(false);
+  });
+
+  test("works: only the owner manages co-owners", function () {
+    expect(canAssignTripRole("owner", "co-owner")).toBe(true);
+    expect(canAssignTripRole("co-owner", "co-owner")).toBe(false);
+  });
+
+  test("works: co-owners can assign other roles", function () {
+    expect(canAssignTripRole("co-owner", "editor")).toBe(true);
+    expect(canAssignTripRole("co-owner", "viewer")).toBe(true);
+    expect(canAssignTripRole("editor", "viewer")).toBe(false);
+  });
+});
+
+describe("describeAllowedRoles", function () {
+  test("works: single role", function () {
+    expect(describeAllowedRoles("deleteTrip")).toEqual("owner");
+  });
+
+  test("works: several roles", function () {
+    expect(describeAllowedRoles("editTrip")).toEqual(
+      "owner, co-owner or editor"
+    );
+  });
+});
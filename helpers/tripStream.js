@@ -0,0 +1,134 @@
+"use strict";
+
+/** Live trip updates over Server-Sent Events.
+ *
+ * Trip members open a stream on a trip (GET /trips/:tripId/stream) and get
+ * the trip's app events (see helpers/events.js) as they happen. Each message
+ * is named after the app event and carries its payload as JSON:
+ *
+ *   event: vote.changed
+ *   data: {"tripId":1,"activityId":4,"userId":2,"voteValue":1,"upvotes":3,"downvotes":0}
+ */
+
+const { subscribe } = require("./events");
+
+const TRIP_EVENTS = [
+  "activity.created",
+  "activity.updated",
+  "activity.deleted",
+  "vote.changed",
+  "comment.created",
+  "comment.updated",
+  "comment.deleted",
+  "tripMember.added",
+  "tripMember.updated",
+  "tripMember.removed",
+];
+
+// keeps idle connections from being dropped by proxies
+const HEARTBEAT_MS = 25 * 1000;
+
+/** tripId => Set of open streams { userId, res, close } */
+const streams = new Map();
+
+let registered = false;
+
+function writeEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/** Start streaming a trip's events to a member.
+ *
+ * Sends a "ready" event straight away; the stream stays open until the
+ * client disconnects, the member is removed from the trip, the token it was
+ * opened with expires (expiresAt, in ms) or checkAccess, an async function
+ * asked again on every heartbeat, returns false.
+ */
+function openTripStream(req, res, { tripId, userId, expiresAt, checkAccess }) {
+  tripId = Number(tripId);
+
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  writeEvent(res, "ready", { tripId });
+
+  const heartbeat = setInterval(async () => {
+    res.write(": ping\n\n");
+    if (!checkAccess) return;
+    // a stream outlives the request that authorized it, so logging out or
+    // signing out everywhere has to end it too; if unsure, end it
+    const allowed = await checkAccess().catch(() => false);
+    if (!allowed) stream.close();
+  }, HEARTBEAT_MS);
+  heartbeat.unref();
+
+  let expiry;
+  if (expiresAt !== undefined) {
+    expiry = setTimeout(
+      () => stream.close(),
+      Math.max(expiresAt - Date.now(), 0)
+    );
+    expiry.unref();
+  }
+
+  let closed = false;
+  const stream = {
+    userId,
+    res,
+    close() {
+      if (closed) return;
+      closed = true;
+      clearInterval(heartbeat);
+      clearTimeout(expiry);
+      const tripStreams = streams.get(tripId);
+      tripStreams.delete(stream);
+      if (!tripStreams.size) streams.delete(tripId);
+      res.end();
+    },
+  };
+
+  if (!streams.has(tripId)) streams.set(tripId, new Set());
+  streams.get(tripId).add(stream);
+  req.on("close", stream.close);
+
+  return stream;
+}
+
+/** Send an event to every stream open on a trip. */
+function broadcast(tripId, event, data) {
+  for (let stream of streams.get(Number(tripId)) || []) {
+    writeEvent(stream.res, event, data);
+  }
+}
+
+/** Number of streams open on a trip. */
+function countTripStreams(tripId) {
+  return streams.has(Number(tripId)) ? streams.get(Number(tripId)).size : 0;
+}
+
+/** Forward trip events to open streams. Safe to call more than once. */
+function registerTripStreamListeners() {
+  if (registered) return;
+  registered = true;
+
+  for (let event of TRIP_EVENTS) {
+    subscribe(event, (payload) => broadcast(payload.tripId, event, payload));
+  }
+
+  // removed members stop getting the trip's updates
+  subscribe("tripMember.removed", (member) => {
+    for (let stream of streams.get(Number(member.tripId)) || []) {
+      if (stream.userId === member.userId) stream.close();
+    }
+  });
+}
+
+module.exports = {
+  openTripStream,
+  broadcast,
+  countTripStreams,
+  registerTripStreamListeners,
+};
@@ -0,0 +1,142 @@
+const { EventEmitter } = require("events");
+const { publish } = require("./events");
+const {
+  openTripStream,
+  broadcast,
+  countTripStreams,
+  registerTripStreamListeners,
+} = require("./tripStream");
+
+registerTripStreamListeners();
+
+function fakeConnection() {
+  const req = new EventEmitter();
+  const res = {
+    chunks: [],
+    ended: false,
+    writeHead: jest.fn(),
+    write(chunk) {
+      this.chunks.push(chunk);
+    },
+    end() {
+      this.ended = true;
+    },
+  };
+  return { req, res };
+}
+
+describe("openTripStream", function () {
+  test("works: sends headers and a ready event", function () {
+    const { req, res } = fakeConnection();
+    openTripStream(req, res, { tripId: "1", userId: 5 });
+
+    expect(res.writeHead).toHaveBeenCalledWith(
+      200,
+      expect.objectContaining({ "Content-Type": "text/event-stream" })
+    );
+    expect(res.chunks).toEqual(['event: ready\ndata: {"tripId":1}\n\n']);
+    expect(countTripStreams(1)).toEqual(1);
+
+    req.emit("close");
+    expect(countTripStreams(1)).toEqual(0);
+    expect(res.ended).toEqual(true);
+  });
+});
+
+describe("openTripStream: ending", function () {
+  beforeEach(() => jest.useFakeTimers());
+  afterEach(() => jest.useRealTimers());
+
+  test("works: closes when the token expires", function () {
+    const { req, res } = fakeConnection();
+    openTripStream(req, res, {
+      tripId: 3,
+      userId: 5,
+      expiresAt: Date.now() + 60 * 1000,
+    });
+
+    jest.advanceTimersByTime(59 * 1000);
+    expect(res.ended).toEqual(false);
+    jest.advanceTimersByTime(1000);
+    expect(res.ended).toEqual(true);
+    expect(countTripStreams(3)).toEqual(0);
+  });
+
+  test("works: closes once access is no longer allowed", async function () {
+    const { req, res } = fakeConnection();
+    const checkAccess = jest.fn().mockResolvedValue(true);
+    openTripStream(req, res, { tripId: 3, userId: 5, checkAccess });
+
+    await jest.advanceTimersByTimeAsync(25 * 1000);
+    expect(checkAccess).toHaveBeenCalledTimes(1);
+    expect(res.ended).toEqual(false);
+
+    checkAccess.mockResolvedValue(false);
+    await jest.advanceTimersByTimeAsync(25 * 1000);
+    expect(res.ended).toEqual(true);
+    expect(countTripStreams(3)).toEqual(0);
+  });
+
+  test("works: closes if access can't be checked", async function () {
+    const { req, res } = fakeConnection();
+    const checkAccess = jest.fn().mockRejectedValue(new Error("db down"));
+    openTripStream(req, res, { tripId: 3, userId: 5, checkAccess });
+
+    await jest.advanceTimersByTimeAsync(25 * 1000);
+    expect(res.ended).toEqual(true);
+  });
+});
+
+describe("broadcast", function () {
+  test("works: only streams on that trip", function () {
+    const a = fakeConnection();
+    const b = fakeConnection();
+    openTripStream(a.req, a.res, { tripId: 1, userId: 5 });
+    openTripStream(b.req, b.res, { tripId: 2, userId: 5 });
+
+    broadcast(1, "activity.deleted", { id: 3, tripId: 1 });
+    expect(a.res.chunks[1]).toEqual(
+      'event: activity.deleted\ndata: {"id":3,"tripId":1}\n\n'
+    );
+    expect(b.res.chunks.length).toEqual(1);
+
+    a.req.emit("close");
+    b.req.emit("close");
+  });
+});
+
+describe("registerTripStreamListeners", function () {
+  test("works: forwards trip events", async function () {
+    const { req, res } = fakeConnection();
+    openTripStream(req, res, { tripId: 7, userId: 5 });
+
+    await publish("vote.changed", {
+      tripId: 7,
+      activityId: 2,
+      userId: 6,
+      voteValue: 1,
+      upvotes: 1,
+      downvotes: 0,
+    });
+    await publish("friendRequest.sent", { id: 1, senderId: 5, recipientId: 6 });
+
+    expect(res.chunks.length).toEqual(2);
+    expect(res.chunks[1]).toMatch(/^event: vote.changed\n/);
+    req.emit("close");
+  });
+
+  test("works: closes the streams of removed members", async function () {
+    const removed = fakeConnection();
+    const staying = fakeConnection();
+    openTripStream(removed.req, removed.res, { tripId: 7, userId: 5 });
+    openTripStream(staying.req, staying.res, { tripId: 7, userId: 6 });
+
+    await publish("tripMember.removed", { id: 9, userId: 5, tripId: 7 });
+
+    expect(removed.res.chunks[1]).toMatch(/^event: tripMember.removed\n/);
+    expect(removed.res.ended).toEqual(true);
+    expect(staying.res.ended).toEqual(false);
+    expect(countTripStreams(7)).toEqual(1);
+    staying.req.emit("close");
+  });
+});
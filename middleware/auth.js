@@ -4,28 +4,66 @@
 
 const jwt = require("jsonwebtoken");
 const { SECRET_KEY } = require("../config");
-const { UnauthorizedError } = require("../helpers/expressError");
+const { checkSession } = require("./session");
+const {
+  UnauthorizedError,
+  ForbiddenError,
+} = require("../helpers/expressError");
 
 /** Middleware: Authenticate user.
  *
- * If a token was provided, verify it, and, if valid, store the token payload
- * on res.locals.user (this will include the username, id, and isAdmin field.)
+ * If a token was provided, verify it, check it hasn't been revoked (see
+ * middleware/session.js) and, if valid, store the token payload on
+ * res.locals.user (this will include the username, id, isAdmin and
+ * emailVerified fields.)
  *
  * It's not an error if no token was provided or if the token is not valid.
  */
 
-function authenticateJWT(req, res, next) {
+async function authenticateJWT(req, res, next) {
   res.locals.user = undefined;
+  const authHeader = req.headers && req.headers.authorization;
+  if (!authHeader) return next();
+
+  let payload;
+  try {
+    const token = authHeader.replace(/^[Bb]earer /, "").trim();
+    payload = jwt.verify(token, SECRET_KEY);
+  } catch (err) {
+    return next();
+  }
+
+  try {
+    res.locals.user = await checkSession(payload);
+  } catch (err) {
+    return next(err);
+  }
+  return next();
+}
+
+/** Middleware: Authenticate user from a `token` query parameter.
+ *
+ * For endpoints browsers open with EventSource, which cannot send an
+ * Authorization header. A token in the header still takes precedence.
+ *
+ * Like authenticateJWT, it's not an error if the token is missing or invalid.
+ */
+
+async function authenticateQueryToken(req, res, next) {
+  if (res.locals.user || !req.query.token) return next();
+
+  let payload;
   try {
-    const authHeader = req.headers.authorization;
-    if (authHeader) {
-      const token = authHeader.replace(/^[Bb]earer /, "").trim();
-      res.locals.user = jwt.verify(token, SECRET_KEY);
-    }
+    payload = jwt.verify(String(req.query.token), SECRET_KEY);
   } catch (err) {
     return next();
   }
 
+  try {
+    res.locals.user = await checkSession(payload);
+  } catch (err) {
+    return next(err);
+  }
   return next();
 }
 
@@ -41,6 +79,24 @@ function ensureLoggedIn(req, res, next) {
   return next();
 }
 
+/** Middleware to use when the user must have verified their email address.
+ *
+ * Relies on res.locals.user.emailVerified (see middleware/session.js).
+ * If not verified, raises Forbidden.
+ */
+
+function ensureVerifiedEmail(req, res, next) {
+  if (!res.locals.user) {
+    return next(new UnauthorizedError("You must be logged in."));
+  }
+  if (!res.locals.user.emailVerified) {
+    return next(
+      new ForbiddenError("Please verify your email address to do this.")
+    );
+  }
+  return next();
+}
+
 /** Middleware to use when the user must be an admin.
  *
  * If not, raises Unauthorized.
@@ -52,6 +108,21 @@ function ensureAdmin(req, res, next) {
   return next();
 }
 
+/** Middleware to use when the user must be that user; admins don't count.
+ *
+ * If not, raise unauthorized error
+ */
+function ensureCorrectUser(req, res, next) {
+  const user = res.locals.user;
+  if (!user || user.username !== req.params.username) {
+    return next(
+      new UnauthorizedError("You do not have permission to access this page.")
+    );
+  }
+
+  return next();
+}
+
 /** Middleware to use when the user must be that user or an admin.
  *
  * If not, raise unauthorized error
@@ -72,7 +143,10 @@ function ensureCorrectUserOrAdmin(req, res, next) {
 
 module.exports = {
   authenticateJWT,
+  authenticateQueryToken,
   ensureLoggedIn,
+  ensureVerifiedEmail,
   ensureAdmin,
+  ensureCorrectUser,
   ensureCorrectUserOrAdmin,
 };
@@ -1,53 +1,156 @@
 "use strict";
 
 const jwt = require("jsonwebtoken");
-const { UnauthorizedError } = require("../helpers/expressError");
+const {
+  UnauthorizedError,
+  ForbiddenError,
+} = require("../helpers/expressError");
 const {
   authenticateJWT,
+  authenticateQueryToken,
   ensureLoggedIn,
+  ensureVerifiedEmail,
   ensureAdmin,
+  ensureCorrectUser,
   ensureCorrectUserOrAdmin,
 } = require("./auth");
 
+const db = require("../db");
+const Session = require("../models/session");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+  testUserIds,
+} = require("../models/_testCommon");
+
 const { SECRET_KEY } = require("../config");
-const testJwt = jwt.sign(
-  { id: 22, username: "test", isAdmin: false },
-  SECRET_KEY
-);
 const badJwt = jwt.sign({ id: 38, username: "test", isAdmin: false }, "wrong");
 
+/** A token for fixture user u1, with any extra claims. */
+function u1Jwt(claims = {}) {
+  return jwt.sign(
+    { id: testUserIds[0], username: "u1", isAdmin: false, ...claims },
+    SECRET_KEY
+  );
+}
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
 describe("authenticateJWT", function () {
-  test("works: via header", function () {
-    expect.assertions(2);
-    const req = { headers: { authorization: `Bearer ${testJwt}` } };
+  test("works: via header", async function () {
+    const req = { headers: { authorization: `Bearer ${u1Jwt()}` } };
     const res = { locals: {} };
     const next = jest.fn();
-    authenticateJWT(req, res, next);
+    await authenticateJWT(req, res, next);
     expect(next).toHaveBeenCalledWith();
     expect(res.locals.user).toEqual({
-      id: 22,
+      id: testUserIds[0],
       iat: expect.any(Number),
-      username: "test",
+      username: "u1",
       isAdmin: false,
+      emailVerified: true,
     });
   });
 
-  test("works: no header", function () {
-    expect.assertions(2);
+  test("works: no header", async function () {
     const req = {};
     const res = { locals: {} };
     const next = jest.fn();
-    authenticateJWT(req, res, next);
+    await authenticateJWT(req, res, next);
     expect(next).toHaveBeenCalledWith();
     expect(res.locals).toEqual({});
   });
 
-  test("works: invalid token", function () {
-    expect.assertions(2);
+  test("works: invalid token", async function () {
     const req = { headers: { authorization: `Bearer ${badJwt}` } };
     const res = { locals: {} };
     const next = jest.fn();
-    authenticateJWT(req, res, next);
+    await authenticateJWT(req, res, next);
+    expect(next).toHaveBeenCalledWith();
+    expect(res.locals).toEqual({});
+  });
+
+  test("works: active session", async function () {
+    const { sessionId } = await Session.create(testUserIds[0]);
+    const req = {
+      headers: { authorization: `Bearer ${u1Jwt({ sessionId })}` },
+    };
+    const res = { locals: {} };
+    const next = jest.fn();
+    await authenticateJWT(req, res, next);
+    expect(res.locals.user.sessionId).toEqual(sessionId);
+  });
+
+  test("revoked: ended session", async function () {
+    const { sessionId, refreshToken } = await Session.create(testUserIds[0]);
+    await Session.revoke(refreshToken);
+    const req = {
+      headers: { authorization: `Bearer ${u1Jwt({ sessionId })}` },
+    };
+    const res = { locals: {} };
+    const next = jest.fn();
+    await authenticateJWT(req, res, next);
+    expect(next).toHaveBeenCalledWith();
+    expect(res.locals.user).toBeUndefined();
+  });
+
+  test("revoked: older token version", async function () {
+    await db.query("UPDATE users SET token_version = 1 WHERE id = $1", [
+      testUserIds[0],
+    ]);
+    const req = { headers: { authorization: `Bearer ${u1Jwt()}` } };
+    const res = { locals: {} };
+    const next = jest.fn();
+    await authenticateJWT(req, res, next);
+    expect(res.locals.user).toBeUndefined();
+  });
+
+  test("revoked: deleted user", async function () {
+    const req = {
+      headers: { authorization: `Bearer ${u1Jwt({ id: 0 })}` },
+    };
+    const res = { locals: {} };
+    const next = jest.fn();
+    await authenticateJWT(req, res, next);
+    expect(res.locals.user).toBeUndefined();
+  });
+});
+
+describe("authenticateQueryToken", function () {
+  test("works: via query", async function () {
+    const req = { query: { token: u1Jwt() } };
+    const res = { locals: {} };
+    const next = jest.fn();
+    await authenticateQueryToken(req, res, next);
+    expect(next).toHaveBeenCalledWith();
+    expect(res.locals.user).toEqual({
+      id: testUserIds[0],
+      iat: expect.any(Number),
+      username: "u1",
+      isAdmin: false,
+      emailVerified: true,
+    });
+  });
+
+  test("works: header user takes precedence", async function () {
+    const req = { query: { token: u1Jwt() } };
+    const res = { locals: { user: { id: 1, username: "other" } } };
+    const next = jest.fn();
+    await authenticateQueryToken(req, res, next);
+    expect(next).toHaveBeenCalledWith();
+    expect(res.locals.user).toEqual({ id: 1, username: "other" });
+  });
+
+  test("works: invalid token", async function () {
+    const req = { query: { token: badJwt } };
+    const res = { locals: {} };
+    const next = jest.fn();
+    await authenticateQueryToken(req, res, next);
     expect(next).toHaveBeenCalledWith();
     expect(res.locals).toEqual({});
   });
@@ -73,6 +176,34 @@ describe("ensureLoggedIn", function () {
   });
 });
 
+describe("ensureVerifiedEmail", function () {
+  test("works", function () {
+    const req = {};
+    const res = { locals: { user: { username: "test", emailVerified: true } } };
+    const next = jest.fn();
+    ensureVerifiedEmail(req, res, next);
+    expect(next).toHaveBeenCalledWith();
+  });
+
+  test("forbidden if not verified", function () {
+    const req = {};
+    const res = {
+      locals: { user: { username: "test", emailVerified: false } },
+    };
+    const next = jest.fn();
+    ensureVerifiedEmail(req, res, next);
+    expect(next).toHaveBeenCalledWith(expect.any(ForbiddenError));
+  });
+
+  test("unauth if no login", function () {
+    const req = {};
+    const res = { locals: {} };
+    const next = jest.fn();
+    ensureVerifiedEmail(req, res, next);
+    expect(next).toHaveBeenCalledWith(expect.any(UnauthorizedError));
+  });
+});
+
 describe("ensureAdmin", function () {
   test("works", function () {
     expect.assertions(1);
@@ -101,6 +232,32 @@ describe("ensureAdmin", function () {
     expect(next).toHaveBeenCalledWith(expect.any(UnauthorizedError));
   });
 });
+describe("ensureCorrectUser", function () {
+  test("works: same user", function () {
+    const req = { params: { username: "test" } };
+    const res = { locals: { user: { username: "test", isAdmin: false } } };
+    const next = jest.fn();
+    ensureCorrectUser(req, res, next);
+    expect(next).toHaveBeenCalledWith();
+  });
+
+  test("unauth: admin who is not the user", function () {
+    const req = { params: { username: "test" } };
+    const res = { locals: { user: { username: "admin", isAdmin: true } } };
+    const next = jest.fn();
+    ensureCorrectUser(req, res, next);
+    expect(next).toHaveBeenCalledWith(expect.any(UnauthorizedError));
+  });
+
+  test("unauth: if anon", function () {
+    const req = { params: { username: "test" } };
+    const res = { locals: {} };
+    const next = jest.fn();
+    ensureCorrectUser(req, res, next);
+    expect(next).toHaveBeenCalledWith(expect.any(UnauthorizedError));
+  });
+});
+
 describe("ensureCorrectUserOrAdmin", function () {
   test("works for admin, even though not the same user", function () {
     expect.assertions(1);
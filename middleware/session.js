@@ -0,0 +1,31 @@
+"use strict";
+
+/** Checks that a logged-in user's token hasn't been revoked. */
+
+const User = require("../models/user");
+
+/** Look up the user a verified token payload belongs to.
+ *
+ * Tokens carry the user's token version and usually a session id (see
+ * createToken). The version goes up when all of a user's sessions should end,
+ * e.g. when their password is reset or they log out everywhere, and a session
+ * ends when they log out. Tokens from an older version, an ended session or
+ * for a deleted user are revoked.
+ *
+ * Returns the payload with the account's current `emailVerified` added, or
+ * undefined if the token was revoked.
+ */
+async function checkSession(payload) {
+  const state = await User.getSessionState(payload.id, payload.sessionId);
+  if (
+    !state ||
+    !state.sessionActive ||
+    state.tokenVersion !== (payload.tokenVersion || 0)
+  ) {
+    return undefined;
+  }
+
+  return { ...payload, emailVerified: state.emailVerified };
+}
+
+module.exports = { checkSession };
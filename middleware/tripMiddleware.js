@@ -1,4 +1,9 @@
 const { NotFoundError, ForbiddenError } = require("../helpers/expressError");
+const {
+  TRIP_PERMISSIONS,
+  hasTripPermission,
+  describeAllowedRoles,
+} = require("../helpers/tripRoles");
 const Trip = require("../models/trip");
 const TripMember = require("../models/tripMember");
 
@@ -16,38 +21,39 @@ async function ensureTripExists(req, res, next) {
   }
 }
 
-/** Middleware: Ensures the logged-in user is the trip owner */
-async function ensureTripOwner(req, res, next) {
-  try {
-    const userId = res.locals.user.id;
-    const tripId = req.params.tripId;
-
-    const owner = await Trip.isOwner(userId, tripId);
-    if (!owner)
-      throw new ForbiddenError("Only the trip owner can perform this action.");
-
-    return next();
-  } catch (err) {
-    return next(err);
+/** Middleware factory: Ensures the logged-in user is a trip member whose role
+ *  allows `action` (see helpers/tripRoles.js).
+ *
+ *  Sets `res.locals.tripMember` to the user's membership { id, userId, tripId, role }.
+ **/
+function ensureTripPermission(action) {
+  // fail on typos when the routes are defined rather than on first request
+  if (!TRIP_PERMISSIONS[action]) {
+    throw new Error(`Unknown trip permission: ${action}`);
   }
-}
 
-/** Middleware: Ensures the logged-in user is a trip member */
-async function ensureTripMember(req, res, next) {
-  try {
-    const userId = res.locals.user.id;
-    const tripId = req.params.tripId;
-
-    const member = await TripMember.isMember(userId, tripId);
-    if (!member)
-      throw new ForbiddenError(
-        "You must be a member of this trip to perform this action"
-      );
-
-    return next();
-  } catch (err) {
-    return next(err);
-  }
+  return async function (req, res, next) {
+    try {
+      const userId = res.locals.user.id;
+      const tripId = req.params.tripId;
+
+      const member = await TripMember.isMember(userId, tripId);
+      if (!member)
+        throw new ForbiddenError(
+          "You must be a member of this trip to perform this action"
+        );
+
+      if (!hasTripPermission(member.role, action))
+        throw new ForbiddenError(
+          `Only the trip ${describeAllowedRoles(action)} can perform this action.`
+        );
+
+      res.locals.tripMember = member;
+      return next();
+    } catch (err) {
+      return next(err);
+    }
+  };
 }
 
-module.exports = { ensureTripExists, ensureTripOwner, ensureTripMember };
+module.exports = { ensureTripExists, ensureTripPermission };
@@ -13,4 +13,22 @@ function validateSchema(schema) {
   };
 }
 
-module.exports = { validateSchema };
+// the largest INTEGER id Postgres has
+const MAX_ID = 2147483647;
+
+/** Check that the named route params (e.g. "inviteId") are ids: positive
+ *  whole numbers. Otherwise, raises BadRequestError. */
+function validateIdParams(...names) {
+  return (req, res, next) => {
+    for (const name of names) {
+      const value = req.params[name];
+      if (!/^[1-9]\d*$/.test(value) || Number(value) > MAX_ID) {
+        return next(new BadRequestError(`${name} must be a positive integer.`));
+      }
+    }
+
+    next();
+  };
+}
+
+module.exports = { validateSchema, validateIdParams };
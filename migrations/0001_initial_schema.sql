@@ -1,3 +1,10 @@
+-- The schema as it was before migrations (see helpers/migrations.js), the
+-- same as the old ourtabi-schema.sql. Databases created from that file
+-- already have it: mark it as applied with npm run migrate:baseline -- 0001,
+-- then run the rest with npm run migrate.
+
+-- migrate:up
+
 CREATE TABLE users (
     id SERIAL PRIMARY KEY,
     username VARCHAR(25) NOT NULL UNIQUE,
@@ -80,4 +87,8 @@ CREATE TABLE comment (
     trip_id INTEGER NOT NULL REFERENCES trip(id) ON DELETE CASCADE,
     text TEXT NOT NULL,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-);
\ No newline at end of file
+);
+
+-- migrate:down
+
+DROP TABLE comment, vote, activity, trip_member, trip, friend, users;
@@ -0,0 +1,306 @@
+-- Everything the schema gained after the old ourtabi-schema.sql (0001) and
+-- before migrations: email verification, sessions, two-factor and other
+-- logins, trip roles, invites and join requests, activity times, comment
+-- threads, expenses, notifications and the email outbox.
+
+-- migrate:up
+
+ALTER TABLE users
+    ADD COLUMN email_verified BOOLEAN NOT NULL DEFAULT FALSE,
+    -- bumped to sign the user out everywhere (see middleware/session.js)
+    ADD COLUMN token_version INTEGER NOT NULL DEFAULT 0,
+    -- two-factor authentication (see models/twoFactor.js); the secret is
+    -- encrypted, and the last used time step stops codes being replayed
+    ADD COLUMN totp_secret TEXT,
+    ADD COLUMN totp_enabled BOOLEAN NOT NULL DEFAULT FALSE,
+    ADD COLUMN totp_last_step INTEGER,
+    ADD COLUMN calendar_token_hash TEXT UNIQUE,
+    ADD COLUMN email_friend_requests BOOLEAN NOT NULL DEFAULT TRUE,
+    ADD COLUMN email_trip_invites BOOLEAN NOT NULL DEFAULT TRUE,
+    ADD COLUMN email_digest BOOLEAN NOT NULL DEFAULT TRUE,
+    ADD COLUMN digest_sent_at TIMESTAMP;
+
+-- only the hash of each token is stored; see User.createPasswordResetToken
+CREATE TABLE password_reset_token (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    token_hash TEXT NOT NULL UNIQUE,
+    expires_at TIMESTAMP NOT NULL,
+    used_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- single-use codes for logging in without the authenticator app; only hashes are stored
+CREATE TABLE totp_recovery_code (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    code_hash TEXT NOT NULL,
+    used_at TIMESTAMP,
+    UNIQUE (user_id, code_hash)
+);
+
+-- a token verifies the address it was sent to, not whatever the user's email is now
+CREATE TABLE email_verification_token (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    email TEXT NOT NULL,
+    token_hash TEXT NOT NULL UNIQUE,
+    expires_at TIMESTAMP NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- one row per login; a session ends when revoked or when the user's
+-- token_version moves past the one it was created with
+CREATE TABLE user_session (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    token_version INTEGER NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    last_used_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    revoked_at TIMESTAMP
+);
+
+-- each refresh token is used once and replaced by a new one (see models/session.js)
+CREATE TABLE refresh_token (
+    id SERIAL PRIMARY KEY,
+    session_id INTEGER NOT NULL REFERENCES user_session(id) ON DELETE CASCADE,
+    token_hash TEXT NOT NULL UNIQUE,
+    expires_at TIMESTAMP NOT NULL,
+    used_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- accounts with other providers users log in with (see models/externalIdentity.js)
+CREATE TABLE user_identity (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    provider TEXT NOT NULL,
+    -- the provider's id for the account ("sub")
+    subject TEXT NOT NULL,
+    email TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    last_login_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (provider, subject)
+);
+
+-- logins with other providers waiting for the user to come back; only the
+-- state's hash is stored
+CREATE TABLE oidc_login (
+    state_hash TEXT PRIMARY KEY,
+    provider TEXT NOT NULL,
+    nonce TEXT NOT NULL,
+    code_verifier TEXT NOT NULL,
+    expires_at TIMESTAMP NOT NULL
+);
+
+-- every login attempt, for slowing down password guessing (see models/loginAttempt.js)
+CREATE TABLE login_attempt (
+    id SERIAL PRIMARY KEY,
+    username TEXT NOT NULL,
+    ip TEXT,
+    succeeded BOOLEAN NOT NULL,
+    -- set when a successful login or an admin unlock stops the failure counting
+    cleared_at TIMESTAMP,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX login_attempt_username_idx
+    ON login_attempt (username, created_at) WHERE NOT succeeded;
+
+CREATE INDEX login_attempt_ip_idx
+    ON login_attempt (ip, created_at) WHERE NOT succeeded;
+
+-- for pruning attempts too old to count (see LoginAttempt.start)
+CREATE INDEX login_attempt_created_at_idx ON login_attempt (created_at);
+
+ALTER TABLE trip
+    ADD COLUMN base_currency CHAR(3) NOT NULL DEFAULT 'USD';
+
+ALTER TABLE trip_member
+    DROP CONSTRAINT trip_member_role_check,
+    ADD CONSTRAINT trip_member_role_check
+        CHECK (role IN ('owner', 'co-owner', 'editor', 'member', 'viewer'));
+
+ALTER TABLE activity
+    ADD COLUMN end_time TIMESTAMP,
+    ADD COLUMN status TEXT CHECK (status IN ('proposed', 'accepted', 'rejected')) DEFAULT 'proposed',
+    ADD CHECK (end_time IS NULL OR end_time > scheduled_time);
+
+ALTER TABLE comment
+    ADD COLUMN activity_id INTEGER REFERENCES activity(id) ON DELETE CASCADE,
+    ADD COLUMN parent_id INTEGER REFERENCES comment(id) ON DELETE CASCADE,
+    ADD COLUMN edited_at TIMESTAMP,
+    ADD COLUMN deleted_at TIMESTAMP,
+    ADD COLUMN deleted_by INTEGER REFERENCES users(id) ON DELETE SET NULL;
+
+-- earlier versions of a comment, saved each time it is edited
+CREATE TABLE comment_revision (
+    id SERIAL PRIMARY KEY,
+    comment_id INTEGER NOT NULL REFERENCES comment(id) ON DELETE CASCADE,
+    text TEXT NOT NULL,
+    written_at TIMESTAMP NOT NULL,
+    replaced_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE comment_mention (
+    comment_id INTEGER NOT NULL REFERENCES comment(id) ON DELETE CASCADE,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (comment_id, user_id)
+);
+
+CREATE TABLE comment_reaction (
+    comment_id INTEGER NOT NULL REFERENCES comment(id) ON DELETE CASCADE,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    emoji TEXT NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (comment_id, user_id, emoji)
+);
+
+CREATE TABLE trip_invite (
+    id SERIAL PRIMARY KEY,
+    trip_id INTEGER NOT NULL REFERENCES trip(id) ON DELETE CASCADE,
+    code TEXT NOT NULL UNIQUE,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    expires_at TIMESTAMP NOT NULL,
+    max_uses INTEGER CHECK (max_uses > 0),
+    use_count INTEGER NOT NULL DEFAULT 0,
+    revoked_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE trip_join_request (
+    id SERIAL PRIMARY KEY,
+    trip_id INTEGER NOT NULL REFERENCES trip(id) ON DELETE CASCADE,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    message TEXT,
+    status TEXT CHECK (status IN ('pending', 'approved', 'denied', 'cancelled')) DEFAULT 'pending',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    responded_at TIMESTAMP
+);
+
+-- a user can only have one open request per trip
+CREATE UNIQUE INDEX trip_join_request_pending_idx
+    ON trip_join_request (trip_id, user_id)
+    WHERE status = 'pending';
+
+-- amounts are stored in cents (hundredths of the currency unit). paid_by and
+-- expense_share.user_id don't cascade: the other members' balances depend on
+-- them, so a user can't be deleted while they're in a shared trip's ledger
+-- (see User.remove)
+CREATE TABLE expense (
+    id SERIAL PRIMARY KEY,
+    trip_id INTEGER NOT NULL REFERENCES trip(id) ON DELETE CASCADE,
+    paid_by INTEGER NOT NULL REFERENCES users(id),
+    activity_id INTEGER REFERENCES activity(id) ON DELETE SET NULL,
+    description TEXT NOT NULL,
+    amount_cents INTEGER NOT NULL CHECK (amount_cents > 0),
+    currency CHAR(3) NOT NULL DEFAULT 'USD',
+    split_type TEXT NOT NULL CHECK (split_type IN ('equal', 'shares', 'exact')) DEFAULT 'equal',
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE expense_share (
+    expense_id INTEGER NOT NULL REFERENCES expense(id) ON DELETE CASCADE,
+    user_id INTEGER NOT NULL REFERENCES users(id),
+    shares INTEGER CHECK (shares > 0),
+    amount_cents INTEGER NOT NULL CHECK (amount_cents >= 0),
+    PRIMARY KEY (expense_id, user_id)
+);
+
+-- 1 base = rate quote; managed by admins, no live rate lookups
+CREATE TABLE exchange_rate (
+    base CHAR(3) NOT NULL,
+    quote CHAR(3) NOT NULL,
+    rate NUMERIC(18, 8) NOT NULL CHECK (rate > 0),
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (base, quote),
+    CHECK (base <> quote)
+);
+
+CREATE TABLE notification (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    type TEXT NOT NULL CHECK (
+        type IN (
+            'friend_request',
+            'friend_accepted',
+            'trip_added',
+            'activity_added',
+            'comment',
+            'comment_reply',
+            'mention'
+        )
+    ),
+    actor_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    trip_id INTEGER REFERENCES trip(id) ON DELETE CASCADE,
+    activity_id INTEGER REFERENCES activity(id) ON DELETE CASCADE,
+    comment_id INTEGER REFERENCES comment(id) ON DELETE CASCADE,
+    friend_request_id INTEGER REFERENCES friend(id) ON DELETE CASCADE,
+    read_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX notification_unread_idx
+    ON notification (user_id) WHERE read_at IS NULL;
+
+-- emails waiting to be sent; scripts/emailWorker.js delivers them and retries failures
+CREATE TABLE email_outbox (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    to_address TEXT NOT NULL,
+    kind TEXT NOT NULL,
+    subject TEXT NOT NULL,
+    body TEXT NOT NULL,
+    status TEXT NOT NULL CHECK (status IN ('pending', 'sent', 'failed')) DEFAULT 'pending',
+    attempts INTEGER NOT NULL DEFAULT 0,
+    last_error TEXT,
+    next_attempt_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    sent_at TIMESTAMP
+);
+
+CREATE INDEX email_outbox_due_idx
+    ON email_outbox (next_attempt_at) WHERE status = 'pending';
+
+-- migrate:down
+
+DROP TABLE email_outbox, notification, exchange_rate, expense_share,
+    expense, trip_join_request, trip_invite, comment_reaction,
+    comment_mention, comment_revision, login_attempt, oidc_login,
+    user_identity, refresh_token, user_session, email_verification_token,
+    totp_recovery_code, password_reset_token;
+
+ALTER TABLE comment
+    DROP COLUMN activity_id,
+    DROP COLUMN parent_id,
+    DROP COLUMN edited_at,
+    DROP COLUMN deleted_at,
+    DROP COLUMN deleted_by;
+
+-- dropping end_time drops the check on it too
+ALTER TABLE activity
+    DROP COLUMN end_time,
+    DROP COLUMN status;
+
+-- members with the newer roles become plain members
+UPDATE trip_member SET role = 'member' WHERE role NOT IN ('owner', 'member');
+
+ALTER TABLE trip_member
+    DROP CONSTRAINT trip_member_role_check,
+    ADD CONSTRAINT trip_member_role_check CHECK (role IN ('owner', 'member'));
+
+ALTER TABLE trip DROP COLUMN base_currency;
+
+ALTER TABLE users
+    DROP COLUMN email_verified,
+    DROP COLUMN token_version,
+    DROP COLUMN totp_secret,
+    DROP COLUMN totp_enabled,
+    DROP COLUMN totp_last_step,
+    DROP COLUMN calendar_token_hash,
+    DROP COLUMN email_friend_requests,
+    DROP COLUMN email_trip_invites,
+    DROP COLUMN email_digest,
+    DROP COLUMN digest_sent_at;
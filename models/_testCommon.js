@@ -13,9 +13,12 @@ async function commonBeforeAll() {
   await db.query("DELETE FROM trip");
   await db.query("DELETE FROM trip_member");
   await db.query("DELETE FROM friend");
+  await db.query("DELETE FROM login_attempt");
+  await db.query("DELETE FROM oidc_login");
   await db.query("DELETE FROM comment");
   await db.query("DELETE FROM activity");
   await db.query("DELETE FROM vote");
+  await db.query("DELETE FROM exchange_rate");
 
   // add users
   const userResults = await db.query(
@@ -34,6 +37,8 @@ async function commonBeforeAll() {
     ]
   );
   testUserIds.push(...userResults.rows.map((r) => r.id));
+  // test users have verified their emails
+  await db.query("UPDATE users SET email_verified = TRUE");
 
   // add trips
   const tripResults = await db.query(
@@ -62,11 +67,11 @@ async function commonBeforeAll() {
 }
 
 async function commonBeforeEach() {
-  await db.query("BEGIN");
+  await db.beginTestTransaction();
 }
 
 async function commonAfterEach() {
-  await db.query("ROLLBACK");
+  await db.rollbackTestTransaction();
 }
 
 async function commonAfterAll() {
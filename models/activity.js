@@ -4,13 +4,66 @@ const db = require("../db");
 const { sqlForPartialUpdate } = require("../helpers/sql");
 const { NotFoundError, BadRequestError } = require("../helpers/expressError");
 const Vote = require("./vote");
+const { isWithinTripDates, toDateString } = require("../helpers/schedule");
+const { publish } = require("../helpers/events");
+
+const ACTIVITY_STATUSES = ["proposed", "accepted", "rejected"];
+
+/** A time (ISO string or Date) as scheduled_time and end_time store it: the
+ *  UTC wall-clock time, e.g. "2025-06-02 10:00:00.000". Converting here
+ *  rather than in SQL keeps it from depending on the session's time zone.
+ */
+function toUtcTimestamp(time) {
+  if (time === null || time === undefined) return time;
+  return new Date(time).toISOString().replace("T", " ").replace("Z", "");
+}
+
+/** Check an activity's times before saving them.
+ *
+ * endTime needs a scheduledTime before it, and both must fall within the
+ * trip's dates (when the trip has dates).
+ *
+ * Throws BadRequestError if the times are invalid.
+ * Throws NotFoundError if the trip does not exist.
+ */
+async function validateActivityTimes(tripId, scheduledTime, endTime) {
+  if (endTime && !scheduledTime) {
+    throw new BadRequestError(
+      "An activity needs a scheduled time before it can have an end time."
+    );
+  }
+  if (endTime && new Date(endTime) <= new Date(scheduledTime)) {
+    throw new BadRequestError("End time must be after the scheduled time.");
+  }
+  if (!scheduledTime) return;
+
+  const tripRes = await db.query(
+    `SELECT start_date AS "startDate", end_date AS "endDate"
+     FROM trip
+     WHERE id = $1`,
+    [tripId]
+  );
+  const trip = tripRes.rows[0];
+  if (!trip) throw new NotFoundError(`No trip found with ID: ${tripId}`);
+
+  if (!isWithinTripDates({ scheduledTime, endTime }, trip)) {
+    throw new BadRequestError(
+      `Activity must take place within the trip dates (${toDateString(
+        trip.startDate
+      )} to ${toDateString(trip.endDate)}).`
+    );
+  }
+}
 
 /** Related functions for activities. */
 
 class Activity {
   /** Create a new activity
    *
-   * Returns { id, tripId, name, category, description, location, scheduledTime, createdBy, createdAt }
+   * New activities start out as "proposed". scheduledTime and endTime must
+   * fall within the trip's dates.
+   *
+   * Returns { id, tripId, name, category, description, location, scheduledTime, endTime, status, createdBy, createdAt }
    **/
 
   static async create({
@@ -20,6 +73,7 @@ class Activity {
     description,
     location,
     scheduledTime,
+    endTime,
     createdBy,
   }) {
     const validCategories = [
@@ -36,22 +90,44 @@ class Activity {
       throw new BadRequestError(`Invalid category: ${category}`);
     }
 
+    await validateActivityTimes(tripId, scheduledTime, endTime);
+
     const result = await db.query(
       `INSERT INTO activity
-        (trip_id, name, category, description, location, scheduled_time, created_by)
-        VALUES ($1, $2, $3, $4, $5, $6::TIMESTAMP AT TIME ZONE 'UTC', $7)
-        RETURNING id, trip_id AS "tripId", name, category, description, location, scheduled_time AS "scheduledTime", created_by AS "createdBy", created_at AS "createdAt"`,
-      [tripId, name, category, description, location, scheduledTime, createdBy]
+        (trip_id, name, category, description, location, scheduled_time, end_time, created_by)
+        VALUES ($1, $2, $3, $4, $5, $6::TIMESTAMP, $7::TIMESTAMP, $8)
+        RETURNING id, trip_id AS "tripId", name, category, description, location, scheduled_time AT TIME ZONE 'UTC' AS "scheduledTime", end_time AT TIME ZONE 'UTC' AS "endTime", status, created_by AS "createdBy", created_at AS "createdAt"`,
+      [
+        tripId,
+        name,
+        category,
+        description,
+        location,
+        toUtcTimestamp(scheduledTime),
+        toUtcTimestamp(endTime),
+        createdBy,
+      ]
     );
 
-    return result.rows[0];
+    const activity = result.rows[0];
+    await publish("activity.created", activity);
+    return activity;
   }
 
   /** Find all activities for a trip, including votes
    *
-   * Returns [{ id, tripId, name, category, description, location, scheduledTime, createdBy, createdAt, votes: [{ userId, voteValue }, ...] }, ...]
+   * Optionally only returns activities with the given status
+   * ("proposed", "accepted" or "rejected").
+   *
+   * Returns [{ id, tripId, name, category, description, location, scheduledTime, endTime, status, createdBy, createdAt, votes: [{ userId, voteValue }, ...] }, ...]
+   *
+   * Throws BadRequestError if status is not a valid status.
    */
-  static async getActivitiesByTrip(tripId) {
+  static async getActivitiesByTrip(tripId, status) {
+    if (status !== undefined && !ACTIVITY_STATUSES.includes(status)) {
+      throw new BadRequestError(`Invalid status: ${status}`);
+    }
+
     const result = await db.query(
       `SELECT a.id, 
             a.trip_id AS "tripId", 
@@ -59,7 +135,9 @@ class Activity {
             a.category, 
             a.description, 
             a.location, 
-            a.scheduled_time AS "scheduledTime", 
+            a.scheduled_time AT TIME ZONE 'UTC' AS "scheduledTime", 
+            a.end_time AT TIME ZONE 'UTC' AS "endTime",
+            a.status,
             a.created_by AS "createdBy", 
             a.created_at AS "createdAt",
             json_agg(
@@ -71,9 +149,10 @@ class Activity {
      FROM activity AS a
      LEFT JOIN vote AS v ON a.id = v.activity_id
      WHERE a.trip_id = $1
+       AND ($2::TEXT IS NULL OR a.status = $2)
      GROUP BY a.id
      ORDER BY a.scheduled_time ASC`,
-      [tripId]
+      [tripId, status ?? null]
     );
 
     return result.rows.map((activity) => ({
@@ -84,7 +163,7 @@ class Activity {
 
   /** Get activity by id
    *
-   * Returns { id, tripId, name, category, description, location, scheduledTime, createdBy, createdAt, votes: [{ userId, activityId, voteValue }, ...] }
+   * Returns { id, tripId, name, category, description, location, scheduledTime, endTime, status, createdBy, createdAt, votes: [{ userId, activityId, voteValue }, ...] }
    *
    * Throws NotFoundError if activity not found.
    **/
@@ -92,7 +171,7 @@ class Activity {
   static async get(id) {
     const result = await db.query(
       `SELECT id, trip_id AS "tripId", name, category, description, location, 
-         scheduled_time AT TIME ZONE 'UTC' AS "scheduledTime", created_by AS "createdBy", created_at AS "createdAt"
+         scheduled_time AT TIME ZONE 'UTC' AS "scheduledTime", end_time AT TIME ZONE 'UTC' AS "endTime", status, created_by AS "createdBy", created_at AS "createdAt"
          FROM activity
          WHERE id = $1`,
       [id]
@@ -111,9 +190,12 @@ class Activity {
    * This is a "partial update" --- only changes provided fields.
    *
    * Data can include:
-   *   { name, category, description, location, scheduledTime }
+   *   { name, category, description, location, scheduledTime, endTime }
+   *
+   * Moving scheduledTime without sending endTime keeps the activity's duration.
+   * The resulting times must fall within the trip's dates.
    *
-   * Returns { id, tripId, name, category, description, location, scheduledTime, createdBy, createdAt }
+   * Returns { id, tripId, name, category, description, location, scheduledTime, endTime, status, createdBy, createdAt }
    *
    * Throws NotFoundError if activity not found.
    **/
@@ -133,24 +215,165 @@ class Activity {
       throw new BadRequestError(`Invalid category: ${data.category}`);
     }
 
+    if (data.scheduledTime !== undefined || data.endTime !== undefined) {
+      const currentRes = await db.query(
+        `SELECT trip_id AS "tripId",
+                scheduled_time AT TIME ZONE 'UTC' AS "scheduledTime",
+                end_time AT TIME ZONE 'UTC' AS "endTime"
+         FROM activity
+         WHERE id = $1`,
+        [id]
+      );
+      const current = currentRes.rows[0];
+      if (!current) throw new NotFoundError(`No activity found with id: ${id}`);
+
+      data = { ...data };
+      if (
+        data.scheduledTime &&
+        data.endTime === undefined &&
+        current.scheduledTime &&
+        current.endTime
+      ) {
+        const duration = current.endTime - current.scheduledTime;
+        data.endTime = new Date(
+          new Date(data.scheduledTime).getTime() + duration
+        ).toISOString();
+      }
+
+      await validateActivityTimes(
+        current.tripId,
+        data.scheduledTime !== undefined
+          ? data.scheduledTime
+          : current.scheduledTime,
+        data.endTime !== undefined ? data.endTime : current.endTime
+      );
+
+      for (const key of ["scheduledTime", "endTime"]) {
+        if (data[key] !== undefined) data[key] = toUtcTimestamp(data[key]);
+      }
+    }
+
     const { setCols, values } = sqlForPartialUpdate(data, {
       scheduledTime: "scheduled_time",
+      endTime: "end_time",
     });
 
     const querySql = `UPDATE activity
                       SET ${setCols}
                       WHERE id = $${values.length + 1}
                       RETURNING id, trip_id AS "tripId", name, category, description, location, 
-                        scheduled_time AT TIME ZONE 'UTC' AS "scheduledTime", created_by AS "createdBy", created_at AS "createdAt"`;
+                        scheduled_time AT TIME ZONE 'UTC' AS "scheduledTime", end_time AT TIME ZONE 'UTC' AS "endTime", status, created_by AS "createdBy", created_at AS "createdAt"`;
 
     const result = await db.query(querySql, [...values, id]);
     const activity = result.rows[0];
 
     if (!activity) throw new NotFoundError(`No activity found with id: ${id}`);
 
+    await publish("activity.updated", activity);
     return activity;
   }
 
+  /** Set the status of an activity ("proposed", "accepted" or "rejected")
+   *
+   * Returns { id, tripId, name, category, description, location, scheduledTime, endTime, status, createdBy, createdAt }
+   *
+   * Throws BadRequestError if status is invalid.
+   * Throws NotFoundError if activity not found.
+   **/
+
+  static async setStatus(id, status) {
+    if (!ACTIVITY_STATUSES.includes(status)) {
+      throw new BadRequestError(`Invalid status: ${status}`);
+    }
+
+    const result = await db.query(
+      `UPDATE activity
+       SET status = $1
+       WHERE id = $2
+       RETURNING id, trip_id AS "tripId", name, category, description, location,
+         scheduled_time AT TIME ZONE 'UTC' AS "scheduledTime", end_time AT TIME ZONE 'UTC' AS "endTime", status, created_by AS "createdBy", created_at AS "createdAt"`,
+      [status, id]
+    );
+    const activity = result.rows[0];
+
+    if (!activity) throw new NotFoundError(`No activity found with id: ${id}`);
+
+    await publish("activity.updated", activity);
+    return activity;
+  }
+
+  /** Set the scheduled time of several activities of a trip at once
+   *
+   * Used to commit a generated itinerary. The update is a single statement, so
+   * either every activity is rescheduled or none are.
+   *
+   * schedule is [{ activityId, scheduledTime, endTime }, ...]; endTime is
+   * optional and defaults to keeping the activity's current duration.
+   *
+   * Returns [{ id, tripId, name, category, description, location, scheduledTime, endTime, status, createdBy, createdAt }, ...]
+   * ordered by scheduledTime.
+   *
+   * Throws BadRequestError if any activity does not belong to the trip or
+   * would fall outside the trip's dates.
+   **/
+
+  static async setScheduledTimes(tripId, schedule) {
+    const activityIds = schedule.map((s) => s.activityId);
+
+    const found = await db.query(
+      `SELECT id,
+              scheduled_time AT TIME ZONE 'UTC' AS "scheduledTime",
+              end_time AT TIME ZONE 'UTC' AS "endTime"
+       FROM activity
+       WHERE trip_id = $1 AND id = ANY($2::INTEGER[])`,
+      [tripId, activityIds]
+    );
+    const current = new Map(found.rows.map((r) => [r.id, r]));
+    const missing = activityIds.filter((id) => !current.has(id));
+    if (missing.length) {
+      throw new BadRequestError(
+        `Activities not found in this trip: ${missing.join(", ")}`
+      );
+    }
+
+    const startTimes = [];
+    const endTimes = [];
+    for (let { activityId, scheduledTime, endTime } of schedule) {
+      const start = new Date(scheduledTime);
+      const { scheduledTime: oldStart, endTime: oldEnd } =
+        current.get(activityId);
+
+      let end = endTime ? new Date(endTime) : null;
+      if (!endTime && oldStart && oldEnd) {
+        end = new Date(start.getTime() + (oldEnd - oldStart));
+      }
+
+      await validateActivityTimes(tripId, start, end);
+      startTimes.push(toUtcTimestamp(start));
+      endTimes.push(toUtcTimestamp(end));
+    }
+
+    const result = await db.query(
+      `UPDATE activity AS a
+       SET scheduled_time = s.scheduled_time,
+           end_time = s.end_time
+       FROM unnest($2::INTEGER[], $3::TIMESTAMP[], $4::TIMESTAMP[])
+         AS s(id, scheduled_time, end_time)
+       WHERE a.id = s.id AND a.trip_id = $1
+       RETURNING a.id, a.trip_id AS "tripId", a.name, a.category, a.description, a.location,
+         a.scheduled_time AT TIME ZONE 'UTC' AS "scheduledTime", a.end_time AT TIME ZONE 'UTC' AS "endTime", a.status, a.created_by AS "createdBy", a.created_at AS "createdAt"`,
+      [tripId, activityIds, startTimes, endTimes]
+    );
+
+    const activities = result.rows.sort(
+      (a, b) => a.scheduledTime - b.scheduledTime
+    );
+    for (let activity of activities) {
+      await publish("activity.updated", activity);
+    }
+    return activities;
+  }
+
   /** Delete an activity
    *
    * Returns { deleted: true }.
@@ -162,7 +385,7 @@ class Activity {
     const result = await db.query(
       `DELETE FROM activity
        WHERE id = $1
-       RETURNING id`,
+       RETURNING id, trip_id AS "tripId"`,
       [id]
     );
 
@@ -170,6 +393,7 @@ class Activity {
       throw new NotFoundError(`No activity found with id: ${id}`);
     }
 
+    await publish("activity.deleted", result.rows[0]);
     return { deleted: true };
   }
 }
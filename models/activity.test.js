@@ -28,7 +28,7 @@ describe("create", function () {
       category: "tours",
       description: "A visit to the Eiffel Tower in Paris",
       location: "Paris, France",
-      scheduledTime: new Date("2024-08-01T10:00:00Z"),
+      scheduledTime: new Date("2025-06-02T10:00:00Z"),
       createdBy: testUserIds[0],
     };
 
@@ -42,6 +42,8 @@ describe("create", function () {
       description: "A visit to the Eiffel Tower in Paris",
       location: "Paris, France",
       scheduledTime: expect.any(Date),
+      endTime: null,
+      status: "proposed",
       createdBy: testUserIds[0],
       createdAt: expect.any(Date),
     });
@@ -52,6 +54,42 @@ describe("create", function () {
     expect(res.rows.length).toEqual(1);
   });
 
+  test("works: with an end time", async function () {
+    const activity = await Activity.create({
+      tripId: testTripIds[0],
+      name: "Boat tour",
+      scheduledTime: "2025-06-02T10:00:00Z",
+      endTime: "2025-06-02T12:00:00Z",
+      createdBy: testUserIds[0],
+    });
+    expect(activity.endTime).toEqual(expect.any(Date));
+  });
+
+  test("fails outside the trip dates", async function () {
+    await expect(
+      Activity.create({
+        tripId: testTripIds[0],
+        name: "Boat tour",
+        scheduledTime: "2025-06-08T10:00:00Z",
+        createdBy: testUserIds[0],
+      })
+    ).rejects.toThrow(
+      "Activity must take place within the trip dates (2025-06-01 to 2025-06-07)."
+    );
+  });
+
+  test("fails if end time is not after the scheduled time", async function () {
+    await expect(
+      Activity.create({
+        tripId: testTripIds[0],
+        name: "Boat tour",
+        scheduledTime: "2025-06-02T10:00:00Z",
+        endTime: "2025-06-02T10:00:00Z",
+        createdBy: testUserIds[0],
+      })
+    ).rejects.toThrow("End time must be after the scheduled time.");
+  });
+
   test("fails with invalid category", async function () {
     const newActivity = {
       tripId: testTripIds[0],
@@ -59,7 +97,7 @@ describe("create", function () {
       category: "not a category",
       description: "A visit to the Eiffel Tower in Paris",
       location: "Paris, France",
-      scheduledTime: new Date("2024-08-01T10:00:00Z"),
+      scheduledTime: new Date("2025-06-02T10:00:00Z"),
       createdBy: testUserIds[0],
     };
     await expect(Activity.create(newActivity)).rejects.toThrow(BadRequestError);
@@ -81,6 +119,8 @@ describe("getActivitiesByTrip", function () {
           description: expect.any(String),
           location: expect.any(String),
           scheduledTime: expect.any(Date),
+          endTime: null,
+          status: "proposed",
           createdBy: expect.any(Number),
           createdAt: expect.any(Date),
           votes:[]
@@ -89,6 +129,27 @@ describe("getActivitiesByTrip", function () {
     );
   });
 
+  test("works: filter by status", async function () {
+    await Activity.setStatus(testActivityIds[0], "accepted");
+
+    const accepted = await Activity.getActivitiesByTrip(
+      testTripIds[0],
+      "accepted"
+    );
+    const proposed = await Activity.getActivitiesByTrip(
+      testTripIds[0],
+      "proposed"
+    );
+    expect(accepted.map((a) => a.id)).toEqual([testActivityIds[0]]);
+    expect(proposed).toEqual([]);
+  });
+
+  test("fails with invalid status", async function () {
+    await expect(
+      Activity.getActivitiesByTrip(testTripIds[0], "maybe")
+    ).rejects.toThrow(BadRequestError);
+  });
+
   test("returns empty array if no activities exist", async function () {
     const activities = await Activity.getActivitiesByTrip(-1); // Non-existent trip ID
     expect(activities).toEqual([]);
@@ -108,6 +169,8 @@ describe("get", function () {
       description: expect.any(String),
       location: expect.any(String),
       scheduledTime: expect.any(Date),
+      endTime: null,
+      status: "proposed",
       createdBy: expect.any(Number),
       createdAt: expect.any(Date),
       votes: []
@@ -141,11 +204,32 @@ describe("update", function () {
       description: "Updated description",
       location: "New Location",
       scheduledTime: expect.any(Date),
+      endTime: null,
+      status: "proposed",
       createdBy: testUserIds[0],
       createdAt: expect.any(Date),
     });
   });
 
+  test("works: moving an activity keeps its duration", async function () {
+    await Activity.update(testActivityIds[0], {
+      scheduledTime: "2025-06-02T10:00:00Z",
+      endTime: "2025-06-02T11:30:00Z",
+    });
+    const moved = await Activity.update(testActivityIds[0], {
+      scheduledTime: "2025-06-04T15:00:00Z",
+    });
+    expect(moved.endTime - moved.scheduledTime).toEqual(90 * 60 * 1000);
+  });
+
+  test("fails outside the trip dates", async function () {
+    await expect(
+      Activity.update(testActivityIds[0], {
+        scheduledTime: "2025-05-31T10:00:00Z",
+      })
+    ).rejects.toThrow(BadRequestError);
+  });
+
   test("fails if invalid category", async function () {
     await expect(
       Activity.update(testActivityIds[0], { category: "invalid-category" })
@@ -165,6 +249,119 @@ describe("update", function () {
   });
 });
 
+/************************************** setStatus */
+
+describe("setStatus", function () {
+  test("works", async function () {
+    const activity = await Activity.setStatus(testActivityIds[0], "rejected");
+    expect(activity.status).toEqual("rejected");
+  });
+
+  test("fails with invalid status", async function () {
+    await expect(
+      Activity.setStatus(testActivityIds[0], "maybe")
+    ).rejects.toThrow(BadRequestError);
+  });
+
+  test("throws NotFoundError if activity does not exist", async function () {
+    await expect(Activity.setStatus(-1, "accepted")).rejects.toThrow(
+      NotFoundError
+    );
+  });
+});
+
+/************************************** setScheduledTimes */
+
+describe("setScheduledTimes", function () {
+  test("works", async function () {
+    const activities = await Activity.setScheduledTimes(testTripIds[0], [
+      {
+        activityId: testActivityIds[0],
+        scheduledTime: "2025-06-03T09:00:00.000Z",
+      },
+    ]);
+    expect(activities).toEqual([
+      expect.objectContaining({
+        id: testActivityIds[0],
+        tripId: testTripIds[0],
+        scheduledTime: expect.any(Date),
+      }),
+    ]);
+
+    const activity = await Activity.get(testActivityIds[0]);
+    expect(activity.scheduledTime).toEqual(activities[0].scheduledTime);
+  });
+
+  test("fails and changes nothing if an activity is from another trip", async function () {
+    const before = await Activity.get(testActivityIds[0]);
+    await expect(
+      Activity.setScheduledTimes(testTripIds[1], [
+        {
+          activityId: testActivityIds[0],
+          scheduledTime: "2025-07-11T09:00:00.000Z",
+        },
+      ])
+    ).rejects.toThrow(BadRequestError);
+
+    const after = await Activity.get(testActivityIds[0]);
+    expect(after.scheduledTime).toEqual(before.scheduledTime);
+  });
+});
+
+/************************************** times */
+
+describe("times in a session with another time zone", function () {
+  beforeEach(async function () {
+    // only for the test's transaction
+    await db.query(`SET LOCAL TIME ZONE 'America/New_York'`);
+  });
+
+  async function storedTimes(id) {
+    const result = await db.query(
+      `SELECT scheduled_time::TEXT AS "scheduledTime", end_time::TEXT AS "endTime"
+       FROM activity
+       WHERE id = $1`,
+      [id]
+    );
+    return result.rows[0];
+  }
+
+  test("are stored as UTC by every way of saving them", async function () {
+    const created = await Activity.create({
+      tripId: testTripIds[0],
+      name: "Boat tour",
+      scheduledTime: "2025-06-02T10:00:00Z",
+      endTime: "2025-06-02T11:30:00Z",
+      createdBy: testUserIds[0],
+    });
+    expect(await storedTimes(created.id)).toEqual({
+      scheduledTime: "2025-06-02 10:00:00",
+      endTime: "2025-06-02 11:30:00",
+    });
+
+    await Activity.update(created.id, {
+      scheduledTime: "2025-06-03T10:00:00Z",
+      endTime: "2025-06-03T12:00:00Z",
+    });
+    expect(await storedTimes(created.id)).toEqual({
+      scheduledTime: "2025-06-03 10:00:00",
+      endTime: "2025-06-03 12:00:00",
+    });
+
+    await Activity.setScheduledTimes(testTripIds[0], [
+      { activityId: created.id, scheduledTime: "2025-06-04T09:00:00.000Z" },
+    ]);
+    expect(await storedTimes(created.id)).toEqual({
+      scheduledTime: "2025-06-04 09:00:00",
+      endTime: "2025-06-04 11:00:00",
+    });
+
+    const activity = await Activity.get(created.id);
+    expect(activity.scheduledTime).toEqual(new Date("2025-06-04T09:00:00Z"));
+    expect(activity.endTime).toEqual(new Date("2025-06-04T11:00:00Z"));
+  });
+});
+
 /************************************** remove */
 
 describe("remove", function () {
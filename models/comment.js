@@ -2,38 +2,168 @@
 
 const db = require("../db");
 const { NotFoundError, BadRequestError } = require("../helpers/expressError");
+const { findMentionedUsernames } = require("../helpers/mentions");
+const { publish } = require("../helpers/events");
+const TripMember = require("./tripMember");
+
+// Deleted comments keep their place in a thread but only show "[deleted]".
+const COMMENT_FIELDS = `id,
+                        user_id AS "userId",
+                        trip_id AS "tripId",
+                        activity_id AS "activityId",
+                        parent_id AS "parentId",
+                        CASE WHEN deleted_at IS NULL THEN text ELSE '[deleted]' END AS text,
+                        created_at AS "createdAt",
+                        edited_at AS "editedAt",
+                        deleted_at IS NOT NULL AS "isDeleted"`;
+
+const COMMENT_COLUMNS = `c.id,
+                         c.user_id AS "userId",
+                         u.username AS "username",
+                         c.trip_id AS "tripId",
+                         c.activity_id AS "activityId",
+                         c.parent_id AS "parentId",
+                         CASE WHEN c.deleted_at IS NULL THEN c.text ELSE '[deleted]' END AS text,
+                         c.created_at AS "createdAt",
+                         c.edited_at AS "editedAt",
+                         c.deleted_at IS NOT NULL AS "isDeleted",
+                         COALESCE(
+                           (SELECT json_agg(json_build_object('userId', mu.id, 'username', mu.username)
+                                            ORDER BY mu.username)
+                            FROM comment_mention cm
+                            JOIN users mu ON mu.id = cm.user_id
+                            WHERE cm.comment_id = c.id AND c.deleted_at IS NULL),
+                           '[]') AS mentions,
+                         COALESCE(
+                           (SELECT json_agg(json_build_object('emoji', r.emoji, 'count', r.count)
+                                            ORDER BY r.count DESC, r.first_at)
+                            FROM (SELECT emoji, COUNT(*)::INTEGER AS count, MIN(created_at) AS first_at
+                                  FROM comment_reaction
+                                  WHERE comment_id = c.id
+                                  GROUP BY emoji) r),
+                           '[]') AS reactions`;
+
+/** Save which trip members a comment @mentions, replacing earlier mentions
+ *  (e.g. before an edit). Only current members of the trip can be mentioned.
+ *
+ * Returns [{ userId, username }, ...]
+ */
+async function saveMentions(commentId, tripId, text) {
+  const members = await TripMember.getTripMembers(tripId);
+  const mentioned = findMentionedUsernames(
+    text,
+    members.map((m) => m.username)
+  );
+  const userIds = members
+    .filter((m) => mentioned.includes(m.username))
+    .map((m) => m.userId);
+
+  await db.query(
+    `WITH removed AS (
+       DELETE FROM comment_mention
+       WHERE comment_id = $1 AND NOT (user_id = ANY($2::INTEGER[]))
+     )
+     INSERT INTO comment_mention (comment_id, user_id)
+     SELECT $1::INTEGER, unnest($2::INTEGER[])
+     ON CONFLICT DO NOTHING`,
+    [commentId, userIds]
+  );
+
+  return mentioned.map((username) => ({
+    userId: members.find((m) => m.username === username).userId,
+    username,
+  }));
+}
+
+/** Drop deleted comments that have no replies left to hold together. */
+function pruneDeleted(comments) {
+  return comments.filter((comment) => {
+    comment.replies = pruneDeleted(comment.replies);
+    return !comment.isDeleted || comment.replies.length > 0;
+  });
+}
+
+/** Nest a flat, oldest-first list of comments into threads.
+ *
+ * Each comment gets a `replies` array; comments without a parent in the list
+ * are returned at the top level. Deleted comments only appear as
+ * placeholders for their replies.
+ */
+function nestComments(comments) {
+  const byId = new Map(comments.map((c) => [c.id, { ...c, replies: [] }]));
+  const threads = [];
+
+  for (let comment of byId.values()) {
+    const parent = byId.get(comment.parentId);
+    if (parent) parent.replies.push(comment);
+    else threads.push(comment);
+  }
+  return pruneDeleted(threads);
+}
 
 /** Related functions for comments. */
 
 class Comment {
   /** Create a new comment
    *
-   * Returns { id, userId, tripId, text, createdAt }
+   * Comments belong to a trip, and optionally to one of its activities.
+   * Replies pass the parentId of the comment they answer, which must be in
+   * the same trip and on the same activity (or also trip-wide).
+   * @username mentions of trip members are saved along with the comment.
+   *
+   * Returns { id, userId, tripId, activityId, parentId, text, createdAt, editedAt, isDeleted,
+   *           mentions: [{ userId, username }, ...] }
+   *
+   * Throws NotFoundError if the parent comment does not exist.
+   * Throws BadRequestError if the parent comment is in a different thread or
+   *  was deleted.
    **/
-  static async create({ userId, tripId, text }) {
+  static async create({
+    userId,
+    tripId,
+    activityId = null,
+    parentId = null,
+    text,
+  }) {
     if (!text) throw new BadRequestError("Comment text cannot be empty.");
 
+    if (parentId) {
+      const parent = await Comment.get(parentId);
+      if (
+        parent.tripId !== Number(tripId) ||
+        parent.activityId !== (activityId === null ? null : Number(activityId))
+      ) {
+        throw new BadRequestError(
+          "Replies must be in the same thread as the comment they reply to."
+        );
+      }
+      if (parent.isDeleted) {
+        throw new BadRequestError("You can't reply to a deleted comment.");
+      }
+    }
+
     const result = await db.query(
-      `INSERT INTO comment (user_id, trip_id, text)
-       VALUES ($1, $2, $3)
-       RETURNING id, user_id AS "userId", trip_id AS "tripId", text, created_at AS "createdAt"`,
-      [userId, tripId, text]
+      `INSERT INTO comment (user_id, trip_id, activity_id, parent_id, text)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING ${COMMENT_FIELDS}`,
+      [userId, tripId, activityId, parentId, text]
     );
 
-    return result.rows[0];
+    const comment = result.rows[0];
+    comment.mentions = await saveMentions(comment.id, comment.tripId, text);
+    await publish("comment.created", comment);
+    return comment;
   }
 
   /** Get comment by id
    *
-   * Returns { id, userId, tripId, text, createdAt }
+   * Deleted comments are still found, with "[deleted]" as their text.
+   *
+   * Returns { id, userId, tripId, activityId, parentId, text, createdAt, editedAt, isDeleted }
    **/
   static async get(id) {
     const result = await db.query(
-      `SELECT id,
-              user_id AS "userId",
-              trip_id AS "tripId",
-              text,
-              created_at AS "createdAt"
+      `SELECT ${COMMENT_FIELDS}
        FROM comment
        WHERE id = $1`,
       [id]
@@ -48,46 +178,228 @@ class Comment {
     return comment;
   }
 
-  /** Get all comments for a trip
+  /** Get the trip-wide comments for a trip, as threads
    *
-   * Returns [{ id, userId, tripId, text, createdAt }, ...] or empty array if no comments
+   * Comments on individual activities are left out; see getCommentsByActivity.
+   *
+   * Returns [{ id, userId, username, tripId, activityId, parentId, text, createdAt, editedAt, isDeleted,
+   *            mentions: [{ userId, username }, ...], reactions: [{ emoji, count }, ...],
+   *            replies: [{ ... }, ...] }, ...]
+   *  or empty array if no comments
    **/
   static async getCommentsByTrip(tripId) {
     const result = await db.query(
-      `SELECT c.id, 
-              c.user_id AS "userId", 
-              u.username AS "username",
-              c.trip_id AS "tripId", 
-              c.text, 
-              c.created_at AS "createdAt"
+      `SELECT ${COMMENT_COLUMNS}
        FROM comment c
        JOIN users u ON c.user_id = u.id
-       WHERE c.trip_id = $1
-       ORDER BY c.created_at ASC`,
+       WHERE c.trip_id = $1 AND c.activity_id IS NULL
+       ORDER BY c.created_at ASC, c.id ASC`,
       [tripId]
     );
 
+    return nestComments(result.rows);
+  }
+
+  /** Get the comments on an activity, as threads
+   *
+   * Returns [{ id, userId, username, tripId, activityId, parentId, text, createdAt, editedAt, isDeleted,
+   *            mentions: [{ userId, username }, ...], reactions: [{ emoji, count }, ...],
+   *            replies: [{ ... }, ...] }, ...]
+   *  or empty array if no comments
+   **/
+  static async getCommentsByActivity(activityId) {
+    const result = await db.query(
+      `SELECT ${COMMENT_COLUMNS}
+       FROM comment c
+       JOIN users u ON c.user_id = u.id
+       WHERE c.activity_id = $1
+       ORDER BY c.created_at ASC, c.id ASC`,
+      [activityId]
+    );
+
+    return nestComments(result.rows);
+  }
+
+  /** Edit a comment's text
+   *
+   * The previous text is saved to the comment's revision history and the
+   * comment is marked as edited. Mentions are updated to match the new text.
+   *
+   * Returns { id, userId, tripId, activityId, parentId, text, createdAt, editedAt, isDeleted,
+   *           mentions: [{ userId, username }, ...] }
+   *
+   * Throws NotFoundError if the comment does not exist or was deleted.
+   **/
+  static async update(id, { text }) {
+    if (!text) throw new BadRequestError("Comment text cannot be empty.");
+
+    const result = await db.query(
+      `WITH previous AS (
+         SELECT id AS comment_id,
+                text AS previous_text,
+                COALESCE(edited_at, created_at) AS written_at
+         FROM comment
+         WHERE id = $1 AND deleted_at IS NULL
+         FOR UPDATE
+       ), revision AS (
+         INSERT INTO comment_revision (comment_id, text, written_at)
+         SELECT comment_id, previous_text, written_at FROM previous
+       )
+       UPDATE comment
+       SET text = $2, edited_at = CURRENT_TIMESTAMP
+       FROM previous
+       WHERE id = previous.comment_id
+       RETURNING ${COMMENT_FIELDS}`,
+      [id, text]
+    );
+
+    const comment = result.rows[0];
+    if (!comment) throw new NotFoundError(`No comment found with id: ${id}`);
+
+    comment.mentions = await saveMentions(comment.id, comment.tripId, text);
+    await publish("comment.updated", comment);
+    return comment;
+  }
+
+  /** Get the earlier versions of a comment, oldest first
+   *
+   * writtenAt is when that version was posted (or last edited), replacedAt
+   * when it was edited away.
+   *
+   * Returns [{ id, commentId, text, writtenAt, replacedAt }, ...]
+   *
+   * Throws NotFoundError if the comment does not exist or was deleted.
+   **/
+  static async getRevisions(id) {
+    const comment = await Comment.get(id);
+    if (comment.isDeleted) {
+      throw new NotFoundError(`No comment found with id: ${id}`);
+    }
+
+    const result = await db.query(
+      `SELECT id,
+              comment_id AS "commentId",
+              text,
+              written_at AS "writtenAt",
+              replaced_at AS "replacedAt"
+       FROM comment_revision
+       WHERE comment_id = $1
+       ORDER BY replaced_at ASC, id ASC`,
+      [id]
+    );
+
     return result.rows;
   }
 
+  /** Get the comments that @mention a user, newest first
+   *
+   * Only includes comments on trips the user is still a member of; deleted
+   * comments are left out.
+   *
+   * Returns [{ commentId, tripId, tripTitle, activityId, authorId, authorUsername, text, createdAt }, ...]
+   *
+   * Throws NotFoundError if the user does not exist.
+   **/
+  static async getMentionsOfUser(username) {
+    const userRes = await db.query(`SELECT id FROM users WHERE username = $1`, [
+      username,
+    ]);
+    const user = userRes.rows[0];
+    if (!user) throw new NotFoundError(`No user: ${username}`);
+
+    const result = await db.query(
+      `SELECT c.id AS "commentId",
+              c.trip_id AS "tripId",
+              t.title AS "tripTitle",
+              c.activity_id AS "activityId",
+              c.user_id AS "authorId",
+              au.username AS "authorUsername",
+              c.text,
+              c.created_at AS "createdAt"
+       FROM comment_mention cm
+       JOIN comment c ON c.id = cm.comment_id
+       JOIN trip t ON t.id = c.trip_id
+       JOIN users au ON au.id = c.user_id
+       JOIN trip_member tm ON tm.trip_id = c.trip_id AND tm.user_id = cm.user_id
+       WHERE cm.user_id = $1 AND c.deleted_at IS NULL
+       ORDER BY c.created_at DESC, c.id DESC`,
+      [user.id]
+    );
+
+    return result.rows;
+  }
+
+  /** React to a comment with an emoji
+   *
+   * Reacting twice with the same emoji has no further effect.
+   *
+   * Returns { commentId, userId, emoji }
+   *
+   * Throws NotFoundError if the comment does not exist or was deleted.
+   **/
+  static async addReaction(commentId, userId, emoji) {
+    const result = await db.query(
+      `INSERT INTO comment_reaction (comment_id, user_id, emoji)
+       SELECT id, $2::INTEGER, $3::TEXT
+       FROM comment
+       WHERE id = $1 AND deleted_at IS NULL
+       ON CONFLICT DO NOTHING
+       RETURNING comment_id`,
+      [commentId, userId, emoji]
+    );
+
+    if (!result.rows[0]) {
+      // nothing inserted: either a repeat reaction or no such comment
+      const comment = await Comment.get(commentId);
+      if (comment.isDeleted) {
+        throw new NotFoundError(`No comment found with id: ${commentId}`);
+      }
+    }
+
+    return { commentId: Number(commentId), userId, emoji };
+  }
+
+  /** Take back an emoji reaction
+   *
+   * Throws NotFoundError if the user had not reacted with this emoji.
+   **/
+  static async removeReaction(commentId, userId, emoji) {
+    const result = await db.query(
+      `DELETE FROM comment_reaction
+       WHERE comment_id = $1 AND user_id = $2 AND emoji = $3
+       RETURNING comment_id`,
+      [commentId, userId, emoji]
+    );
+
+    if (!result.rows[0]) {
+      throw new NotFoundError(`No ${emoji} reaction on comment ${commentId}`);
+    }
+  }
+
   /** Delete a comment
+   *
+   * This is a soft delete: the comment stays in its thread with "[deleted]"
+   * as its text, so replies to it still make sense.
    *
    * Returns { deleted: true }
    *
-   * Throws NotFoundError if comment does not exist.
+   * Throws NotFoundError if comment does not exist or was already deleted.
    **/
-  static async remove(id) {
+  static async remove(id, deletedBy = null) {
     const result = await db.query(
-      `DELETE FROM comment
-       WHERE id = $1
-       RETURNING id`,
-      [id]
+      `UPDATE comment
+       SET deleted_at = CURRENT_TIMESTAMP, deleted_by = $2
+       WHERE id = $1 AND deleted_at IS NULL
+       RETURNING id, trip_id AS "tripId", activity_id AS "activityId",
+                 deleted_by AS "deletedBy"`,
+      [id, deletedBy]
     );
 
     if (!result.rows.length) {
       throw new NotFoundError(`No comment found with id: ${id}`);
     }
 
+    await publish("comment.deleted", result.rows[0]);
     return { deleted: true };
   }
 }
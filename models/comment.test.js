@@ -2,6 +2,7 @@
 
 const db = require("../db");
 const Comment = require("../models/comment");
+const TripMember = require("../models/tripMember");
 const { NotFoundError, BadRequestError } = require("../helpers/expressError");
 
 const {
@@ -11,6 +12,7 @@ const {
   commonAfterAll,
   testTripIds,
   testUserIds,
+  testActivityIds,
 } = require("./_testCommon");
 
 beforeAll(commonBeforeAll);
@@ -34,8 +36,13 @@ describe("create", function () {
       id: expect.any(Number),
       userId: testUserIds[0],
       tripId: testTripIds[0],
+      activityId: null,
+      parentId: null,
       text: "This is a test comment!",
       createdAt: expect.any(Date),
+      editedAt: null,
+      isDeleted: false,
+      mentions: [],
     });
 
     const result = await db.query(`SELECT * FROM comment WHERE id = $1`, [
@@ -44,6 +51,64 @@ describe("create", function () {
     expect(result.rows.length).toEqual(1);
   });
 
+  test("works: reply on an activity", async function () {
+    const parent = await Comment.create({
+      userId: testUserIds[0],
+      tripId: testTripIds[0],
+      activityId: testActivityIds[0],
+      text: "Is this place any good?",
+    });
+    const reply = await Comment.create({
+      userId: testUserIds[1],
+      tripId: testTripIds[0],
+      activityId: testActivityIds[0],
+      parentId: parent.id,
+      text: "Yes!",
+    });
+
+    expect(reply).toEqual({
+      id: expect.any(Number),
+      userId: testUserIds[1],
+      tripId: testTripIds[0],
+      activityId: testActivityIds[0],
+      parentId: parent.id,
+      text: "Yes!",
+      createdAt: expect.any(Date),
+      editedAt: null,
+      isDeleted: false,
+      mentions: [],
+    });
+  });
+
+  test("fails: reply in a different thread", async function () {
+    const parent = await Comment.create({
+      userId: testUserIds[0],
+      tripId: testTripIds[0],
+      activityId: testActivityIds[0],
+      text: "On the activity",
+    });
+
+    await expect(
+      Comment.create({
+        userId: testUserIds[1],
+        tripId: testTripIds[0],
+        parentId: parent.id,
+        text: "Trip-wide reply",
+      })
+    ).rejects.toThrow(BadRequestError);
+  });
+
+  test("fails: reply to a missing comment", async function () {
+    await expect(
+      Comment.create({
+        userId: testUserIds[1],
+        tripId: testTripIds[0],
+        parentId: 999999,
+        text: "Hello?",
+      })
+    ).rejects.toThrow(NotFoundError);
+  });
+
   test("fails: bad request when text is empty", async function () {
     await expect(
       Comment.create({
@@ -70,8 +135,12 @@ describe("get", function () {
       id: expect.any(Number),
       userId: testUserIds[0],
       tripId: testTripIds[0],
+      activityId: null,
+      parentId: null,
       text: "test comment",
       createdAt: expect.any(Date),
+      editedAt: null,
+      isDeleted: false,
     });
   });
 
@@ -110,42 +179,450 @@ describe("getCommentsByTrip", function () {
         userId: testUserIds[0],
         username: expect.any(String),
         tripId: testTripIds[0],
+        activityId: null,
+        parentId: null,
         text: "First comment",
         createdAt: expect.any(Date),
+        editedAt: null,
+        isDeleted: false,
+        mentions: [],
+        reactions: [],
+        replies: [],
       },
       {
         id: expect.any(Number),
         userId: testUserIds[1],
         username: expect.any(String),
         tripId: testTripIds[0],
+        activityId: null,
+        parentId: null,
         text: "Second comment",
         createdAt: expect.any(Date),
+        editedAt: null,
+        isDeleted: false,
+        mentions: [],
+        reactions: [],
+        replies: [],
       },
     ]);
   });
 
+  test("works: nests replies and leaves out activity comments", async function () {
+    const parent = await Comment.create({
+      userId: testUserIds[0],
+      tripId: testTripIds[0],
+      text: "Parent",
+    });
+    const reply = await Comment.create({
+      userId: testUserIds[1],
+      tripId: testTripIds[0],
+      parentId: parent.id,
+      text: "Reply",
+    });
+    await Comment.create({
+      userId: testUserIds[0],
+      tripId: testTripIds[0],
+      parentId: reply.id,
+      text: "Reply to reply",
+    });
+    await Comment.create({
+      userId: testUserIds[0],
+      tripId: testTripIds[0],
+      activityId: testActivityIds[0],
+      text: "About the activity",
+    });
+
+    const comments = await Comment.getCommentsByTrip(testTripIds[0]);
+    expect(comments.length).toEqual(1);
+    expect(comments[0].text).toEqual("Parent");
+    expect(comments[0].replies.map((c) => c.text)).toEqual(["Reply"]);
+    expect(comments[0].replies[0].replies.map((c) => c.text)).toEqual([
+      "Reply to reply",
+    ]);
+  });
+
   test("works: returns empty array if no comments", async function () {
     const comments = await Comment.getCommentsByTrip(testTripIds[1]);
     expect(comments).toEqual([]);
   });
 });
 
+/************************************** getCommentsByActivity */
+
+describe("getCommentsByActivity", function () {
+  test("works: only comments on the activity, as threads", async function () {
+    await Comment.create({
+      userId: testUserIds[0],
+      tripId: testTripIds[0],
+      text: "Trip-wide",
+    });
+    const parent = await Comment.create({
+      userId: testUserIds[0],
+      tripId: testTripIds[0],
+      activityId: testActivityIds[0],
+      text: "Book ahead?",
+    });
+    await Comment.create({
+      userId: testUserIds[1],
+      tripId: testTripIds[0],
+      activityId: testActivityIds[0],
+      parentId: parent.id,
+      text: "Already did",
+    });
+
+    const comments = await Comment.getCommentsByActivity(testActivityIds[0]);
+    expect(comments).toEqual([
+      {
+        id: parent.id,
+        userId: testUserIds[0],
+        username: "u1",
+        tripId: testTripIds[0],
+        activityId: testActivityIds[0],
+        parentId: null,
+        text: "Book ahead?",
+        createdAt: expect.any(Date),
+        editedAt: null,
+        isDeleted: false,
+        mentions: [],
+        reactions: [],
+        replies: [
+          {
+            id: expect.any(Number),
+            userId: testUserIds[1],
+            username: "u2",
+            tripId: testTripIds[0],
+            activityId: testActivityIds[0],
+            parentId: parent.id,
+            text: "Already did",
+            createdAt: expect.any(Date),
+            editedAt: null,
+            isDeleted: false,
+            mentions: [],
+            reactions: [],
+            replies: [],
+          },
+        ],
+      },
+    ]);
+  });
+
+  test("works: returns empty array if no comments", async function () {
+    const comments = await Comment.getCommentsByActivity(testActivityIds[0]);
+    expect(comments).toEqual([]);
+  });
+});
+
+/************************************** update */
+
+describe("update", function () {
+  test("works: saves the previous text as a revision", async function () {
+    const comment = await Comment.create({
+      userId: testUserIds[0],
+      tripId: testTripIds[0],
+      text: "First draft",
+    });
+
+    const updated = await Comment.update(comment.id, { text: "Second draft" });
+    expect(updated).toEqual({
+      ...comment,
+      text: "Second draft",
+      editedAt: expect.any(Date),
+    });
+
+    await Comment.update(comment.id, { text: "Final" });
+    const revisions = await Comment.getRevisions(comment.id);
+    expect(revisions).toEqual([
+      {
+        id: expect.any(Number),
+        commentId: comment.id,
+        text: "First draft",
+        writtenAt: comment.createdAt,
+        replacedAt: expect.any(Date),
+      },
+      {
+        id: expect.any(Number),
+        commentId: comment.id,
+        text: "Second draft",
+        writtenAt: expect.any(Date),
+        replacedAt: expect.any(Date),
+      },
+    ]);
+  });
+
+  test("works: no revisions until edited", async function () {
+    const comment = await Comment.create({
+      userId: testUserIds[0],
+      tripId: testTripIds[0],
+      text: "Untouched",
+    });
+    expect(await Comment.getRevisions(comment.id)).toEqual([]);
+  });
+
+  test("fails: deleted comments can't be edited", async function () {
+    const comment = await Comment.create({
+      userId: testUserIds[0],
+      tripId: testTripIds[0],
+      text: "Gone soon",
+    });
+    await Comment.remove(comment.id);
+
+    await expect(
+      Comment.update(comment.id, { text: "Back again" })
+    ).rejects.toThrow(NotFoundError);
+    await expect(Comment.getRevisions(comment.id)).rejects.toThrow(
+      NotFoundError
+    );
+  });
+
+  test("fails: not found if no such comment", async function () {
+    await expect(Comment.update(999999, { text: "hi" })).rejects.toThrow(
+      NotFoundError
+    );
+  });
+});
+
+/************************************** mentions */
+
+describe("mentions", function () {
+  beforeEach(async function () {
+    await TripMember.addMember(testUserIds[0], testTripIds[0], "owner");
+    await TripMember.addMember(testUserIds[1], testTripIds[0]);
+  });
+
+  test("works: saves mentions of trip members only", async function () {
+    const comment = await Comment.create({
+      userId: testUserIds[0],
+      tripId: testTripIds[0],
+      text: "@u2 can you book? (not @admin, they're not coming)",
+    });
+    expect(comment.mentions).toEqual([
+      { userId: testUserIds[1], username: "u2" },
+    ]);
+
+    const comments = await Comment.getCommentsByTrip(testTripIds[0]);
+    expect(comments[0].mentions).toEqual([
+      { userId: testUserIds[1], username: "u2" },
+    ]);
+  });
+
+  test("works: edits replace mentions", async function () {
+    const comment = await Comment.create({
+      userId: testUserIds[1],
+      tripId: testTripIds[0],
+      text: "@u1 hi",
+    });
+    const updated = await Comment.update(comment.id, { text: "@u2 hi" });
+    expect(updated.mentions).toEqual([
+      { userId: testUserIds[1], username: "u2" },
+    ]);
+
+    expect(await Comment.getMentionsOfUser("u1")).toEqual([]);
+  });
+
+  test("works: mentions of me, newest first", async function () {
+    const first = await Comment.create({
+      userId: testUserIds[0],
+      tripId: testTripIds[0],
+      text: "@u2 first",
+    });
+    const second = await Comment.create({
+      userId: testUserIds[0],
+      tripId: testTripIds[0],
+      activityId: testActivityIds[0],
+      text: "@u2 second",
+    });
+
+    const mentions = await Comment.getMentionsOfUser("u2");
+    expect(mentions).toEqual([
+      {
+        commentId: second.id,
+        tripId: testTripIds[0],
+        tripTitle: "Trip 1",
+        activityId: testActivityIds[0],
+        authorId: testUserIds[0],
+        authorUsername: "u1",
+        text: "@u2 second",
+        createdAt: expect.any(Date),
+      },
+      {
+        commentId: first.id,
+        tripId: testTripIds[0],
+        tripTitle: "Trip 1",
+        activityId: null,
+        authorId: testUserIds[0],
+        authorUsername: "u1",
+        text: "@u2 first",
+        createdAt: expect.any(Date),
+      },
+    ]);
+  });
+
+  test("works: leaves out deleted comments and trips I left", async function () {
+    const deleted = await Comment.create({
+      userId: testUserIds[0],
+      tripId: testTripIds[0],
+      text: "@u2 oops",
+    });
+    await Comment.remove(deleted.id);
+    expect(await Comment.getMentionsOfUser("u2")).toEqual([]);
+
+    await Comment.create({
+      userId: testUserIds[0],
+      tripId: testTripIds[0],
+      text: "@u2 still there?",
+    });
+    const member = await TripMember.isMember(testUserIds[1], testTripIds[0]);
+    await TripMember.removeMember(member.id);
+    expect(await Comment.getMentionsOfUser("u2")).toEqual([]);
+  });
+
+  test("not found if no such user", async function () {
+    await expect(Comment.getMentionsOfUser("nope")).rejects.toThrow(
+      NotFoundError
+    );
+  });
+});
+
+/************************************** reactions */
+
+describe("reactions", function () {
+  test("works: counts per emoji, most used first", async function () {
+    const comment = await Comment.create({
+      userId: testUserIds[0],
+      tripId: testTripIds[0],
+      text: "Dinner at 8?",
+    });
+    await Comment.addReaction(comment.id, testUserIds[0], "🎉");
+    await Comment.addReaction(comment.id, testUserIds[0], "👍");
+    await Comment.addReaction(comment.id, testUserIds[1], "👍");
+    // repeats are ignored
+    const reaction = await Comment.addReaction(comment.id, testUserIds[1], "👍");
+    expect(reaction).toEqual({
+      commentId: comment.id,
+      userId: testUserIds[1],
+      emoji: "👍",
+    });
+
+    const comments = await Comment.getCommentsByTrip(testTripIds[0]);
+    expect(comments[0].reactions).toEqual([
+      { emoji: "👍", count: 2 },
+      { emoji: "🎉", count: 1 },
+    ]);
+  });
+
+  test("works: remove", async function () {
+    const comment = await Comment.create({
+      userId: testUserIds[0],
+      tripId: testTripIds[0],
+      text: "Dinner at 8?",
+    });
+    await Comment.addReaction(comment.id, testUserIds[0], "👍");
+    await Comment.removeReaction(comment.id, testUserIds[0], "👍");
+
+    const comments = await Comment.getCommentsByTrip(testTripIds[0]);
+    expect(comments[0].reactions).toEqual([]);
+  });
+
+  test("not found: removing a reaction that isn't there", async function () {
+    const comment = await Comment.create({
+      userId: testUserIds[0],
+      tripId: testTripIds[0],
+      text: "Dinner at 8?",
+    });
+    await expect(
+      Comment.removeReaction(comment.id, testUserIds[0], "👍")
+    ).rejects.toThrow(NotFoundError);
+  });
+
+  test("not found: deleted or missing comments", async function () {
+    const comment = await Comment.create({
+      userId: testUserIds[0],
+      tripId: testTripIds[0],
+      text: "Dinner at 8?",
+    });
+    await Comment.remove(comment.id);
+    await expect(
+      Comment.addReaction(comment.id, testUserIds[0], "👍")
+    ).rejects.toThrow(NotFoundError);
+    await expect(
+      Comment.addReaction(999999, testUserIds[0], "👍")
+    ).rejects.toThrow(NotFoundError);
+  });
+});
+
 /************************************** remove */
 
 describe("remove", function () {
-  test("works: removes a comment", async function () {
+  test("works: leaves a placeholder", async function () {
     const comment = await Comment.create({
       userId: testUserIds[0],
       tripId: testTripIds[0],
       text: "To be deleted",
     });
 
-    await Comment.remove(comment.id);
+    await Comment.remove(comment.id, testUserIds[1]);
 
-    const result = await db.query(`SELECT * FROM comment WHERE id = $1`, [
-      comment.id,
-    ]);
-    expect(result.rows.length).toEqual(0);
+    const deleted = await Comment.get(comment.id);
+    expect(deleted.isDeleted).toBe(true);
+    expect(deleted.text).toEqual("[deleted]");
+
+    const result = await db.query(
+      `SELECT deleted_by FROM comment WHERE id = $1`,
+      [comment.id]
+    );
+    expect(result.rows[0].deleted_by).toEqual(testUserIds[1]);
+  });
+
+  test("works: placeholders stay only while they have replies", async function () {
+    const parent = await Comment.create({
+      userId: testUserIds[0],
+      tripId: testTripIds[0],
+      text: "Parent",
+    });
+    const reply = await Comment.create({
+      userId: testUserIds[1],
+      tripId: testTripIds[0],
+      parentId: parent.id,
+      text: "Reply",
+    });
+
+    await Comment.remove(parent.id);
+    let comments = await Comment.getCommentsByTrip(testTripIds[0]);
+    expect(comments.length).toEqual(1);
+    expect(comments[0].text).toEqual("[deleted]");
+    expect(comments[0].replies.map((c) => c.text)).toEqual(["Reply"]);
+
+    await Comment.remove(reply.id);
+    comments = await Comment.getCommentsByTrip(testTripIds[0]);
+    expect(comments).toEqual([]);
+  });
+
+  test("fails: can't reply to a deleted comment", async function () {
+    const parent = await Comment.create({
+      userId: testUserIds[0],
+      tripId: testTripIds[0],
+      text: "Parent",
+    });
+    await Comment.remove(parent.id);
+
+    await expect(
+      Comment.create({
+        userId: testUserIds[1],
+        tripId: testTripIds[0],
+        parentId: parent.id,
+        text: "Reply",
+      })
+    ).rejects.toThrow(BadRequestError);
+  });
+
+  test("fails: not found error if comment was already deleted", async function () {
+    const comment = await Comment.create({
+      userId: testUserIds[0],
+      tripId: testTripIds[0],
+      text: "Twice",
+    });
+    await Comment.remove(comment.id);
+    await expect(Comment.remove(comment.id)).rejects.toThrow(NotFoundError);
   });
 
   test("fails: not found error if comment does not exist", async function () {
@@ -0,0 +1,143 @@
+"use strict";
+
+const db = require("../db");
+const { MAIL_FROM } = require("../config");
+
+// an email is given up on after this many failed attempts
+const MAX_ATTEMPTS = 5;
+
+// how long a worker has to send a claimed email before another may retry it
+const CLAIM_SECONDS = 5 * 60;
+
+const OUTBOX_COLUMNS = `id,
+                        user_id AS "userId",
+                        to_address AS "to",
+                        kind,
+                        subject,
+                        body AS "text",
+                        status,
+                        attempts,
+                        last_error AS "lastError",
+                        next_attempt_at AS "nextAttemptAt",
+                        created_at AS "createdAt",
+                        sent_at AS "sentAt"`;
+
+/** Related functions for the outgoing email queue.
+ *
+ * Emails are saved here first and sent later by the worker
+ * (scripts/emailWorker.js), so a mail server being down never fails a
+ * request and failed sends are retried with backoff.
+ */
+
+class EmailOutbox {
+  /** Queue an email
+   *
+   * kind says what the email is about (e.g. "friend_request", "digest").
+   *
+   * Returns { id, userId, to, kind, subject, text, status, attempts, lastError, nextAttemptAt, createdAt, sentAt }
+   **/
+  static async enqueue({ userId = null, to, kind, subject, text }) {
+    const result = await db.query(
+      `INSERT INTO email_outbox (user_id, to_address, kind, subject, body)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING ${OUTBOX_COLUMNS}`,
+      [userId, to, kind, subject, text]
+    );
+
+    return result.rows[0];
+  }
+
+  /** Claim up to `limit` emails that are due to be sent
+   *
+   * Claimed emails count an attempt and aren't due again for CLAIM_SECONDS,
+   * so two workers never send the same email at once.
+   *
+   * Returns [{ id, userId, to, kind, subject, text, status, attempts, ... }, ...]
+   **/
+  static async claimDue(limit = 20) {
+    // materialized, so the LIMIT applies once; as a subquery in the WHERE,
+    // Postgres can run it again for each row and claim more than limit
+    const result = await db.query(
+      `WITH due AS MATERIALIZED (
+         SELECT id AS due_id
+         FROM email_outbox
+         WHERE status = 'pending' AND next_attempt_at <= CURRENT_TIMESTAMP
+         ORDER BY next_attempt_at, id
+         LIMIT $1
+         FOR UPDATE SKIP LOCKED
+       )
+       UPDATE email_outbox
+       SET attempts = attempts + 1,
+           next_attempt_at = CURRENT_TIMESTAMP + make_interval(secs => $2)
+       FROM due
+       WHERE email_outbox.id = due.due_id
+       RETURNING ${OUTBOX_COLUMNS}`,
+      [limit, CLAIM_SECONDS]
+    );
+
+    return result.rows.sort((a, b) => a.id - b.id);
+  }
+
+  /** Record that an email was sent */
+  static async markSent(id) {
+    await db.query(
+      `UPDATE email_outbox
+       SET status = 'sent', sent_at = CURRENT_TIMESTAMP, last_error = NULL
+       WHERE id = $1`,
+      [id]
+    );
+  }
+
+  /** Record a failed attempt to send an email
+   *
+   * The email is retried after 2, 4, 8... minutes, and marked "failed" once
+   * it has been tried MAX_ATTEMPTS times.
+   *
+   * Returns { id, status, attempts, lastError, nextAttemptAt }
+   **/
+  static async markFailed(id, error) {
+    const result = await db.query(
+      `UPDATE email_outbox
+       SET status = CASE WHEN attempts >= $3 THEN 'failed' ELSE 'pending' END,
+           last_error = $2,
+           next_attempt_at = CURRENT_TIMESTAMP
+                             + make_interval(mins => POWER(2, attempts)::INTEGER)
+       WHERE id = $1
+       RETURNING id, status, attempts, last_error AS "lastError",
+                 next_attempt_at AS "nextAttemptAt"`,
+      [id, error, MAX_ATTEMPTS]
+    );
+
+    return result.rows[0];
+  }
+
+  /** Send the emails that are due through `transport` (see helpers/mailer.js)
+   *
+   * Returns { sent, failed } counts.
+   **/
+  static async deliverDue(transport, { limit = 20 } = {}) {
+    const emails = await EmailOutbox.claimDue(limit);
+    let sent = 0;
+    let failed = 0;
+
+    for (let email of emails) {
+      try {
+        await transport.send({
+          from: MAIL_FROM,
+          to: email.to,
+          subject: email.subject,
+          text: email.text,
+        });
+        await EmailOutbox.markSent(email.id);
+        sent++;
+      } catch (err) {
+        await EmailOutbox.markFailed(email.id, err.message);
+        failed++;
+      }
+    }
+
+    return { sent, failed };
+  }
+}
+
+module.exports = EmailOutbox;
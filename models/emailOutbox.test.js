@@ -0,0 +1,231 @@
+"use strict";
+
+const db = require("../db.js");
+const EmailOutbox = require("./emailOutbox.js");
+const Notification = require("./notification.js");
+const User = require("./user.js");
+const {
+  emailNotification,
+  queueDailyDigests,
+} = require("../helpers/emailNotifications");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+  testUserIds,
+  testTripIds,
+  testActivityIds,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+const newEmail = {
+  to: "u1@email.com",
+  kind: "friend_request",
+  subject: "Hello",
+  text: "Hi there",
+};
+
+function fakeTransport(fail = false) {
+  return {
+    name: "fake",
+    sent: [],
+    async send(message) {
+      if (fail) throw new Error("connection refused");
+      this.sent.push(message);
+    },
+  };
+}
+
+/************************************** enqueue */
+
+describe("enqueue", function () {
+  test("works", async function () {
+    const email = await EmailOutbox.enqueue({
+      ...newEmail,
+      userId: testUserIds[0],
+    });
+    expect(email).toEqual({
+      id: expect.any(Number),
+      userId: testUserIds[0],
+      ...newEmail,
+      status: "pending",
+      attempts: 0,
+      lastError: null,
+      nextAttemptAt: expect.any(Date),
+      createdAt: expect.any(Date),
+      sentAt: null,
+    });
+  });
+});
+
+/************************************** claimDue */
+
+describe("claimDue", function () {
+  test("works: claims each email once", async function () {
+    const a = await EmailOutbox.enqueue(newEmail);
+    const b = await EmailOutbox.enqueue(newEmail);
+
+    const claimed = await EmailOutbox.claimDue();
+    expect(claimed.map((e) => [e.id, e.attempts])).toEqual([
+      [a.id, 1],
+      [b.id, 1],
+    ]);
+    expect(await EmailOutbox.claimDue()).toEqual([]);
+  });
+
+  test("works: limit", async function () {
+    await EmailOutbox.enqueue(newEmail);
+    await EmailOutbox.enqueue(newEmail);
+    expect((await EmailOutbox.claimDue(1)).length).toEqual(1);
+  });
+});
+
+/************************************** markFailed */
+
+describe("markFailed", function () {
+  test("works: retried later, then given up on", async function () {
+    const { id } = await EmailOutbox.enqueue(newEmail);
+    await db.query(`UPDATE email_outbox SET attempts = 1 WHERE id = $1`, [id]);
+
+    const retry = await EmailOutbox.markFailed(id, "timeout");
+    expect(retry).toEqual({
+      id,
+      status: "pending",
+      attempts: 1,
+      lastError: "timeout",
+      nextAttemptAt: expect.any(Date),
+    });
+
+    await db.query(`UPDATE email_outbox SET attempts = 5 WHERE id = $1`, [id]);
+    const failed = await EmailOutbox.markFailed(id, "timeout");
+    expect(failed.status).toEqual("failed");
+  });
+});
+
+/************************************** deliverDue */
+
+describe("deliverDue", function () {
+  test("works", async function () {
+    const { id } = await EmailOutbox.enqueue(newEmail);
+    const transport = fakeTransport();
+
+    expect(await EmailOutbox.deliverDue(transport)).toEqual({
+      sent: 1,
+      failed: 0,
+    });
+    expect(transport.sent).toEqual([
+      {
+        from: expect.any(String),
+        to: "u1@email.com",
+        subject: "Hello",
+        text: "Hi there",
+      },
+    ]);
+
+    const res = await db.query(
+      `SELECT status, sent_at FROM email_outbox WHERE id = $1`,
+      [id]
+    );
+    expect(res.rows[0].status).toEqual("sent");
+    expect(res.rows[0].sent_at).toEqual(expect.any(Date));
+  });
+
+  test("works: failures are kept for a retry", async function () {
+    const { id } = await EmailOutbox.enqueue(newEmail);
+
+    expect(await EmailOutbox.deliverDue(fakeTransport(true))).toEqual({
+      sent: 0,
+      failed: 1,
+    });
+
+    const res = await db.query(
+      `SELECT status, attempts, last_error,
+              next_attempt_at > CURRENT_TIMESTAMP AS "later"
+       FROM email_outbox WHERE id = $1`,
+      [id]
+    );
+    expect(res.rows[0]).toEqual({
+      status: "pending",
+      attempts: 1,
+      last_error: "connection refused",
+      later: true,
+    });
+  });
+});
+
+/************************************** emailNotification */
+
+describe("emailNotification", function () {
+  test("works: friend requests are emailed", async function () {
+    const [notification] = await Notification.create([testUserIds[0]], {
+      type: "friend_request",
+      actorId: testUserIds[1],
+    });
+
+    const email = await emailNotification(notification);
+    expect(email).toEqual(
+      expect.objectContaining({
+        userId: testUserIds[0],
+        to: "u1@email.com",
+        kind: "friend_request",
+        subject: "u2 sent you a friend request",
+      })
+    );
+  });
+
+  test("works: not if the user turned them off", async function () {
+    await User.updateEmailPreferences("u1", { friendRequests: false });
+    const [notification] = await Notification.create([testUserIds[0]], {
+      type: "friend_request",
+      actorId: testUserIds[1],
+    });
+
+    expect(await emailNotification(notification)).toBeNull();
+  });
+
+  test("works: other notifications wait for the digest", async function () {
+    const [notification] = await Notification.create([testUserIds[0]], {
+      type: "comment",
+      actorId: testUserIds[1],
+      tripId: testTripIds[0],
+    });
+
+    expect(await emailNotification(notification)).toBeNull();
+  });
+});
+
+/************************************** queueDailyDigests */
+
+describe("queueDailyDigests", function () {
+  test("works: once per batch of notifications", async function () {
+    await Notification.create([testUserIds[1]], {
+      type: "activity_added",
+      actorId: testUserIds[0],
+      tripId: testTripIds[0],
+      activityId: testActivityIds[0],
+    });
+
+    expect(await queueDailyDigests()).toEqual(1);
+    const res = await db.query(
+      `SELECT to_address, kind, subject, body FROM email_outbox`
+    );
+    expect(res.rows).toEqual([
+      {
+        to_address: "u2@email.com",
+        kind: "digest",
+        subject: "Your OurTabi digest: 1 update",
+        body: expect.stringContaining(
+          "Trip 1\n  - u1 proposed Central Park Tour for Trip 1."
+        ),
+      },
+    ]);
+
+    // already in a digest
+    expect(await queueDailyDigests()).toEqual(0);
+  });
+});
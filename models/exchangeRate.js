@@ -0,0 +1,77 @@
+"use strict";
+
+const db = require("../db");
+const { NotFoundError } = require("../helpers/expressError.js");
+
+const RATE_COLUMNS = `base,
+                      quote,
+                      rate::FLOAT AS rate,
+                      updated_at AS "updatedAt"`;
+
+/** Related functions for the admin-managed exchange rates.
+ *
+ * A rate { base: "USD", quote: "EUR", rate: 0.92 } means 1 USD = 0.92 EUR.
+ * See helpers/currency.js for converting amounts with these rates.
+ */
+
+class ExchangeRate {
+  /** Get all exchange rates
+   *
+   * Returns [{ base, quote, rate, updatedAt }, ...] ordered by base, quote
+   **/
+  static async getAll() {
+    const result = await db.query(
+      `SELECT ${RATE_COLUMNS}
+       FROM exchange_rate
+       ORDER BY base, quote`
+    );
+    return result.rows;
+  }
+
+  /** Add or update many exchange rates at once
+   *
+   * rates is [{ base, quote, rate }, ...], e.g. from parseRatesCsv. Existing
+   * base/quote pairs are overwritten; other rates are left alone. If a pair
+   * is in rates more than once, the last one is saved.
+   *
+   * Returns [{ base, quote, rate, updatedAt }, ...] for the saved rates
+   **/
+  static async upsertMany(rates) {
+    // one INSERT ... ON CONFLICT can't update the same row twice
+    const byPair = new Map(rates.map((r) => [`${r.base}/${r.quote}`, r]));
+    const unique = [...byPair.values()];
+
+    const result = await db.query(
+      `INSERT INTO exchange_rate (base, quote, rate)
+       SELECT * FROM unnest($1::CHAR(3)[], $2::CHAR(3)[], $3::NUMERIC[])
+       ON CONFLICT (base, quote)
+       DO UPDATE SET rate = EXCLUDED.rate, updated_at = CURRENT_TIMESTAMP
+       RETURNING ${RATE_COLUMNS}`,
+      [
+        unique.map((r) => r.base),
+        unique.map((r) => r.quote),
+        unique.map((r) => r.rate),
+      ]
+    );
+    return result.rows;
+  }
+
+  /** Delete the rate for a currency pair
+   *
+   * Throws NotFoundError if there is no such rate.
+   **/
+  static async remove(base, quote) {
+    const result = await db.query(
+      `DELETE FROM exchange_rate
+       WHERE base = $1 AND quote = $2
+       RETURNING base`,
+      [base.toUpperCase(), quote.toUpperCase()]
+    );
+
+    if (!result.rows[0]) {
+      throw new NotFoundError(`No exchange rate found for ${base}/${quote}`);
+    }
+  }
+}
+
+module.exports = ExchangeRate;
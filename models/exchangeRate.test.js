@@ -0,0 +1,72 @@
+"use strict";
+
+const ExchangeRate = require("./exchangeRate");
+const { NotFoundError } = require("../helpers/expressError");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** upsertMany */
+
+describe("upsertMany", function () {
+  test("works: adds new rates", async function () {
+    const rates = await ExchangeRate.upsertMany([
+      { base: "USD", quote: "EUR", rate: 0.92 },
+      { base: "USD", quote: "JPY", rate: 151.3 },
+    ]);
+    expect(rates).toEqual([
+      { base: "USD", quote: "EUR", rate: 0.92, updatedAt: expect.any(Date) },
+      { base: "USD", quote: "JPY", rate: 151.3, updatedAt: expect.any(Date) },
+    ]);
+  });
+
+  test("works: replaces existing pairs only", async function () {
+    await ExchangeRate.upsertMany([
+      { base: "USD", quote: "EUR", rate: 0.92 },
+      { base: "USD", quote: "JPY", rate: 151.3 },
+    ]);
+    await ExchangeRate.upsertMany([{ base: "USD", quote: "EUR", rate: 0.9 }]);
+
+    const rates = await ExchangeRate.getAll();
+    expect(rates.map((r) => [r.base, r.quote, r.rate])).toEqual([
+      ["USD", "EUR", 0.9],
+      ["USD", "JPY", 151.3],
+    ]);
+  });
+
+  test("works: the last rate for a repeated pair wins", async function () {
+    const rates = await ExchangeRate.upsertMany([
+      { base: "USD", quote: "EUR", rate: 0.92 },
+      { base: "USD", quote: "JPY", rate: 151.3 },
+      { base: "USD", quote: "EUR", rate: 0.9 },
+    ]);
+    expect(rates.map((r) => [r.base, r.quote, r.rate])).toEqual([
+      ["USD", "EUR", 0.9],
+      ["USD", "JPY", 151.3],
+    ]);
+  });
+});
+
+/************************************** remove */
+
+describe("remove", function () {
+  test("works", async function () {
+    await ExchangeRate.upsertMany([{ base: "USD", quote: "EUR", rate: 0.92 }]);
+    await ExchangeRate.remove("usd", "eur");
+    expect(await ExchangeRate.getAll()).toEqual([]);
+  });
+
+  test("not found", async function () {
+    await expect(ExchangeRate.remove("USD", "EUR")).rejects.toThrow(
+      NotFoundError
+    );
+  });
+});
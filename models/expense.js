@@ -0,0 +1,319 @@
+"use strict";
+
+const db = require("../db");
+const {
+  NotFoundError,
+  BadRequestError,
+} = require("../helpers/expressError.js");
+const {
+  toCents,
+  fromCents,
+  splitExpense,
+  convertExpense,
+  computeBalances,
+  settleUp,
+} = require("../helpers/expenses");
+const ExchangeRate = require("./exchangeRate");
+
+/** Turn an expense row (amounts in cents) into the shape the API returns. */
+function formatExpense({ amountCents, shares, ...expense }) {
+  return {
+    ...expense,
+    amount: fromCents(amountCents),
+    shares: shares.map(({ amountCents, ...share }) => ({
+      ...share,
+      amount: fromCents(amountCents),
+    })),
+  };
+}
+
+const EXPENSE_QUERY = `SELECT e.id,
+                              e.trip_id AS "tripId",
+                              e.paid_by AS "paidBy",
+                              e.activity_id AS "activityId",
+                              e.description,
+                              e.amount_cents AS "amountCents",
+                              e.currency,
+                              e.split_type AS "splitType",
+                              e.created_by AS "createdBy",
+                              e.created_at AS "createdAt",
+                              json_agg(
+                                json_build_object(
+                                  'userId', es.user_id,
+                                  'username', u.username,
+                                  'shares', es.shares,
+                                  'amountCents', es.amount_cents
+                                ) ORDER BY es.user_id
+                              ) AS shares
+                       FROM expense AS e
+                       JOIN expense_share AS es ON es.expense_id = e.id
+                       JOIN users AS u ON u.id = es.user_id`;
+
+/** Related functions for trip expenses. */
+
+class Expense {
+  /** Record an expense paid by one member and split among members
+   *
+   * data should be { tripId, paidBy, createdBy, description, amount, currency,
+   *                  activityId, splitType, splits }
+   *
+   * - amount is in the currency's main unit, e.g. 12.5 for $12.50
+   * - splitType is "equal" (default), "shares" or "exact"
+   * - splits is [{ userId, shares, amount }, ...]; for an equal split it can be
+   *   left out to split between every trip member
+   *
+   * Returns { id, tripId, paidBy, activityId, description, amount, currency, splitType, createdBy, createdAt,
+   *           shares: [{ userId, username, shares, amount }, ...] }
+   *
+   * Throws BadRequestError if the payer or anyone in the split is not a trip
+   * member, the activity is not in the trip, or the split is invalid.
+   **/
+  static async create({
+    tripId,
+    paidBy,
+    createdBy,
+    description,
+    amount,
+    currency = "USD",
+    activityId = null,
+    splitType = "equal",
+    splits,
+  }) {
+    const membersRes = await db.query(
+      `SELECT user_id AS "userId"
+       FROM trip_member
+       WHERE trip_id = $1
+       ORDER BY joined_at ASC`,
+      [tripId]
+    );
+    const memberIds = membersRes.rows.map((m) => m.userId);
+
+    if (!memberIds.includes(paidBy)) {
+      throw new BadRequestError("The payer must be a member of this trip.");
+    }
+
+    if (!splits) {
+      if (splitType !== "equal") {
+        throw new BadRequestError(
+          `A ${splitType} split needs a list of splits.`
+        );
+      }
+      splits = memberIds.map((userId) => ({ userId }));
+    }
+
+    const outsiders = splits
+      .map((s) => s.userId)
+      .filter((userId) => !memberIds.includes(userId));
+    if (outsiders.length) {
+      throw new BadRequestError(
+        `Expenses can only be split between trip members, not user ids: ${outsiders.join(", ")}`
+      );
+    }
+
+    if (activityId !== null) {
+      const activityRes = await db.query(
+        `SELECT id FROM activity WHERE id = $1 AND trip_id = $2`,
+        [activityId, tripId]
+      );
+      if (!activityRes.rows[0]) {
+        throw new BadRequestError("Activity does not belong to this trip.");
+      }
+    }
+
+    const amountCents = toCents(amount);
+    const shares = splitExpense(amountCents, splitType, splits);
+
+    // one statement so an expense is never saved without its shares
+    const result = await db.query(
+      `WITH new_expense AS (
+         INSERT INTO expense
+           (trip_id, paid_by, activity_id, description, amount_cents, currency, split_type, created_by)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+         RETURNING id
+       ), new_shares AS (
+         INSERT INTO expense_share (expense_id, user_id, shares, amount_cents)
+         SELECT new_expense.id, s.user_id, s.shares, s.amount_cents
+         FROM new_expense,
+              unnest($9::INTEGER[], $10::INTEGER[], $11::INTEGER[])
+                AS s(user_id, shares, amount_cents)
+       )
+       SELECT id FROM new_expense`,
+      [
+        tripId,
+        paidBy,
+        activityId,
+        description,
+        amountCents,
+        currency.toUpperCase(),
+        splitType,
+        createdBy,
+        shares.map((s) => s.userId),
+        shares.map((s) => s.shares),
+        shares.map((s) => s.amountCents),
+      ]
+    );
+
+    return await Expense.get(result.rows[0].id, tripId);
+  }
+
+  /** Get all expenses for a trip, newest first
+   *
+   * Returns [{ id, tripId, paidBy, activityId, description, amount, currency, splitType, createdBy, createdAt,
+   *            shares: [{ userId, username, shares, amount }, ...] }, ...]
+   **/
+  static async getByTrip(tripId) {
+    const result = await db.query(
+      `${EXPENSE_QUERY}
+       WHERE e.trip_id = $1
+       GROUP BY e.id
+       ORDER BY e.created_at DESC, e.id DESC`,
+      [tripId]
+    );
+
+    return result.rows.map(formatExpense);
+  }
+
+  /** Get a single expense of a trip
+   *
+   * Returns { id, tripId, paidBy, activityId, description, amount, currency, splitType, createdBy, createdAt,
+   *           shares: [{ userId, username, shares, amount }, ...] }
+   *
+   * Throws NotFoundError if the expense does not exist in this trip.
+   **/
+  static async get(expenseId, tripId) {
+    const result = await db.query(
+      `${EXPENSE_QUERY}
+       WHERE e.id = $1 AND e.trip_id = $2
+       GROUP BY e.id`,
+      [expenseId, tripId]
+    );
+
+    const expense = result.rows[0];
+    if (!expense) {
+      throw new NotFoundError(`No expense found with id: ${expenseId}`);
+    }
+    return formatExpense(expense);
+  }
+
+  /** Delete an expense of a trip
+   *
+   * Returns undefined.
+   *
+   * Throws NotFoundError if the expense does not exist in this trip.
+   **/
+  static async remove(expenseId, tripId) {
+    const result = await db.query(
+      `DELETE FROM expense
+       WHERE id = $1 AND trip_id = $2
+       RETURNING id`,
+      [expenseId, tripId]
+    );
+
+    if (!result.rows[0]) {
+      throw new NotFoundError(`No expense found with id: ${expenseId}`);
+    }
+  }
+
+  /** Work out who owes whom, in the trip's base currency
+   *
+   * Expenses in other currencies are converted with the admin-managed
+   * exchange rates. transfers is a short list of payments that would settle
+   * every balance (see settleUp in helpers/expenses.js).
+   *
+   * Returns { currency, total,
+   *           totalsByCurrency: [{ currency, total }, ...],
+   *           members: [{ userId, username, paid, owes, net }, ...],
+   *           transfers: [{ fromUserId, fromUsername, toUserId, toUsername, amount }, ...] }
+   *  A positive net means the member is owed money.
+   *
+   * Throws NotFoundError if the trip does not exist.
+   * Throws BadRequestError if an expense's currency has no exchange rate to
+   * the base currency.
+   **/
+  static async getBalances(tripId) {
+    const tripRes = await db.query(
+      `SELECT base_currency AS "baseCurrency" FROM trip WHERE id = $1`,
+      [tripId]
+    );
+    const trip = tripRes.rows[0];
+    if (!trip) throw new NotFoundError(`No trip found with ID: ${tripId}`);
+
+    const result = await db.query(
+      `SELECT e.paid_by AS "paidBy",
+              e.amount_cents AS "amountCents",
+              e.currency,
+              json_agg(
+                json_build_object(
+                  'userId', es.user_id,
+                  'amountCents', es.amount_cents
+                )
+              ) AS shares
+       FROM expense AS e
+       JOIN expense_share AS es ON es.expense_id = e.id
+       WHERE e.trip_id = $1
+       GROUP BY e.id
+       ORDER BY e.currency`,
+      [tripId]
+    );
+
+    const totalsByCurrency = new Map();
+    for (let { currency, amountCents } of result.rows) {
+      totalsByCurrency.set(
+        currency,
+        (totalsByCurrency.get(currency) || 0) + amountCents
+      );
+    }
+
+    const needsRates = result.rows.some(
+      (e) => e.currency !== trip.baseCurrency
+    );
+    const rates = needsRates ? await ExchangeRate.getAll() : [];
+    const expenses = result.rows.map((e) =>
+      convertExpense(e, trip.baseCurrency, rates)
+    );
+
+    const userIds = new Set();
+    for (let expense of expenses) {
+      userIds.add(expense.paidBy);
+      expense.shares.forEach((s) => userIds.add(s.userId));
+    }
+    const usersRes = await db.query(
+      `SELECT id, username FROM users WHERE id = ANY($1::INTEGER[])`,
+      [[...userIds]]
+    );
+    const usernames = new Map(usersRes.rows.map((u) => [u.id, u.username]));
+
+    const balances = computeBalances(expenses);
+
+    const members = [...balances]
+      .map(([userId, { paidCents, owesCents, netCents }]) => ({
+        userId,
+        username: usernames.get(userId),
+        paid: fromCents(paidCents),
+        owes: fromCents(owesCents),
+        net: fromCents(netCents),
+      }))
+      .sort((a, b) => b.net - a.net || a.userId - b.userId);
+
+    const transfers = settleUp(balances).map(({ from, to, amountCents }) => ({
+      fromUserId: from,
+      fromUsername: usernames.get(from),
+      toUserId: to,
+      toUsername: usernames.get(to),
+      amount: fromCents(amountCents),
+    }));
+
+    return {
+      currency: trip.baseCurrency,
+      total: fromCents(expenses.reduce((sum, e) => sum + e.amountCents, 0)),
+      totalsByCurrency: [...totalsByCurrency].map(([currency, cents]) => ({
+        currency,
+        total: fromCents(cents),
+      })),
+      members,
+      transfers,
+    };
+  }
+}
+
+module.exports = Expense;
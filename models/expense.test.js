@@ -0,0 +1,280 @@
+"use strict";
+
+const Expense = require("./expense");
+const TripMember = require("./tripMember");
+const ExchangeRate = require("./exchangeRate");
+const { NotFoundError, BadRequestError } = require("../helpers/expressError");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+  testUserIds,
+  testTripIds,
+  testActivityIds,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+// trip 1 with u1 (owner), u2 and admin as members
+async function addMembers() {
+  await TripMember.addMember(testUserIds[0], testTripIds[0], "owner");
+  await TripMember.addMember(testUserIds[1], testTripIds[0]);
+  await TripMember.addMember(testUserIds[2], testTripIds[0]);
+}
+
+/************************************** create */
+
+describe("create", function () {
+  test("works: equal split between every member", async function () {
+    await addMembers();
+    const expense = await Expense.create({
+      tripId: testTripIds[0],
+      paidBy: testUserIds[0],
+      createdBy: testUserIds[0],
+      description: "Dinner",
+      amount: 100,
+      activityId: testActivityIds[0],
+    });
+
+    expect(expense).toEqual({
+      id: expect.any(Number),
+      tripId: testTripIds[0],
+      paidBy: testUserIds[0],
+      activityId: testActivityIds[0],
+      description: "Dinner",
+      amount: 100,
+      currency: "USD",
+      splitType: "equal",
+      createdBy: testUserIds[0],
+      createdAt: expect.any(Date),
+      shares: expect.any(Array),
+    });
+    expect(expense.shares.map((s) => s.amount).sort()).toEqual([
+      33.33, 33.33, 33.34,
+    ]);
+  });
+
+  test("works: split by shares", async function () {
+    await addMembers();
+    const expense = await Expense.create({
+      tripId: testTripIds[0],
+      paidBy: testUserIds[1],
+      createdBy: testUserIds[1],
+      description: "Hotel",
+      amount: 300,
+      currency: "eur",
+      splitType: "shares",
+      splits: [
+        { userId: testUserIds[0], shares: 2 },
+        { userId: testUserIds[1], shares: 1 },
+      ],
+    });
+
+    expect(expense.currency).toEqual("EUR");
+    expect(expense.shares).toEqual(
+      expect.arrayContaining([
+        { userId: testUserIds[0], username: "u1", shares: 2, amount: 200 },
+        { userId: testUserIds[1], username: "u2", shares: 1, amount: 100 },
+      ])
+    );
+  });
+
+  test("fails: payer is not a member", async function () {
+    await TripMember.addMember(testUserIds[0], testTripIds[0], "owner");
+    await expect(
+      Expense.create({
+        tripId: testTripIds[0],
+        paidBy: testUserIds[1],
+        createdBy: testUserIds[0],
+        description: "Taxi",
+        amount: 20,
+      })
+    ).rejects.toThrow("The payer must be a member of this trip.");
+  });
+
+  test("fails: splitting with a non-member", async function () {
+    await TripMember.addMember(testUserIds[0], testTripIds[0], "owner");
+    await expect(
+      Expense.create({
+        tripId: testTripIds[0],
+        paidBy: testUserIds[0],
+        createdBy: testUserIds[0],
+        description: "Taxi",
+        amount: 20,
+        splits: [{ userId: testUserIds[0] }, { userId: testUserIds[1] }],
+      })
+    ).rejects.toThrow(BadRequestError);
+  });
+
+  test("fails: exact amounts do not add up", async function () {
+    await addMembers();
+    await expect(
+      Expense.create({
+        tripId: testTripIds[0],
+        paidBy: testUserIds[0],
+        createdBy: testUserIds[0],
+        description: "Taxi",
+        amount: 20,
+        splitType: "exact",
+        splits: [
+          { userId: testUserIds[0], amount: 5 },
+          { userId: testUserIds[1], amount: 5 },
+        ],
+      })
+    ).rejects.toThrow(BadRequestError);
+  });
+});
+
+/************************************** getByTrip, get, remove */
+
+describe("getByTrip / get / remove", function () {
+  test("works", async function () {
+    await addMembers();
+    const expense = await Expense.create({
+      tripId: testTripIds[0],
+      paidBy: testUserIds[0],
+      createdBy: testUserIds[0],
+      description: "Dinner",
+      amount: 60,
+    });
+
+    const expenses = await Expense.getByTrip(testTripIds[0]);
+    expect(expenses).toEqual([expense]);
+    expect(await Expense.get(expense.id, testTripIds[0])).toEqual(expense);
+
+    await Expense.remove(expense.id, testTripIds[0]);
+    expect(await Expense.getByTrip(testTripIds[0])).toEqual([]);
+  });
+
+  test("not found: expense from another trip", async function () {
+    await addMembers();
+    const expense = await Expense.create({
+      tripId: testTripIds[0],
+      paidBy: testUserIds[0],
+      createdBy: testUserIds[0],
+      description: "Dinner",
+      amount: 60,
+    });
+    await expect(Expense.get(expense.id, testTripIds[1])).rejects.toThrow(
+      NotFoundError
+    );
+    await expect(Expense.remove(expense.id, testTripIds[1])).rejects.toThrow(
+      NotFoundError
+    );
+  });
+});
+
+/************************************** getBalances */
+
+describe("getBalances", function () {
+  test("works: converted to the base currency with settle-up transfers", async function () {
+    await addMembers();
+    await ExchangeRate.upsertMany([{ base: "USD", quote: "EUR", rate: 0.8 }]);
+    await Expense.create({
+      tripId: testTripIds[0],
+      paidBy: testUserIds[0],
+      createdBy: testUserIds[0],
+      description: "Dinner",
+      amount: 90,
+    });
+    await Expense.create({
+      tripId: testTripIds[0],
+      paidBy: testUserIds[1],
+      createdBy: testUserIds[1],
+      description: "Museum",
+      amount: 30,
+      splitType: "exact",
+      splits: [
+        { userId: testUserIds[1], amount: 15 },
+        { userId: testUserIds[2], amount: 15 },
+      ],
+    });
+    await Expense.create({
+      tripId: testTripIds[0],
+      paidBy: testUserIds[2],
+      createdBy: testUserIds[2],
+      description: "Gelato",
+      amount: 10,
+      currency: "EUR",
+      splits: [{ userId: testUserIds[0] }, { userId: testUserIds[2] }],
+    });
+
+    const balances = await Expense.getBalances(testTripIds[0]);
+    expect(balances).toEqual({
+      currency: "USD",
+      total: 132.5,
+      totalsByCurrency: [
+        { currency: "EUR", total: 10 },
+        { currency: "USD", total: 120 },
+      ],
+      members: [
+        {
+          userId: testUserIds[0],
+          username: "u1",
+          paid: 90,
+          owes: 36.25,
+          net: 53.75,
+        },
+        {
+          userId: testUserIds[1],
+          username: "u2",
+          paid: 30,
+          owes: 45,
+          net: -15,
+        },
+        {
+          userId: testUserIds[2],
+          username: "admin",
+          paid: 12.5,
+          owes: 51.25,
+          net: -38.75,
+        },
+      ],
+      transfers: [
+        {
+          fromUserId: testUserIds[2],
+          fromUsername: "admin",
+          toUserId: testUserIds[0],
+          toUsername: "u1",
+          amount: 38.75,
+        },
+        {
+          fromUserId: testUserIds[1],
+          fromUsername: "u2",
+          toUserId: testUserIds[0],
+          toUsername: "u1",
+          amount: 15,
+        },
+      ],
+    });
+  });
+
+  test("bad request: no exchange rate for a currency", async function () {
+    await addMembers();
+    await Expense.create({
+      tripId: testTripIds[0],
+      paidBy: testUserIds[0],
+      createdBy: testUserIds[0],
+      description: "Ramen",
+      amount: 1500,
+      currency: "JPY",
+    });
+    await expect(Expense.getBalances(testTripIds[0])).rejects.toThrow(
+      "No exchange rate from JPY to USD."
+    );
+  });
+
+  test("works: no expenses", async function () {
+    expect(await Expense.getBalances(testTripIds[0])).toEqual({
+      currency: "USD",
+      total: 0,
+      totalsByCurrency: [],
+      members: [],
+      transfers: [],
+    });
+  });
+});
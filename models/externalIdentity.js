@@ -0,0 +1,207 @@
+"use strict";
+
+const crypto = require("crypto");
+const db = require("../db");
+const {
+  createOpaqueToken,
+  hashOpaqueToken,
+  unusablePasswordHash,
+} = require("../helpers/tokens");
+const {
+  BadRequestError,
+  UnauthorizedError,
+} = require("../helpers/expressError.js");
+
+// how long a user has to log in with the provider and come back
+const LOGIN_STATE_TTL_MINUTES = 10;
+
+// Postgres' error code when an insert clashes with a unique constraint
+const UNIQUE_VIOLATION = "23505";
+
+// same as the users.email check
+const EMAIL_PATTERN = /^[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}$/;
+
+const USER_COLUMNS = `users.id,
+                      users.username,
+                      users.is_admin AS "isAdmin",
+                      users.token_version AS "tokenVersion",
+                      users.totp_enabled AS "totpEnabled",
+                      users.email_verified AS "emailVerified"`;
+
+/** Pick an unused username for a new user, based on what the provider calls
+ *  them or their email address. */
+async function availableUsername(claims) {
+  const wanted = claims.preferred_username || claims.email.split("@")[0];
+  let base = wanted.replace(/[^A-Za-z0-9._-]/g, "").slice(0, 20);
+  if (base.length < 2) base = "user";
+
+  for (let tries = 0; tries < 10; tries++) {
+    const username = tries ? `${base}${crypto.randomInt(1000, 10000)}` : base;
+    const taken = await db.query(`SELECT 1 FROM users WHERE username = $1`, [
+      username,
+    ]);
+    if (!taken.rows[0]) return username;
+  }
+  throw new BadRequestError("Couldn't pick a username; try again.");
+}
+
+/** ExternalIdentity.login's work, to run in a transaction: find the user
+ *  linked to the provider's account, or link it to the user with its email
+ *  address, or create a user. */
+async function linkOrCreateUser(provider, claims) {
+  const linked = await db.query(
+    `UPDATE user_identity
+     SET last_login_at = CURRENT_TIMESTAMP, email = $3
+     FROM users
+     WHERE user_identity.user_id = users.id
+       AND provider = $1 AND subject = $2
+     RETURNING ${USER_COLUMNS}`,
+    [provider, claims.sub, claims.email || null]
+  );
+  if (linked.rows[0]) return { user: linked.rows[0], created: false };
+
+  if (typeof claims.email !== "string" || !EMAIL_PATTERN.test(claims.email)) {
+    throw new BadRequestError(
+      "The login provider didn't share a usable email address."
+    );
+  }
+
+  const existingRes = await db.query(
+    `SELECT ${USER_COLUMNS} FROM users WHERE LOWER(email) = LOWER($1)`,
+    [claims.email]
+  );
+  const existing = existingRes.rows[0];
+  if (existing) {
+    // otherwise whoever controls the provider's account could take over ours
+    if (claims.email_verified !== true || !existing.emailVerified) {
+      throw new BadRequestError(
+        "An account with this email address already exists; log in with its password."
+      );
+    }
+    await db.query(
+      `INSERT INTO user_identity (user_id, provider, subject, email)
+       VALUES ($1, $2, $3, $4)`,
+      [existing.id, provider, claims.sub, claims.email]
+    );
+    return { user: existing, created: false };
+  }
+
+  const unusable = await unusablePasswordHash();
+  const [firstName, ...lastNames] = (claims.name || "").split(" ");
+  const result = await db.query(
+    `WITH new_user AS (
+       INSERT INTO users
+         (username, password, first_name, last_name, email, email_verified)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING *
+     ), identity AS (
+       INSERT INTO user_identity (user_id, provider, subject, email)
+       SELECT id, $7, $8, email FROM new_user
+     )
+     SELECT ${USER_COLUMNS} FROM new_user AS users`,
+    [
+      await availableUsername(claims),
+      unusable,
+      claims.given_name || firstName || "",
+      claims.family_name || lastNames.join(" "),
+      claims.email,
+      claims.email_verified === true,
+      provider,
+      claims.sub,
+    ]
+  );
+  return { user: result.rows[0], created: true };
+}
+
+/** Related functions for accounts with other providers (OpenID Connect, see
+ *  helpers/oidc.js) that users log in with.
+ *
+ * An account is linked to one user, found by the provider's id for it. The
+ * first login links it to the user with the same email address, if both the
+ * provider and we have verified the address, or else creates a user.
+ */
+
+class ExternalIdentity {
+  /** Start logging in with a provider.
+   *
+   * Returns { state, nonce, codeVerifier } for the provider's authorization
+   * URL; they work for LOGIN_STATE_TTL_MINUTES, once.
+   **/
+
+  static async createLoginState(provider) {
+    const state = createOpaqueToken();
+    const nonce = createOpaqueToken();
+    const codeVerifier = createOpaqueToken();
+    await db.query(
+      `WITH expired AS (
+         DELETE FROM oidc_login WHERE expires_at <= CURRENT_TIMESTAMP
+       )
+       INSERT INTO oidc_login (state_hash, provider, nonce, code_verifier, expires_at)
+       VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP + make_interval(mins => $5))`,
+      [
+        hashOpaqueToken(state),
+        provider,
+        nonce,
+        codeVerifier,
+        LOGIN_STATE_TTL_MINUTES,
+      ]
+    );
+    return { state, nonce, codeVerifier };
+  }
+
+  /** Use up the state a user came back from a provider with.
+   *
+   * Returns { nonce, codeVerifier }
+   *
+   * Throws UnauthorizedError if the state is unknown, expired, used or for
+   * another provider.
+   **/
+
+  static async consumeLoginState(provider, state) {
+    const result = await db.query(
+      `DELETE FROM oidc_login
+       WHERE state_hash = $1 AND provider = $2
+       RETURNING nonce,
+                 code_verifier AS "codeVerifier",
+                 expires_at > CURRENT_TIMESTAMP AS "valid"`,
+      [hashOpaqueToken(state), provider]
+    );
+    const login = result.rows[0];
+    if (!login || !login.valid) {
+      throw new UnauthorizedError("Invalid or expired login");
+    }
+    return { nonce: login.nonce, codeVerifier: login.codeVerifier };
+  }
+
+  /** Find the user for a provider's account, linking it or creating a user
+   *  the first time.
+   *
+   * claims are from the provider's ID token: sub, email, email_verified,
+   * and optionally given_name, family_name, name, preferred_username.
+   *
+   * Returns { user: { id, username, isAdmin, tokenVersion, totpEnabled,
+   *   emailVerified }, created }
+   *
+   * Throws BadRequestError if the provider didn't give a usable email
+   * address, or another user has it and it can't be linked.
+   **/
+
+  static async login(provider, claims) {
+    try {
+      return await db.transaction(() => linkOrCreateUser(provider, claims));
+    } catch (err) {
+      if (err.code !== UNIQUE_VIOLATION) throw err;
+    }
+
+    // another login linked the account, or took the email address or
+    // username, in between: look again
+    try {
+      return await db.transaction(() => linkOrCreateUser(provider, claims));
+    } catch (err) {
+      if (err.code !== UNIQUE_VIOLATION) throw err;
+      throw new BadRequestError("Couldn't finish logging in; try again.");
+    }
+  }
+}
+
+module.exports = ExternalIdentity;
@@ -0,0 +1,195 @@
+"use strict";
+
+const db = require("../db");
+const ExternalIdentity = require("./externalIdentity");
+const User = require("./user");
+const {
+  BadRequestError,
+  UnauthorizedError,
+} = require("../helpers/expressError");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+  testUserIds,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+const NEW_CLAIMS = {
+  sub: "abc123",
+  email: "new.person@example.com",
+  email_verified: true,
+  given_name: "New",
+  family_name: "Person",
+};
+
+/************************************** login state */
+
+describe("login state", function () {
+  test("works, once", async function () {
+    const login = await ExternalIdentity.createLoginState("mock");
+    expect(login).toEqual({
+      state: expect.any(String),
+      nonce: expect.any(String),
+      codeVerifier: expect.any(String),
+    });
+
+    expect(
+      await ExternalIdentity.consumeLoginState("mock", login.state)
+    ).toEqual({ nonce: login.nonce, codeVerifier: login.codeVerifier });
+    await expect(
+      ExternalIdentity.consumeLoginState("mock", login.state)
+    ).rejects.toThrow(UnauthorizedError);
+  });
+
+  test("unauth for another provider", async function () {
+    const { state } = await ExternalIdentity.createLoginState("mock");
+    await expect(
+      ExternalIdentity.consumeLoginState("other", state)
+    ).rejects.toThrow(UnauthorizedError);
+  });
+
+  test("unauth if expired", async function () {
+    const { state } = await ExternalIdentity.createLoginState("mock");
+    await db.query(
+      `UPDATE oidc_login SET expires_at = CURRENT_TIMESTAMP - INTERVAL '1 minute'`
+    );
+    await expect(
+      ExternalIdentity.consumeLoginState("mock", state)
+    ).rejects.toThrow(UnauthorizedError);
+  });
+});
+
+/************************************** login */
+
+describe("login", function () {
+  test("works: creates a user the first time", async function () {
+    const { user, created } = await ExternalIdentity.login("mock", NEW_CLAIMS);
+    expect(created).toEqual(true);
+    expect(user).toEqual({
+      id: expect.any(Number),
+      username: "new.person",
+      isAdmin: false,
+      tokenVersion: 0,
+      totpEnabled: false,
+      emailVerified: true,
+    });
+
+    const found = await User.get("new.person");
+    expect(found).toEqual(
+      expect.objectContaining({
+        firstName: "New",
+        lastName: "Person",
+        email: "new.person@example.com",
+      })
+    );
+
+    const again = await ExternalIdentity.login("mock", NEW_CLAIMS);
+    expect(again).toEqual({ user, created: false });
+  });
+
+  test("works: picks another username if taken", async function () {
+    const { user } = await ExternalIdentity.login("mock", {
+      ...NEW_CLAIMS,
+      preferred_username: "u1",
+    });
+    expect(user.username).toMatch(/^u1\d{4}$/);
+  });
+
+  test("works: unverified email from the provider", async function () {
+    const { user } = await ExternalIdentity.login("mock", {
+      ...NEW_CLAIMS,
+      email_verified: false,
+    });
+    expect(user.emailVerified).toEqual(false);
+  });
+
+  test("works: links a user with the same verified email", async function () {
+    const { user, created } = await ExternalIdentity.login("mock", {
+      sub: "u1-elsewhere",
+      email: "U1@email.com",
+      email_verified: true,
+    });
+    expect(created).toEqual(false);
+    expect(user.id).toEqual(testUserIds[0]);
+  });
+
+  test("bad request if the provider hasn't verified a taken email", async function () {
+    await expect(
+      ExternalIdentity.login("mock", {
+        sub: "u1-elsewhere",
+        email: "u1@email.com",
+        email_verified: false,
+      })
+    ).rejects.toThrow(BadRequestError);
+  });
+
+  test("bad request if we haven't verified a taken email", async function () {
+    await db.query(
+      `UPDATE users SET email_verified = FALSE WHERE username = 'u1'`
+    );
+    await expect(
+      ExternalIdentity.login("mock", {
+        sub: "u1-elsewhere",
+        email: "u1@email.com",
+        email_verified: true,
+      })
+    ).rejects.toThrow(BadRequestError);
+  });
+
+  test("bad request without an email", async function () {
+    await expect(
+      ExternalIdentity.login("mock", { sub: "no-email" })
+    ).rejects.toThrow(BadRequestError);
+  });
+
+  /** An error like Postgres' when an insert clashes with a unique key. */
+  function uniqueViolation() {
+    const err = new Error("duplicate key value violates unique constraint");
+    err.code = "23505";
+    return err;
+  }
+
+  test("works: looks again if another login linked the account first", async function () {
+    const transaction = jest
+      .spyOn(db, "transaction")
+      .mockImplementationOnce(async () => {
+        // the other login wins the race
+        await db.query(
+          `INSERT INTO user_identity (user_id, provider, subject, email)
+           VALUES ($1, 'mock', $2, $3)`,
+          [testUserIds[0], NEW_CLAIMS.sub, NEW_CLAIMS.email]
+        );
+        throw uniqueViolation();
+      });
+    try {
+      const { user, created } = await ExternalIdentity.login(
+        "mock",
+        NEW_CLAIMS
+      );
+      expect(created).toEqual(false);
+      expect(user.id).toEqual(testUserIds[0]);
+    } finally {
+      transaction.mockRestore();
+    }
+  });
+
+  test("bad request if it keeps clashing", async function () {
+    const transaction = jest
+      .spyOn(db, "transaction")
+      .mockRejectedValue(uniqueViolation());
+    try {
+      await expect(ExternalIdentity.login("mock", NEW_CLAIMS)).rejects.toThrow(
+        "Couldn't finish logging in; try again."
+      );
+      expect(transaction).toHaveBeenCalledTimes(2);
+    } finally {
+      transaction.mockRestore();
+    }
+  });
+});
@@ -6,6 +6,7 @@ const {
   NotFoundError,
   BadRequestError,
 } = require("../helpers/expressError.js");
+const { publish } = require("../helpers/events");
 
 /** Related functions for friends. */
 
@@ -52,7 +53,9 @@ class Friend {
       [senderId, recipientId]
     );
 
-    return result.rows[0];
+    const request = result.rows[0];
+    await publish("friendRequest.sent", request);
+    return request;
   }
 
   /** Accept a friend request
@@ -63,36 +66,46 @@ class Friend {
    **/
 
   static async acceptFriendRequest(friendshipId, currentUserId) {
-    const checkRes = await db.query(
-      `SELECT id, sender_id, recipient_id, status
-       FROM friend
-       WHERE id = $1`,
-      [friendshipId]
-    );
-
-    const request = checkRes.rows[0];
-
-    // Make sure that the status is pending
-    if (request.status !== "pending") {
-      throw new BadRequestError("Friend request is not pending.");
-    }
-
-    // Only recipient can accept
-    if (Number(currentUserId) !== Number(request.recipient_id)) {
-      throw new BadRequestError(
-        "Only the recipient can accept this friend request."
+    // locked until it's accepted, so it can't be accepted twice or removed
+    // in between
+    const accepted = await db.transaction(async () => {
+      const checkRes = await db.query(
+        `SELECT id, sender_id, recipient_id, status
+         FROM friend
+         WHERE id = $1
+         FOR UPDATE`,
+        [friendshipId]
       );
-    }
 
-    const result = await db.query(
-      `UPDATE friend
-     SET status = 'accepted'
-     WHERE id = $1
-     RETURNING id, sender_id AS "senderId", recipient_id AS "recipientId", status`,
-      [friendshipId]
-    );
+      const request = checkRes.rows[0];
+      if (!request) {
+        throw new NotFoundError(`No friendship found with id: ${friendshipId}`);
+      }
+
+      // Make sure that the status is pending
+      if (request.status !== "pending") {
+        throw new BadRequestError("Friend request is not pending.");
+      }
+
+      // Only recipient can accept
+      if (Number(currentUserId) !== Number(request.recipient_id)) {
+        throw new BadRequestError(
+          "Only the recipient can accept this friend request."
+        );
+      }
+
+      const result = await db.query(
+        `UPDATE friend
+         SET status = 'accepted'
+         WHERE id = $1
+         RETURNING id, sender_id AS "senderId", recipient_id AS "recipientId", status`,
+        [friendshipId]
+      );
+      return result.rows[0];
+    });
 
-    return result.rows[0];
+    await publish("friendRequest.accepted", accepted);
+    return accepted;
   }
   
   /** Deny friend request or remove friend
@@ -127,6 +127,12 @@ describe("acceptFriendRequest", function () {
       Friend.acceptFriendRequest(request.id, testUserIds[0])
     ).rejects.toThrow(BadRequestError);
   });
+
+  test("fails: no such request", async () => {
+    await expect(Friend.acceptFriendRequest(0, testUserIds[1])).rejects.toThrow(
+      NotFoundError
+    );
+  });
 });
 
 /************************************** remove */
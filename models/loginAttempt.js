@@ -0,0 +1,157 @@
+"use strict";
+
+const db = require("../db");
+const {
+  loginRetryAfter,
+  describeWait,
+  USER_WINDOW_SECONDS,
+  IP_WINDOW_SECONDS,
+} = require("../helpers/loginThrottle");
+const {
+  NotFoundError,
+  TooManyRequestsError,
+} = require("../helpers/expressError.js");
+
+/** Related functions for login attempts, for slowing down password guessing.
+ *
+ * An attempt counts as a failure from the moment it starts until it succeeds,
+ * so guesses made at the same time all count. Failures count against the
+ * username and against the IP address they came from (see
+ * helpers/loginThrottle.js for the rules) until a successful login or an
+ * admin unlock clears the username's failures. Attempts are kept until they
+ * are too old to count.
+ */
+
+// the longest window an attempt counts in
+const KEEP_SECONDS = Math.max(USER_WINDOW_SECONDS, IP_WINDOW_SECONDS);
+
+class LoginAttempt {
+  /** Start a login attempt for username from ip, if one may be tried now.
+   *
+   * Returns the attempt's id, to pass to succeed or discard once the
+   * credentials have been checked; until then it counts as a failure.
+   *
+   * Throws TooManyRequestsError, with how long to wait, if not.
+   **/
+
+  static async start(username, ip) {
+    // counting the failures and adding this attempt are done together, under
+    // a lock on the username and on the IP address, so attempts made at the
+    // same time can't all see the same count and all be let through
+    return await db.transaction(async () => {
+      await db.query(
+        `SELECT pg_advisory_xact_lock(hashtext('login_attempt'), hashtext($1))`,
+        [`username:${username}`]
+      );
+      await db.query(
+        `SELECT pg_advisory_xact_lock(hashtext('login_attempt'), hashtext($1))`,
+        [`ip:${ip}`]
+      );
+
+      await db.query(
+        `DELETE FROM login_attempt
+         WHERE created_at < CURRENT_TIMESTAMP - make_interval(secs => $1)`,
+        [KEEP_SECONDS]
+      );
+
+      const result = await db.query(
+        `SELECT COUNT(*) FILTER (WHERE for_user)::INTEGER AS "userFailures",
+                EXTRACT(EPOCH FROM
+                  CURRENT_TIMESTAMP - MAX(created_at) FILTER (WHERE for_user)
+                )::FLOAT AS "secondsSinceUserFailure",
+                COUNT(*) FILTER (WHERE for_ip)::INTEGER AS "ipFailures",
+                EXTRACT(EPOCH FROM
+                  CURRENT_TIMESTAMP - MIN(created_at) FILTER (WHERE for_ip)
+                )::FLOAT AS "secondsSinceFirstIpFailure"
+         FROM (SELECT created_at,
+                      username = $1
+                        AND cleared_at IS NULL
+                        AND created_at > CURRENT_TIMESTAMP
+                          - make_interval(secs => $3) AS for_user,
+                      ip = $2
+                        AND created_at > CURRENT_TIMESTAMP
+                          - make_interval(secs => $4) AS for_ip
+               FROM login_attempt
+               WHERE NOT succeeded AND (username = $1 OR ip = $2)) AS failures`,
+        [username, ip, USER_WINDOW_SECONDS, IP_WINDOW_SECONDS]
+      );
+      const history = result.rows[0];
+
+      // a user's failures from other IP addresses still count, but a cleared
+      // failure only counts against its IP address
+      const wait = loginRetryAfter({
+        userFailures: history.userFailures,
+        secondsSinceUserFailure: history.secondsSinceUserFailure || 0,
+        ipFailures: history.ipFailures,
+        secondsSinceFirstIpFailure: history.secondsSinceFirstIpFailure || 0,
+      });
+      if (wait > 0) {
+        throw new TooManyRequestsError(
+          `Too many failed login attempts. Try again in ${describeWait(wait)}.`,
+          wait
+        );
+      }
+
+      const attemptRes = await db.query(
+        `INSERT INTO login_attempt (username, ip, succeeded)
+         VALUES ($1, $2, FALSE)
+         RETURNING id`,
+        [username, ip]
+      );
+      return attemptRes.rows[0].id;
+    });
+  }
+
+  /** Mark a started attempt as a successful login, which clears the
+   *  username's earlier failures.
+   **/
+
+  static async succeed(id) {
+    await db.query(
+      `WITH attempt AS (
+         UPDATE login_attempt
+         SET succeeded = TRUE
+         WHERE id = $1
+         RETURNING username
+       )
+       UPDATE login_attempt
+       SET cleared_at = CURRENT_TIMESTAMP
+       WHERE username = (SELECT username FROM attempt)
+         AND id <> $1 AND NOT succeeded AND cleared_at IS NULL`,
+      [id]
+    );
+  }
+
+  /** Drop a started attempt that wasn't a wrong guess, e.g. a right password
+   *  that still needs a two-factor code, so it doesn't count.
+   **/
+
+  static async discard(id) {
+    await db.query(`DELETE FROM login_attempt WHERE id = $1`, [id]);
+  }
+
+  /** Let a user log in again straight away by clearing their failures.
+   *
+   * Returns { username, clearedFailures }
+   *
+   * Throws NotFoundError if user is not found
+   **/
+
+  static async unlock(username) {
+    const userRes = await db.query(
+      `SELECT username FROM users WHERE username = $1`,
+      [username]
+    );
+    if (!userRes.rows[0]) throw new NotFoundError(`No user: ${username}`);
+
+    const result = await db.query(
+      `UPDATE login_attempt
+       SET cleared_at = CURRENT_TIMESTAMP
+       WHERE username = $1 AND NOT succeeded AND cleared_at IS NULL`,
+      [username]
+    );
+    return { username, clearedFailures: result.rowCount };
+  }
+}
+
+module.exports = LoginAttempt;
@@ -0,0 +1,145 @@
+"use strict";
+
+const db = require("../db");
+const LoginAttempt = require("./loginAttempt");
+const {
+  NotFoundError,
+  TooManyRequestsError,
+} = require("../helpers/expressError");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+const IP = "203.0.113.1";
+
+/** Record count failed logins for username */
+async function recordFailures(username, count, ip = IP) {
+  await db.query(
+    `INSERT INTO login_attempt (username, ip, succeeded)
+     SELECT $1, $2, FALSE FROM generate_series(1, $3)`,
+    [username, ip, count]
+  );
+}
+
+/************************************** start */
+
+describe("start", function () {
+  test("works: a few failures are allowed", async function () {
+    await recordFailures("u1", 4);
+    expect(await LoginAttempt.start("u1", IP)).toEqual(expect.any(Number));
+  });
+
+  test("too many requests after 5 failures", async function () {
+    await recordFailures("u1", 5);
+    try {
+      await LoginAttempt.start("u1", "198.51.100.1");
+      fail();
+    } catch (err) {
+      expect(err instanceof TooManyRequestsError).toBeTruthy();
+      expect(err.retryAfter).toEqual(2);
+    }
+  });
+
+  test("attempts count as failures until they succeed", async function () {
+    for (let i = 0; i < 5; i++) {
+      await LoginAttempt.start("u1", IP);
+    }
+    await expect(LoginAttempt.start("u1", IP)).rejects.toThrow(
+      TooManyRequestsError
+    );
+  });
+
+  test("old failures don't count", async function () {
+    await recordFailures("u1", 10);
+    await db.query(
+      `UPDATE login_attempt
+       SET created_at = CURRENT_TIMESTAMP - INTERVAL '2 hours'`
+    );
+    await LoginAttempt.start("u1", "198.51.100.1");
+  });
+
+  test("works: attempts too old to count are pruned", async function () {
+    await recordFailures("u2", 3, "198.51.100.1");
+    await db.query(
+      `UPDATE login_attempt
+       SET created_at = CURRENT_TIMESTAMP - INTERVAL '2 hours'`
+    );
+    await recordFailures("u2", 1, "198.51.100.1");
+
+    await LoginAttempt.start("u1", IP);
+    const history = await db.query(
+      `SELECT username FROM login_attempt ORDER BY id`
+    );
+    expect(history.rows).toEqual([{ username: "u2" }, { username: "u1" }]);
+  });
+
+  test("too many requests from a busy IP address", async function () {
+    await db.query(
+      `INSERT INTO login_attempt (username, ip, succeeded)
+       SELECT 'guess' || n, $1, FALSE FROM generate_series(1, 50) AS n`,
+      [IP]
+    );
+    await expect(LoginAttempt.start("u1", IP)).rejects.toThrow(
+      TooManyRequestsError
+    );
+    await LoginAttempt.start("u1", "198.51.100.1");
+  });
+});
+
+/************************************** succeed */
+
+describe("succeed", function () {
+  test("works: success clears the username's failures", async function () {
+    await recordFailures("u1", 4);
+    await recordFailures("u2", 5);
+    const attemptId = await LoginAttempt.start("u1", IP);
+    await LoginAttempt.succeed(attemptId);
+
+    await LoginAttempt.start("u1", IP);
+    await expect(LoginAttempt.start("u2", IP)).rejects.toThrow(
+      TooManyRequestsError
+    );
+
+    const history = await db.query(
+      `SELECT COUNT(*)::INTEGER AS "count" FROM login_attempt WHERE username = 'u1'`
+    );
+    expect(history.rows[0].count).toEqual(6);
+  });
+});
+
+/************************************** discard */
+
+describe("discard", function () {
+  test("works: the attempt no longer counts", async function () {
+    await recordFailures("u1", 4);
+    const attemptId = await LoginAttempt.start("u1", IP);
+    await LoginAttempt.discard(attemptId);
+
+    await LoginAttempt.start("u1", IP);
+  });
+});
+
+/************************************** unlock */
+
+describe("unlock", function () {
+  test("works", async function () {
+    await recordFailures("u1", 10);
+    expect(await LoginAttempt.unlock("u1")).toEqual({
+      username: "u1",
+      clearedFailures: 10,
+    });
+    await LoginAttempt.start("u1", IP);
+  });
+
+  test("not found if no such user", async function () {
+    await expect(LoginAttempt.unlock("nope")).rejects.toThrow(NotFoundError);
+  });
+});
@@ -0,0 +1,259 @@
+"use strict";
+
+const db = require("../db");
+const { NotFoundError } = require("../helpers/expressError");
+const { publish } = require("../helpers/events");
+
+const NOTIFICATION_TYPES = [
+  "friend_request",
+  "friend_accepted",
+  "trip_added",
+  "activity_added",
+  "comment",
+  "comment_reply",
+  "mention",
+];
+
+// the notifications about trip changes that go into the daily email digest
+const DIGEST_TYPES = ["activity_added", "comment", "comment_reply", "mention"];
+
+const NOTIFICATION_COLUMNS = `n.id,
+                              n.type,
+                              n.actor_id AS "actorId",
+                              a.username AS "actorUsername",
+                              n.trip_id AS "tripId",
+                              t.title AS "tripTitle",
+                              n.activity_id AS "activityId",
+                              act.name AS "activityName",
+                              n.comment_id AS "commentId",
+                              n.friend_request_id AS "friendRequestId",
+                              n.read_at AS "readAt",
+                              n.created_at AS "createdAt"`;
+
+const NOTIFICATION_JOINS = `LEFT JOIN users a ON a.id = n.actor_id
+                            LEFT JOIN trip t ON t.id = n.trip_id
+                            LEFT JOIN activity act ON act.id = n.activity_id`;
+
+/** Describe a notification for display, e.g. "u1 added you to Paris." */
+function describeNotification(n) {
+  const actor = n.actorUsername || "Someone";
+  const place = n.activityName
+    ? `${n.activityName} in ${n.tripTitle}`
+    : n.tripTitle;
+
+  switch (n.type) {
+    case "friend_request":
+      return `${actor} sent you a friend request.`;
+    case "friend_accepted":
+      return `${actor} accepted your friend request.`;
+    case "trip_added":
+      return `${actor} added you to ${n.tripTitle}.`;
+    case "activity_added":
+      return `${actor} proposed ${n.activityName} for ${n.tripTitle}.`;
+    case "comment":
+      return `${actor} commented on ${place}.`;
+    case "comment_reply":
+      return `${actor} replied to your comment on ${place}.`;
+    case "mention":
+      return `${actor} mentioned you on ${place}.`;
+  }
+}
+
+/** Related functions for the in-app notification inbox. */
+
+class Notification {
+  /** Notify users that something happened
+   *
+   * Creates one notification per user; the actor is never notified about
+   * their own actions.
+   *
+   * Returns [{ id, userId, type }, ...]
+   **/
+  static async create(
+    userIds,
+    {
+      type,
+      actorId = null,
+      tripId = null,
+      activityId = null,
+      commentId = null,
+      friendRequestId = null,
+    }
+  ) {
+    if (!NOTIFICATION_TYPES.includes(type)) {
+      throw new Error(`Unknown notification type: ${type}`);
+    }
+    const recipients = [...new Set(userIds)].filter((id) => id !== actorId);
+    if (!recipients.length) return [];
+
+    const result = await db.query(
+      `INSERT INTO notification
+         (user_id, type, actor_id, trip_id, activity_id, comment_id, friend_request_id)
+       SELECT unnest($1::INTEGER[]), $2::TEXT, $3::INTEGER, $4::INTEGER,
+              $5::INTEGER, $6::INTEGER, $7::INTEGER
+       RETURNING id, user_id AS "userId", type`,
+      [recipients, type, actorId, tripId, activityId, commentId, friendRequestId]
+    );
+
+    for (let notification of result.rows) {
+      await publish("notification.created", notification);
+    }
+    return result.rows;
+  }
+
+  /** Get a notification by id
+   *
+   * Returns { id, userId, type, message, actorId, actorUsername, tripId, tripTitle,
+   *           activityId, activityName, commentId, friendRequestId, readAt, createdAt }
+   *
+   * Throws NotFoundError if not found.
+   **/
+  static async get(id) {
+    const result = await db.query(
+      `SELECT n.user_id AS "userId", ${NOTIFICATION_COLUMNS}
+       FROM notification n
+       ${NOTIFICATION_JOINS}
+       WHERE n.id = $1`,
+      [id]
+    );
+
+    const notification = result.rows[0];
+    if (!notification) {
+      throw new NotFoundError(`No notification found with id: ${id}`);
+    }
+    return { ...notification, message: describeNotification(notification) };
+  }
+
+  /** Get a user's notifications, newest first
+   *
+   * Accepts optional filters: { unreadOnly, limit (default 50) }
+   *
+   * Returns { unreadCount,
+   *           notifications: [{ id, type, message, actorId, actorUsername, tripId, tripTitle,
+   *                             activityId, activityName, commentId, friendRequestId, readAt, createdAt }, ...] }
+   *
+   * Throws NotFoundError if the user does not exist.
+   **/
+  static async getForUser(username, { unreadOnly = false, limit = 50 } = {}) {
+    const userRes = await db.query(
+      `SELECT u.id,
+              (SELECT COUNT(*)::INTEGER
+               FROM notification
+               WHERE user_id = u.id AND read_at IS NULL) AS "unreadCount"
+       FROM users u
+       WHERE u.username = $1`,
+      [username]
+    );
+    const user = userRes.rows[0];
+    if (!user) throw new NotFoundError(`No user: ${username}`);
+
+    const result = await db.query(
+      `SELECT ${NOTIFICATION_COLUMNS}
+       FROM notification n
+       ${NOTIFICATION_JOINS}
+       WHERE n.user_id = $1 AND (NOT $2 OR n.read_at IS NULL)
+       ORDER BY n.created_at DESC, n.id DESC
+       LIMIT $3`,
+      [user.id, unreadOnly, limit]
+    );
+
+    const notifications = result.rows.map((n) => ({
+      ...n,
+      message: describeNotification(n),
+    }));
+    return { unreadCount: user.unreadCount, notifications };
+  }
+
+  /** Get what's due to go into each user's daily email digest
+   *
+   * A digest has the user's unread trip notifications (new activities,
+   * comments, replies and mentions) since their last digest. Users who
+   * turned the digest off, or have nothing new, are left out.
+   *
+   * Returns [{ userId, username, firstName, email,
+   *            notifications: [{ id, type, message, tripId, tripTitle, createdAt, ... }, ...] }, ...]
+   **/
+  static async getDigests() {
+    const result = await db.query(
+      `SELECT u.id AS "recipientId",
+              u.username AS "recipientUsername",
+              u.first_name AS "recipientFirstName",
+              u.email AS "recipientEmail",
+              ${NOTIFICATION_COLUMNS}
+       FROM notification n
+       JOIN users u ON u.id = n.user_id
+       ${NOTIFICATION_JOINS}
+       WHERE u.email_digest
+         AND n.read_at IS NULL
+         AND n.type = ANY($1::TEXT[])
+         AND n.created_at > COALESCE(u.digest_sent_at, '-infinity')
+       ORDER BY u.id, n.trip_id, n.created_at, n.id`,
+      [DIGEST_TYPES]
+    );
+
+    const digests = new Map();
+    for (let row of result.rows) {
+      const {
+        recipientId,
+        recipientUsername,
+        recipientFirstName,
+        recipientEmail,
+        ...n
+      } = row;
+      if (!digests.has(recipientId)) {
+        digests.set(recipientId, {
+          userId: recipientId,
+          username: recipientUsername,
+          firstName: recipientFirstName,
+          email: recipientEmail,
+          notifications: [],
+        });
+      }
+      digests
+        .get(recipientId)
+        .notifications.push({ ...n, message: describeNotification(n) });
+    }
+
+    return [...digests.values()];
+  }
+
+  /** Mark one of a user's notifications as read
+   *
+   * Returns { id, readAt }
+   *
+   * Throws NotFoundError if the user has no such notification.
+   **/
+  static async markRead(username, id) {
+    const result = await db.query(
+      `UPDATE notification n
+       SET read_at = COALESCE(n.read_at, CURRENT_TIMESTAMP)
+       FROM users u
+       WHERE n.id = $2 AND n.user_id = u.id AND u.username = $1
+       RETURNING n.id, n.read_at AS "readAt"`,
+      [username, id]
+    );
+
+    const notification = result.rows[0];
+    if (!notification) {
+      throw new NotFoundError(`No notification found with id: ${id}`);
+    }
+    return notification;
+  }
+
+  /** Mark all of a user's notifications as read
+   *
+   * Returns the number of notifications that were unread.
+   **/
+  static async markAllRead(username) {
+    const result = await db.query(
+      `UPDATE notification n
+       SET read_at = CURRENT_TIMESTAMP
+       FROM users u
+       WHERE n.user_id = u.id AND u.username = $1 AND n.read_at IS NULL`,
+      [username]
+    );
+    return result.rowCount;
+  }
+}
+
+module.exports = Notification;
@@ -0,0 +1,261 @@
+"use strict";
+
+const db = require("../db.js");
+const Notification = require("./notification.js");
+const { NotFoundError } = require("../helpers/expressError");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+  testUserIds,
+  testTripIds,
+  testActivityIds,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** create */
+
+describe("create", function () {
+  test("works: one per user, never the actor", async function () {
+    const created = await Notification.create(
+      [testUserIds[1], testUserIds[1], testUserIds[0]],
+      { type: "trip_added", actorId: testUserIds[0], tripId: testTripIds[0] }
+    );
+    expect(created).toEqual([
+      { id: expect.any(Number), userId: testUserIds[1], type: "trip_added" },
+    ]);
+  });
+
+  test("works: nobody to notify", async function () {
+    const created = await Notification.create([testUserIds[0]], {
+      type: "comment",
+      actorId: testUserIds[0],
+      tripId: testTripIds[0],
+    });
+    expect(created).toEqual([]);
+  });
+
+  test("fails: unknown type", async function () {
+    await expect(
+      Notification.create([testUserIds[1]], { type: "party" })
+    ).rejects.toThrow("Unknown notification type: party");
+  });
+});
+
+/************************************** getForUser */
+
+describe("getForUser", function () {
+  test("works: newest first with messages and unread count", async function () {
+    await Notification.create([testUserIds[1]], {
+      type: "trip_added",
+      actorId: testUserIds[0],
+      tripId: testTripIds[0],
+    });
+    await Notification.create([testUserIds[1]], {
+      type: "activity_added",
+      actorId: testUserIds[0],
+      tripId: testTripIds[0],
+      activityId: testActivityIds[0],
+    });
+
+    const inbox = await Notification.getForUser("u2");
+    expect(inbox.unreadCount).toEqual(2);
+    expect(inbox.notifications).toEqual([
+      {
+        id: expect.any(Number),
+        type: "activity_added",
+        message: "u1 proposed Central Park Tour for Trip 1.",
+        actorId: testUserIds[0],
+        actorUsername: "u1",
+        tripId: testTripIds[0],
+        tripTitle: "Trip 1",
+        activityId: testActivityIds[0],
+        activityName: "Central Park Tour",
+        commentId: null,
+        friendRequestId: null,
+        readAt: null,
+        createdAt: expect.any(Date),
+      },
+      {
+        id: expect.any(Number),
+        type: "trip_added",
+        message: "u1 added you to Trip 1.",
+        actorId: testUserIds[0],
+        actorUsername: "u1",
+        tripId: testTripIds[0],
+        tripTitle: "Trip 1",
+        activityId: null,
+        activityName: null,
+        commentId: null,
+        friendRequestId: null,
+        readAt: null,
+        createdAt: expect.any(Date),
+      },
+    ]);
+  });
+
+  test("works: unread only and limit", async function () {
+    const [first] = await Notification.create([testUserIds[1]], {
+      type: "trip_added",
+      actorId: testUserIds[0],
+      tripId: testTripIds[0],
+    });
+    await Notification.create([testUserIds[1]], {
+      type: "trip_added",
+      actorId: testUserIds[0],
+      tripId: testTripIds[1],
+    });
+    await Notification.markRead("u2", first.id);
+
+    const unread = await Notification.getForUser("u2", { unreadOnly: true });
+    expect(unread.unreadCount).toEqual(1);
+    expect(unread.notifications.map((n) => n.tripId)).toEqual([
+      testTripIds[1],
+    ]);
+
+    const limited = await Notification.getForUser("u2", { limit: 1 });
+    expect(limited.notifications.length).toEqual(1);
+  });
+
+  test("works: actor account deleted", async function () {
+    await Notification.create([testUserIds[1]], {
+      type: "friend_accepted",
+      actorId: testUserIds[2],
+    });
+    await db.query("DELETE FROM users WHERE id = $1", [testUserIds[2]]);
+
+    const inbox = await Notification.getForUser("u2");
+    expect(inbox.notifications[0].message).toEqual(
+      "Someone accepted your friend request."
+    );
+  });
+
+  test("not found if no such user", async function () {
+    await expect(Notification.getForUser("nope")).rejects.toThrow(
+      NotFoundError
+    );
+  });
+});
+
+/************************************** get */
+
+describe("get", function () {
+  test("works", async function () {
+    const [created] = await Notification.create([testUserIds[1]], {
+      type: "friend_request",
+      actorId: testUserIds[0],
+    });
+
+    const notification = await Notification.get(created.id);
+    expect(notification).toEqual(
+      expect.objectContaining({
+        id: created.id,
+        userId: testUserIds[1],
+        type: "friend_request",
+        message: "u1 sent you a friend request.",
+      })
+    );
+  });
+
+  test("not found if no such notification", async function () {
+    await expect(Notification.get(0)).rejects.toThrow(NotFoundError);
+  });
+});
+
+/************************************** getDigests */
+
+describe("getDigests", function () {
+  test("works: unread trip notifications, grouped by user", async function () {
+    await Notification.create([testUserIds[1], testUserIds[2]], {
+      type: "comment",
+      actorId: testUserIds[0],
+      tripId: testTripIds[0],
+    });
+    // not a trip change
+    await Notification.create([testUserIds[1]], {
+      type: "friend_request",
+      actorId: testUserIds[0],
+    });
+    await Notification.markAllRead("admin");
+
+    const digests = await Notification.getDigests();
+    expect(digests).toEqual([
+      {
+        userId: testUserIds[1],
+        username: "u2",
+        firstName: "U2F",
+        email: "u2@email.com",
+        notifications: [
+          expect.objectContaining({
+            type: "comment",
+            message: "u1 commented on Trip 1.",
+          }),
+        ],
+      },
+    ]);
+  });
+
+  test("works: not for users who turned it off", async function () {
+    await Notification.create([testUserIds[1]], {
+      type: "comment",
+      actorId: testUserIds[0],
+      tripId: testTripIds[0],
+    });
+    await db.query(`UPDATE users SET email_digest = FALSE`);
+
+    expect(await Notification.getDigests()).toEqual([]);
+  });
+});
+
+/************************************** markRead */
+
+describe("markRead", function () {
+  test("works", async function () {
+    const [created] = await Notification.create([testUserIds[1]], {
+      type: "trip_added",
+      actorId: testUserIds[0],
+      tripId: testTripIds[0],
+    });
+
+    const notification = await Notification.markRead("u2", created.id);
+    expect(notification).toEqual({ id: created.id, readAt: expect.any(Date) });
+  });
+
+  test("not found: someone else's notification", async function () {
+    const [created] = await Notification.create([testUserIds[1]], {
+      type: "trip_added",
+      actorId: testUserIds[0],
+      tripId: testTripIds[0],
+    });
+
+    await expect(Notification.markRead("u1", created.id)).rejects.toThrow(
+      NotFoundError
+    );
+  });
+});
+
+/************************************** markAllRead */
+
+describe("markAllRead", function () {
+  test("works", async function () {
+    await Notification.create([testUserIds[1]], {
+      type: "trip_added",
+      actorId: testUserIds[0],
+      tripId: testTripIds[0],
+    });
+    await Notification.create([testUserIds[1], testUserIds[2]], {
+      type: "comment",
+      actorId: testUserIds[0],
+      tripId: testTripIds[0],
+    });
+
+    expect(await Notification.markAllRead("u2")).toEqual(2);
+    expect((await Notification.getForUser("u2")).unreadCount).toEqual(0);
+    expect((await Notification.getForUser("admin")).unreadCount).toEqual(1);
+  });
+});
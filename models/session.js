@@ -0,0 +1,170 @@
+"use strict";
+
+const db = require("../db");
+const { createOpaqueToken, hashOpaqueToken } = require("../helpers/tokens");
+const {
+  NotFoundError,
+  UnauthorizedError,
+} = require("../helpers/expressError.js");
+
+// how long a refresh token works for if it isn't used
+const REFRESH_TOKEN_TTL_DAYS = 30;
+
+/** Related functions for login sessions and their refresh tokens.
+ *
+ * Logging in starts a session. Its access tokens (see createToken) are
+ * short-lived; the refresh token gets new ones. Each refresh token works
+ * once and is replaced by a new one, so a refresh token that is used twice
+ * has been copied -- the whole session is revoked when that happens.
+ *
+ * Only hashes of refresh tokens are stored.
+ */
+
+class Session {
+  /** Start a session for a user.
+   *
+   * Returns { sessionId, refreshToken }
+   *
+   * Throws NotFoundError if user is not found
+   **/
+
+  static async create(userId) {
+    const refreshToken = createOpaqueToken();
+    const result = await db.query(
+      `WITH s AS (
+         INSERT INTO user_session (user_id, token_version)
+         SELECT id, token_version
+         FROM users
+         WHERE id = $1
+         RETURNING id
+       )
+       INSERT INTO refresh_token (session_id, token_hash, expires_at)
+       SELECT id, $2, CURRENT_TIMESTAMP + make_interval(days => $3)
+       FROM s
+       RETURNING session_id AS "sessionId"`,
+      [userId, hashOpaqueToken(refreshToken), REFRESH_TOKEN_TTL_DAYS]
+    );
+    if (!result.rows[0]) throw new NotFoundError(`No user: ${userId}`);
+
+    return { sessionId: result.rows[0].sessionId, refreshToken };
+  }
+
+  /** Swap a refresh token for a new one.
+   *
+   * The old token stops working. Using a token that was already swapped
+   * revokes its session.
+   *
+   * Returns { user: { id, username, isAdmin, tokenVersion }, sessionId, refreshToken }
+   *
+   * Throws UnauthorizedError if the token is unknown, expired, already used,
+   * or its session has ended.
+   **/
+
+  static async rotate(refreshToken) {
+    const tokenHash = hashOpaqueToken(refreshToken);
+    const newToken = createOpaqueToken();
+
+    const result = await db.query(
+      `WITH used AS (
+         UPDATE refresh_token
+         SET used_at = CURRENT_TIMESTAMP
+         WHERE token_hash = $1
+           AND used_at IS NULL
+           AND expires_at > CURRENT_TIMESTAMP
+         RETURNING session_id
+       ), s AS (
+         UPDATE user_session s
+         SET last_used_at = CURRENT_TIMESTAMP
+         FROM used, users u
+         WHERE s.id = used.session_id
+           AND u.id = s.user_id
+           AND s.revoked_at IS NULL
+           AND s.token_version = u.token_version
+         RETURNING s.id, s.user_id
+       ), fresh AS (
+         INSERT INTO refresh_token (session_id, token_hash, expires_at)
+         SELECT id, $2, CURRENT_TIMESTAMP + make_interval(days => $3)
+         FROM s
+         RETURNING session_id
+       )
+       SELECT fresh.session_id AS "sessionId",
+              u.id,
+              u.username,
+              u.is_admin AS "isAdmin",
+              u.token_version AS "tokenVersion"
+       FROM fresh
+       JOIN s ON s.id = fresh.session_id
+       JOIN users u ON u.id = s.user_id`,
+      [tokenHash, hashOpaqueToken(newToken), REFRESH_TOKEN_TTL_DAYS]
+    );
+
+    if (!result.rows[0]) {
+      // a token that was already swapped is being used again
+      await db.query(
+        `UPDATE user_session s
+         SET revoked_at = COALESCE(s.revoked_at, CURRENT_TIMESTAMP)
+         FROM refresh_token rt
+         WHERE rt.session_id = s.id
+           AND rt.token_hash = $1
+           AND rt.used_at IS NOT NULL`,
+        [tokenHash]
+      );
+      throw new UnauthorizedError("Invalid refresh token");
+    }
+
+    const { sessionId, ...user } = result.rows[0];
+    return { user, sessionId, refreshToken: newToken };
+  }
+
+  /** End the session a refresh token belongs to.
+   *
+   * Its access tokens and refresh tokens stop working.
+   *
+   * Returns true if a session was ended, false if the token is unknown or
+   * its session had already ended.
+   **/
+
+  static async revoke(refreshToken) {
+    const result = await db.query(
+      `UPDATE user_session s
+       SET revoked_at = CURRENT_TIMESTAMP
+       FROM refresh_token rt
+       WHERE rt.session_id = s.id
+         AND rt.token_hash = $1
+         AND s.revoked_at IS NULL`,
+      [hashOpaqueToken(refreshToken)]
+    );
+
+    return result.rowCount > 0;
+  }
+
+  /** End all of a user's sessions.
+   *
+   * Bumps the user's token version, so every token issued to them so far
+   * stops working, even ones not tied to a session.
+   *
+   * Returns { tokenVersion }
+   *
+   * Throws NotFoundError if user is not found
+   **/
+
+  static async revokeAll(userId) {
+    const result = await db.query(
+      `WITH ended AS (
+         UPDATE user_session
+         SET revoked_at = CURRENT_TIMESTAMP
+         WHERE user_id = $1 AND revoked_at IS NULL
+       )
+       UPDATE users
+       SET token_version = token_version + 1
+       WHERE id = $1
+       RETURNING token_version AS "tokenVersion"`,
+      [userId]
+    );
+    if (!result.rows[0]) throw new NotFoundError(`No user: ${userId}`);
+
+    return result.rows[0];
+  }
+}
+
+module.exports = Session;
@@ -0,0 +1,159 @@
+"use strict";
+
+const db = require("../db");
+const Session = require("./session");
+const User = require("./user");
+const { NotFoundError, UnauthorizedError } = require("../helpers/expressError");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+  testUserIds,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** create */
+
+describe("create", function () {
+  test("works", async function () {
+    const session = await Session.create(testUserIds[0]);
+    expect(session).toEqual({
+      sessionId: expect.any(Number),
+      refreshToken: expect.stringMatching(/^[\w-]{43}$/),
+    });
+
+    const tokens = await db.query(
+      `SELECT token_hash FROM refresh_token WHERE session_id = $1`,
+      [session.sessionId]
+    );
+    expect(tokens.rows).toHaveLength(1);
+    expect(tokens.rows[0].token_hash).not.toEqual(session.refreshToken);
+  });
+
+  test("not found if no such user", async function () {
+    await expect(Session.create(0)).rejects.toThrow(NotFoundError);
+  });
+});
+
+/************************************** rotate */
+
+describe("rotate", function () {
+  test("works", async function () {
+    const { sessionId, refreshToken } = await Session.create(testUserIds[0]);
+
+    const rotated = await Session.rotate(refreshToken);
+    expect(rotated).toEqual({
+      user: {
+        id: testUserIds[0],
+        username: "u1",
+        isAdmin: false,
+        tokenVersion: 0,
+      },
+      sessionId,
+      refreshToken: expect.any(String),
+    });
+    expect(rotated.refreshToken).not.toEqual(refreshToken);
+
+    const again = await Session.rotate(rotated.refreshToken);
+    expect(again.sessionId).toEqual(sessionId);
+  });
+
+  test("reusing a token revokes the session", async function () {
+    const { sessionId, refreshToken } = await Session.create(testUserIds[0]);
+    const rotated = await Session.rotate(refreshToken);
+
+    await expect(Session.rotate(refreshToken)).rejects.toThrow(
+      UnauthorizedError
+    );
+    await expect(Session.rotate(rotated.refreshToken)).rejects.toThrow(
+      UnauthorizedError
+    );
+    const state = await User.getSessionState(testUserIds[0], sessionId);
+    expect(state.sessionActive).toEqual(false);
+  });
+
+  test("unauth if expired", async function () {
+    const { refreshToken } = await Session.create(testUserIds[0]);
+    await db.query(
+      `UPDATE refresh_token
+       SET expires_at = CURRENT_TIMESTAMP - INTERVAL '1 minute'`
+    );
+
+    await expect(Session.rotate(refreshToken)).rejects.toThrow(
+      UnauthorizedError
+    );
+  });
+
+  test("unauth if the token version moved on", async function () {
+    const { refreshToken } = await Session.create(testUserIds[0]);
+    await db.query(
+      `UPDATE users SET token_version = token_version + 1 WHERE id = $1`,
+      [testUserIds[0]]
+    );
+
+    await expect(Session.rotate(refreshToken)).rejects.toThrow(
+      UnauthorizedError
+    );
+  });
+
+  test("unauth for an unknown token", async function () {
+    await expect(Session.rotate("nope")).rejects.toThrow(UnauthorizedError);
+  });
+});
+
+/************************************** revoke */
+
+describe("revoke", function () {
+  test("works", async function () {
+    const { sessionId, refreshToken } = await Session.create(testUserIds[0]);
+    const other = await Session.create(testUserIds[0]);
+
+    expect(await Session.revoke(refreshToken)).toEqual(true);
+    expect(await Session.revoke(refreshToken)).toEqual(false);
+
+    await expect(Session.rotate(refreshToken)).rejects.toThrow(
+      UnauthorizedError
+    );
+    const state = await User.getSessionState(testUserIds[0], sessionId);
+    expect(state.sessionActive).toEqual(false);
+    const otherState = await User.getSessionState(
+      testUserIds[0],
+      other.sessionId
+    );
+    expect(otherState.sessionActive).toEqual(true);
+  });
+
+  test("false for an unknown token", async function () {
+    expect(await Session.revoke("nope")).toEqual(false);
+  });
+});
+
+/************************************** revokeAll */
+
+describe("revokeAll", function () {
+  test("works", async function () {
+    const first = await Session.create(testUserIds[0]);
+    const second = await Session.create(testUserIds[0]);
+    const u2Session = await Session.create(testUserIds[1]);
+
+    expect(await Session.revokeAll(testUserIds[0])).toEqual({
+      tokenVersion: 1,
+    });
+
+    for (let { refreshToken } of [first, second]) {
+      await expect(Session.rotate(refreshToken)).rejects.toThrow(
+        UnauthorizedError
+      );
+    }
+    await expect(Session.rotate(u2Session.refreshToken)).resolves.toBeTruthy();
+  });
+
+  test("not found if no such user", async function () {
+    await expect(Session.revokeAll(0)).rejects.toThrow(NotFoundError);
+  });
+});
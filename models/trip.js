@@ -10,13 +10,14 @@ const {
 const Activity = require("./activity");
 const TripMember = require("./tripMember");
 const Comment = require("./comment");
+const { TRIP_ROLES } = require("../helpers/tripRoles");
 
 /** Related functions for trips. */
 
 class Trip {
   /** Create a new trip
    *
-   * Returns { id, title, destination, radius, startDate, endDate, isPrivate, createdAt, creatorId }
+   * Returns { id, title, destination, radius, startDate, endDate, isPrivate, baseCurrency, createdAt, creatorId }
    *
    **/
   static async create({
@@ -26,32 +27,46 @@ class Trip {
     startDate,
     endDate,
     isPrivate,
+    baseCurrency = "USD",
     creatorId,
   }) {
-    const result = await db.query(
-      `INSERT INTO trip (title, destination, radius, start_date, end_date, is_private, creator_id)
-        VALUES ($1, $2, $3, $4, $5, $6, $7)
-        RETURNING id,
-                  title,
-                  destination,
-                  radius,
-                  start_date AS "startDate",
-                  end_date AS "endDate",
-                  is_private AS "isPrivate",
-                  created_at AS "createdAt",
-                  creator_id AS "creatorId"`,
-      [title, destination, radius, startDate, endDate, isPrivate, creatorId]
-    );
-    const trip = result.rows[0];
-    await TripMember.addMember(trip.creatorId, trip.id, "owner")
-    return trip;
+    // a trip always has its owner as a member
+    return await db.transaction(async () => {
+      const result = await db.query(
+        `INSERT INTO trip (title, destination, radius, start_date, end_date, is_private, base_currency, creator_id)
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+          RETURNING id,
+                    title,
+                    destination,
+                    radius,
+                    start_date AS "startDate",
+                    end_date AS "endDate",
+                    is_private AS "isPrivate",
+                    base_currency AS "baseCurrency",
+                    created_at AS "createdAt",
+                    creator_id AS "creatorId"`,
+        [
+          title,
+          destination,
+          radius,
+          startDate,
+          endDate,
+          isPrivate,
+          baseCurrency.toUpperCase(),
+          creatorId,
+        ]
+      );
+      const trip = result.rows[0];
+      await TripMember.addMember(trip.creatorId, trip.id, "owner");
+      return trip;
+    });
   }
 
   /** Find all public trips, optionally filtering by destination or title
    *
    * Accepts optional search filters: {title, destination}
    *
-   * Returns [{ id, title, destination, radius, startDate, endDate, isPrivate, createdAt, creatorId }, ...]
+   * Returns [{ id, title, destination, radius, startDate, endDate, isPrivate, baseCurrency, createdAt, creatorId }, ...]
    *
    **/
 
@@ -63,6 +78,7 @@ class Trip {
                       start_date AS "startDate", 
                       end_date AS "endDate", 
                       is_private AS "isPrivate", 
+                      base_currency AS "baseCurrency",
                       created_at AS "createdAt", 
                       creator_id AS "creatorId"
                FROM trip
@@ -93,6 +109,31 @@ class Trip {
     return tripsRes.rows;
   }
 
+  /** Find every trip the user is a member of, soonest first
+   *
+   * Returns [{ id, title, destination, radius, startDate, endDate, isPrivate, baseCurrency, createdAt, creatorId }, ...]
+   **/
+  static async findByMember(userId) {
+    const result = await db.query(
+      `SELECT t.id,
+              t.title,
+              t.destination,
+              t.radius,
+              t.start_date AS "startDate",
+              t.end_date AS "endDate",
+              t.is_private AS "isPrivate",
+              t.base_currency AS "baseCurrency",
+              t.created_at AS "createdAt",
+              t.creator_id AS "creatorId"
+       FROM trip t
+       JOIN trip_member tm ON tm.trip_id = t.id
+       WHERE tm.user_id = $1
+       ORDER BY t.start_date NULLS LAST, t.id`,
+      [userId]
+    );
+    return result.rows;
+  }
+
   /** Checks if the userId is the owner of the tripId
    *
    * Returns boolean
@@ -109,11 +150,104 @@ class Trip {
     return result.rows.length > 0; 
   }
 
+  /** Transfer ownership of a trip to another member
+   *
+   * Updates trip.creator_id, promotes the new owner's trip_member role to
+   * 'owner' and demotes the previous owner to 'co-owner'. This runs as a single
+   * statement so the trip and its members always agree on who the owner is.
+   *
+   * Returns { id, title, destination, radius, startDate, endDate, isPrivate, baseCurrency, createdAt, creatorId }
+   *
+   * Throws NotFoundError if trip is not found.
+   * Throws BadRequestError if the new owner is not a member or already the owner.
+   **/
+  static async transferOwnership(tripId, newOwnerId) {
+    const check = await db.query(
+      `SELECT t.creator_id AS "creatorId", tm.id AS "memberId"
+       FROM trip t
+       LEFT JOIN trip_member tm ON tm.trip_id = t.id AND tm.user_id = $2
+       WHERE t.id = $1`,
+      [tripId, newOwnerId]
+    );
+
+    const current = check.rows[0];
+    if (!current) throw new NotFoundError(`No trip found with id: ${tripId}`);
+    if (!current.memberId) {
+      throw new BadRequestError("The new owner must be a member of the trip.");
+    }
+    if (current.creatorId === newOwnerId) {
+      throw new BadRequestError("User already owns this trip.");
+    }
+
+    const result = await db.query(
+      `WITH new_owner AS (
+         UPDATE trip_member
+         SET role = 'owner'
+         WHERE trip_id = $1 AND user_id = $2
+         RETURNING user_id
+       ), previous_owner AS (
+         UPDATE trip_member
+         SET role = 'co-owner'
+         WHERE trip_id = $1 AND role = 'owner' AND user_id <> $2
+         RETURNING user_id
+       )
+       UPDATE trip
+       SET creator_id = (SELECT user_id FROM new_owner)
+       WHERE id = $1 AND EXISTS (SELECT 1 FROM new_owner)
+       RETURNING id,
+                 title,
+                 destination,
+                 radius,
+                 start_date AS "startDate",
+                 end_date AS "endDate",
+                 is_private AS "isPrivate",
+                 base_currency AS "baseCurrency",
+                 created_at AS "createdAt",
+                 creator_id AS "creatorId"`,
+      [tripId, newOwnerId]
+    );
+
+    return result.rows[0];
+  }
+
+  /** Hand every trip owned by userId to another member, e.g. before the
+   *  owner's account is deleted.
+   *
+   * The successor is the highest-ranking remaining member (co-owner, then
+   * editor, member, viewer), with ties going to whoever joined first. Trips
+   * with no other members are left alone.
+   *
+   * Returns [{ tripId, newOwnerId }, ...]
+   **/
+  static async handOffOwnedTrips(userId) {
+    const result = await db.query(
+      `SELECT DISTINCT ON (t.id)
+              t.id AS "tripId",
+              tm.user_id AS "newOwnerId"
+       FROM trip t
+       JOIN trip_member tm ON tm.trip_id = t.id AND tm.user_id <> $1
+       WHERE t.creator_id = $1
+       ORDER BY t.id, array_position($2::text[], tm.role), tm.joined_at, tm.id`,
+      [userId, TRIP_ROLES]
+    );
+
+    for (let { tripId, newOwnerId } of result.rows) {
+      await Trip.transferOwnership(tripId, newOwnerId);
+    }
+
+    return result.rows;
+  }
+
   /** Get trip by tripId
    *
-   * Returns { id, title, destination, radius, startDate, endDate, isPrivate, createdAt, creatorId, activities: [{ id, name, category, description, location, scheduledTime, createdBy }, ...],
+   * activities holds the accepted itinerary; proposedActivities holds ideas that
+   * are still being voted on. Rejected activities are left out.
+   *
+   * Returns { id, title, destination, radius, startDate, endDate, isPrivate, baseCurrency, createdAt, creatorId,
+   *   activities: [{ id, name, category, description, location, scheduledTime, status, createdBy }, ...],
+   *   proposedActivities: [{ id, name, category, description, location, scheduledTime, status, createdBy }, ...],
    *   members: [{ userId, username, firstName, lastName, email, profilePic, role, joinedAt }, ...],
-   *   comments: [{ id, userId, tripId, text, createdAt }, ...] }
+   *   comments: [{ id, userId, username, tripId, activityId, parentId, text, createdAt, editedAt, isDeleted, mentions, reactions, replies: [...] }, ...] (trip-wide threads) }
    *
    * Throws NotFoundError if trip is not found.
    **/
@@ -126,6 +260,7 @@ class Trip {
               start_date AS "startDate",
               end_date AS "endDate",
               is_private AS "isPrivate",
+              base_currency AS "baseCurrency",
               created_at AS "createdAt",
               creator_id AS "creatorId"
        FROM trip
@@ -136,6 +271,10 @@ class Trip {
     const trip = result.rows[0];
     if (!trip) throw new NotFoundError(`No trip found with ID: ${tripId}`);
     trip.activities = await Activity.getActivitiesByTrip(trip.id, "accepted");
+    trip.proposedActivities = await Activity.getActivitiesByTrip(
+      trip.id,
+      "proposed"
+    );
     trip.members = await TripMember.getTripMembers(trip.id);
     trip.comments = await Comment.getCommentsByTrip(trip.id);
     return trip;
@@ -145,17 +284,22 @@ class Trip {
    * This is a "partial update" --- only changes provided fields.
    *
    * Data can include:
-   *   { title, destination, radius, startDate, endDate, isPrivate }
+   *   { title, destination, radius, startDate, endDate, isPrivate, baseCurrency }
    *
-   * Returns { id, title, destination, radius, startDate, endDate, isPrivate, createdAt, creatorId }
+   * Returns { id, title, destination, radius, startDate, endDate, isPrivate, baseCurrency, createdAt, creatorId }
    *
    * Throws NotFoundError if trip not found.
    **/
   static async update(id, data) {
+    if (data.baseCurrency) {
+      data = { ...data, baseCurrency: data.baseCurrency.toUpperCase() };
+    }
+
     const { setCols, values } = sqlForPartialUpdate(data, {
       startDate: "start_date",
       endDate: "end_date",
       isPrivate: "is_private",
+      baseCurrency: "base_currency",
     });
 
     const querySql = `UPDATE trip 
@@ -168,6 +312,7 @@ class Trip {
                                 start_date AS "startDate", 
                                 end_date AS "endDate",
                                 is_private AS "isPrivate", 
+                                base_currency AS "baseCurrency",
                                 created_at AS "createdAt", 
                                 creator_id AS "creatorId"`;
 
@@ -4,6 +4,7 @@ const db = require("../db");
 const { NotFoundError, BadRequestError } = require("../helpers/expressError");
 
 const Trip = require("./trip.js");
+const TripMember = require("./tripMember.js");
 const {
   commonBeforeAll,
   commonBeforeEach,
@@ -39,6 +40,7 @@ describe("create", function () {
       startDate: expect.any(Date),
       endDate: expect.any(Date),
       isPrivate: false,
+      baseCurrency: "USD",
       createdAt: expect.any(Date),
       creatorId: testUserIds[0],
     });
@@ -59,6 +61,43 @@ describe("create", function () {
     });
   });
 
+  test("no trip is left behind if adding the owner fails", async function () {
+    const addMember = jest
+      .spyOn(TripMember, "addMember")
+      .mockRejectedValue(new Error("boom"));
+    try {
+      await expect(
+        Trip.create({
+          title: "Ownerless Trip",
+          destination: "Nowhere",
+          startDate: "2025-06-01",
+          endDate: "2025-06-10",
+          isPrivate: false,
+          creatorId: testUserIds[0],
+        })
+      ).rejects.toThrow("boom");
+    } finally {
+      addMember.mockRestore();
+    }
+
+    const res = await db.query(
+      `SELECT id FROM trip WHERE title = 'Ownerless Trip'`
+    );
+    expect(res.rows).toEqual([]);
+  });
+
+  test("works: with a base currency", async function () {
+    const trip = await Trip.create({
+      title: "Euro Trip",
+      destination: "Lisbon",
+      radius: 5,
+      isPrivate: true,
+      baseCurrency: "eur",
+      creatorId: testUserIds[0],
+    });
+    expect(trip.baseCurrency).toEqual("EUR");
+  });
+
   test("bad request if missing required fields", async function () {
     await expect(
       Trip.create({ title: "Missing Data", creatorId: testUserIds[0] })
@@ -83,6 +122,7 @@ describe("findAll", function () {
         startDate: expect.any(Date),
         endDate: expect.any(Date),
         isPrivate: false,
+        baseCurrency: "USD",
         createdAt: expect.any(Date),
         creatorId: expect.any(Number),
       });
@@ -144,6 +184,19 @@ describe("findAll", function () {
   });
 });
 
+/************************************** findByMember */
+
+describe("findByMember", function () {
+  test("works: only trips the user belongs to, public or private", async function () {
+    await TripMember.addMember(testUserIds[0], testTripIds[0], "owner");
+    await TripMember.addMember(testUserIds[0], testTripIds[1]);
+
+    const trips = await Trip.findByMember(testUserIds[0]);
+    expect(trips.map((t) => t.id)).toEqual([testTripIds[0], testTripIds[1]]);
+    expect(await Trip.findByMember(testUserIds[1])).toEqual([]);
+  });
+});
+
 /************************************** isOwner */
 
 describe("isOwner", function () {
@@ -167,6 +220,69 @@ describe("isOwner", function () {
   });
 });
 
+/************************************** transferOwnership */
+
+describe("transferOwnership", function () {
+  test("works: swaps creator and member roles", async function () {
+    await TripMember.addMember(testUserIds[0], testTripIds[0], "owner");
+    await TripMember.addMember(testUserIds[1], testTripIds[0]);
+
+    const trip = await Trip.transferOwnership(testTripIds[0], testUserIds[1]);
+    expect(trip.creatorId).toEqual(testUserIds[1]);
+
+    const previousOwner = await TripMember.isMember(
+      testUserIds[0],
+      testTripIds[0]
+    );
+    const newOwner = await TripMember.isMember(testUserIds[1], testTripIds[0]);
+    expect(previousOwner.role).toEqual("co-owner");
+    expect(newOwner.role).toEqual("owner");
+    expect(await Trip.isOwner(testUserIds[1], testTripIds[0])).toBe(true);
+  });
+
+  test("fails: new owner is not a member", async function () {
+    await expect(
+      Trip.transferOwnership(testTripIds[0], testUserIds[1])
+    ).rejects.toThrow(BadRequestError);
+  });
+
+  test("fails: already the owner", async function () {
+    await TripMember.addMember(testUserIds[0], testTripIds[0], "owner");
+    await expect(
+      Trip.transferOwnership(testTripIds[0], testUserIds[0])
+    ).rejects.toThrow(BadRequestError);
+  });
+
+  test("not found if no such trip", async function () {
+    await expect(
+      Trip.transferOwnership(9999, testUserIds[1])
+    ).rejects.toThrow(NotFoundError);
+  });
+});
+
+/************************************** handOffOwnedTrips */
+
+describe("handOffOwnedTrips", function () {
+  test("works: picks the highest-ranking member", async function () {
+    await TripMember.addMember(testUserIds[0], testTripIds[0], "owner");
+    await TripMember.addMember(testUserIds[1], testTripIds[0], "viewer");
+    await TripMember.addMember(testUserIds[2], testTripIds[0], "editor");
+
+    const handedOff = await Trip.handOffOwnedTrips(testUserIds[0]);
+    expect(handedOff).toEqual([
+      { tripId: testTripIds[0], newOwnerId: testUserIds[2] },
+    ]);
+    expect(await Trip.isOwner(testUserIds[2], testTripIds[0])).toBe(true);
+  });
+
+  test("works: trips without other members are left alone", async function () {
+    await TripMember.addMember(testUserIds[0], testTripIds[0], "owner");
+    const handedOff = await Trip.handOffOwnedTrips(testUserIds[0]);
+    expect(handedOff).toEqual([]);
+    expect(await Trip.isOwner(testUserIds[0], testTripIds[0])).toBe(true);
+  });
+});
+
 /************************************** get */
 
 describe("get", function () {
@@ -180,14 +296,29 @@ describe("get", function () {
       startDate: expect.any(Date),
       endDate: expect.any(Date),
       isPrivate: false,
+      baseCurrency: "USD",
       createdAt: expect.any(Date),
       creatorId: testUserIds[0],
       members: [],
       activities: expect.any(Array),
+      proposedActivities: expect.any(Array),
       comments: [],
     });
   });
 
+  test("works: accepted and proposed activities are listed separately", async function () {
+    const before = await Trip.get(testTripIds[0]);
+    expect(before.activities).toEqual([]);
+    expect(before.proposedActivities.length).toEqual(1);
+
+    await db.query(`UPDATE activity SET status = 'accepted' WHERE trip_id = $1`, [
+      testTripIds[0],
+    ]);
+    const after = await Trip.get(testTripIds[0]);
+    expect(after.activities.length).toEqual(1);
+    expect(after.proposedActivities).toEqual([]);
+  });
+
   test("not found if no such trip", async function () {
     await expect(Trip.get(9999)).rejects.toThrow(NotFoundError);
   });
@@ -212,6 +343,7 @@ describe("update", function () {
       startDate: expect.any(Date),
       endDate: expect.any(Date),
       isPrivate: false,
+      baseCurrency: "USD",
       createdAt: expect.any(Date),
       creatorId: testUserIds[0],
     });
@@ -0,0 +1,155 @@
+"use strict";
+
+const crypto = require("crypto");
+const db = require("../db");
+const {
+  NotFoundError,
+  BadRequestError,
+} = require("../helpers/expressError.js");
+const TripMember = require("./tripMember");
+
+// Unambiguous characters only (no 0/O, 1/I/L) so codes can be read aloud.
+const CODE_ALPHABET = "ABCDEFGHJKMNPQRSTUVWXYZ23456789";
+const CODE_LENGTH = 10;
+const DEFAULT_EXPIRES_IN_HOURS = 24 * 7;
+
+/** Generate a random invite code, e.g. "K7QW2MZP9A" */
+function generateCode() {
+  let code = "";
+  for (let i = 0; i < CODE_LENGTH; i++) {
+    code += CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)];
+  }
+  return code;
+}
+
+const INVITE_COLUMNS = `id,
+                        trip_id AS "tripId",
+                        code,
+                        created_by AS "createdBy",
+                        expires_at AS "expiresAt",
+                        max_uses AS "maxUses",
+                        use_count AS "useCount",
+                        revoked_at AS "revokedAt",
+                        created_at AS "createdAt"`;
+
+/** Related functions for trip invite codes. */
+
+class TripInvite {
+  /** Create a new invite code for a trip
+   *
+   * expiresInHours defaults to 7 days. maxUses of null means unlimited uses.
+   *
+   * Returns { id, tripId, code, createdBy, expiresAt, maxUses, useCount, revokedAt, createdAt }
+   **/
+  static async create({
+    tripId,
+    createdBy,
+    expiresInHours = DEFAULT_EXPIRES_IN_HOURS,
+    maxUses = null,
+  }) {
+    const result = await db.query(
+      `INSERT INTO trip_invite (trip_id, code, created_by, expires_at, max_uses)
+       VALUES ($1, $2, $3, CURRENT_TIMESTAMP + make_interval(hours => $4), $5)
+       RETURNING ${INVITE_COLUMNS}`,
+      [tripId, generateCode(), createdBy, expiresInHours, maxUses]
+    );
+
+    return result.rows[0];
+  }
+
+  /** Get all invites for a trip, newest first
+   *
+   * Returns [{ id, tripId, code, createdBy, expiresAt, maxUses, useCount, revokedAt, createdAt }, ...]
+   **/
+  static async getInvitesByTrip(tripId) {
+    const result = await db.query(
+      `SELECT ${INVITE_COLUMNS}
+       FROM trip_invite
+       WHERE trip_id = $1
+       ORDER BY created_at DESC`,
+      [tripId]
+    );
+
+    return result.rows;
+  }
+
+  /** Revoke an invite so it can no longer be used
+   *
+   * Returns { id, tripId, code, createdBy, expiresAt, maxUses, useCount, revokedAt, createdAt }
+   *
+   * Throws NotFoundError if the invite does not exist within the trip
+   **/
+  static async revoke(inviteId, tripId) {
+    const result = await db.query(
+      `UPDATE trip_invite
+       SET revoked_at = COALESCE(revoked_at, CURRENT_TIMESTAMP)
+       WHERE id = $1 AND trip_id = $2
+       RETURNING ${INVITE_COLUMNS}`,
+      [inviteId, tripId]
+    );
+
+    const invite = result.rows[0];
+    if (!invite) {
+      throw new NotFoundError(`No invite found with id: ${inviteId}`);
+    }
+
+    return invite;
+  }
+
+  /** Redeem an invite code, adding the user to the invite's trip
+   *
+   * Returns { id, userId, tripId, role }
+   *
+   * Throws NotFoundError if the code does not exist
+   * Throws BadRequestError if the invite is revoked, expired or used up,
+   *  or if the user is already a member of the trip
+   **/
+  static async redeem(code, userId) {
+    const inviteRes = await db.query(
+      `SELECT id,
+              trip_id AS "tripId",
+              revoked_at IS NOT NULL AS "isRevoked",
+              expires_at <= CURRENT_TIMESTAMP AS "isExpired",
+              max_uses IS NOT NULL AND use_count >= max_uses AS "isUsedUp"
+       FROM trip_invite
+       WHERE code = $1`,
+      [code]
+    );
+
+    const invite = inviteRes.rows[0];
+    if (!invite) throw new NotFoundError(`No invite found with code: ${code}`);
+    if (invite.isRevoked) throw new BadRequestError("Invite has been revoked.");
+    if (invite.isExpired) throw new BadRequestError("Invite has expired.");
+    if (invite.isUsedUp) {
+      throw new BadRequestError("Invite has reached its maximum uses.");
+    }
+
+    const member = await TripMember.isMember(userId, invite.tripId);
+    if (member) {
+      throw new BadRequestError("User is already a member of this trip.");
+    }
+
+    // the use is claimed atomically so concurrent redemptions cannot exceed
+    // max_uses, and together with adding the member so a failed add doesn't
+    // use it up
+    return await db.transaction(async () => {
+      const claimRes = await db.query(
+        `UPDATE trip_invite
+         SET use_count = use_count + 1
+         WHERE id = $1
+           AND revoked_at IS NULL
+           AND expires_at > CURRENT_TIMESTAMP
+           AND (max_uses IS NULL OR use_count < max_uses)
+         RETURNING id`,
+        [invite.id]
+      );
+      if (!claimRes.rows.length) {
+        throw new BadRequestError("Invite is no longer valid.");
+      }
+
+      return await TripMember.addMember(userId, invite.tripId);
+    });
+  }
+}
+
+module.exports = TripInvite;
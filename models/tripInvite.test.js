@@ -0,0 +1,192 @@
+"use strict";
+
+const db = require("../db");
+const TripInvite = require("./tripInvite");
+const TripMember = require("./tripMember");
+const { NotFoundError, BadRequestError } = require("../helpers/expressError");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+  testUserIds,
+  testTripIds,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** create */
+
+describe("create", function () {
+  test("works: defaults", async function () {
+    const invite = await TripInvite.create({
+      tripId: testTripIds[0],
+      createdBy: testUserIds[0],
+    });
+    expect(invite).toEqual({
+      id: expect.any(Number),
+      tripId: testTripIds[0],
+      code: expect.stringMatching(/^[A-Z2-9]{10}$/),
+      createdBy: testUserIds[0],
+      expiresAt: expect.any(Date),
+      maxUses: null,
+      useCount: 0,
+      revokedAt: null,
+      createdAt: expect.any(Date),
+    });
+    expect(invite.expiresAt > invite.createdAt).toBe(true);
+  });
+
+  test("works: with max uses", async function () {
+    const invite = await TripInvite.create({
+      tripId: testTripIds[0],
+      createdBy: testUserIds[0],
+      expiresInHours: 1,
+      maxUses: 3,
+    });
+    expect(invite.maxUses).toEqual(3);
+  });
+});
+
+/************************************** getInvitesByTrip */
+
+describe("getInvitesByTrip", function () {
+  test("works", async function () {
+    const invite = await TripInvite.create({
+      tripId: testTripIds[0],
+      createdBy: testUserIds[0],
+    });
+    const invites = await TripInvite.getInvitesByTrip(testTripIds[0]);
+    expect(invites).toEqual([invite]);
+  });
+
+  test("works: empty for trip without invites", async function () {
+    const invites = await TripInvite.getInvitesByTrip(testTripIds[1]);
+    expect(invites).toEqual([]);
+  });
+});
+
+/************************************** revoke */
+
+describe("revoke", function () {
+  test("works", async function () {
+    const invite = await TripInvite.create({
+      tripId: testTripIds[0],
+      createdBy: testUserIds[0],
+    });
+    const revoked = await TripInvite.revoke(invite.id, testTripIds[0]);
+    expect(revoked.revokedAt).toEqual(expect.any(Date));
+  });
+
+  test("not found if invite belongs to another trip", async function () {
+    const invite = await TripInvite.create({
+      tripId: testTripIds[0],
+      createdBy: testUserIds[0],
+    });
+    await expect(
+      TripInvite.revoke(invite.id, testTripIds[1])
+    ).rejects.toThrow(NotFoundError);
+  });
+});
+
+/************************************** redeem */
+
+describe("redeem", function () {
+  test("works: adds user as member and counts the use", async function () {
+    const invite = await TripInvite.create({
+      tripId: testTripIds[0],
+      createdBy: testUserIds[0],
+    });
+    const member = await TripInvite.redeem(invite.code, testUserIds[1]);
+    expect(member).toEqual({
+      id: expect.any(Number),
+      userId: testUserIds[1],
+      tripId: testTripIds[0],
+      role: "member",
+    });
+
+    const [updated] = await TripInvite.getInvitesByTrip(testTripIds[0]);
+    expect(updated.useCount).toEqual(1);
+  });
+
+  test("not found for unknown code", async function () {
+    await expect(
+      TripInvite.redeem("NOPE", testUserIds[1])
+    ).rejects.toThrow(NotFoundError);
+  });
+
+  test("fails: revoked invite", async function () {
+    const invite = await TripInvite.create({
+      tripId: testTripIds[0],
+      createdBy: testUserIds[0],
+    });
+    await TripInvite.revoke(invite.id, testTripIds[0]);
+    await expect(
+      TripInvite.redeem(invite.code, testUserIds[1])
+    ).rejects.toThrow("Invite has been revoked.");
+  });
+
+  test("fails: expired invite", async function () {
+    const invite = await TripInvite.create({
+      tripId: testTripIds[0],
+      createdBy: testUserIds[0],
+    });
+    await db.query(
+      `UPDATE trip_invite SET expires_at = CURRENT_TIMESTAMP - INTERVAL '1 hour' WHERE id = $1`,
+      [invite.id]
+    );
+    await expect(
+      TripInvite.redeem(invite.code, testUserIds[1])
+    ).rejects.toThrow("Invite has expired.");
+  });
+
+  test("fails: invite used up", async function () {
+    const invite = await TripInvite.create({
+      tripId: testTripIds[0],
+      createdBy: testUserIds[0],
+      maxUses: 1,
+    });
+    await TripInvite.redeem(invite.code, testUserIds[1]);
+    await expect(
+      TripInvite.redeem(invite.code, testUserIds[2])
+    ).rejects.toThrow("Invite has reached its maximum uses.");
+  });
+
+  test("fails: already a member", async function () {
+    await TripMember.addMember(testUserIds[1], testTripIds[0]);
+    const invite = await TripInvite.create({
+      tripId: testTripIds[0],
+      createdBy: testUserIds[0],
+    });
+    await expect(
+      TripInvite.redeem(invite.code, testUserIds[1])
+    ).rejects.toThrow(BadRequestError);
+
+    const [unused] = await TripInvite.getInvitesByTrip(testTripIds[0]);
+    expect(unused.useCount).toEqual(0);
+  });
+
+  test("the use isn't counted if adding the member fails", async function () {
+    const invite = await TripInvite.create({
+      tripId: testTripIds[0],
+      createdBy: testUserIds[0],
+      maxUses: 1,
+    });
+    const addMember = jest
+      .spyOn(TripMember, "addMember")
+      .mockRejectedValue(new Error("boom"));
+    try {
+      await expect(
+        TripInvite.redeem(invite.code, testUserIds[1])
+      ).rejects.toThrow("boom");
+    } finally {
+      addMember.mockRestore();
+    }
+
+    const [unused] = await TripInvite.getInvitesByTrip(testTripIds[0]);
+    expect(unused.useCount).toEqual(0);
+  });
+});
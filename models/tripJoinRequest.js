@@ -0,0 +1,176 @@
+"use strict";
+
+const db = require("../db");
+const {
+  NotFoundError,
+  BadRequestError,
+} = require("../helpers/expressError.js");
+const TripMember = require("./tripMember");
+
+const REQUEST_COLUMNS = `id,
+                         trip_id AS "tripId",
+                         user_id AS "userId",
+                         message,
+                         status,
+                         created_at AS "createdAt",
+                         responded_at AS "respondedAt"`;
+
+/** Move a pending request to a final status.
+ *
+ * Returns the updated request.
+ *
+ * Throws NotFoundError if the request does not exist within the trip
+ * Throws BadRequestError if the request is no longer pending
+ **/
+async function resolvePending(requestId, tripId, status) {
+  const result = await db.query(
+    `UPDATE trip_join_request
+     SET status = $1, responded_at = CURRENT_TIMESTAMP
+     WHERE id = $2 AND trip_id = $3 AND status = 'pending'
+     RETURNING ${REQUEST_COLUMNS}`,
+    [status, requestId, tripId]
+  );
+
+  const request = result.rows[0];
+  if (request) return request;
+
+  // distinguish a missing request from one that was already handled
+  await TripJoinRequest.get(requestId, tripId);
+  throw new BadRequestError("Join request is not pending.");
+}
+
+/** Related functions for requests to join public trips. */
+
+class TripJoinRequest {
+  /** Request to join a public trip
+   *
+   * Returns { id, tripId, userId, message, status: "pending", createdAt, respondedAt }
+   *
+   * Throws NotFoundError if the trip does not exist
+   * Throws BadRequestError if the trip is private, the user is already a member,
+   *  or the user already has a pending request
+   **/
+  static async create({ tripId, userId, message = null }) {
+    const tripRes = await db.query(
+      `SELECT is_private AS "isPrivate" FROM trip WHERE id = $1`,
+      [tripId]
+    );
+    const trip = tripRes.rows[0];
+    if (!trip) throw new NotFoundError(`No trip found with ID: ${tripId}`);
+    if (trip.isPrivate) {
+      throw new BadRequestError("Only public trips accept join requests.");
+    }
+
+    const member = await TripMember.isMember(userId, tripId);
+    if (member) {
+      throw new BadRequestError("User is already a member of this trip.");
+    }
+
+    const duplicateCheck = await db.query(
+      `SELECT id FROM trip_join_request
+       WHERE trip_id = $1 AND user_id = $2 AND status = 'pending'`,
+      [tripId, userId]
+    );
+    if (duplicateCheck.rows.length > 0) {
+      throw new BadRequestError(
+        "You already have a pending request to join this trip."
+      );
+    }
+
+    const result = await db.query(
+      `INSERT INTO trip_join_request (trip_id, user_id, message)
+       VALUES ($1, $2, $3)
+       RETURNING ${REQUEST_COLUMNS}`,
+      [tripId, userId, message]
+    );
+
+    return result.rows[0];
+  }
+
+  /** Get a join request by id within a trip
+   *
+   * Returns { id, tripId, userId, message, status, createdAt, respondedAt }
+   *
+   * Throws NotFoundError if not found
+   **/
+  static async get(requestId, tripId) {
+    const result = await db.query(
+      `SELECT ${REQUEST_COLUMNS}
+       FROM trip_join_request
+       WHERE id = $1 AND trip_id = $2`,
+      [requestId, tripId]
+    );
+
+    const request = result.rows[0];
+    if (!request) {
+      throw new NotFoundError(`No join request found with id: ${requestId}`);
+    }
+
+    return request;
+  }
+
+  /** Get pending join requests for a trip, oldest first
+   *
+   * Returns [{ id, tripId, userId, username, firstName, lastName, profilePic, message, status, createdAt }, ...]
+   **/
+  static async getPendingByTrip(tripId) {
+    const result = await db.query(
+      `SELECT r.id,
+              r.trip_id AS "tripId",
+              r.user_id AS "userId",
+              u.username,
+              u.first_name AS "firstName",
+              u.last_name AS "lastName",
+              u.profile_pic AS "profilePic",
+              r.message,
+              r.status,
+              r.created_at AS "createdAt"
+       FROM trip_join_request r
+       JOIN users u ON u.id = r.user_id
+       WHERE r.trip_id = $1 AND r.status = 'pending'
+       ORDER BY r.created_at ASC`,
+      [tripId]
+    );
+
+    return result.rows;
+  }
+
+  /** Approve a pending request and add the requester to the trip
+   *
+   * approvedBy is the id of the member approving the request.
+   *
+   * Returns { joinRequest, member: { id, userId, tripId, role } }
+   **/
+  static async approve(requestId, tripId, approvedBy = null) {
+    const joinRequest = await resolvePending(requestId, tripId, "approved");
+
+    // the requester may have joined another way (e.g. an invite code) meanwhile
+    const member =
+      (await TripMember.isMember(joinRequest.userId, tripId)) ||
+      (await TripMember.addMember(
+        joinRequest.userId,
+        tripId,
+        "member",
+        approvedBy
+      ));
+    return { joinRequest, member };
+  }
+
+  /** Deny a pending request
+   *
+   * Returns { id, tripId, userId, message, status: "denied", createdAt, respondedAt }
+   **/
+  static async deny(requestId, tripId) {
+    return await resolvePending(requestId, tripId, "denied");
+  }
+
+  /** Cancel a pending request (done by the requester)
+   *
+   * Returns { id, tripId, userId, message, status: "cancelled", createdAt, respondedAt }
+   **/
+  static async cancel(requestId, tripId) {
+    return await resolvePending(requestId, tripId, "cancelled");
+  }
+}
+
+module.exports = TripJoinRequest;
@@ -0,0 +1,170 @@
+"use strict";
+
+const TripJoinRequest = require("./tripJoinRequest");
+const TripMember = require("./tripMember");
+const { NotFoundError, BadRequestError } = require("../helpers/expressError");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+  testUserIds,
+  testTripIds,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** create */
+
+describe("create", function () {
+  test("works: request to join a public trip", async function () {
+    const joinRequest = await TripJoinRequest.create({
+      tripId: testTripIds[0],
+      userId: testUserIds[1],
+      message: "Can I come?",
+    });
+    expect(joinRequest).toEqual({
+      id: expect.any(Number),
+      tripId: testTripIds[0],
+      userId: testUserIds[1],
+      message: "Can I come?",
+      status: "pending",
+      createdAt: expect.any(Date),
+      respondedAt: null,
+    });
+  });
+
+  test("fails: private trip", async function () {
+    await expect(
+      TripJoinRequest.create({ tripId: testTripIds[1], userId: testUserIds[0] })
+    ).rejects.toThrow("Only public trips accept join requests.");
+  });
+
+  test("fails: trip does not exist", async function () {
+    await expect(
+      TripJoinRequest.create({ tripId: 9999, userId: testUserIds[0] })
+    ).rejects.toThrow(NotFoundError);
+  });
+
+  test("fails: already a member", async function () {
+    await TripMember.addMember(testUserIds[1], testTripIds[0]);
+    await expect(
+      TripJoinRequest.create({ tripId: testTripIds[0], userId: testUserIds[1] })
+    ).rejects.toThrow(BadRequestError);
+  });
+
+  test("fails: duplicate pending request", async function () {
+    await TripJoinRequest.create({
+      tripId: testTripIds[0],
+      userId: testUserIds[1],
+    });
+    await expect(
+      TripJoinRequest.create({ tripId: testTripIds[0], userId: testUserIds[1] })
+    ).rejects.toThrow(BadRequestError);
+  });
+
+  test("works: can ask again after a denial", async function () {
+    const first = await TripJoinRequest.create({
+      tripId: testTripIds[0],
+      userId: testUserIds[1],
+    });
+    await TripJoinRequest.deny(first.id, testTripIds[0]);
+    const second = await TripJoinRequest.create({
+      tripId: testTripIds[0],
+      userId: testUserIds[1],
+    });
+    expect(second.status).toEqual("pending");
+  });
+});
+
+/************************************** getPendingByTrip */
+
+describe("getPendingByTrip", function () {
+  test("works: only pending requests are listed", async function () {
+    const r1 = await TripJoinRequest.create({
+      tripId: testTripIds[0],
+      userId: testUserIds[1],
+    });
+    const r2 = await TripJoinRequest.create({
+      tripId: testTripIds[0],
+      userId: testUserIds[2],
+    });
+    await TripJoinRequest.deny(r2.id, testTripIds[0]);
+
+    const pending = await TripJoinRequest.getPendingByTrip(testTripIds[0]);
+    expect(pending).toEqual([
+      {
+        id: r1.id,
+        tripId: testTripIds[0],
+        userId: testUserIds[1],
+        username: "u2",
+        firstName: "U2F",
+        lastName: "U2L",
+        profilePic: null,
+        message: null,
+        status: "pending",
+        createdAt: expect.any(Date),
+      },
+    ]);
+  });
+});
+
+/************************************** approve */
+
+describe("approve", function () {
+  test("works: adds the requester as a member", async function () {
+    const r1 = await TripJoinRequest.create({
+      tripId: testTripIds[0],
+      userId: testUserIds[1],
+    });
+    const { joinRequest, member } = await TripJoinRequest.approve(
+      r1.id,
+      testTripIds[0]
+    );
+    expect(joinRequest.status).toEqual("approved");
+    expect(joinRequest.respondedAt).toEqual(expect.any(Date));
+    expect(member).toEqual({
+      id: expect.any(Number),
+      userId: testUserIds[1],
+      tripId: testTripIds[0],
+      role: "member",
+    });
+  });
+
+  test("fails: request already handled", async function () {
+    const r1 = await TripJoinRequest.create({
+      tripId: testTripIds[0],
+      userId: testUserIds[1],
+    });
+    await TripJoinRequest.deny(r1.id, testTripIds[0]);
+    await expect(
+      TripJoinRequest.approve(r1.id, testTripIds[0])
+    ).rejects.toThrow("Join request is not pending.");
+  });
+
+  test("not found: request from another trip", async function () {
+    const r1 = await TripJoinRequest.create({
+      tripId: testTripIds[0],
+      userId: testUserIds[1],
+    });
+    await expect(
+      TripJoinRequest.approve(r1.id, testTripIds[1])
+    ).rejects.toThrow(NotFoundError);
+  });
+});
+
+/************************************** cancel */
+
+describe("cancel", function () {
+  test("works", async function () {
+    const r1 = await TripJoinRequest.create({
+      tripId: testTripIds[0],
+      userId: testUserIds[1],
+    });
+    const cancelled = await TripJoinRequest.cancel(r1.id, testTripIds[0]);
+    expect(cancelled.status).toEqual("cancelled");
+  });
+});
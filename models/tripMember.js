@@ -5,19 +5,31 @@ const {
   NotFoundError,
   BadRequestError,
 } = require("../helpers/expressError.js");
+const { TRIP_ROLES } = require("../helpers/tripRoles");
+const { publish } = require("../helpers/events");
+
+/** Throws BadRequestError unless role is a known trip role */
+function validateRole(role) {
+  if (!TRIP_ROLES.includes(role)) {
+    throw new BadRequestError(
+      `Invalid role. Must be one of: ${TRIP_ROLES.join(", ")}.`
+    );
+  }
+}
 
 /** Related functions for managing trip members */
 class TripMember {
   /** Add a user to a trip
+   *
+   * addedBy is the id of the member who added them, if it wasn't the user
+   * themselves (e.g. through an invite code).
    *
    * Returns { id, userId, tripId, role, joinedAt }
    *
    * Throws BadRequestError if user is already in the trip
    **/
-  static async addMember(userId, tripId, role = "member") {
-    if (!["owner", "member"].includes(role)) {
-      throw new BadRequestError("Invalid role. Must be 'owner' or 'member'.");
-    }
+  static async addMember(userId, tripId, role = "member", addedBy = null) {
+    validateRole(role);
 
     const duplicateCheck = await db.query(
       `SELECT id FROM trip_member WHERE user_id = $1 AND trip_id = $2`,
@@ -34,7 +46,9 @@ class TripMember {
       [userId, tripId, role]
     );
 
-    return result.rows[0];
+    const member = result.rows[0];
+    await publish("tripMember.added", { ...member, addedBy });
+    return member;
   }
 
   /** Remove a user from a trip by (tripMember) id
@@ -47,7 +61,7 @@ class TripMember {
     const result = await db.query(
       `DELETE FROM trip_member 
        WHERE id = $1
-       RETURNING id`,
+       RETURNING id, user_id AS "userId", trip_id AS "tripId", role`,
       [tripMemberId]
     );
 
@@ -57,9 +71,63 @@ class TripMember {
       );
     }
 
+    await publish("tripMember.removed", result.rows[0]);
     return { removed: true };
   }
 
+  /** Get a trip member by (tripMember) id within a trip
+   *
+   * Returns { id, userId, tripId, role }
+   *
+   * Throws NotFoundError if the member is not in the trip
+   **/
+  static async getMember(tripMemberId, tripId) {
+    const result = await db.query(
+      `SELECT id, user_id AS "userId", trip_id AS "tripId", role
+       FROM trip_member
+       WHERE id = $1 AND trip_id = $2`,
+      [tripMemberId, tripId]
+    );
+
+    const member = result.rows[0];
+    if (!member) {
+      throw new NotFoundError(
+        `No trip member found with trip member id: ${tripMemberId}`
+      );
+    }
+
+    return member;
+  }
+
+  /** Change a member's role by (tripMember) id
+   *
+   * Returns { id, userId, tripId, role }
+   *
+   * Throws BadRequestError if the role is invalid
+   * Throws NotFoundError if the member does not exist
+   **/
+  static async updateRole(tripMemberId, role) {
+    validateRole(role);
+
+    const result = await db.query(
+      `UPDATE trip_member
+       SET role = $1
+       WHERE id = $2
+       RETURNING id, user_id AS "userId", trip_id AS "tripId", role`,
+      [role, tripMemberId]
+    );
+
+    const member = result.rows[0];
+    if (!member) {
+      throw new NotFoundError(
+        `No trip member found with trip member id: ${tripMemberId}`
+      );
+    }
+
+    await publish("tripMember.updated", member);
+    return member;
+  }
+
   /** Get all members of a trip
    *
    * Returns [{ userId, username, firstName, lastName, email, profilePic, role }, ...]
@@ -79,6 +79,46 @@ describe("removeMember", function () {
   });
 });
 
+/************************************** getMember */
+
+describe("getMember", function () {
+  test("works", async function () {
+    const member = await TripMember.addMember(testUserIds[1], testTripIds[0]);
+    const result = await TripMember.getMember(member.id, testTripIds[0]);
+    expect(result).toEqual(member);
+  });
+
+  test("fails: member of another trip", async function () {
+    const member = await TripMember.addMember(testUserIds[1], testTripIds[0]);
+    await expect(
+      TripMember.getMember(member.id, testTripIds[1])
+    ).rejects.toThrow(NotFoundError);
+  });
+});
+
+/************************************** updateRole */
+
+describe("updateRole", function () {
+  test("works", async function () {
+    const member = await TripMember.addMember(testUserIds[1], testTripIds[0]);
+    const result = await TripMember.updateRole(member.id, "editor");
+    expect(result).toEqual({ ...member, role: "editor" });
+  });
+
+  test("fails: invalid role", async function () {
+    const member = await TripMember.addMember(testUserIds[1], testTripIds[0]);
+    await expect(
+      TripMember.updateRole(member.id, "boss")
+    ).rejects.toThrow(BadRequestError);
+  });
+
+  test("fails: no such member", async function () {
+    await expect(TripMember.updateRole(46545, "viewer")).rejects.toThrow(
+      NotFoundError
+    );
+  });
+});
+
 /************************************** getTripMembers */
 
 describe("getTripMembers", function () {
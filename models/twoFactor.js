@@ -0,0 +1,219 @@
+"use strict";
+
+const db = require("../db");
+const { hashOpaqueToken } = require("../helpers/tokens");
+const {
+  generateTotpSecret,
+  verifyTotp,
+  otpauthUri,
+  generateRecoveryCodes,
+  normalizeRecoveryCode,
+  encryptTotpSecret,
+  decryptTotpSecret,
+} = require("../helpers/totp");
+const {
+  NotFoundError,
+  BadRequestError,
+  UnauthorizedError,
+} = require("../helpers/expressError.js");
+
+/** Get the id of a user who has two-factor authentication on.
+ *
+ * Throws BadRequestError if it is off, NotFoundError if there's no such user.
+ */
+async function getEnabledUserId(username) {
+  const result = await db.query(
+    `SELECT id, totp_enabled AS "enabled" FROM users WHERE username = $1`,
+    [username]
+  );
+  const user = result.rows[0];
+  if (!user) throw new NotFoundError(`No user: ${username}`);
+  if (!user.enabled) {
+    throw new BadRequestError("Two-factor authentication is off.");
+  }
+  return user.id;
+}
+
+/** Replace a user's recovery codes; returns the new codes. */
+async function replaceRecoveryCodes(userId) {
+  const codes = generateRecoveryCodes();
+  await db.query(
+    `WITH cleared AS (
+       DELETE FROM totp_recovery_code WHERE user_id = $1
+     )
+     INSERT INTO totp_recovery_code (user_id, code_hash)
+     SELECT $1, unnest($2::TEXT[])`,
+    [userId, codes.map((code) => hashOpaqueToken(code))]
+  );
+  return codes;
+}
+
+/** Related functions for two-factor authentication (TOTP, see helpers/totp.js).
+ *
+ * Users turn it on in two steps: startEnrollment gives them a secret for their
+ * authenticator app, and confirmEnrollment checks a first code from the app
+ * before logins start asking for codes. Confirming also gives them recovery
+ * codes, each of which can be used once instead of a code from the app.
+ */
+
+class TwoFactor {
+  /** Start turning on two-factor authentication for a user.
+   *
+   * Replaces any earlier unconfirmed secret.
+   *
+   * Returns { secret, otpauthUri }
+   *
+   * Throws BadRequestError if it is already on.
+   * Throws NotFoundError if user is not found
+   **/
+
+  static async startEnrollment(username) {
+    const secret = generateTotpSecret();
+    const result = await db.query(
+      `UPDATE users
+       SET totp_secret = CASE WHEN totp_enabled THEN totp_secret ELSE $2 END
+       WHERE username = $1
+       RETURNING totp_enabled AS "enabled"`,
+      [username, encryptTotpSecret(secret)]
+    );
+    const user = result.rows[0];
+    if (!user) throw new NotFoundError(`No user: ${username}`);
+    if (user.enabled) {
+      throw new BadRequestError("Two-factor authentication is already on.");
+    }
+
+    return { secret, otpauthUri: otpauthUri(secret, username) };
+  }
+
+  /** Finish turning on two-factor authentication with a first code from the
+   *  authenticator app.
+   *
+   * Returns { recoveryCodes: [code, ...] }; they are only shown this once.
+   *
+   * Throws BadRequestError if enrollment wasn't started, it's already on, or
+   * the code is wrong.
+   * Throws NotFoundError if user is not found
+   **/
+
+  static async confirmEnrollment(username, code) {
+    const userRes = await db.query(
+      `SELECT id, totp_secret AS "secret", totp_enabled AS "enabled"
+       FROM users
+       WHERE username = $1`,
+      [username]
+    );
+    const user = userRes.rows[0];
+    if (!user) throw new NotFoundError(`No user: ${username}`);
+    if (user.enabled) {
+      throw new BadRequestError("Two-factor authentication is already on.");
+    }
+    if (!user.secret) {
+      throw new BadRequestError(
+        "Start setting up two-factor authentication first."
+      );
+    }
+
+    const step = verifyTotp(
+      decryptTotpSecret(user.secret),
+      code.replace(/\s/g, "")
+    );
+    if (step === null) throw new BadRequestError("Invalid two-factor code.");
+
+    await db.query(
+      `UPDATE users
+       SET totp_enabled = TRUE, totp_last_step = $2
+       WHERE id = $1`,
+      [user.id, step]
+    );
+    return { recoveryCodes: await replaceRecoveryCodes(user.id) };
+  }
+
+  /** Check a code from a user's authenticator app, or one of their recovery
+   *  codes, which is then used up.
+   *
+   * Each app code works once.
+   *
+   * Returns { id, username, isAdmin, tokenVersion }, for issuing tokens.
+   *
+   * Throws UnauthorizedError if the code is wrong or two-factor
+   * authentication is off.
+   **/
+
+  static async verify(userId, code) {
+    const userRes = await db.query(
+      `SELECT id,
+              username,
+              is_admin AS "isAdmin",
+              token_version AS "tokenVersion",
+              totp_secret AS "secret"
+       FROM users
+       WHERE id = $1 AND totp_enabled`,
+      [userId]
+    );
+    const user = userRes.rows[0];
+    if (!user) throw new UnauthorizedError("Invalid two-factor code");
+    const { secret, ...found } = user;
+
+    // apps often show codes as "123 456"
+    const appCode = code.replace(/\s/g, "");
+    let accepted = false;
+    if (/^\d{6}$/.test(appCode)) {
+      const step = verifyTotp(decryptTotpSecret(secret), appCode);
+      if (step !== null) {
+        // only a step later than the last one used, so codes can't be replayed
+        const result = await db.query(
+          `UPDATE users
+           SET totp_last_step = $2
+           WHERE id = $1 AND (totp_last_step IS NULL OR totp_last_step < $2)`,
+          [userId, step]
+        );
+        accepted = result.rowCount > 0;
+      }
+    } else {
+      const result = await db.query(
+        `UPDATE totp_recovery_code
+         SET used_at = CURRENT_TIMESTAMP
+         WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL`,
+        [userId, hashOpaqueToken(normalizeRecoveryCode(code))]
+      );
+      accepted = result.rowCount > 0;
+    }
+
+    if (!accepted) throw new UnauthorizedError("Invalid two-factor code");
+    return found;
+  }
+
+  /** Replace a user's recovery codes with new ones.
+   *
+   * Returns { recoveryCodes: [code, ...] }
+   *
+   * Throws BadRequestError if two-factor authentication is off.
+   * Throws NotFoundError if user is not found
+   **/
+
+  static async regenerateRecoveryCodes(username) {
+    const userId = await getEnabledUserId(username);
+    return { recoveryCodes: await replaceRecoveryCodes(userId) };
+  }
+
+  /** Turn off two-factor authentication for a user.
+   *
+   * Throws BadRequestError if it is already off.
+   * Throws NotFoundError if user is not found
+   **/
+
+  static async disable(username) {
+    const userId = await getEnabledUserId(username);
+    await db.query(
+      `WITH codes AS (
+         DELETE FROM totp_recovery_code WHERE user_id = $1
+       )
+       UPDATE users
+       SET totp_secret = NULL, totp_enabled = FALSE, totp_last_step = NULL
+       WHERE id = $1`,
+      [userId]
+    );
+  }
+}
+
+module.exports = TwoFactor;
@@ -0,0 +1,181 @@
+"use strict";
+
+const db = require("../db");
+const TwoFactor = require("./twoFactor");
+const { totpCode, totpStep } = require("../helpers/totp");
+const {
+  NotFoundError,
+  BadRequestError,
+  UnauthorizedError,
+} = require("../helpers/expressError");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+  testUserIds,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/** Turn on two-factor authentication for u1; returns { secret, recoveryCodes } */
+async function enrollU1() {
+  const { secret } = await TwoFactor.startEnrollment("u1");
+  const { recoveryCodes } = await TwoFactor.confirmEnrollment(
+    "u1",
+    totpCode(secret, totpStep())
+  );
+  return { secret, recoveryCodes };
+}
+
+/************************************** enrollment */
+
+describe("enrollment", function () {
+  test("works", async function () {
+    const { secret, otpauthUri } = await TwoFactor.startEnrollment("u1");
+    expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+    expect(otpauthUri).toEqual(
+      `otpauth://totp/OurTabi%3Au1?secret=${secret}&issuer=OurTabi&algorithm=SHA1&digits=6&period=30`
+    );
+
+    const stored = await db.query(
+      `SELECT totp_secret, totp_enabled FROM users WHERE username = 'u1'`
+    );
+    expect(stored.rows[0].totp_secret).not.toContain(secret);
+    expect(stored.rows[0].totp_enabled).toEqual(false);
+
+    const { recoveryCodes } = await TwoFactor.confirmEnrollment(
+      "u1",
+      totpCode(secret, totpStep())
+    );
+    expect(recoveryCodes).toHaveLength(10);
+    const enabled = await db.query(
+      `SELECT totp_enabled FROM users WHERE username = 'u1'`
+    );
+    expect(enabled.rows[0].totp_enabled).toEqual(true);
+  });
+
+  test("bad request: confirm with a wrong code", async function () {
+    await TwoFactor.startEnrollment("u1");
+    await expect(TwoFactor.confirmEnrollment("u1", "000000")).rejects.toThrow(
+      BadRequestError
+    );
+  });
+
+  test("bad request: confirm before starting", async function () {
+    await expect(TwoFactor.confirmEnrollment("u1", "123456")).rejects.toThrow(
+      BadRequestError
+    );
+  });
+
+  test("bad request: already on", async function () {
+    await enrollU1();
+    await expect(TwoFactor.startEnrollment("u1")).rejects.toThrow(
+      BadRequestError
+    );
+  });
+
+  test("not found if no such user", async function () {
+    await expect(TwoFactor.startEnrollment("nope")).rejects.toThrow(
+      NotFoundError
+    );
+  });
+});
+
+/************************************** verify */
+
+describe("verify", function () {
+  test("works: app code, only once", async function () {
+    const { secret } = await enrollU1();
+    const code = totpCode(secret, totpStep() + 1);
+
+    expect(await TwoFactor.verify(testUserIds[0], code)).toEqual({
+      id: testUserIds[0],
+      username: "u1",
+      isAdmin: false,
+      tokenVersion: 0,
+    });
+    await expect(TwoFactor.verify(testUserIds[0], code)).rejects.toThrow(
+      UnauthorizedError
+    );
+  });
+
+  test("works: recovery code, only once", async function () {
+    const { recoveryCodes } = await enrollU1();
+    const typed = recoveryCodes[0].toLowerCase().replace("-", " ");
+
+    await expect(TwoFactor.verify(testUserIds[0], typed)).resolves.toBeTruthy();
+    await expect(
+      TwoFactor.verify(testUserIds[0], recoveryCodes[0])
+    ).rejects.toThrow(UnauthorizedError);
+    await expect(
+      TwoFactor.verify(testUserIds[0], recoveryCodes[1])
+    ).resolves.toBeTruthy();
+  });
+
+  test("unauth for a wrong code", async function () {
+    await enrollU1();
+    await expect(TwoFactor.verify(testUserIds[0], "000000")).rejects.toThrow(
+      UnauthorizedError
+    );
+    await expect(
+      TwoFactor.verify(testUserIds[0], "AAAAA-AAAAA")
+    ).rejects.toThrow(UnauthorizedError);
+  });
+
+  test("unauth if two-factor authentication is off", async function () {
+    await expect(TwoFactor.verify(testUserIds[0], "123456")).rejects.toThrow(
+      UnauthorizedError
+    );
+  });
+});
+
+/************************************** regenerateRecoveryCodes */
+
+describe("regenerateRecoveryCodes", function () {
+  test("works: old codes stop working", async function () {
+    const { recoveryCodes: old } = await enrollU1();
+    const { recoveryCodes } = await TwoFactor.regenerateRecoveryCodes("u1");
+
+    await expect(TwoFactor.verify(testUserIds[0], old[0])).rejects.toThrow(
+      UnauthorizedError
+    );
+    await expect(
+      TwoFactor.verify(testUserIds[0], recoveryCodes[0])
+    ).resolves.toBeTruthy();
+  });
+
+  test("bad request if off", async function () {
+    await expect(TwoFactor.regenerateRecoveryCodes("u1")).rejects.toThrow(
+      BadRequestError
+    );
+  });
+});
+
+/************************************** disable */
+
+describe("disable", function () {
+  test("works", async function () {
+    const { recoveryCodes } = await enrollU1();
+    await TwoFactor.disable("u1");
+
+    const user = await db.query(
+      `SELECT totp_secret, totp_enabled FROM users WHERE username = 'u1'`
+    );
+    expect(user.rows[0]).toEqual({ totp_secret: null, totp_enabled: false });
+    await expect(
+      TwoFactor.verify(testUserIds[0], recoveryCodes[0])
+    ).rejects.toThrow(UnauthorizedError);
+  });
+
+  test("bad request if off", async function () {
+    await expect(TwoFactor.disable("u1")).rejects.toThrow(BadRequestError);
+  });
+
+  test("not found if no such user", async function () {
+    await expect(TwoFactor.disable("nope")).rejects.toThrow(NotFoundError);
+  });
+});
@@ -3,21 +3,41 @@
 const db = require("../db");
 const bcrypt = require("bcryptjs");
 const { sqlForPartialUpdate } = require("../helpers/sql");
+const { checkPasswordStrength } = require("../helpers/passwordPolicy");
+const {
+  createOpaqueToken,
+  hashOpaqueToken,
+  unusablePasswordHash,
+} = require("../helpers/tokens");
 const {
   NotFoundError,
   BadRequestError,
   UnauthorizedError,
 } = require("../helpers/expressError.js");
 const Friend = require("./friend");
+const Trip = require("./trip");
 
 const { BCRYPT_WORK_FACTOR } = require("../config.js");
 
+// how long a password reset link works for
+const PASSWORD_RESET_TTL_MINUTES = 60;
+
+// how long an email verification link works for
+const EMAIL_VERIFICATION_TTL_HOURS = 48;
+
+const EMAIL_PREFERENCE_COLUMNS = `email_friend_requests AS "friendRequests",
+                                  email_trip_invites AS "tripInvites",
+                                  email_digest AS "digest"`;
+
 /** Related functions for users. */
 
 class User {
   /** authenticate user with username, password.
    *
-   * Returns { id, username, first_name, last_name, email, is_admin }
+   * Returns { id, username, firstName, lastName, email, isAdmin, tokenVersion, totpEnabled }
+   *
+   * totpEnabled says whether the user still has to give a two-factor code
+   * (see models/twoFactor.js).
    *
    * Throws UnauthorizedError is user not found or wrong password.
    **/
@@ -30,7 +50,9 @@ class User {
               first_name AS "firstName",
               last_name AS "lastName",
               email,
-              is_admin AS "isAdmin"
+              is_admin AS "isAdmin",
+              token_version AS "tokenVersion",
+              totp_enabled AS "totpEnabled"
         FROM users
         WHERE username = $1`,
       [username]
@@ -114,7 +136,7 @@ class User {
 
   /** Given a username, return data about user including their trips.
    *
-   * Returns {  id, username, firstName, lastName, email, isAdmin, bio, profilePic, trips: [id, title, destination, startDate, endDate, isPrivate], : friends: [friends: [{id, username, firstName, lastName, email, profilePic}, ...], incomingRequests: [...], sentRequest:[...]] }
+   * Returns {  id, username, firstName, lastName, email, emailVerified, isAdmin, bio, profilePic, trips: [id, title, destination, startDate, endDate, isPrivate], : friends: [friends: [{id, username, firstName, lastName, email, profilePic}, ...], incomingRequests: [...], sentRequest:[...]] }
    * Throws NotFoundError if user not found.
    **/
 
@@ -126,6 +148,7 @@ class User {
               first_name AS "firstName",
               last_name AS "lastName",
               email,
+              email_verified AS "emailVerified",
               is_admin AS "isAdmin",
               bio,
               profile_pic AS "profilePic"
@@ -174,7 +197,9 @@ class User {
    * Data can include:
    *   { firstName, lastName, email, isAdmin, bio, profilePic }
    *
-   * Returns { id, username, firstName, lastName, email, isAdmin, bio, profilePic }
+   * Changing the email marks it as unverified again.
+   *
+   * Returns { id, username, firstName, lastName, email, emailVerified, bio, profilePic }
    *
    * Throws NotFoundError if not found.
    *
@@ -194,14 +219,23 @@ class User {
     });
     const usernameVarIdx = "$" + (values.length + 1);
 
+    // columns on the right are the old values, so this keeps the
+    // verification only when the email stays the same
+    let verifiedCol = "";
+    if (data.email !== undefined) {
+      const emailVarIdx = "$" + (Object.keys(data).indexOf("email") + 1);
+      verifiedCol = `, email_verified = (email_verified AND email = ${emailVarIdx})`;
+    }
+
     const querySql = `UPDATE users 
-                      SET ${setCols} 
+                      SET ${setCols}${verifiedCol} 
                       WHERE username = ${usernameVarIdx} 
                       RETURNING id,
                                 username,
                                 first_name AS "firstName",
                                 last_name AS "lastName",
                                 email,
+                                email_verified AS "emailVerified",
                                 bio,
                                 profile_pic AS "profilePic"`;
     const result = await db.query(querySql, [...values, username]);
@@ -213,24 +247,484 @@ class User {
   }
 
   /** Delete given user from database.
+   *
+   * Trips the user owns are handed to another member first; trips with no
+   * other members are deleted along with the user.
    *
    * returns undefined.
    *
-   * Throws NotFoundError if user is not found
+   * Throws NotFoundError if user is not found, and BadRequestError if they
+   * paid or share in expenses of a trip that would outlive them.
    * */
 
   static async remove(username) {
-    let result = await db.query(
-      `DELETE
-           FROM users
-           WHERE username = $1
-           RETURNING username`,
+    // the hand-off and the delete go together, so a failure part way leaves
+    // the user and their trips as they were
+    await db.transaction(async () => {
+      const userRes = await db.query(
+        `SELECT id FROM users WHERE username = $1`,
+        [username]
+      );
+      if (!userRes.rows[0]) throw new NotFoundError(`No user: ${username}`);
+
+      const userId = userRes.rows[0].id;
+      await Trip.handOffOwnedTrips(userId);
+
+      // trips still created by the user go with them, expenses and all; any
+      // other expense they're in is part of someone else's balances, which
+      // expense.paid_by and expense_share.user_id won't let go
+      const expenseRes = await db.query(
+        `SELECT 1
+         FROM expense AS e
+           JOIN trip AS t ON t.id = e.trip_id
+         WHERE t.creator_id <> $1
+           AND (e.paid_by = $1
+                OR EXISTS (SELECT 1 FROM expense_share AS es
+                           WHERE es.expense_id = e.id AND es.user_id = $1))
+         LIMIT 1`,
+        [userId]
+      );
+      if (expenseRes.rows[0]) {
+        throw new BadRequestError(
+          `${username} has expenses in trips with other members; delete those expenses first`
+        );
+      }
+
+      // deleted here rather than by the trip.creator_id cascade, which the
+      // expense foreign keys are checked before
+      await db.query(`DELETE FROM trip WHERE creator_id = $1`, [userId]);
+
+      let result = await db.query(
+        `DELETE
+             FROM users
+             WHERE username = $1
+             RETURNING username`,
+        [username]
+      );
+      if (!result.rows[0]) throw new NotFoundError(`No user: ${username}`);
+    });
+  }
+
+  /** Create a secret token for the user's calendar feed, replacing any
+   *  earlier token so old feed URLs stop working.
+   *
+   * Only a hash of the token is stored, so it can't be shown again later.
+   *
+   * Returns the token.
+   *
+   * Throws NotFoundError if user is not found
+   **/
+
+  static async createCalendarToken(username) {
+    const token = createOpaqueToken();
+    const result = await db.query(
+      `UPDATE users
+       SET calendar_token_hash = $1
+       WHERE username = $2
+       RETURNING id`,
+      [hashOpaqueToken(token), username]
+    );
+    if (!result.rows[0]) throw new NotFoundError(`No user: ${username}`);
+
+    return token;
+  }
+
+  /** Turn off the user's calendar feed.
+   *
+   * Throws NotFoundError if user is not found
+   **/
+
+  static async revokeCalendarToken(username) {
+    const result = await db.query(
+      `UPDATE users
+       SET calendar_token_hash = NULL
+       WHERE username = $1
+       RETURNING id`,
       [username]
     );
     if (!result.rows[0]) throw new NotFoundError(`No user: ${username}`);
   }
 
+  /** Find the user a calendar feed token belongs to.
+   *
+   * Returns { id, username }
+   *
+   * Throws NotFoundError if no user has this token.
+   **/
+
+  static async getByCalendarToken(token) {
+    const result = await db.query(
+      `SELECT id, username
+       FROM users
+       WHERE calendar_token_hash = $1`,
+      [hashOpaqueToken(token)]
+    );
+    if (!result.rows[0]) throw new NotFoundError("No such calendar feed");
+
+    return result.rows[0];
+  }
+
+  /** Get what's needed to check a logged-in user's token on each request
+   *  (see middleware/session.js).
+   *
+   * sessionActive says whether the session with id sessionId is still going;
+   * it is true when no sessionId is given.
+   *
+   * Returns { tokenVersion, emailVerified, sessionActive }, or null if there
+   * is no such user.
+   **/
+
+  static async getSessionState(userId, sessionId = null) {
+    const result = await db.query(
+      `SELECT u.token_version AS "tokenVersion",
+              u.email_verified AS "emailVerified",
+              ($2::INTEGER IS NULL
+               OR (s.id IS NOT NULL AND s.revoked_at IS NULL)) AS "sessionActive"
+       FROM users u
+       LEFT JOIN user_session s ON s.id = $2 AND s.user_id = u.id
+       WHERE u.id = $1`,
+      [userId, sessionId]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /** Create a token to verify the user's current email address.
+   *
+   * The token works for EMAIL_VERIFICATION_TTL_HOURS and only for this
+   * address; earlier tokens for the user stop working.
+   *
+   * Returns { token, user: { id, username, firstName, email } }
+   *
+   * Throws BadRequestError if the email is already verified.
+   * Throws NotFoundError if user is not found
+   **/
+
+  static async createEmailVerificationToken(userId) {
+    const userRes = await db.query(
+      `SELECT id,
+              username,
+              first_name AS "firstName",
+              email,
+              email_verified AS "emailVerified"
+       FROM users
+       WHERE id = $1`,
+      [userId]
+    );
+    const found = userRes.rows[0];
+    if (!found) throw new NotFoundError(`No user with id: ${userId}`);
+    if (found.emailVerified) {
+      throw new BadRequestError("This email address is already verified.");
+    }
+
+    const token = createOpaqueToken();
+    await db.query(
+      `WITH cleared AS (
+         DELETE FROM email_verification_token
+         WHERE user_id = $1
+       )
+       INSERT INTO email_verification_token (user_id, email, token_hash, expires_at)
+       VALUES ($1, $2, $3, CURRENT_TIMESTAMP + make_interval(hours => $4))`,
+      [
+        found.id,
+        found.email,
+        hashOpaqueToken(token),
+        EMAIL_VERIFICATION_TTL_HOURS,
+      ]
+    );
+
+    const { emailVerified, ...user } = found;
+    return { token, user };
+  }
+
+  /** Verify an email address with the token sent to it.
+   *
+   * Returns { id, username, email }
+   *
+   * Throws BadRequestError if the token is unknown or expired, or the user
+   * has changed their email since it was sent.
+   **/
+
+  static async verifyEmail(token) {
+    const result = await db.query(
+      `WITH used AS (
+         DELETE FROM email_verification_token
+         WHERE token_hash = $1 AND expires_at > CURRENT_TIMESTAMP
+         RETURNING user_id, email
+       )
+       UPDATE users
+       SET email_verified = TRUE
+       FROM used
+       WHERE users.id = used.user_id AND users.email = used.email
+       RETURNING users.id, users.username, users.email`,
+      [hashOpaqueToken(token)]
+    );
+    if (!result.rows[0]) {
+      throw new BadRequestError(
+        "This verification link is invalid or has expired."
+      );
+    }
+
+    return result.rows[0];
+  }
+
+  /** Start a password reset for the account with this email.
+   *
+   * Creates a single-use token that works for PASSWORD_RESET_TTL_MINUTES;
+   * earlier unused tokens for the account stop working. Only a hash of the
+   * token is stored.
+   *
+   * Returns { token, user: { id, username, firstName, email } }, or null if
+   * no account has this email.
+   **/
+
+  static async createPasswordResetToken(email) {
+    const userRes = await db.query(
+      `SELECT id, username, first_name AS "firstName", email
+       FROM users
+       WHERE LOWER(email) = LOWER($1)`,
+      [email]
+    );
+    const user = userRes.rows[0];
+    if (!user) return null;
+
+    const token = createOpaqueToken();
+    await db.query(
+      `WITH cleared AS (
+         DELETE FROM password_reset_token
+         WHERE user_id = $1 AND used_at IS NULL
+       )
+       INSERT INTO password_reset_token (user_id, token_hash, expires_at)
+       VALUES ($1, $2, CURRENT_TIMESTAMP + make_interval(mins => $3))`,
+      [user.id, hashOpaqueToken(token), PASSWORD_RESET_TTL_MINUTES]
+    );
+
+    return { token, user };
+  }
+
+  /** Set a new password using a password reset token.
+   *
+   * Uses up the token and signs the user out everywhere: tokens issued
+   * before the reset stop working.
+   *
+   * Returns { id, username }
+   *
+   * Throws BadRequestError if the password is too weak (see
+   * helpers/passwordPolicy.js), or the token is unknown, used or expired.
+   **/
+
+  static async resetPassword(token, password) {
+    const problems = checkPasswordStrength(password);
+    if (problems.length) throw new BadRequestError(problems.join(" "));
+
+    const hashedPassword = await bcrypt.hash(password, BCRYPT_WORK_FACTOR);
+
+    const result = await db.query(
+      `WITH used AS (
+         UPDATE password_reset_token
+         SET used_at = CURRENT_TIMESTAMP
+         WHERE token_hash = $1
+           AND used_at IS NULL
+           AND expires_at > CURRENT_TIMESTAMP
+         RETURNING user_id
+       ), others AS (
+         DELETE FROM password_reset_token
+         WHERE user_id IN (SELECT user_id FROM used) AND token_hash <> $1
+       )
+       UPDATE users
+       SET password = $2, token_version = token_version + 1
+       FROM used
+       WHERE users.id = used.user_id
+       RETURNING users.id, users.username`,
+      [hashOpaqueToken(token), hashedPassword]
+    );
+    if (!result.rows[0]) {
+      throw new BadRequestError(
+        "This password reset link is invalid or has expired."
+      );
+    }
+
+    return result.rows[0];
+  }
+
+  /** Change a user's password, given their current one.
+   *
+   * The user's other sessions end; keepSessionId, if given, is the session
+   * making the change, which stays logged in.
+   *
+   * Returns { id, username, isAdmin, tokenVersion } with the new token version,
+   * for issuing the current session a new token.
+   *
+   * Throws UnauthorizedError if the current password is wrong.
+   * Throws BadRequestError if the new password is too weak (see
+   * helpers/passwordPolicy.js) or is the current one.
+   * Throws NotFoundError if user is not found
+   **/
+
+  static async changePassword(
+    username,
+    { currentPassword, newPassword },
+    { keepSessionId = null } = {}
+  ) {
+    const userRes = await db.query(
+      `SELECT id, password FROM users WHERE username = $1`,
+      [username]
+    );
+    const user = userRes.rows[0];
+    if (!user) throw new NotFoundError(`No user: ${username}`);
+
+    if (!(await bcrypt.compare(currentPassword, user.password))) {
+      throw new UnauthorizedError("Current password is incorrect");
+    }
+    const problems = checkPasswordStrength(newPassword, { username });
+    if (newPassword === currentPassword) {
+      problems.push("New password must be different from the current one.");
+    }
+    if (problems.length) throw new BadRequestError(problems.join(" "));
+
+    const hashedPassword = await bcrypt.hash(newPassword, BCRYPT_WORK_FACTOR);
+    const result = await db.query(
+      `WITH kept AS (
+         UPDATE user_session
+         SET token_version = (SELECT token_version + 1 FROM users WHERE id = $1)
+         WHERE id = $3::INTEGER AND user_id = $1 AND revoked_at IS NULL
+       ), ended AS (
+         UPDATE user_session
+         SET revoked_at = CURRENT_TIMESTAMP
+         WHERE user_id = $1
+           AND revoked_at IS NULL
+           AND id IS DISTINCT FROM $3::INTEGER
+       )
+       UPDATE users
+       SET password = $2, token_version = token_version + 1
+       WHERE id = $1
+       RETURNING id,
+                 username,
+                 is_admin AS "isAdmin",
+                 token_version AS "tokenVersion"`,
+      [user.id, hashedPassword, keepSessionId]
+    );
+
+    return result.rows[0];
+  }
+
+  /** Make a user reset their password, e.g. if an admin thinks it leaked.
+   *
+   * The current password stops working, the user is signed out everywhere,
+   * and a password reset token is made for emailing to them (see
+   * createPasswordResetToken).
+   *
+   * Returns { token, user: { id, username, firstName, email } }
+   *
+   * Throws NotFoundError if user is not found
+   **/
+
+  static async forcePasswordReset(username) {
+    const unusable = await unusablePasswordHash();
+    const result = await db.query(
+      `UPDATE users
+       SET password = $2, token_version = token_version + 1
+       WHERE username = $1
+       RETURNING email`,
+      [username, unusable]
+    );
+    if (!result.rows[0]) throw new NotFoundError(`No user: ${username}`);
+
+    return await User.createPasswordResetToken(result.rows[0].email);
+  }
+
+  /** Get which emails the user wants.
+   *
+   * Returns { friendRequests, tripInvites, digest }
+   *
+   * Throws NotFoundError if user is not found
+   **/
+
+  static async getEmailPreferences(username) {
+    const result = await db.query(
+      `SELECT ${EMAIL_PREFERENCE_COLUMNS}
+       FROM users
+       WHERE username = $1`,
+      [username]
+    );
+    if (!result.rows[0]) throw new NotFoundError(`No user: ${username}`);
+
+    return result.rows[0];
+  }
+
+  /** Turn emails on or off; only changes the preferences provided.
+   *
+   * Data can include: { friendRequests, tripInvites, digest } (booleans)
+   *
+   * Returns { friendRequests, tripInvites, digest }
+   *
+   * Throws NotFoundError if user is not found
+   **/
+
+  static async updateEmailPreferences(username, data) {
+    const { setCols, values } = sqlForPartialUpdate(data, {
+      friendRequests: "email_friend_requests",
+      tripInvites: "email_trip_invites",
+      digest: "email_digest",
+    });
+    const usernameVarIdx = "$" + (values.length + 1);
+
+    const result = await db.query(
+      `UPDATE users
+       SET ${setCols}
+       WHERE username = ${usernameVarIdx}
+       RETURNING ${EMAIL_PREFERENCE_COLUMNS}`,
+      [...values, username]
+    );
+    if (!result.rows[0]) throw new NotFoundError(`No user: ${username}`);
+
+    return result.rows[0];
+  }
+
+  /** Get who to email, if the user wants emails of this kind.
+   *
+   * preference is one of "friendRequests", "tripInvites" or "digest".
+   *
+   * Returns { id, username, firstName, email }, or null if the user turned
+   * these emails off or doesn't exist.
+   **/
+
+  static async getEmailRecipient(userId, preference) {
+    const result = await db.query(
+      `SELECT id,
+              username,
+              first_name AS "firstName",
+              email,
+              ${EMAIL_PREFERENCE_COLUMNS}
+       FROM users
+       WHERE id = $1`,
+      [userId]
+    );
+    const user = result.rows[0];
+    if (!user || !user[preference]) return null;
+
+    const { id, username, firstName, email } = user;
+    return { id, username, firstName, email };
+  }
+
+  /** Record that the user was sent a digest of these notifications, so the
+   *  next digest starts after the newest of them.
+   **/
+
+  static async markDigestSent(userId, notificationIds) {
+    await db.query(
+      `UPDATE users
+       SET digest_sent_at = (SELECT MAX(created_at)
+                             FROM notification
+                             WHERE id = ANY($2::INTEGER[]))
+       WHERE id = $1`,
+      [userId, notificationIds]
+    );
+  }
+
   /** Search users by partial username match
+   *
+   * Only users who have verified their email are found.
    *
    * Returns [{ id, username, firstName, lastName, profilePic, email }, ...]
    *
@@ -245,7 +739,7 @@ class User {
               profile_pic AS "profilePic",
               email
          FROM users
-         WHERE username ILIKE $1
+         WHERE username ILIKE $1 AND email_verified
          ORDER BY username`,
       [`%${query}%`]
     );
@@ -7,6 +7,9 @@ const {
 } = require("../helpers/expressError");
 const db = require("../db.js");
 const User = require("./user.js");
+const Session = require("./session");
+const TripMember = require("./tripMember");
+const Expense = require("./expense");
 const bcrypt = require("bcryptjs");
 const {
   commonBeforeAll,
@@ -14,6 +17,7 @@ const {
   commonAfterEach,
   commonAfterAll,
   testUserIds,
+  testTripIds,
 } = require("./_testCommon");
 
 beforeAll(commonBeforeAll);
@@ -106,6 +110,8 @@ describe("authenticate", function () {
       lastName: "U1L",
       email: "u1@email.com",
       isAdmin: false,
+      tokenVersion: 0,
+      totpEnabled: false,
     });
   });
 
@@ -133,6 +139,7 @@ describe("get", function () {
       firstName: "U1F",
       lastName: "U1L",
       email: "u1@email.com",
+      emailVerified: true,
       isAdmin: false,
       bio: "Bio of U1",
       profilePic: null,
@@ -159,6 +166,7 @@ describe("update", function () {
       firstName: "UpdatedF",
       lastName: "U1L",
       email: "u1@email.com",
+      emailVerified: true,
       bio: "Bio of U1",
       profilePic: null,
     });
@@ -178,11 +186,20 @@ describe("update", function () {
       firstName: "NewFirst",
       lastName: "NewLast",
       email: "u1@email.com",
+      emailVerified: true,
       bio: "Updated Bio",
       profilePic: "http://newimage.com/pic.jpg",
     });
   });
 
+  test("works: a new email must be verified again", async function () {
+    const same = await User.update("u1", { email: "u1@email.com" });
+    expect(same.emailVerified).toEqual(true);
+
+    const changed = await User.update("u1", { email: "new@email.com" });
+    expect(changed.emailVerified).toEqual(false);
+  });
+
   test("not found if user does not exist", async function () {
     await expect(User.update("nope", { firstName: "test" })).rejects.toThrow(
       NotFoundError
@@ -203,6 +220,64 @@ describe("remove", function () {
     expect(res.rows.length).toEqual(0);
   });
 
+  test("works: owned trips are handed to another member", async function () {
+    await db.query(
+      `INSERT INTO trip_member (user_id, trip_id, role)
+       VALUES ($1, $2, 'owner'), ($3, $2, 'member')`,
+      [testUserIds[0], testTripIds[0], testUserIds[1]]
+    );
+
+    await User.remove("u1");
+    const res = await db.query("SELECT creator_id FROM trip WHERE id = $1", [
+      testTripIds[0],
+    ]);
+    expect(res.rows).toEqual([{ creator_id: testUserIds[1] }]);
+  });
+
+  test("works: trips with no other members are deleted", async function () {
+    await User.remove("u1");
+    const res = await db.query("SELECT id FROM trip WHERE id = $1", [
+      testTripIds[0],
+    ]);
+    expect(res.rows.length).toEqual(0);
+  });
+
+  test("bad request if they paid an expense in a shared trip", async function () {
+    await TripMember.addMember(testUserIds[0], testTripIds[0], "owner");
+    await TripMember.addMember(testUserIds[1], testTripIds[0]);
+    const expense = await Expense.create({
+      tripId: testTripIds[0],
+      paidBy: testUserIds[1],
+      createdBy: testUserIds[1],
+      description: "Dinner",
+      amount: 50,
+    });
+
+    await expect(User.remove("u2")).rejects.toThrow(BadRequestError);
+    const users = await db.query("SELECT id FROM users WHERE username='u2'");
+    expect(users.rows.length).toEqual(1);
+    const found = await Expense.get(expense.id, testTripIds[0]);
+    expect(found.paidBy).toEqual(testUserIds[1]);
+    expect(found.shares.length).toEqual(2);
+  });
+
+  test("works: expenses in trips deleted with the user", async function () {
+    await TripMember.addMember(testUserIds[0], testTripIds[0], "owner");
+    await Expense.create({
+      tripId: testTripIds[0],
+      paidBy: testUserIds[0],
+      createdBy: testUserIds[0],
+      description: "Dinner",
+      amount: 50,
+    });
+
+    await User.remove("u1");
+    const res = await db.query("SELECT id FROM expense WHERE trip_id = $1", [
+      testTripIds[0],
+    ]);
+    expect(res.rows.length).toEqual(0);
+  });
+
   test("not found if user does not exist", async function () {
     await expect(User.remove("nope")).rejects.toThrow(NotFoundError);
   });
@@ -298,3 +373,372 @@ describe("searchUsers", function () {
     expect(users.length).toBeGreaterThanOrEqual(3); // At least 3 users exist in seed data
   });
 });
+
+/************************************** calendar tokens */
+
+describe("calendar tokens", function () {
+  test("works: token finds its user", async function () {
+    const token = await User.createCalendarToken("u1");
+    const user = await User.getByCalendarToken(token);
+    expect(user).toEqual({ id: testUserIds[0], username: "u1" });
+  });
+
+  test("works: only the hash is stored", async function () {
+    const token = await User.createCalendarToken("u1");
+    const res = await db.query(
+      "SELECT calendar_token_hash FROM users WHERE username = 'u1'"
+    );
+    expect(res.rows[0].calendar_token_hash).toEqual(expect.any(String));
+    expect(res.rows[0].calendar_token_hash).not.toEqual(token);
+  });
+
+  test("works: a new token replaces the old one", async function () {
+    const oldToken = await User.createCalendarToken("u1");
+    await User.createCalendarToken("u1");
+    await expect(User.getByCalendarToken(oldToken)).rejects.toThrow(
+      NotFoundError
+    );
+  });
+
+  test("works: revoke", async function () {
+    const token = await User.createCalendarToken("u1");
+    await User.revokeCalendarToken("u1");
+    await expect(User.getByCalendarToken(token)).rejects.toThrow(
+      NotFoundError
+    );
+  });
+
+  test("not found if no such user", async function () {
+    await expect(User.createCalendarToken("nope")).rejects.toThrow(
+      NotFoundError
+    );
+    await expect(User.revokeCalendarToken("nope")).rejects.toThrow(
+      NotFoundError
+    );
+  });
+
+  test("not found if unknown token", async function () {
+    await expect(User.getByCalendarToken("not-a-token")).rejects.toThrow(
+      NotFoundError
+    );
+  });
+});
+
+/************************************** email preferences */
+
+describe("email preferences", function () {
+  test("everything is on by default", async function () {
+    const preferences = await User.getEmailPreferences("u1");
+    expect(preferences).toEqual({
+      friendRequests: true,
+      tripInvites: true,
+      digest: true,
+    });
+  });
+
+  test("works: update", async function () {
+    const preferences = await User.updateEmailPreferences("u1", {
+      digest: false,
+    });
+    expect(preferences).toEqual({
+      friendRequests: true,
+      tripInvites: true,
+      digest: false,
+    });
+  });
+
+  test("not found if no such user", async function () {
+    await expect(User.getEmailPreferences("nope")).rejects.toThrow(
+      NotFoundError
+    );
+    await expect(
+      User.updateEmailPreferences("nope", { digest: false })
+    ).rejects.toThrow(NotFoundError);
+  });
+});
+
+/************************************** getEmailRecipient */
+
+describe("getEmailRecipient", function () {
+  test("works", async function () {
+    const recipient = await User.getEmailRecipient(
+      testUserIds[0],
+      "tripInvites"
+    );
+    expect(recipient).toEqual({
+      id: testUserIds[0],
+      username: "u1",
+      firstName: "U1F",
+      email: "u1@email.com",
+    });
+  });
+
+  test("null if the user turned these emails off", async function () {
+    await User.updateEmailPreferences("u1", { tripInvites: false });
+    expect(
+      await User.getEmailRecipient(testUserIds[0], "tripInvites")
+    ).toBeNull();
+  });
+
+  test("null if no such user", async function () {
+    expect(await User.getEmailRecipient(0, "digest")).toBeNull();
+  });
+});
+
+/************************************** password reset */
+
+describe("password reset", function () {
+  test("works", async function () {
+    const { token, user } = await User.createPasswordResetToken(
+      "u1@email.com"
+    );
+    expect(token).toEqual(expect.any(String));
+    expect(user).toEqual({
+      id: testUserIds[0],
+      username: "u1",
+      firstName: "U1F",
+      email: "u1@email.com",
+    });
+
+    const reset = await User.resetPassword(token, "new-password");
+    expect(reset).toEqual({ id: testUserIds[0], username: "u1" });
+    expect(await User.getSessionState(testUserIds[0])).toEqual({
+      tokenVersion: 1,
+      emailVerified: true,
+      sessionActive: true,
+    });
+    await expect(
+      User.authenticate("u1", "new-password")
+    ).resolves.toBeTruthy();
+  });
+
+  test("null for unknown email", async function () {
+    expect(await User.createPasswordResetToken("nope@email.com")).toBeNull();
+  });
+
+  test("a new link replaces the earlier one", async function () {
+    const first = await User.createPasswordResetToken("u1@email.com");
+    await User.createPasswordResetToken("u1@email.com");
+
+    await expect(
+      User.resetPassword(first.token, "new-password")
+    ).rejects.toThrow(BadRequestError);
+  });
+
+  test("bad request for an unknown token", async function () {
+    await expect(User.resetPassword("nope", "new-password")).rejects.toThrow(
+      BadRequestError
+    );
+  });
+
+  test("bad request for a weak password", async function () {
+    const { token } = await User.createPasswordResetToken("u1@email.com");
+    await expect(User.resetPassword(token, "password")).rejects.toThrow(
+      BadRequestError
+    );
+  });
+});
+
+/************************************** changePassword */
+
+describe("changePassword", function () {
+  test("works: ends other sessions, keeps this one", async function () {
+    const current = await Session.create(testUserIds[0]);
+    const other = await Session.create(testUserIds[0]);
+
+    const user = await User.changePassword(
+      "u1",
+      { currentPassword: "password1", newPassword: "new-Password1" },
+      { keepSessionId: current.sessionId }
+    );
+    expect(user).toEqual({
+      id: testUserIds[0],
+      username: "u1",
+      isAdmin: false,
+      tokenVersion: 1,
+    });
+
+    await expect(
+      User.authenticate("u1", "new-Password1")
+    ).resolves.toBeTruthy();
+    await expect(Session.rotate(current.refreshToken)).resolves.toBeTruthy();
+    await expect(Session.rotate(other.refreshToken)).rejects.toThrow(
+      UnauthorizedError
+    );
+  });
+
+  test("unauth with wrong current password", async function () {
+    await expect(
+      User.changePassword("u1", {
+        currentPassword: "wrong",
+        newPassword: "new-Password1",
+      })
+    ).rejects.toThrow(UnauthorizedError);
+  });
+
+  test("bad request for a weak password", async function () {
+    await expect(
+      User.changePassword("u1", {
+        currentPassword: "password1",
+        newPassword: "short",
+      })
+    ).rejects.toThrow(BadRequestError);
+  });
+
+  test("bad request for a password with the username", async function () {
+    await expect(
+      User.changePassword("u1", {
+        currentPassword: "password1",
+        newPassword: "my-U1-password",
+      })
+    ).rejects.toThrow("Password must not contain your username.");
+  });
+
+  test("bad request if unchanged", async function () {
+    await db.query(`UPDATE users SET password = $1 WHERE username = 'u1'`, [
+      await bcrypt.hash("Str0ng-pass", 1),
+    ]);
+    await expect(
+      User.changePassword("u1", {
+        currentPassword: "Str0ng-pass",
+        newPassword: "Str0ng-pass",
+      })
+    ).rejects.toThrow(BadRequestError);
+  });
+
+  test("not found if no such user", async function () {
+    await expect(
+      User.changePassword("nope", {
+        currentPassword: "password1",
+        newPassword: "new-Password1",
+      })
+    ).rejects.toThrow(NotFoundError);
+  });
+});
+
+/************************************** forcePasswordReset */
+
+describe("forcePasswordReset", function () {
+  test("works", async function () {
+    const { token, user } = await User.forcePasswordReset("u1");
+    expect(user).toEqual({
+      id: testUserIds[0],
+      username: "u1",
+      firstName: "U1F",
+      email: "u1@email.com",
+    });
+
+    await expect(User.authenticate("u1", "password1")).rejects.toThrow(
+      UnauthorizedError
+    );
+    const state = await User.getSessionState(testUserIds[0]);
+    expect(state.tokenVersion).toEqual(1);
+
+    await User.resetPassword(token, "new-Password1");
+    await expect(
+      User.authenticate("u1", "new-Password1")
+    ).resolves.toBeTruthy();
+  });
+
+  test("not found if no such user", async function () {
+    await expect(User.forcePasswordReset("nope")).rejects.toThrow(
+      NotFoundError
+    );
+  });
+});
+
+/************************************** getSessionState */
+
+describe("getSessionState", function () {
+  test("works", async function () {
+    expect(await User.getSessionState(testUserIds[0])).toEqual({
+      tokenVersion: 0,
+      emailVerified: true,
+      sessionActive: true,
+    });
+  });
+
+  test("works: with a session", async function () {
+    const { sessionId } = await Session.create(testUserIds[0]);
+    const state = await User.getSessionState(testUserIds[0], sessionId);
+    expect(state.sessionActive).toEqual(true);
+
+    await db.query(
+      `UPDATE user_session SET revoked_at = CURRENT_TIMESTAMP WHERE id = $1`,
+      [sessionId]
+    );
+    const revoked = await User.getSessionState(testUserIds[0], sessionId);
+    expect(revoked.sessionActive).toEqual(false);
+  });
+
+  test("session must be the user's", async function () {
+    const { sessionId } = await Session.create(testUserIds[1]);
+    const state = await User.getSessionState(testUserIds[0], sessionId);
+    expect(state.sessionActive).toEqual(false);
+  });
+
+  test("null if no such user", async function () {
+    expect(await User.getSessionState(0)).toBeNull();
+  });
+});
+
+/************************************** email verification */
+
+describe("email verification", function () {
+  beforeEach(async function () {
+    await db.query(
+      `UPDATE users SET email_verified = FALSE WHERE username = 'u1'`
+    );
+  });
+
+  test("works", async function () {
+    const { token, user } = await User.createEmailVerificationToken(
+      testUserIds[0]
+    );
+    expect(user).toEqual({
+      id: testUserIds[0],
+      username: "u1",
+      firstName: "U1F",
+      email: "u1@email.com",
+    });
+
+    const verified = await User.verifyEmail(token);
+    expect(verified).toEqual({
+      id: testUserIds[0],
+      username: "u1",
+      email: "u1@email.com",
+    });
+    expect((await User.get("u1")).emailVerified).toEqual(true);
+
+    // single use
+    await expect(User.verifyEmail(token)).rejects.toThrow(BadRequestError);
+  });
+
+  test("bad request if the email changed since", async function () {
+    const { token } = await User.createEmailVerificationToken(testUserIds[0]);
+    await User.update("u1", { email: "new@email.com" });
+
+    await expect(User.verifyEmail(token)).rejects.toThrow(BadRequestError);
+  });
+
+  test("bad request if expired", async function () {
+    const { token } = await User.createEmailVerificationToken(testUserIds[0]);
+    await db.query(
+      `UPDATE email_verification_token
+       SET expires_at = CURRENT_TIMESTAMP - INTERVAL '1 minute'`
+    );
+
+    await expect(User.verifyEmail(token)).rejects.toThrow(BadRequestError);
+  });
+
+  test("bad request if already verified", async function () {
+    await expect(
+      User.createEmailVerificationToken(testUserIds[1])
+    ).rejects.toThrow(BadRequestError);
+  });
+
+  test("unverified users aren't found by search", async function () {
+    const users = await User.searchUsers("u");
+    expect(users.map((u) => u.username)).toEqual(["u2"]);
+  });
+});
@@ -5,6 +5,33 @@ const {
   NotFoundError,
   BadRequestError,
 } = require("../helpers/expressError.js");
+const { publish } = require("../helpers/events");
+
+/** Tell subscribers that a user's vote on an activity changed.
+ *
+ * The event carries the activity's trip and its new vote totals, so live
+ * views can update without fetching the activity again.
+ */
+async function publishVoteChange({ userId, activityId, voteValue }) {
+  const result = await db.query(
+    `SELECT a.trip_id AS "tripId",
+            COUNT(*) FILTER (WHERE v.vote_value = 1)::INTEGER AS upvotes,
+            COUNT(*) FILTER (WHERE v.vote_value = -1)::INTEGER AS downvotes
+     FROM activity a
+     LEFT JOIN vote v ON v.activity_id = a.id
+     WHERE a.id = $1
+     GROUP BY a.id`,
+    [activityId]
+  );
+  if (!result.rows[0]) return;
+
+  await publish("vote.changed", {
+    ...result.rows[0],
+    activityId: Number(activityId),
+    userId,
+    voteValue,
+  });
+}
 
 /** Related functions for votes. */
 
@@ -23,44 +50,54 @@ class Vote {
       );
     }
 
-    const existingVote = await db.query(
-      `SELECT * FROM vote WHERE user_id = $1 AND activity_id = $2`,
-      [userId, activityId]
-    );
+    // the vote is read and then written; doing both in a transaction, with
+    // the row locked, stops two votes at once from clashing (and two first
+    // votes at once end up as the later one)
+    const vote = await db.transaction(async () => {
+      const existingVote = await db.query(
+        `SELECT * FROM vote WHERE user_id = $1 AND activity_id = $2 FOR UPDATE`,
+        [userId, activityId]
+      );
 
-    // update if user has already voted. If not, add new vote.
-    if (existingVote.rows.length > 0) {
-      if (voteValue === 0) {
-        // Remove vote if voteValue is 0
-        await db.query(
-          `DELETE FROM vote WHERE user_id = $1 AND activity_id = $2`,
-          [userId, activityId]
-        );
-        return { userId, activityId, voteValue: 0 }; // Indicate vote removal
+      // update if user has already voted. If not, add new vote.
+      if (existingVote.rows.length > 0) {
+        if (voteValue === 0) {
+          // Remove vote if voteValue is 0
+          await db.query(
+            `DELETE FROM vote WHERE user_id = $1 AND activity_id = $2`,
+            [userId, activityId]
+          );
+          return { userId, activityId, voteValue: 0 }; // Indicate vote removal
+        } else {
+          // Update vote if already exists
+          const result = await db.query(
+            `UPDATE vote
+               SET vote_value = $1, created_at = CURRENT_TIMESTAMP
+               WHERE user_id = $2 AND activity_id = $3
+               RETURNING user_id AS "userId", activity_id AS "activityId", vote_value AS "voteValue"`,
+            [voteValue, userId, activityId]
+          );
+          return result.rows[0];
+        }
       } else {
-        // Update vote if already exists
+        // handle if no votes exist
+        if (voteValue === 0) {
+          throw new BadRequestError("No existing vote to remove.");
+        }
         const result = await db.query(
-          `UPDATE vote
-             SET vote_value = $1, created_at = CURRENT_TIMESTAMP
-             WHERE user_id = $2 AND activity_id = $3
+          `INSERT INTO vote (user_id, activity_id, vote_value)
+             VALUES ($1, $2, $3)
+             ON CONFLICT (user_id, activity_id)
+             DO UPDATE SET vote_value = $3, created_at = CURRENT_TIMESTAMP
              RETURNING user_id AS "userId", activity_id AS "activityId", vote_value AS "voteValue"`,
-          [voteValue, userId, activityId]
+          [userId, activityId, voteValue]
         );
         return result.rows[0];
       }
-    } else {
-      // handle if no votes exist 
-      if (voteValue === 0) {
-        throw new BadRequestError("No existing vote to remove.");
-      }
-      const result = await db.query(
-        `INSERT INTO vote (user_id, activity_id, vote_value)
-           VALUES ($1, $2, $3)
-           RETURNING user_id AS "userId", activity_id AS "activityId", vote_value AS "voteValue"`,
-        [userId, activityId, voteValue]
-      );
-      return result.rows[0];
-    }
+    });
+
+    await publishVoteChange(vote);
+    return vote;
   }
 
   /** Remove a vote.
@@ -83,6 +120,8 @@ class Vote {
         `No vote found for user ${userId} on activity ${activityId}`
       );
     }
+
+    await publishVoteChange({ userId, activityId, voteValue: 0 });
   }
 
   /** Get all votes for an activity
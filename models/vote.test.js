@@ -3,12 +3,14 @@
 const { NotFoundError, BadRequestError } = require("../helpers/expressError");
 const db = require("../db.js");
 const Vote = require("./vote.js");
+const { subscribe } = require("../helpers/events");
 const {
   commonBeforeAll,
   commonBeforeEach,
   commonAfterEach,
   commonAfterAll,
   testUserIds,
+  testTripIds,
   testActivityIds,
 } = require("./_testCommon");
 
@@ -88,6 +90,23 @@ describe("castVote", function () {
       Vote.castVote(testUserIds[0], testActivityIds[0], 0)
     ).rejects.toThrow(BadRequestError);
   });
+
+  test("publishes vote.changed with the new totals", async function () {
+    const handler = jest.fn();
+    const unsubscribe = subscribe("vote.changed", handler);
+    await Vote.castVote(testUserIds[1], testActivityIds[0], -1);
+    await Vote.castVote(testUserIds[0], testActivityIds[0], 1);
+    unsubscribe();
+
+    expect(handler).toHaveBeenLastCalledWith({
+      tripId: testTripIds[0],
+      activityId: testActivityIds[0],
+      userId: testUserIds[0],
+      voteValue: 1,
+      upvotes: 1,
+      downvotes: 1,
+    });
+  });
 });
 
 /************************************** remove */
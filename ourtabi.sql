@@ -3,15 +3,11 @@
 
 DROP DATABASE IF EXISTS ourtabi;
 CREATE DATABASE ourtabi;
-\connect ourtabi
-
-\i ourtabi-schema.sql
+\! DATABASE_URL=postgresql:///ourtabi npm run migrate
 
 \echo 'Delete and recreate ourtabi_test db?'
 \prompt 'Return for yes or control-C to cancel > ' foo
 
 DROP DATABASE IF EXISTS ourtabi_test;
 CREATE DATABASE ourtabi_test;
-\connect ourtabi_test
-
-\i ourtabi-schema.sql
\ No newline at end of file
+\! DATABASE_URL=postgresql:///ourtabi_test npm run migrate
\ No newline at end of file
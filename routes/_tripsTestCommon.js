@@ -28,6 +28,7 @@ async function commonBeforeAll() {
   await db.query("DELETE FROM comment");
   await db.query("DELETE FROM activity");
   await db.query("DELETE FROM vote");
+  await db.query("DELETE FROM exchange_rate");
 
   // Register test users
   await User.register({
@@ -55,6 +56,9 @@ async function commonBeforeAll() {
     isAdmin: true,
   });
 
+  // test users have verified their emails
+  await db.query("UPDATE users SET email_verified = TRUE");
+
   // Retrieve users with auto-generated IDs
   const users = await db.query(
     `SELECT id, username, is_admin AS "isAdmin" FROM users`
@@ -136,7 +140,7 @@ async function commonBeforeAll() {
     category: "tours",
     description: "A visit to the Eiffel Tower in Paris",
     location: "Paris, France",
-    scheduledTime: new Date("2024-08-01T10:00:00Z"),
+    scheduledTime: new Date("2025-08-01T10:00:00Z"),
     createdBy: testUserIds["u1"],
   };
 
@@ -153,11 +157,11 @@ async function commonBeforeAll() {
 }
 
 async function commonBeforeEach() {
-  await db.query("BEGIN");
+  await db.beginTestTransaction();
 }
 
 async function commonAfterEach() {
-  await db.query("ROLLBACK");
+  await db.rollbackTestTransaction();
 }
 
 async function commonAfterAll() {
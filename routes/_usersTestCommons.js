@@ -15,6 +15,9 @@ let friendRequestId;
 async function commonBeforeAll() {
   await db.query("DELETE FROM users");
   await db.query("DELETE FROM friend");
+  await db.query("DELETE FROM login_attempt");
+  await db.query("DELETE FROM oidc_login");
+  await db.query("DELETE FROM exchange_rate");
 
   // Register test users
   await User.register({
@@ -42,6 +45,9 @@ async function commonBeforeAll() {
     isAdmin: true,
   });
 
+  // test users have verified their emails
+  await db.query("UPDATE users SET email_verified = TRUE");
+
   // Retrieve users with auto-generated IDs
   const users = await db.query(
     `SELECT id, username, is_admin AS "isAdmin" FROM users`
@@ -78,11 +84,11 @@ async function commonBeforeAll() {
 }
 
 async function commonBeforeEach() {
-  await db.query("BEGIN");
+  await db.beginTestTransaction();
 }
 
 async function commonAfterEach() {
-  await db.query("ROLLBACK");
+  await db.rollbackTestTransaction();
 }
 
 async function commonAfterAll() {
@@ -4,18 +4,43 @@
 
 const express = require("express");
 const User = require("../models/user");
-const { createToken } = require("../helpers/tokens");
+const Session = require("../models/session");
+const TwoFactor = require("../models/twoFactor");
+const EmailOutbox = require("../models/emailOutbox");
+const LoginAttempt = require("../models/loginAttempt");
+const { createToken, verifyChallengeToken } = require("../helpers/tokens");
+const { startSession, loginResponse } = require("../helpers/logins");
+const { passwordResetEmail } = require("../helpers/emails");
+const { queueVerificationEmail } = require("../helpers/emailNotifications");
 const {
   userAuthSchema,
   userRegisterSchema,
+  forgotPasswordSchema,
+  resetPasswordSchema,
+  refreshTokenSchema,
+  twoFactorLoginSchema,
 } = require("../schemas/userSchemas");
 const { validateSchema } = require("../middleware/validateSchema");
+const { ensureLoggedIn } = require("../middleware/auth");
+const { UnauthorizedError } = require("../helpers/expressError");
 
 const router = new express.Router();
 
-/** POST /auth/token:  { username, password } => { token }
+/** POST /auth/token:  { username, password } => { token, refreshToken }
  *
- * Returns JWT token which can be used to authenticate further requests.
+ * Returns JWT token which can be used to authenticate further requests. It
+ * expires after 15 minutes; use the refresh token to get a new one (see
+ * POST /auth/refresh).
+ *
+ * After 5 failed attempts for a username, each attempt has to wait a little
+ * longer (429, with a Retry-After header); after 10 the username is locked
+ * for 15 minutes, or until an admin unlocks it (see
+ * POST /users/:username/unlock). Too many failures from one IP address block
+ * it for a while too.
+ *
+ * Users with two-factor authentication on get
+ *   { twoFactorRequired: true, challengeToken }
+ * instead, and finish logging in with a code (see POST /auth/token/2fa).
  *
  * Authorization required: none
  */
@@ -26,20 +51,85 @@ router.post(
   async function (req, res, next) {
     try {
       const { username, password } = req.body;
-      const user = await User.authenticate(username, password);
+      const attemptId = await LoginAttempt.start(username, req.ip);
+
+      let user;
+      try {
+        user = await User.authenticate(username, password);
+      } catch (err) {
+        // only a wrong username or password stays counted as a failure
+        if (!(err instanceof UnauthorizedError)) {
+          await LoginAttempt.discard(attemptId);
+        }
+        throw err;
+      }
 
-      const token = createToken(user);
-      return res.json({ token });
+      // logging in isn't done until the two-factor code is right, so the
+      // failures aren't cleared yet
+      if (user.totpEnabled) {
+        await LoginAttempt.discard(attemptId);
+      } else {
+        await LoginAttempt.succeed(attemptId);
+      }
+      return res.json(await loginResponse(user));
     } catch (err) {
       return next(err);
     }
   }
 );
 
-/** POST /auth/register:   { username, password, firstName, lastName, email } => { token }
+/** POST /auth/token/2fa:  { challengeToken, code } => { token, refreshToken }
  *
+ * The second step of logging in for users with two-factor authentication on.
+ * code is the current code from their authenticator app, or one of their
+ * recovery codes. The challenge token from POST /auth/token expires after 5
+ * minutes. Wrong codes count as failed logins (see POST /auth/token).
  *
- * Returns JWT token which can be used to authenticate further requests.
+ * Authorization required: none
+ */
+
+router.post(
+  "/token/2fa",
+  validateSchema(twoFactorLoginSchema),
+  async function (req, res, next) {
+    try {
+      const challenge = verifyChallengeToken(req.body.challengeToken);
+      if (!challenge) {
+        throw new UnauthorizedError("Invalid or expired challenge token");
+      }
+
+      // wrong codes count as failed logins too
+      const attemptId = await LoginAttempt.start(challenge.username, req.ip);
+      let user;
+      try {
+        user = await TwoFactor.verify(challenge.id, req.body.code);
+      } catch (err) {
+        if (!(err instanceof UnauthorizedError)) {
+          await LoginAttempt.discard(attemptId);
+        }
+        throw err;
+      }
+
+      // e.g. the password was reset after the challenge was issued
+      if (user.tokenVersion !== challenge.tokenVersion) {
+        await LoginAttempt.discard(attemptId);
+        throw new UnauthorizedError("Invalid or expired challenge token");
+      }
+      await LoginAttempt.succeed(attemptId);
+      return res.json(await startSession(user));
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/** POST /auth/register:   { username, password, firstName, lastName, email } => { token, refreshToken }
+ *
+ * Also emails a link to verify the email address (see GET /auth/verify/:token);
+ * some actions need a verified email.
+ *
+ * Returns JWT token which can be used to authenticate further requests, and
+ * a refresh token (see POST /auth/token).
  *
  * Authorization required: none
  */
@@ -50,9 +140,146 @@ router.post(
   async function (req, res, next) {
     try {
       const newUser = await User.register({ ...req.body, isAdmin: false });
+      await queueVerificationEmail(newUser.id);
+
+      return res.status(201).json(await startSession(newUser));
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/** POST /auth/refresh:   { refreshToken } => { token, refreshToken }
+ *
+ * Swaps a refresh token for a new JWT token and a new refresh token. Each
+ * refresh token works once; using one again ends its session, as it means
+ * someone else has a copy.
+ *
+ * Authorization required: none
+ */
+
+router.post(
+  "/refresh",
+  validateSchema(refreshTokenSchema),
+  async function (req, res, next) {
+    try {
+      const { user, sessionId, refreshToken } = await Session.rotate(
+        req.body.refreshToken
+      );
+
+      const token = createToken(user, { sessionId });
+      return res.json({ token, refreshToken });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/** POST /auth/logout:   { refreshToken } => { message }
+ *
+ * Ends the session the refresh token belongs to; its JWT tokens and refresh
+ * token stop working straight away.
+ *
+ * Authorization required: none
+ */
 
-      const token = createToken(newUser);
-      return res.status(201).json({ token });
+router.post(
+  "/logout",
+  validateSchema(refreshTokenSchema),
+  async function (req, res, next) {
+    try {
+      await Session.revoke(req.body.refreshToken);
+      return res.json({ message: "Logged out." });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/** POST /auth/logout-all  => { message }
+ *
+ * Ends all of the logged-in user's sessions, on every device, including
+ * this one.
+ *
+ * Authorization required: logged in
+ */
+
+router.post("/logout-all", ensureLoggedIn, async function (req, res, next) {
+  try {
+    await Session.revokeAll(res.locals.user.id);
+    return res.json({ message: "Logged out everywhere." });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** GET /auth/verify/:token  => { verified: { username, email } }
+ *
+ * Verifies an email address with the token from the verification email.
+ *
+ * Authorization required: none
+ */
+
+router.get("/verify/:token", async function (req, res, next) {
+  try {
+    const { username, email } = await User.verifyEmail(req.params.token);
+    return res.json({ verified: { username, email } });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** POST /auth/forgot-password:   { email } => { message }
+ *
+ * Emails a single-use link to reset the account's password; it expires in an
+ * hour. The response is the same whether or not the email has an account, so
+ * it can't be used to find out who is registered.
+ *
+ * Authorization required: none
+ */
+
+router.post(
+  "/forgot-password",
+  validateSchema(forgotPasswordSchema),
+  async function (req, res, next) {
+    try {
+      const reset = await User.createPasswordResetToken(req.body.email);
+      if (reset) {
+        await EmailOutbox.enqueue({
+          userId: reset.user.id,
+          to: reset.user.email,
+          kind: "password_reset",
+          ...passwordResetEmail(reset.user, reset.token),
+        });
+      }
+
+      return res.json({
+        message:
+          "If an account uses that email, a link to reset its password is on its way.",
+      });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/** POST /auth/reset-password:   { token, password } => { message }
+ *
+ * Sets a new password using the token from the reset email. The user is
+ * signed out everywhere and has to log in again with the new password.
+ *
+ * Authorization required: none
+ */
+
+router.post(
+  "/reset-password",
+  validateSchema(resetPasswordSchema),
+  async function (req, res, next) {
+    try {
+      await User.resetPassword(req.body.token, req.body.password);
+      return res.json({
+        message: "Your password has been reset. Please log in again.",
+      });
     } catch (err) {
       return next(err);
     }
@@ -3,12 +3,17 @@
 const request = require("supertest");
 
 const app = require("../app");
+const db = require("../db");
+const TwoFactor = require("../models/twoFactor");
+const { totpCode, totpStep } = require("../helpers/totp");
 
 const {
   commonBeforeAll,
   commonBeforeEach,
   commonAfterEach,
   commonAfterAll,
+  testUserIds,
+  getU1Token,
 } = require("./_usersTestCommons");
 
 beforeAll(commonBeforeAll);
@@ -26,6 +31,7 @@ describe("POST /auth/token", function () {
     });
     expect(resp.body).toEqual({
       token: expect.any(String),
+      refreshToken: expect.any(String),
     });
   });
 
@@ -61,6 +67,175 @@ describe("POST /auth/token", function () {
   });
 });
 
+/************************************** login throttling */
+
+describe("POST /auth/token throttling", function () {
+  async function failLogins(count) {
+    for (let i = 0; i < count; i++) {
+      await request(app)
+        .post("/auth/token")
+        .send({ username: "u1", password: "nope" });
+    }
+  }
+
+  test("too many requests after 5 failures, even with the right password", async function () {
+    await failLogins(5);
+    const resp = await request(app).post("/auth/token").send({
+      username: "u1",
+      password: "password1",
+    });
+    expect(resp.statusCode).toEqual(429);
+    expect(resp.headers["retry-after"]).toEqual("2");
+    expect(resp.body.error.message).toEqual(
+      "Too many failed login attempts. Try again in 2 seconds."
+    );
+  });
+
+  test("locked for 15 minutes after 10 failures", async function () {
+    await db.query(
+      `INSERT INTO login_attempt (username, ip, succeeded)
+       SELECT 'u1', '203.0.113.1', FALSE FROM generate_series(1, 10)`
+    );
+    const resp = await request(app).post("/auth/token").send({
+      username: "u1",
+      password: "password1",
+    });
+    expect(resp.statusCode).toEqual(429);
+    expect(resp.headers["retry-after"]).toEqual(String(15 * 60));
+  });
+
+  test("works: a successful login clears failures", async function () {
+    await failLogins(4);
+    const ok = await request(app).post("/auth/token").send({
+      username: "u1",
+      password: "password1",
+    });
+    expect(ok.statusCode).toEqual(200);
+
+    await failLogins(4);
+    const resp = await request(app).post("/auth/token").send({
+      username: "u1",
+      password: "password1",
+    });
+    expect(resp.statusCode).toEqual(200);
+  });
+
+  test("failures for other usernames don't count", async function () {
+    await db.query(
+      `INSERT INTO login_attempt (username, ip, succeeded)
+       SELECT 'u2', '203.0.113.1', FALSE FROM generate_series(1, 10)`
+    );
+    const resp = await request(app).post("/auth/token").send({
+      username: "u1",
+      password: "password1",
+    });
+    expect(resp.statusCode).toEqual(200);
+  });
+});
+
+/************************************** two-factor login */
+
+describe("POST /auth/token with two-factor authentication", function () {
+  let secret;
+  let recoveryCodes;
+  beforeEach(async function () {
+    ({ secret } = await TwoFactor.startEnrollment("u1"));
+    ({ recoveryCodes } = await TwoFactor.confirmEnrollment(
+      "u1",
+      totpCode(secret, totpStep())
+    ));
+  });
+
+  async function getChallenge() {
+    const resp = await request(app)
+      .post("/auth/token")
+      .send({ username: "u1", password: "password1" });
+    return resp.body;
+  }
+
+  test("works: password, then code", async function () {
+    const challenge = await getChallenge();
+    expect(challenge).toEqual({
+      twoFactorRequired: true,
+      challengeToken: expect.any(String),
+    });
+
+    const notYet = await request(app)
+      .get("/users/u1")
+      .set("authorization", `Bearer ${challenge.challengeToken}`);
+    expect(notYet.statusCode).toEqual(401);
+
+    const resp = await request(app)
+      .post("/auth/token/2fa")
+      .send({
+        challengeToken: challenge.challengeToken,
+        code: totpCode(secret, totpStep() + 1),
+      });
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body).toEqual({
+      token: expect.any(String),
+      refreshToken: expect.any(String),
+    });
+
+    const user = await request(app)
+      .get("/users/u1")
+      .set("authorization", `Bearer ${resp.body.token}`);
+    expect(user.statusCode).toEqual(200);
+  });
+
+  test("works: with a recovery code", async function () {
+    const { challengeToken } = await getChallenge();
+    const resp = await request(app)
+      .post("/auth/token/2fa")
+      .send({ challengeToken, code: recoveryCodes[0] });
+    expect(resp.statusCode).toEqual(200);
+  });
+
+  test("unauth with a wrong code", async function () {
+    const { challengeToken } = await getChallenge();
+    const resp = await request(app)
+      .post("/auth/token/2fa")
+      .send({ challengeToken, code: "000000" });
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("too many requests after 5 wrong codes", async function () {
+    const { challengeToken } = await getChallenge();
+    for (let i = 0; i < 5; i++) {
+      await request(app)
+        .post("/auth/token/2fa")
+        .send({ challengeToken, code: "000000" });
+    }
+    const resp = await request(app)
+      .post("/auth/token/2fa")
+      .send({ challengeToken, code: recoveryCodes[0] });
+    expect(resp.statusCode).toEqual(429);
+  });
+
+  test("unauth with an invalid challenge token", async function () {
+    const resp = await request(app)
+      .post("/auth/token/2fa")
+      .send({ challengeToken: getU1Token(), code: recoveryCodes[0] });
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("unauth if the password was reset after the challenge", async function () {
+    const { challengeToken } = await getChallenge();
+    await db.query(
+      `UPDATE users SET token_version = token_version + 1 WHERE username = 'u1'`
+    );
+    const resp = await request(app)
+      .post("/auth/token/2fa")
+      .send({ challengeToken, code: recoveryCodes[0] });
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("bad request with missing data", async function () {
+    const resp = await request(app).post("/auth/token/2fa").send({});
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
 /************************************** POST /auth/register */
 
 describe("POST /auth/register", function () {
@@ -75,7 +250,34 @@ describe("POST /auth/register", function () {
     expect(resp.statusCode).toEqual(201);
     expect(resp.body).toEqual({
       token: expect.any(String),
+      refreshToken: expect.any(String),
+    });
+
+    const outbox = await db.query(
+      `SELECT to_address, subject FROM email_outbox
+       WHERE kind = 'email_verification'`
+    );
+    expect(outbox.rows).toEqual([
+      {
+        to_address: "new@email.com",
+        subject: "Confirm your email for OurTabi",
+      },
+    ]);
+  });
+
+  test("new users need to verify their email to send friend requests", async function () {
+    const resp = await request(app).post("/auth/register").send({
+      username: "new",
+      firstName: "first",
+      lastName: "last",
+      password: "password",
+      email: "new@email.com",
     });
+
+    const friendRequest = await request(app)
+      .post(`/friends/${testUserIds["u1"]}`)
+      .set("authorization", `Bearer ${resp.body.token}`);
+    expect(friendRequest.statusCode).toEqual(403);
   });
 
   test("bad request with missing fields", async function () {
@@ -96,3 +298,296 @@ describe("POST /auth/register", function () {
     expect(resp.statusCode).toEqual(400);
   });
 });
+
+/************************************** sessions */
+
+/** Log in as u1; returns { token, refreshToken } */
+async function logIn() {
+  const resp = await request(app)
+    .post("/auth/token")
+    .send({ username: "u1", password: "password1" });
+  return resp.body;
+}
+
+describe("POST /auth/refresh", function () {
+  test("works: new tokens, old refresh token stops working", async function () {
+    const { refreshToken } = await logIn();
+
+    const resp = await request(app)
+      .post("/auth/refresh")
+      .send({ refreshToken });
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body).toEqual({
+      token: expect.any(String),
+      refreshToken: expect.any(String),
+    });
+    expect(resp.body.refreshToken).not.toEqual(refreshToken);
+
+    const user = await request(app)
+      .get("/users/u1")
+      .set("authorization", `Bearer ${resp.body.token}`);
+    expect(user.statusCode).toEqual(200);
+  });
+
+  test("unauth: reusing a refresh token ends the session", async function () {
+    const { token, refreshToken } = await logIn();
+    const first = await request(app)
+      .post("/auth/refresh")
+      .send({ refreshToken });
+
+    const reused = await request(app)
+      .post("/auth/refresh")
+      .send({ refreshToken });
+    expect(reused.statusCode).toEqual(401);
+
+    const rotated = await request(app)
+      .post("/auth/refresh")
+      .send({ refreshToken: first.body.refreshToken });
+    expect(rotated.statusCode).toEqual(401);
+    const user = await request(app)
+      .get("/users/u1")
+      .set("authorization", `Bearer ${token}`);
+    expect(user.statusCode).toEqual(401);
+  });
+
+  test("unauth with an unknown refresh token", async function () {
+    const resp = await request(app)
+      .post("/auth/refresh")
+      .send({ refreshToken: "nope" });
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("bad request with missing data", async function () {
+    const resp = await request(app).post("/auth/refresh").send({});
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+describe("POST /auth/logout", function () {
+  test("works: ends only that session", async function () {
+    const session = await logIn();
+    const other = await logIn();
+
+    const resp = await request(app)
+      .post("/auth/logout")
+      .send({ refreshToken: session.refreshToken });
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body).toEqual({ message: "Logged out." });
+
+    const loggedOut = await request(app)
+      .get("/users/u1")
+      .set("authorization", `Bearer ${session.token}`);
+    expect(loggedOut.statusCode).toEqual(401);
+    const refresh = await request(app)
+      .post("/auth/refresh")
+      .send({ refreshToken: session.refreshToken });
+    expect(refresh.statusCode).toEqual(401);
+
+    const stillIn = await request(app)
+      .get("/users/u1")
+      .set("authorization", `Bearer ${other.token}`);
+    expect(stillIn.statusCode).toEqual(200);
+  });
+
+  test("bad request with missing data", async function () {
+    const resp = await request(app).post("/auth/logout").send({});
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+describe("POST /auth/logout-all", function () {
+  test("works: ends every session", async function () {
+    const session = await logIn();
+    const other = await logIn();
+
+    const resp = await request(app)
+      .post("/auth/logout-all")
+      .set("authorization", `Bearer ${session.token}`);
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body).toEqual({ message: "Logged out everywhere." });
+
+    for (let { token } of [session, other]) {
+      const user = await request(app)
+        .get("/users/u1")
+        .set("authorization", `Bearer ${token}`);
+      expect(user.statusCode).toEqual(401);
+    }
+    const refresh = await request(app)
+      .post("/auth/refresh")
+      .send({ refreshToken: other.refreshToken });
+    expect(refresh.statusCode).toEqual(401);
+    const sessionless = await request(app)
+      .get("/users/u1")
+      .set("authorization", `Bearer ${getU1Token()}`);
+    expect(sessionless.statusCode).toEqual(401);
+  });
+
+  test("unauth for anon", async function () {
+    const resp = await request(app).post("/auth/logout-all");
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+/************************************** GET /auth/verify/:token */
+
+describe("GET /auth/verify/:token", function () {
+  async function registerAndGetToken() {
+    await request(app).post("/auth/register").send({
+      username: "new",
+      firstName: "first",
+      lastName: "last",
+      password: "password",
+      email: "new@email.com",
+    });
+    const outbox = await db.query(
+      `SELECT body FROM email_outbox WHERE kind = 'email_verification'`
+    );
+    return outbox.rows[0].body.match(/verify-email\/([\w-]+)/)[1];
+  }
+
+  test("works", async function () {
+    const token = await registerAndGetToken();
+
+    const resp = await request(app).get(`/auth/verify/${token}`);
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body).toEqual({
+      verified: { username: "new", email: "new@email.com" },
+    });
+
+    const users = await db.query(
+      `SELECT email_verified FROM users WHERE username = 'new'`
+    );
+    expect(users.rows[0].email_verified).toEqual(true);
+  });
+
+  test("bad request with an unknown token", async function () {
+    const resp = await request(app).get(`/auth/verify/nope`);
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/************************************** password reset */
+
+/** Ask for a reset link for u1 and return the token from the queued email. */
+async function requestResetToken() {
+  await request(app)
+    .post("/auth/forgot-password")
+    .send({ email: "user1@user.com" });
+  const outbox = await db.query(
+    `SELECT body FROM email_outbox WHERE kind = 'password_reset'`
+  );
+  return outbox.rows[0].body.match(/token=([\w-]+)/)[1];
+}
+
+describe("POST /auth/forgot-password", function () {
+  test("works: emails a reset link", async function () {
+    const resp = await request(app)
+      .post("/auth/forgot-password")
+      .send({ email: "USER1@user.com" });
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body).toEqual({ message: expect.any(String) });
+
+    const outbox = await db.query(
+      `SELECT to_address, subject, body
+       FROM email_outbox
+       WHERE kind = 'password_reset'`
+    );
+    expect(outbox.rows).toEqual([
+      {
+        to_address: "user1@user.com",
+        subject: "Reset your OurTabi password",
+        body: expect.stringContaining("/reset-password?token="),
+      },
+    ]);
+  });
+
+  test("same response for unknown emails, but no email", async function () {
+    const known = await request(app)
+      .post("/auth/forgot-password")
+      .send({ email: "user1@user.com" });
+    const unknown = await request(app)
+      .post("/auth/forgot-password")
+      .send({ email: "nobody@user.com" });
+    expect(unknown.statusCode).toEqual(200);
+    expect(unknown.body).toEqual(known.body);
+
+    const outbox = await db.query(
+      `SELECT * FROM email_outbox WHERE kind = 'password_reset'`
+    );
+    expect(outbox.rows.length).toEqual(1);
+  });
+
+  test("bad request with invalid email", async function () {
+    const resp = await request(app)
+      .post("/auth/forgot-password")
+      .send({ email: "not-an-email" });
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+describe("POST /auth/reset-password", function () {
+  test("works: new password, old sessions signed out", async function () {
+    const before = await logIn();
+    const token = await requestResetToken();
+
+    const resp = await request(app)
+      .post("/auth/reset-password")
+      .send({ token, password: "new-password" });
+    expect(resp.statusCode).toEqual(200);
+
+    const oldSession = await request(app)
+      .get("/users/u1")
+      .set("authorization", `Bearer ${getU1Token()}`);
+    expect(oldSession.statusCode).toEqual(401);
+
+    const oldPassword = await request(app)
+      .post("/auth/token")
+      .send({ username: "u1", password: "password1" });
+    expect(oldPassword.statusCode).toEqual(401);
+    const oldRefresh = await request(app)
+      .post("/auth/refresh")
+      .send({ refreshToken: before.refreshToken });
+    expect(oldRefresh.statusCode).toEqual(401);
+
+    const login = await request(app)
+      .post("/auth/token")
+      .send({ username: "u1", password: "new-password" });
+    const newSession = await request(app)
+      .get("/users/u1")
+      .set("authorization", `Bearer ${login.body.token}`);
+    expect(newSession.statusCode).toEqual(200);
+  });
+
+  test("bad request: token can only be used once", async function () {
+    const token = await requestResetToken();
+    await request(app)
+      .post("/auth/reset-password")
+      .send({ token, password: "new-password" });
+
+    const resp = await request(app)
+      .post("/auth/reset-password")
+      .send({ token, password: "other-password" });
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request: expired token", async function () {
+    const token = await requestResetToken();
+    await db.query(
+      `UPDATE password_reset_token
+       SET expires_at = CURRENT_TIMESTAMP - INTERVAL '1 minute'`
+    );
+
+    const resp = await request(app)
+      .post("/auth/reset-password")
+      .send({ token, password: "new-password" });
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request: short password", async function () {
+    const token = await requestResetToken();
+    const resp = await request(app)
+      .post("/auth/reset-password")
+      .send({ token, password: "abc" });
+    expect(resp.statusCode).toEqual(400);
+  });
+});
@@ -0,0 +1,40 @@
+"use strict";
+
+/** Routes for subscribable calendar feeds. */
+
+const express = require("express");
+const User = require("../models/user");
+const Trip = require("../models/trip");
+const Activity = require("../models/activity");
+const { buildCalendar, tripCalendarEvents } = require("../helpers/ical");
+
+const router = new express.Router();
+
+/** GET /calendar/:token.ics  => text/calendar
+ *
+ * A feed of every trip the user is a member of, with their scheduled
+ * activities, for calendar apps to poll. Calendar apps can't send a JWT, so
+ * the secret token in the URL identifies the user instead; create one with
+ * POST /users/:username/calendar-token.
+ *
+ * Authorization required: none (the token is the credential)
+ */
+router.get("/:token.ics", async function (req, res, next) {
+  try {
+    const user = await User.getByCalendarToken(req.params.token);
+    const trips = await Trip.findByMember(user.id);
+
+    const events = [];
+    for (let trip of trips) {
+      const activities = await Activity.getActivitiesByTrip(trip.id);
+      events.push(...tripCalendarEvents(trip, activities));
+    }
+
+    res.type("text/calendar");
+    return res.send(buildCalendar({ name: `OurTabi (${user.username})`, events }));
+  } catch (err) {
+    return next(err);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,108 @@
+"use strict";
+
+/** Routes for exchange rates. */
+
+const express = require("express");
+const { ensureLoggedIn, ensureAdmin } = require("../middleware/auth");
+const { BadRequestError } = require("../helpers/expressError");
+const {
+  CURRENCY_CODE,
+  parseRatesCsv,
+  findRate,
+} = require("../helpers/currency");
+const ExchangeRate = require("../models/exchangeRate");
+
+const router = new express.Router();
+
+/** GET /  => { rates: [{ base, quote, rate, updatedAt }, ...] }
+ *
+ * A rate of { base: "USD", quote: "EUR", rate: 0.92 } means 1 USD = 0.92 EUR.
+ *
+ * Authorization required: Logged-in user
+ */
+router.get("/", ensureLoggedIn, async function (req, res, next) {
+  try {
+    const rates = await ExchangeRate.getAll();
+    return res.json({ rates });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** GET /convert?amount=10&from=EUR&to=JPY  => { conversion }
+ *
+ * Converts an amount using the stored rates, chaining through other
+ * currencies if there is no direct rate.
+ *
+ * Returns: { amount, from, to, rate, converted }
+ *
+ * Authorization required: Logged-in user
+ */
+router.get("/convert", ensureLoggedIn, async function (req, res, next) {
+  try {
+    const amount = Number(req.query.amount);
+    const from = String(req.query.from || "").toUpperCase();
+    const to = String(req.query.to || "").toUpperCase();
+
+    if (!req.query.amount || Number.isNaN(amount)) {
+      throw new BadRequestError("amount must be a number.");
+    }
+    if (!CURRENCY_CODE.test(from) || !CURRENCY_CODE.test(to)) {
+      throw new BadRequestError("from and to must be 3-letter currency codes.");
+    }
+
+    const rate = findRate(await ExchangeRate.getAll(), from, to);
+    if (rate === null) {
+      throw new BadRequestError(`No exchange rate from ${from} to ${to}.`);
+    }
+
+    const converted = Math.round(amount * rate * 100) / 100;
+    return res.json({ conversion: { amount, from, to, rate, converted } });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** PUT /  (CSV body)  => { rates: [{ base, quote, rate, updatedAt }, ...] }
+ *
+ * Loads exchange rates from a CSV upload (Content-Type: text/csv), one
+ * "base,quote,rate" per line. Rates for pairs already in the table are
+ * replaced; other rates are kept. Returns the rates that were saved.
+ *
+ * Authorization required: admin
+ */
+router.put(
+  "/",
+  ensureAdmin,
+  express.text({ type: ["text/csv", "text/plain"], limit: "1mb" }),
+  async function (req, res, next) {
+    try {
+      if (typeof req.body !== "string") {
+        throw new BadRequestError("Send the rates as a text/csv body.");
+      }
+
+      const rates = await ExchangeRate.upsertMany(parseRatesCsv(req.body));
+      return res.json({ rates });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/** DELETE /:base/:quote  => { deleted: "USD/EUR" }
+ *
+ * Authorization required: admin
+ */
+router.delete("/:base/:quote", ensureAdmin, async function (req, res, next) {
+  try {
+    const { base, quote } = req.params;
+    await ExchangeRate.remove(base, quote);
+    return res.json({
+      deleted: `${base.toUpperCase()}/${quote.toUpperCase()}`,
+    });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,145 @@
+"use strict";
+
+const request = require("supertest");
+const app = require("../app.js");
+const ExchangeRate = require("../models/exchangeRate.js");
+
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+  getU1Token,
+  getAdminToken,
+} = require("./_usersTestCommons.js");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+const CSV = "base,quote,rate\nUSD,EUR,0.8\nUSD,JPY,150\n";
+
+/************************************** PUT /exchange-rates */
+
+describe("PUT /exchange-rates", function () {
+  test("works for admins", async function () {
+    const resp = await request(app)
+      .put("/exchange-rates")
+      .set("Content-Type", "text/csv")
+      .send(CSV)
+      .set("authorization", `Bearer ${getAdminToken()}`);
+
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body.rates).toEqual([
+      { base: "USD", quote: "EUR", rate: 0.8, updatedAt: expect.any(String) },
+      { base: "USD", quote: "JPY", rate: 150, updatedAt: expect.any(String) },
+    ]);
+  });
+
+  test("400 for an invalid file", async function () {
+    const resp = await request(app)
+      .put("/exchange-rates")
+      .set("Content-Type", "text/csv")
+      .send("USD,EUR,lots\n")
+      .set("authorization", `Bearer ${getAdminToken()}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("400 for a pair given twice", async function () {
+    const resp = await request(app)
+      .put("/exchange-rates")
+      .set("Content-Type", "text/csv")
+      .send("USD,EUR,0.92\nUSD,EUR,0.9\n")
+      .set("authorization", `Bearer ${getAdminToken()}`);
+    expect(resp.statusCode).toEqual(400);
+    expect(resp.body.error.message).toContain(
+      "line 2: USD/EUR is already on line 1"
+    );
+  });
+
+  test("400 without a CSV body", async function () {
+    const resp = await request(app)
+      .put("/exchange-rates")
+      .send({ USD: 1 })
+      .set("authorization", `Bearer ${getAdminToken()}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("401 for non-admins", async function () {
+    const resp = await request(app)
+      .put("/exchange-rates")
+      .set("Content-Type", "text/csv")
+      .send(CSV)
+      .set("authorization", `Bearer ${getU1Token()}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+/************************************** GET /exchange-rates */
+
+describe("GET /exchange-rates", function () {
+  test("works", async function () {
+    await ExchangeRate.upsertMany([{ base: "USD", quote: "EUR", rate: 0.8 }]);
+    const resp = await request(app)
+      .get("/exchange-rates")
+      .set("authorization", `Bearer ${getU1Token()}`);
+
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body.rates.map((r) => r.quote)).toEqual(["EUR"]);
+  });
+
+  test("401 for anon", async function () {
+    const resp = await request(app).get("/exchange-rates");
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+/************************************** GET /exchange-rates/convert */
+
+describe("GET /exchange-rates/convert", function () {
+  test("works through another currency", async function () {
+    await ExchangeRate.upsertMany([
+      { base: "USD", quote: "EUR", rate: 0.8 },
+      { base: "USD", quote: "JPY", rate: 150 },
+    ]);
+    const resp = await request(app)
+      .get("/exchange-rates/convert?amount=10&from=eur&to=JPY")
+      .set("authorization", `Bearer ${getU1Token()}`);
+
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body.conversion).toEqual({
+      amount: 10,
+      from: "EUR",
+      to: "JPY",
+      rate: 187.5,
+      converted: 1875,
+    });
+  });
+
+  test("400 if there is no rate", async function () {
+    const resp = await request(app)
+      .get("/exchange-rates/convert?amount=10&from=EUR&to=GBP")
+      .set("authorization", `Bearer ${getU1Token()}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/************************************** DELETE /exchange-rates/:base/:quote */
+
+describe("DELETE /exchange-rates/:base/:quote", function () {
+  test("works for admins", async function () {
+    await ExchangeRate.upsertMany([{ base: "USD", quote: "EUR", rate: 0.8 }]);
+    const resp = await request(app)
+      .delete("/exchange-rates/usd/eur")
+      .set("authorization", `Bearer ${getAdminToken()}`);
+    expect(resp.body).toEqual({ deleted: "USD/EUR" });
+  });
+
+  test("401 for non-admins", async function () {
+    const resp = await request(app)
+      .delete("/exchange-rates/USD/EUR")
+      .set("authorization", `Bearer ${getU1Token()}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+});
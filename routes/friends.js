@@ -3,7 +3,10 @@
 /** Routes for friends. */
 
 const express = require("express");
-const { ensureLoggedIn } = require("../middleware/auth");
+const {
+  ensureLoggedIn,
+  ensureVerifiedEmail,
+} = require("../middleware/auth");
 const { ensureFriendRelationship } = require("../middleware/friendMiddleware");
 const Friend = require("../models/friend");
 
@@ -14,9 +17,9 @@ const router = new express.Router();
  *
  * Sends a friend request to another user.
  *
- * Authorization required: Logged-in user
+ * Authorization required: Logged-in user with a verified email
  */
-router.post("/:recipientId", ensureLoggedIn, async function (req, res, next) {
+router.post("/:recipientId", ensureVerifiedEmail, async function (req, res, next) {
   try {
     const recipientId = Number(req.params.recipientId);
     const friendRequest = await Friend.sendFriendRequest(
@@ -48,6 +48,23 @@ describe("POST /friends/:recipientId", function () {
     expect(check.rows[0].status).toEqual("pending");
   });
 
+  test("403 error: sender hasn't verified their email", async function () {
+    await db.query(
+      `UPDATE users SET email_verified = FALSE WHERE username = 'u1'`
+    );
+    const resp = await request(app)
+      .post(`/friends/${testUserIds["admin"]}`)
+      .set("authorization", `Bearer ${getU1Token()}`);
+
+    expect(resp.statusCode).toEqual(403);
+    expect(resp.body).toEqual({
+      error: {
+        message: "Please verify your email address to do this.",
+        status: 403,
+      },
+    });
+  });
+
   test("404 error: recipient id does not exist ", async function () {
     const resp = await request(app)
       .post(`/friends/32423`)
@@ -0,0 +1,97 @@
+"use strict";
+
+/** Routes for logging in with other accounts (OpenID Connect). */
+
+const express = require("express");
+const ExternalIdentity = require("../models/externalIdentity");
+const {
+  getProvider,
+  providerNames,
+  authorizationUrl,
+  exchangeCode,
+} = require("../helpers/oidc");
+const { loginResponse } = require("../helpers/logins");
+const { queueVerificationEmail } = require("../helpers/emailNotifications");
+const { oidcCallbackSchema } = require("../schemas/userSchemas");
+const { validateSchema } = require("../middleware/validateSchema");
+
+const router = new express.Router();
+
+/** GET /auth/oidc  => { providers: [name, ...] }
+ *
+ * The providers users can log in with.
+ *
+ * Authorization required: none
+ */
+
+router.get("/", function (req, res) {
+  return res.json({ providers: providerNames() });
+});
+
+/** GET /auth/oidc/:provider  => { authorizationUrl }
+ *
+ * Starts logging in with a provider: send the user to authorizationUrl. The
+ * provider sends them back to the frontend with a code and a state, to post
+ * to POST /auth/oidc/:provider/callback within 10 minutes.
+ *
+ * Authorization required: none
+ */
+
+router.get("/:provider", async function (req, res, next) {
+  try {
+    const provider = getProvider(req.params.provider);
+    const login = await ExternalIdentity.createLoginState(provider.name);
+    return res.json({
+      authorizationUrl: await authorizationUrl(provider, login),
+    });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** POST /auth/oidc/:provider/callback:  { code, state } => { token, refreshToken }
+ *
+ * Finishes logging in with a provider. The first time, the provider's account
+ * is linked to the user with the same verified email address, or a new user
+ * is created (201), who can set a password later with POST
+ * /auth/forgot-password.
+ *
+ * Like POST /auth/token, users with two-factor authentication on get
+ *   { twoFactorRequired: true, challengeToken }
+ * instead.
+ *
+ * Authorization required: none
+ */
+
+router.post(
+  "/:provider/callback",
+  validateSchema(oidcCallbackSchema),
+  async function (req, res, next) {
+    try {
+      const provider = getProvider(req.params.provider);
+      const { nonce, codeVerifier } = await ExternalIdentity.consumeLoginState(
+        provider.name,
+        req.body.state
+      );
+      const claims = await exchangeCode(provider, {
+        code: req.body.code,
+        nonce,
+        codeVerifier,
+      });
+
+      const { user, created } = await ExternalIdentity.login(
+        provider.name,
+        claims
+      );
+      if (created && !user.emailVerified) {
+        await queueVerificationEmail(user.id);
+      }
+
+      return res.status(created ? 201 : 200).json(await loginResponse(user));
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,185 @@
+"use strict";
+
+const request = require("supertest");
+
+const app = require("../app");
+const db = require("../db");
+const TwoFactor = require("../models/twoFactor");
+const { registerProvider } = require("../helpers/oidc");
+const { startMockIssuer } = require("../helpers/_mockOidcIssuer");
+const { totpCode, totpStep } = require("../helpers/totp");
+
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_usersTestCommons");
+
+let mock;
+beforeAll(async function () {
+  await commonBeforeAll();
+  mock = await startMockIssuer();
+  registerProvider("mock", mock.settings);
+});
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(async function () {
+  await mock.close();
+  await commonAfterAll();
+});
+
+const NEW_CLAIMS = {
+  sub: "abc123",
+  email: "new.person@example.com",
+  email_verified: true,
+  name: "New Person",
+};
+
+/** Log in with the mock provider as far as coming back to the frontend;
+ *  returns { code, state } to post to the callback */
+async function loginWithMock(claims) {
+  const resp = await request(app).get("/auth/oidc/mock");
+  return mock.login(resp.body.authorizationUrl, claims);
+}
+
+/************************************** GET /auth/oidc */
+
+describe("GET /auth/oidc", function () {
+  test("works", async function () {
+    const resp = await request(app).get("/auth/oidc");
+    expect(resp.body.providers).toContain("mock");
+  });
+});
+
+/************************************** GET /auth/oidc/:provider */
+
+describe("GET /auth/oidc/:provider", function () {
+  test("works", async function () {
+    const resp = await request(app).get("/auth/oidc/mock");
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body.authorizationUrl).toMatch(
+      new RegExp(`^${mock.issuer}/authorize\\?response_type=code&`)
+    );
+  });
+
+  test("not found if no such provider", async function () {
+    const resp = await request(app).get("/auth/oidc/nope");
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** POST /auth/oidc/:provider/callback */
+
+describe("POST /auth/oidc/:provider/callback", function () {
+  test("works: creates a user the first time", async function () {
+    const resp = await request(app)
+      .post("/auth/oidc/mock/callback")
+      .send(await loginWithMock(NEW_CLAIMS));
+    expect(resp.statusCode).toEqual(201);
+    expect(resp.body).toEqual({
+      token: expect.any(String),
+      refreshToken: expect.any(String),
+    });
+
+    const user = await request(app)
+      .get("/users/new.person")
+      .set("authorization", `Bearer ${resp.body.token}`);
+    expect(user.body.user).toEqual(
+      expect.objectContaining({
+        firstName: "New",
+        lastName: "Person",
+        email: "new.person@example.com",
+      })
+    );
+
+    const again = await request(app)
+      .post("/auth/oidc/mock/callback")
+      .send(await loginWithMock(NEW_CLAIMS));
+    expect(again.statusCode).toEqual(200);
+  });
+
+  test("works: emails new users the provider hasn't verified", async function () {
+    const resp = await request(app)
+      .post("/auth/oidc/mock/callback")
+      .send(await loginWithMock({ ...NEW_CLAIMS, email_verified: false }));
+    expect(resp.statusCode).toEqual(201);
+
+    const outbox = await db.query(
+      `SELECT to_address FROM email_outbox WHERE kind = 'email_verification'`
+    );
+    expect(outbox.rows).toEqual([{ to_address: "new.person@example.com" }]);
+  });
+
+  test("works: links an existing user", async function () {
+    const resp = await request(app)
+      .post("/auth/oidc/mock/callback")
+      .send(
+        await loginWithMock({
+          sub: "u1-elsewhere",
+          email: "user1@user.com",
+          email_verified: true,
+        })
+      );
+    expect(resp.statusCode).toEqual(200);
+
+    const user = await request(app)
+      .get("/users/u1")
+      .set("authorization", `Bearer ${resp.body.token}`);
+    expect(user.statusCode).toEqual(200);
+  });
+
+  test("works: asks for a two-factor code", async function () {
+    const { secret } = await TwoFactor.startEnrollment("u1");
+    await TwoFactor.confirmEnrollment("u1", totpCode(secret, totpStep()));
+
+    const resp = await request(app)
+      .post("/auth/oidc/mock/callback")
+      .send(
+        await loginWithMock({
+          sub: "u1-elsewhere",
+          email: "user1@user.com",
+          email_verified: true,
+        })
+      );
+    expect(resp.body).toEqual({
+      twoFactorRequired: true,
+      challengeToken: expect.any(String),
+    });
+  });
+
+  test("bad request if the email is taken and can't be linked", async function () {
+    const resp = await request(app)
+      .post("/auth/oidc/mock/callback")
+      .send(
+        await loginWithMock({
+          sub: "u1-elsewhere",
+          email: "user1@user.com",
+          email_verified: false,
+        })
+      );
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("unauth: state works once", async function () {
+    const login = await loginWithMock(NEW_CLAIMS);
+    await request(app).post("/auth/oidc/mock/callback").send(login);
+    const resp = await request(app)
+      .post("/auth/oidc/mock/callback")
+      .send(login);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("unauth with a wrong code", async function () {
+    const { state } = await loginWithMock(NEW_CLAIMS);
+    const resp = await request(app)
+      .post("/auth/oidc/mock/callback")
+      .send({ code: "nope", state });
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("bad request with missing data", async function () {
+    const resp = await request(app).post("/auth/oidc/mock/callback").send({});
+    expect(resp.statusCode).toEqual(400);
+  });
+});
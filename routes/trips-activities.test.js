@@ -4,6 +4,8 @@
 const request = require("supertest");
 const app = require("../app.js");
 const db = require("../db.js");
+const Activity = require("../models/activity.js");
+const TripMember = require("../models/tripMember.js");
 
 const {
   commonBeforeAll,
@@ -51,6 +53,8 @@ describe("GET /:tripId/activities", () => {
         description: "A visit to the Eiffel Tower in Paris",
         location: "Paris, France",
         scheduledTime: expect.any(String),
+        endTime: null,
+        status: "proposed",
         createdBy: testUserIds["u1"],
         createdAt: expect.any(String),
         votes: expect.any(Array),
@@ -58,6 +62,23 @@ describe("GET /:tripId/activities", () => {
     ]);
   });
 
+  test("works: filters by status", async () => {
+    const res = await request(app)
+      .get(`/trips/${testTripIds["privateTripId"]}/activities?status=accepted`)
+      .set("Authorization", `Bearer ${getU1Token()}`);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.activities).toEqual([]);
+  });
+
+  test("fails: 400 for an invalid status filter", async () => {
+    const res = await request(app)
+      .get(`/trips/${testTripIds["privateTripId"]}/activities?status=maybe`)
+      .set("Authorization", `Bearer ${getU1Token()}`);
+
+    expect(res.statusCode).toBe(400);
+  });
+
   test("fails: 403 for private trip if not a member", async () => {
     const res = await request(app)
       .get(`/trips/${testTripIds["privateTripId"]}/activities`)
@@ -93,7 +114,7 @@ describe("POST /trips/:tripId/activities", function () {
     category: "tours",
     description: "test description",
     location: "somewhere, France",
-    scheduledTime: "2024-01-01T10:00:00Z",
+    scheduledTime: "2025-06-02T10:00:00Z",
   };
 
   test("works: trip owner can add an activity", async function () {
@@ -110,7 +131,9 @@ describe("POST /trips/:tripId/activities", function () {
         category: "tours",
         description: "test description",
         location: "somewhere, France",
-        scheduledTime: "2024-01-01T10:00:00.000Z",
+        scheduledTime: "2025-06-02T10:00:00.000Z",
+        endTime: null,
+        status: "proposed",
         createdBy: testUserIds["u1"],
         createdAt: expect.any(String),
       },
@@ -119,7 +142,7 @@ describe("POST /trips/:tripId/activities", function () {
   test("works: trip member can add an activity", async function () {
     const resp = await request(app)
       .post(`/trips/${testTripIds["privateTripId"]}/activities`)
-      .send(testActivity)
+      .send({ ...testActivity, scheduledTime: "2025-08-02T10:00:00Z" })
       .set("authorization", `Bearer ${getU1Token()}`);
     expect(resp.statusCode).toEqual(201);
     expect(resp.body).toEqual({
@@ -130,13 +153,43 @@ describe("POST /trips/:tripId/activities", function () {
         category: "tours",
         description: "test description",
         location: "somewhere, France",
-        scheduledTime: "2024-01-01T10:00:00.000Z",
+        scheduledTime: "2025-08-02T10:00:00.000Z",
+        endTime: null,
+        status: "proposed",
         createdBy: testUserIds["u1"],
         createdAt: expect.any(String),
       },
     });
   });
 
+  test("works: with an end time", async function () {
+    const resp = await request(app)
+      .post(`/trips/${testTripIds["publicTripId"]}/activities`)
+      .send({ ...testActivity, endTime: "2025-06-02T12:30:00Z" })
+      .set("authorization", `Bearer ${getU1Token()}`);
+    expect(resp.statusCode).toEqual(201);
+    expect(resp.body.activity.endTime).toEqual("2025-06-02T12:30:00.000Z");
+  });
+
+  test("fails: end time before the scheduled time", async function () {
+    const resp = await request(app)
+      .post(`/trips/${testTripIds["publicTripId"]}/activities`)
+      .send({ ...testActivity, endTime: "2025-06-02T09:00:00Z" })
+      .set("authorization", `Bearer ${getU1Token()}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("fails: outside the trip dates", async function () {
+    const resp = await request(app)
+      .post(`/trips/${testTripIds["publicTripId"]}/activities`)
+      .send({ ...testActivity, scheduledTime: "2024-01-01T10:00:00Z" })
+      .set("authorization", `Bearer ${getU1Token()}`);
+    expect(resp.statusCode).toEqual(400);
+    expect(resp.body.error.message).toEqual(
+      "Activity must take place within the trip dates (2025-06-01 to 2025-06-10)."
+    );
+  });
+
   test("fails: non-member cannot add an activity", async function () {
     const resp = await request(app)
       .post(`/trips/${testTripIds["publicTripId"]}/activities`)
@@ -195,7 +248,7 @@ describe("PATCH /trips/:tripId/activities/:activityId", function () {
     category: "adventure",
     description: "Updated description",
     location: "Updated location",
-    scheduledTime: "2024-08-01T12:00:00Z",
+    scheduledTime: "2025-08-01T12:00:00Z",
   };
 
   test("works: activity owner can update", async function () {
@@ -215,7 +268,9 @@ describe("PATCH /trips/:tripId/activities/:activityId", function () {
         category: "adventure",
         description: "Updated description",
         location: "Updated location",
-        scheduledTime: "2024-08-01T12:00:00.000Z",
+        scheduledTime: "2025-08-01T12:00:00.000Z",
+        endTime: null,
+        status: "proposed",
         createdBy: testUserIds.u1,
         createdAt: expect.any(String),
       },
@@ -238,7 +293,9 @@ describe("PATCH /trips/:tripId/activities/:activityId", function () {
         category: "adventure",
         description: "Updated description",
         location: "Updated location",
-        scheduledTime: "2024-08-01T12:00:00.000Z",
+        scheduledTime: "2025-08-01T12:00:00.000Z",
+        endTime: null,
+        status: "proposed",
         createdBy: testUserIds.u1,
         createdAt: expect.any(String),
       },
@@ -309,6 +366,17 @@ describe("PATCH /trips/:tripId/activities/:activityId", function () {
     expect(resp.statusCode).toEqual(400);
   });
 
+  test("fails: rescheduled outside the trip dates", async function () {
+    const resp = await request(app)
+      .patch(
+        `/trips/${testTripIds.privateTripId}/activities/${testActivityIds.a1}`
+      )
+      .send({ scheduledTime: "2025-08-11T10:00:00Z" })
+      .set("authorization", `Bearer ${getU1Token()}`);
+
+    expect(resp.statusCode).toEqual(400);
+  });
+
   test("fails: missing required fields", async function () {
     const resp = await request(app)
       .patch(
@@ -350,6 +418,39 @@ describe("DELETE /trips/:tripId/activities/:activityId", function () {
     expect(resp.body).toEqual({ deleted: `${testActivityIds["a1"]}` });
   });
 
+  test("fails: member cannot delete an activity someone else created", async function () {
+    const ownersActivity = await Activity.create({
+      tripId: testTripIds["privateTripId"],
+      name: "Owner's pick",
+      createdBy: testUserIds["u2"],
+    });
+    const resp = await request(app)
+      .delete(
+        `/trips/${testTripIds["privateTripId"]}/activities/${ownersActivity.id}`
+      )
+      .set("authorization", `Bearer ${getU1Token()}`);
+
+    expect(resp.statusCode).toEqual(403);
+    expect(resp.body.error.message).toEqual(
+      "You can only change activities that you created."
+    );
+  });
+
+  test("fails: viewer cannot delete their own activity", async function () {
+    const member = await TripMember.isMember(
+      testUserIds["u1"],
+      testTripIds["privateTripId"]
+    );
+    await TripMember.updateRole(member.id, "viewer");
+    const resp = await request(app)
+      .delete(
+        `/trips/${testTripIds["privateTripId"]}/activities/${testActivityIds["a1"]}`
+      )
+      .set("authorization", `Bearer ${getU1Token()}`);
+
+    expect(resp.statusCode).toEqual(403);
+  });
+
   test("fails: anonymous user cannot delete an activity", async function () {
     const resp = await request(app).delete(
       `/trips/${testTripIds["privateTripId"]}/activities/${testActivityIds["a1"]}`
@@ -386,6 +487,82 @@ describe("DELETE /trips/:tripId/activities/:activityId", function () {
   });
 });
 
+/************************************** POST /trips/:tripId/activities/:activityId/accept */
+describe("POST /trips/:tripId/activities/:activityId/accept", function () {
+  test("works: trip owner accepts an activity", async function () {
+    const resp = await request(app)
+      .post(
+        `/trips/${testTripIds["privateTripId"]}/activities/${testActivityIds["a1"]}/accept`
+      )
+      .set("authorization", `Bearer ${getU2Token()}`);
+
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body.activity.status).toEqual("accepted");
+
+    const tripResp = await request(app)
+      .get(`/trips/${testTripIds["privateTripId"]}`)
+      .set("authorization", `Bearer ${getU2Token()}`);
+    expect(tripResp.body.trip.activities.map((a) => a.id)).toEqual([
+      testActivityIds["a1"],
+    ]);
+    expect(tripResp.body.trip.proposedActivities).toEqual([]);
+  });
+
+  test("fails: plain members cannot accept", async function () {
+    const resp = await request(app)
+      .post(
+        `/trips/${testTripIds["privateTripId"]}/activities/${testActivityIds["a1"]}/accept`
+      )
+      .set("authorization", `Bearer ${getU1Token()}`);
+
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("fails: activity does not belong to the trip", async function () {
+    const resp = await request(app)
+      .post(
+        `/trips/${testTripIds["publicTripId"]}/activities/${testActivityIds["a1"]}/accept`
+      )
+      .set("authorization", `Bearer ${getU1Token()}`);
+
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("bad request: activity id isn't a number", async function () {
+    const resp = await request(app)
+      .post(`/trips/${testTripIds["privateTripId"]}/activities/abc/accept`)
+      .set("authorization", `Bearer ${getU2Token()}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/************************************** POST /trips/:tripId/activities/:activityId/reject */
+describe("POST /trips/:tripId/activities/:activityId/reject", function () {
+  test("works: trip editor rejects an activity", async function () {
+    const member = await TripMember.isMember(
+      testUserIds["u1"],
+      testTripIds["privateTripId"]
+    );
+    await TripMember.updateRole(member.id, "editor");
+
+    const resp = await request(app)
+      .post(
+        `/trips/${testTripIds["privateTripId"]}/activities/${testActivityIds["a1"]}/reject`
+      )
+      .set("authorization", `Bearer ${getU1Token()}`);
+
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body.activity.status).toEqual("rejected");
+  });
+
+  test("bad request: activity id isn't a number", async function () {
+    const resp = await request(app)
+      .post(`/trips/${testTripIds["privateTripId"]}/activities/abc/reject`)
+      .set("authorization", `Bearer ${getU2Token()}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
 /************************************** POST /trips/:tripId/activities/:activityId/vote */
 describe("POST /trips/:tripId/activities/:activityId/vote", function () {
   test("works: trip member can vote on an activity", async function () {
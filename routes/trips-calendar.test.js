@@ -0,0 +1,107 @@
+"use strict";
+// Tests for the iCalendar export and calendar feeds.
+
+const request = require("supertest");
+const app = require("../app.js");
+const Activity = require("../models/activity.js");
+const User = require("../models/user.js");
+
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+  testTripIds,
+  testUserIds,
+  testActivityIds,
+  getU1Token,
+  getU3Token,
+} = require("./_tripsTestCommon.js");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** GET /trips/:tripId/calendar.ics */
+describe("GET /trips/:tripId/calendar.ics", function () {
+  test("works: trip dates and scheduled activities", async function () {
+    await Activity.create({
+      tripId: testTripIds["privateTripId"],
+      name: "Unscheduled idea",
+      createdBy: testUserIds["u1"],
+    });
+
+    const resp = await request(app)
+      .get(`/trips/${testTripIds["privateTripId"]}/calendar.ics`)
+      .set("authorization", `Bearer ${getU1Token()}`);
+
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.headers["content-type"]).toMatch(/^text\/calendar/);
+    expect(resp.headers["content-disposition"]).toEqual(
+      `attachment; filename="trip-${testTripIds["privateTripId"]}.ics"`
+    );
+
+    const lines = resp.text.split("\r\n");
+    expect(lines[0]).toEqual("BEGIN:VCALENDAR");
+    expect(lines).toContain("X-WR-CALNAME:Trip2");
+    expect(lines).toContain(`UID:trip-${testTripIds["privateTripId"]}@ourtabi`);
+    expect(lines).toContain("DTSTART;VALUE=DATE:20250801");
+    expect(lines).toContain("DTEND;VALUE=DATE:20250811");
+    expect(lines).toContain(`UID:activity-${testActivityIds["a1"]}@ourtabi`);
+    expect(lines).toContain("DTSTART:20250801T100000Z");
+    expect(lines).toContain("LOCATION:Paris\\, France");
+    expect(lines).toContain("STATUS:TENTATIVE");
+    expect(resp.text).not.toContain("Unscheduled idea");
+  });
+
+  test("forbidden for non-members of a private trip", async function () {
+    const resp = await request(app)
+      .get(`/trips/${testTripIds["privateTripId"]}/calendar.ics`)
+      .set("authorization", `Bearer ${getU3Token()}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("works: anyone logged in can export a public trip", async function () {
+    const resp = await request(app)
+      .get(`/trips/${testTripIds["publicTripId"]}/calendar.ics`)
+      .set("authorization", `Bearer ${getU3Token()}`);
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.text).toContain("SUMMARY:Trip1");
+  });
+
+  test("unauth for anon", async function () {
+    const resp = await request(app).get(
+      `/trips/${testTripIds["publicTripId"]}/calendar.ics`
+    );
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("not found for no such trip", async function () {
+    const resp = await request(app)
+      .get(`/trips/0/calendar.ics`)
+      .set("authorization", `Bearer ${getU1Token()}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** GET /calendar/:token.ics */
+describe("GET /calendar/:token.ics", function () {
+  test("works: every trip the user belongs to, without a JWT", async function () {
+    const token = await User.createCalendarToken("u1");
+
+    const resp = await request(app).get(`/calendar/${token}.ics`);
+
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.headers["content-type"]).toMatch(/^text\/calendar/);
+    expect(resp.text).toContain("X-WR-CALNAME:OurTabi (u1)");
+    expect(resp.text).toContain("SUMMARY:Trip1");
+    expect(resp.text).toContain("SUMMARY:Trip2");
+    expect(resp.text).toContain("SUMMARY:Visit Eiffel Tower");
+  });
+
+  test("not found for an unknown token", async function () {
+    const resp = await request(app).get(`/calendar/not-a-token.ics`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
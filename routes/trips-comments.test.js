@@ -4,6 +4,9 @@
 const request = require("supertest");
 const app = require("../app.js");
 const db = require("../db.js");
+const TripMember = require("../models/tripMember.js");
+const Comment = require("../models/comment.js");
+const Activity = require("../models/activity.js");
 
 const {
   commonBeforeAll,
@@ -13,6 +16,7 @@ const {
   testTripIds,
   testUserIds,
   testCommentIds,
+  testActivityIds,
   getU1Token,
   getU2Token,
   getU3Token,
@@ -38,8 +42,13 @@ describe("POST /trips/:tripId/comments", function () {
         id: expect.any(Number),
         tripId: testTripIds["privateTripId"],
         userId: testUserIds["u2"],
+        activityId: null,
+        parentId: null,
         text: "test comment",
         createdAt: expect.any(String),
+        editedAt: null,
+        isDeleted: false,
+        mentions: [],
       },
     });
   });
@@ -55,12 +64,49 @@ describe("POST /trips/:tripId/comments", function () {
         id: expect.any(Number),
         tripId: testTripIds["privateTripId"],
         userId: testUserIds["u1"],
+        activityId: null,
+        parentId: null,
         text: "test comment",
         createdAt: expect.any(String),
+        editedAt: null,
+        isDeleted: false,
+        mentions: [],
       },
     });
   });
 
+  test("works: reply to a comment", async function () {
+    const resp = await request(app)
+      .post(`/trips/${testTripIds["privateTripId"]}/comments`)
+      .send({ text: "reply", parentId: testCommentIds["u1c1"] })
+      .set("authorization", `Bearer ${getU2Token()}`);
+
+    expect(resp.statusCode).toEqual(201);
+    expect(resp.body.comment.parentId).toEqual(testCommentIds["u1c1"]);
+
+    const trip = await request(app)
+      .get(`/trips/${testTripIds["privateTripId"]}`)
+      .set("authorization", `Bearer ${getU2Token()}`);
+    expect(trip.body.trip.comments.length).toEqual(1);
+    expect(trip.body.trip.comments[0].replies).toEqual([
+      expect.objectContaining({ text: "reply", userId: testUserIds["u2"] }),
+    ]);
+  });
+
+  test("fails for trip viewers", async function () {
+    const member = await TripMember.isMember(
+      testUserIds["u1"],
+      testTripIds["privateTripId"]
+    );
+    await TripMember.updateRole(member.id, "viewer");
+    const resp = await request(app)
+      .post(`/trips/${testTripIds["privateTripId"]}/comments`)
+      .send({ text: "Should not work" })
+      .set("authorization", `Bearer ${getU1Token()}`);
+
+    expect(resp.statusCode).toEqual(403);
+  });
+
   test("fails for non-trip members", async function () {
     const resp = await request(app)
       .post(`/trips/${testTripIds["publicTripId"]}/comments`)
@@ -106,6 +152,115 @@ describe("POST /trips/:tripId/comments", function () {
   });
 });
 
+/************************************** PATCH /trips/:tripId/comments/:commentId */
+describe("PATCH /trips/:tripId/comments/:commentId", function () {
+  test("works: author edits and the old text is kept", async function () {
+    const resp = await request(app)
+      .patch(
+        `/trips/${testTripIds["privateTripId"]}/comments/${testCommentIds["u1c1"]}`
+      )
+      .send({ text: "Edited comment" })
+      .set("authorization", `Bearer ${getU1Token()}`);
+
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body).toEqual({
+      comment: {
+        id: testCommentIds["u1c1"],
+        tripId: testTripIds["privateTripId"],
+        userId: testUserIds["u1"],
+        activityId: null,
+        parentId: null,
+        text: "Edited comment",
+        createdAt: expect.any(String),
+        editedAt: expect.any(String),
+        isDeleted: false,
+        mentions: [],
+      },
+    });
+
+    const history = await request(app)
+      .get(
+        `/trips/${testTripIds["privateTripId"]}/comments/${testCommentIds["u1c1"]}/revisions`
+      )
+      .set("authorization", `Bearer ${getU2Token()}`);
+    expect(history.statusCode).toEqual(200);
+    expect(history.body).toEqual({
+      revisions: [
+        {
+          id: expect.any(Number),
+          commentId: testCommentIds["u1c1"],
+          text: "Test comment 1",
+          writtenAt: expect.any(String),
+          replacedAt: expect.any(String),
+        },
+      ],
+    });
+  });
+
+  test("fails: only the author can edit, not even the owner", async function () {
+    const resp = await request(app)
+      .patch(
+        `/trips/${testTripIds["privateTripId"]}/comments/${testCommentIds["u1c1"]}`
+      )
+      .send({ text: "Not mine" })
+      .set("authorization", `Bearer ${getU2Token()}`);
+
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("fails: comment from another trip", async function () {
+    const resp = await request(app)
+      .patch(
+        `/trips/${testTripIds["publicTripId"]}/comments/${testCommentIds["u1c1"]}`
+      )
+      .send({ text: "Wrong trip" })
+      .set("authorization", `Bearer ${getU1Token()}`);
+
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("fails: deleted comment", async function () {
+    await Comment.remove(testCommentIds["u1c1"]);
+    const resp = await request(app)
+      .patch(
+        `/trips/${testTripIds["privateTripId"]}/comments/${testCommentIds["u1c1"]}`
+      )
+      .send({ text: "Back again" })
+      .set("authorization", `Bearer ${getU1Token()}`);
+
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  test("bad request: empty text", async function () {
+    const resp = await request(app)
+      .patch(
+        `/trips/${testTripIds["privateTripId"]}/comments/${testCommentIds["u1c1"]}`
+      )
+      .send({ text: "" })
+      .set("authorization", `Bearer ${getU1Token()}`);
+
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request: comment id isn't a number", async function () {
+    const resp = await request(app)
+      .patch(`/trips/${testTripIds["privateTripId"]}/comments/abc`)
+      .send({ text: "Edited comment" })
+      .set("authorization", `Bearer ${getU1Token()}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/************************************** GET /trips/:tripId/comments/:commentId/revisions */
+describe("GET /trips/:tripId/comments/:commentId/revisions", function () {
+  test("bad request: comment id isn't a number", async function () {
+    const resp = await request(app)
+      .get(`/trips/${testTripIds["privateTripId"]}/comments/abc/revisions`)
+      .set("authorization", `Bearer ${getU2Token()}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
 /************************************** DELETE /trips/:tripId/comments/:commentId */
 describe("DELETE /trips/:tripId/comments/:commentId", function () {
   test("works: comment owner can delete their comment", async function () {
@@ -118,23 +273,74 @@ describe("DELETE /trips/:tripId/comments/:commentId", function () {
     expect(resp.statusCode).toEqual(200);
     expect(resp.body).toEqual({ deleted: `${testCommentIds["u1c1"]}` });
 
-    // make sure comment was deleted from DB
-    const check = await db.query(`SELECT * FROM comment WHERE id = $1`, [
-      testCommentIds["u1c1"],
+    // comments are soft deleted
+    const check = await db.query(
+      `SELECT deleted_at FROM comment WHERE id = $1`,
+      [testCommentIds["u1c1"]]
+    );
+    expect(check.rows[0].deleted_at).toEqual(expect.any(Date));
+  });
+
+  test("works: deleted comment with replies leaves a placeholder", async function () {
+    await Comment.create({
+      tripId: testTripIds["privateTripId"],
+      userId: testUserIds["u2"],
+      parentId: testCommentIds["u1c1"],
+      text: "reply",
+    });
+    await request(app)
+      .delete(
+        `/trips/${testTripIds["privateTripId"]}/comments/${testCommentIds["u1c1"]}`
+      )
+      .set("authorization", `Bearer ${getU1Token()}`);
+
+    const trip = await request(app)
+      .get(`/trips/${testTripIds["privateTripId"]}`)
+      .set("authorization", `Bearer ${getU1Token()}`);
+    expect(trip.body.trip.comments).toEqual([
+      expect.objectContaining({
+        id: testCommentIds["u1c1"],
+        text: "[deleted]",
+        isDeleted: true,
+        replies: [expect.objectContaining({ text: "reply" })],
+      }),
     ]);
-    expect(check.rows.length).toEqual(0);
   });
 
-  test("fails: non-owner cannot delete a comment", async function () {
+  test("works: trip owner can moderate other members' comments", async function () {
     const resp = await request(app)
       .delete(
         `/trips/${testTripIds["privateTripId"]}/comments/${testCommentIds["u1c1"]}`
       )
       .set("authorization", `Bearer ${getU2Token()}`);
 
+    expect(resp.statusCode).toEqual(200);
+  });
+
+  test("fails: members cannot delete other members' comments", async function () {
+    const comment = await Comment.create({
+      tripId: testTripIds["privateTripId"],
+      userId: testUserIds["u2"],
+      text: "owner's comment",
+    });
+    const resp = await request(app)
+      .delete(`/trips/${testTripIds["privateTripId"]}/comments/${comment.id}`)
+      .set("authorization", `Bearer ${getU1Token()}`);
+
     expect(resp.statusCode).toEqual(403);
   });
 
+  test("fails: already deleted", async function () {
+    await Comment.remove(testCommentIds["u1c1"]);
+    const resp = await request(app)
+      .delete(
+        `/trips/${testTripIds["privateTripId"]}/comments/${testCommentIds["u1c1"]}`
+      )
+      .set("authorization", `Bearer ${getU1Token()}`);
+
+    expect(resp.statusCode).toEqual(404);
+  });
+
   test("fails: anonymous user cannot delete a comment", async function () {
     const resp = await request(app).delete(
       `/trips/${testTripIds["trip1"]}/comments/${testCommentIds["u1c1"]}`
@@ -160,4 +366,354 @@ describe("DELETE /trips/:tripId/comments/:commentId", function () {
 
     expect(resp.statusCode).toEqual(403);
   });
+
+  test("bad request: comment id isn't a number", async function () {
+    const resp = await request(app)
+      .delete(`/trips/${testTripIds["privateTripId"]}/comments/abc`)
+      .set("authorization", `Bearer ${getU1Token()}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/************************************** POST /trips/:tripId/activities/:activityId/comments */
+describe("POST /trips/:tripId/activities/:activityId/comments", function () {
+  test("works: member comments on an activity", async function () {
+    const resp = await request(app)
+      .post(
+        `/trips/${testTripIds["privateTripId"]}/activities/${testActivityIds["a1"]}/comments`
+      )
+      .send({ text: "Sunset is the best time" })
+      .set("authorization", `Bearer ${getU1Token()}`);
+
+    expect(resp.statusCode).toEqual(201);
+    expect(resp.body).toEqual({
+      comment: {
+        id: expect.any(Number),
+        tripId: testTripIds["privateTripId"],
+        userId: testUserIds["u1"],
+        activityId: testActivityIds["a1"],
+        parentId: null,
+        text: "Sunset is the best time",
+        createdAt: expect.any(String),
+        editedAt: null,
+        isDeleted: false,
+        mentions: [],
+      },
+    });
+  });
+
+  test("works: activity comments stay out of the trip-wide stream", async function () {
+    await request(app)
+      .post(
+        `/trips/${testTripIds["privateTripId"]}/activities/${testActivityIds["a1"]}/comments`
+      )
+      .send({ text: "Only about the tower" })
+      .set("authorization", `Bearer ${getU1Token()}`);
+
+    const trip = await request(app)
+      .get(`/trips/${testTripIds["privateTripId"]}`)
+      .set("authorization", `Bearer ${getU1Token()}`);
+    expect(trip.body.trip.comments.map((c) => c.text)).toEqual([
+      "Test comment 1",
+    ]);
+  });
+
+  test("bad request: replying to a trip-wide comment", async function () {
+    const resp = await request(app)
+      .post(
+        `/trips/${testTripIds["privateTripId"]}/activities/${testActivityIds["a1"]}/comments`
+      )
+      .send({ text: "reply", parentId: testCommentIds["u1c1"] })
+      .set("authorization", `Bearer ${getU1Token()}`);
+
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request: empty text", async function () {
+    const resp = await request(app)
+      .post(
+        `/trips/${testTripIds["privateTripId"]}/activities/${testActivityIds["a1"]}/comments`
+      )
+      .send({ text: "  " })
+      .set("authorization", `Bearer ${getU1Token()}`);
+
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("forbidden: activity from another trip", async function () {
+    const other = await Activity.create({
+      tripId: testTripIds["publicTripId"],
+      name: "Elsewhere",
+      createdBy: testUserIds["u1"],
+    });
+    const resp = await request(app)
+      .post(
+        `/trips/${testTripIds["privateTripId"]}/activities/${other.id}/comments`
+      )
+      .send({ text: "hi" })
+      .set("authorization", `Bearer ${getU1Token()}`);
+
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("forbidden: non-members", async function () {
+    const resp = await request(app)
+      .post(
+        `/trips/${testTripIds["privateTripId"]}/activities/${testActivityIds["a1"]}/comments`
+      )
+      .send({ text: "hi" })
+      .set("authorization", `Bearer ${getU3Token()}`);
+
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("bad request: activity id isn't a number", async function () {
+    const resp = await request(app)
+      .post(`/trips/${testTripIds["privateTripId"]}/activities/abc/comments`)
+      .send({ text: "hi" })
+      .set("authorization", `Bearer ${getU1Token()}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request: parentId out of range", async function () {
+    const resp = await request(app)
+      .post(
+        `/trips/${testTripIds["privateTripId"]}/activities/${testActivityIds["a1"]}/comments`
+      )
+      .send({ text: "reply", parentId: 99999999999 })
+      .set("authorization", `Bearer ${getU1Token()}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/************************************** GET /trips/:tripId/activities/:activityId/comments */
+describe("GET /trips/:tripId/activities/:activityId/comments", function () {
+  test("works: nested threads", async function () {
+    const parent = await Comment.create({
+      tripId: testTripIds["privateTripId"],
+      activityId: testActivityIds["a1"],
+      userId: testUserIds["u1"],
+      text: "Tickets?",
+    });
+    await Comment.create({
+      tripId: testTripIds["privateTripId"],
+      activityId: testActivityIds["a1"],
+      userId: testUserIds["u2"],
+      parentId: parent.id,
+      text: "Booked",
+    });
+
+    const resp = await request(app)
+      .get(
+        `/trips/${testTripIds["privateTripId"]}/activities/${testActivityIds["a1"]}/comments`
+      )
+      .set("authorization", `Bearer ${getU1Token()}`);
+
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body).toEqual({
+      comments: [
+        {
+          id: parent.id,
+          userId: testUserIds["u1"],
+          username: "u1",
+          tripId: testTripIds["privateTripId"],
+          activityId: testActivityIds["a1"],
+          parentId: null,
+          text: "Tickets?",
+          createdAt: expect.any(String),
+          editedAt: null,
+          isDeleted: false,
+          mentions: [],
+          reactions: [],
+          replies: [
+            {
+              id: expect.any(Number),
+              userId: testUserIds["u2"],
+              username: "u2",
+              tripId: testTripIds["privateTripId"],
+              activityId: testActivityIds["a1"],
+              parentId: parent.id,
+              text: "Booked",
+              createdAt: expect.any(String),
+              editedAt: null,
+              isDeleted: false,
+              mentions: [],
+              reactions: [],
+              replies: [],
+            },
+          ],
+        },
+      ],
+    });
+  });
+
+  test("forbidden: non-members of a private trip", async function () {
+    const resp = await request(app)
+      .get(
+        `/trips/${testTripIds["privateTripId"]}/activities/${testActivityIds["a1"]}/comments`
+      )
+      .set("authorization", `Bearer ${getU3Token()}`);
+
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("not found: no such activity", async function () {
+    const resp = await request(app)
+      .get(`/trips/${testTripIds["privateTripId"]}/activities/9999/comments`)
+      .set("authorization", `Bearer ${getU1Token()}`);
+
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  test("bad request: activity id isn't a number", async function () {
+    const resp = await request(app)
+      .get(`/trips/${testTripIds["privateTripId"]}/activities/abc/comments`)
+      .set("authorization", `Bearer ${getU1Token()}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/************************************** POST /trips/:tripId/comments/:commentId/reactions */
+describe("POST /trips/:tripId/comments/:commentId/reactions", function () {
+  test("works: reaction counts show up on the trip's comments", async function () {
+    const resp = await request(app)
+      .post(
+        `/trips/${testTripIds["privateTripId"]}/comments/${testCommentIds["u1c1"]}/reactions`
+      )
+      .send({ emoji: "👍" })
+      .set("authorization", `Bearer ${getU2Token()}`);
+
+    expect(resp.statusCode).toEqual(201);
+    expect(resp.body).toEqual({
+      reaction: {
+        commentId: testCommentIds["u1c1"],
+        userId: testUserIds["u2"],
+        emoji: "👍",
+      },
+    });
+
+    const trip = await request(app)
+      .get(`/trips/${testTripIds["privateTripId"]}`)
+      .set("authorization", `Bearer ${getU2Token()}`);
+    expect(trip.body.trip.comments[0].reactions).toEqual([
+      { emoji: "👍", count: 1 },
+    ]);
+  });
+
+  test("bad request: not an emoji", async function () {
+    const resp = await request(app)
+      .post(
+        `/trips/${testTripIds["privateTripId"]}/comments/${testCommentIds["u1c1"]}/reactions`
+      )
+      .send({ emoji: "lol" })
+      .set("authorization", `Bearer ${getU2Token()}`);
+
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("forbidden: non-members", async function () {
+    const resp = await request(app)
+      .post(
+        `/trips/${testTripIds["privateTripId"]}/comments/${testCommentIds["u1c1"]}/reactions`
+      )
+      .send({ emoji: "👍" })
+      .set("authorization", `Bearer ${getU3Token()}`);
+
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("bad request: comment id isn't a number", async function () {
+    const resp = await request(app)
+      .post(`/trips/${testTripIds["privateTripId"]}/comments/abc/reactions`)
+      .send({ emoji: "👍" })
+      .set("authorization", `Bearer ${getU2Token()}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/************************************** DELETE /trips/:tripId/comments/:commentId/reactions/:emoji */
+describe("DELETE /trips/:tripId/comments/:commentId/reactions/:emoji", function () {
+  test("works", async function () {
+    await Comment.addReaction(testCommentIds["u1c1"], testUserIds["u1"], "🎉");
+
+    const resp = await request(app)
+      .delete(
+        `/trips/${testTripIds["privateTripId"]}/comments/${testCommentIds["u1c1"]}/reactions/${encodeURIComponent("🎉")}`
+      )
+      .set("authorization", `Bearer ${getU1Token()}`);
+
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body).toEqual({ removed: "🎉" });
+  });
+
+  test("not found: only your own reactions can be removed", async function () {
+    await Comment.addReaction(testCommentIds["u1c1"], testUserIds["u1"], "🎉");
+
+    const resp = await request(app)
+      .delete(
+        `/trips/${testTripIds["privateTripId"]}/comments/${testCommentIds["u1c1"]}/reactions/${encodeURIComponent("🎉")}`
+      )
+      .set("authorization", `Bearer ${getU2Token()}`);
+
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  test("bad request: comment id isn't a number", async function () {
+    const resp = await request(app)
+      .delete(
+        `/trips/${testTripIds["privateTripId"]}/comments/abc/reactions/${encodeURIComponent("🎉")}`
+      )
+      .set("authorization", `Bearer ${getU1Token()}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/************************************** GET /users/:username/mentions */
+describe("GET /users/:username/mentions", function () {
+  test("works: comments that mention me", async function () {
+    await request(app)
+      .post(`/trips/${testTripIds["privateTripId"]}/comments`)
+      .send({ text: "@u1 did you get the tickets?" })
+      .set("authorization", `Bearer ${getU2Token()}`);
+
+    const resp = await request(app)
+      .get(`/users/u1/mentions`)
+      .set("authorization", `Bearer ${getU1Token()}`);
+
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body).toEqual({
+      mentions: [
+        {
+          commentId: expect.any(Number),
+          tripId: testTripIds["privateTripId"],
+          tripTitle: "Trip2",
+          activityId: null,
+          authorId: testUserIds["u2"],
+          authorUsername: "u2",
+          text: "@u1 did you get the tickets?",
+          createdAt: expect.any(String),
+        },
+      ],
+    });
+  });
+
+  test("works: non-members can't be mentioned", async function () {
+    await request(app)
+      .post(`/trips/${testTripIds["privateTripId"]}/comments`)
+      .send({ text: "@u3 should come next time" })
+      .set("authorization", `Bearer ${getU2Token()}`);
+
+    const resp = await request(app)
+      .get(`/users/u3/mentions`)
+      .set("authorization", `Bearer ${getU3Token()}`);
+    expect(resp.body).toEqual({ mentions: [] });
+  });
+
+  test("fails: other users' mentions", async function () {
+    const resp = await request(app)
+      .get(`/users/u2/mentions`)
+      .set("authorization", `Bearer ${getU1Token()}`);
+
+    expect(resp.statusCode).toEqual(401);
+  });
 });
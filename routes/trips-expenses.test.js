@@ -0,0 +1,257 @@
+"use strict";
+// Tests for trip expenses and balances.
+
+const request = require("supertest");
+const app = require("../app.js");
+const Expense = require("../models/expense.js");
+const TripMember = require("../models/tripMember.js");
+const Trip = require("../models/trip.js");
+const ExchangeRate = require("../models/exchangeRate.js");
+
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+  testTripIds,
+  testUserIds,
+  getU1Token,
+  getU2Token,
+  getU3Token,
+} = require("./_tripsTestCommon.js");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+// the private trip is owned by u2, with u1 as a member
+async function createDinner(paidBy = testUserIds["u2"]) {
+  return await Expense.create({
+    tripId: testTripIds["privateTripId"],
+    paidBy,
+    createdBy: paidBy,
+    description: "Dinner",
+    amount: 50,
+  });
+}
+
+/************************************** POST /trips/:tripId/expenses */
+describe("POST /trips/:tripId/expenses", function () {
+  test("works: member records an expense split equally", async function () {
+    const resp = await request(app)
+      .post(`/trips/${testTripIds["privateTripId"]}/expenses`)
+      .send({ description: "Taxi", amount: 25.5, currency: "EUR" })
+      .set("authorization", `Bearer ${getU1Token()}`);
+
+    expect(resp.statusCode).toEqual(201);
+    expect(resp.body.expense).toEqual({
+      id: expect.any(Number),
+      tripId: testTripIds["privateTripId"],
+      paidBy: testUserIds["u1"],
+      activityId: null,
+      description: "Taxi",
+      amount: 25.5,
+      currency: "EUR",
+      splitType: "equal",
+      createdBy: testUserIds["u1"],
+      createdAt: expect.any(String),
+      shares: expect.arrayContaining([
+        { userId: testUserIds["u1"], username: "u1", shares: null, amount: 12.75 },
+        { userId: testUserIds["u2"], username: "u2", shares: null, amount: 12.75 },
+      ]),
+    });
+  });
+
+  test("works: exact split paid by someone else", async function () {
+    const resp = await request(app)
+      .post(`/trips/${testTripIds["privateTripId"]}/expenses`)
+      .send({
+        description: "Tickets",
+        amount: 30,
+        paidBy: testUserIds["u2"],
+        splitType: "exact",
+        splits: [
+          { userId: testUserIds["u1"], amount: 20 },
+          { userId: testUserIds["u2"], amount: 10 },
+        ],
+      })
+      .set("authorization", `Bearer ${getU1Token()}`);
+
+    expect(resp.statusCode).toEqual(201);
+    expect(resp.body.expense.paidBy).toEqual(testUserIds["u2"]);
+    expect(resp.body.expense.createdBy).toEqual(testUserIds["u1"]);
+  });
+
+  test("400 when splitting with a non-member", async function () {
+    const resp = await request(app)
+      .post(`/trips/${testTripIds["privateTripId"]}/expenses`)
+      .send({
+        description: "Tickets",
+        amount: 30,
+        splits: [{ userId: testUserIds["u3"] }],
+      })
+      .set("authorization", `Bearer ${getU1Token()}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("400 with invalid data", async function () {
+    const resp = await request(app)
+      .post(`/trips/${testTripIds["privateTripId"]}/expenses`)
+      .send({ description: "Tickets", amount: -3 })
+      .set("authorization", `Bearer ${getU1Token()}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("403 for viewers", async function () {
+    await TripMember.addMember(
+      testUserIds["u3"],
+      testTripIds["privateTripId"],
+      "viewer"
+    );
+    const resp = await request(app)
+      .post(`/trips/${testTripIds["privateTripId"]}/expenses`)
+      .send({ description: "Taxi", amount: 10 })
+      .set("authorization", `Bearer ${getU3Token()}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+});
+
+/************************************** GET /trips/:tripId/expenses */
+describe("GET /trips/:tripId/expenses", function () {
+  test("works", async function () {
+    const expense = await createDinner();
+    const resp = await request(app)
+      .get(`/trips/${testTripIds["privateTripId"]}/expenses`)
+      .set("authorization", `Bearer ${getU1Token()}`);
+
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body.expenses.map((e) => e.id)).toEqual([expense.id]);
+  });
+
+  test("403 for non-members", async function () {
+    const resp = await request(app)
+      .get(`/trips/${testTripIds["privateTripId"]}/expenses`)
+      .set("authorization", `Bearer ${getU3Token()}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+});
+
+/************************************** GET /trips/:tripId/expenses/balances */
+describe("GET /trips/:tripId/expenses/balances", function () {
+  test("works", async function () {
+    await createDinner();
+    const resp = await request(app)
+      .get(`/trips/${testTripIds["privateTripId"]}/expenses/balances`)
+      .set("authorization", `Bearer ${getU1Token()}`);
+
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body.balances).toEqual({
+      currency: "USD",
+      total: 50,
+      totalsByCurrency: [{ currency: "USD", total: 50 }],
+      members: [
+        {
+          userId: testUserIds["u2"],
+          username: "u2",
+          paid: 50,
+          owes: 25,
+          net: 25,
+        },
+        {
+          userId: testUserIds["u1"],
+          username: "u1",
+          paid: 0,
+          owes: 25,
+          net: -25,
+        },
+      ],
+      transfers: [
+        {
+          fromUserId: testUserIds["u1"],
+          fromUsername: "u1",
+          toUserId: testUserIds["u2"],
+          toUsername: "u2",
+          amount: 25,
+        },
+      ],
+    });
+  });
+
+  test("works: in the trip's base currency", async function () {
+    await ExchangeRate.upsertMany([{ base: "EUR", quote: "USD", rate: 1.1 }]);
+    await Trip.update(testTripIds["privateTripId"], { baseCurrency: "EUR" });
+    await createDinner();
+
+    const resp = await request(app)
+      .get(`/trips/${testTripIds["privateTripId"]}/expenses/balances`)
+      .set("authorization", `Bearer ${getU1Token()}`);
+
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body.balances.currency).toEqual("EUR");
+    expect(resp.body.balances.total).toEqual(45.45);
+  });
+});
+
+/************************************** GET /trips/:tripId/expenses/:expenseId */
+describe("GET /trips/:tripId/expenses/:expenseId", function () {
+  test("works", async function () {
+    const expense = await createDinner();
+    const resp = await request(app)
+      .get(`/trips/${testTripIds["privateTripId"]}/expenses/${expense.id}`)
+      .set("authorization", `Bearer ${getU1Token()}`);
+
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body.expense.description).toEqual("Dinner");
+  });
+
+  test("404 if not found", async function () {
+    const resp = await request(app)
+      .get(`/trips/${testTripIds["privateTripId"]}/expenses/9999`)
+      .set("authorization", `Bearer ${getU1Token()}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  test("400 if the expense id isn't a number", async function () {
+    const resp = await request(app)
+      .get(`/trips/${testTripIds["privateTripId"]}/expenses/abc`)
+      .set("authorization", `Bearer ${getU1Token()}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/************************************** DELETE /trips/:tripId/expenses/:expenseId */
+describe("DELETE /trips/:tripId/expenses/:expenseId", function () {
+  test("works: payer can delete", async function () {
+    const expense = await createDinner(testUserIds["u1"]);
+    const resp = await request(app)
+      .delete(`/trips/${testTripIds["privateTripId"]}/expenses/${expense.id}`)
+      .set("authorization", `Bearer ${getU1Token()}`);
+
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body).toEqual({ deleted: `${expense.id}` });
+  });
+
+  test("works: owner can delete anyone's expense", async function () {
+    const expense = await createDinner(testUserIds["u1"]);
+    const resp = await request(app)
+      .delete(`/trips/${testTripIds["privateTripId"]}/expenses/${expense.id}`)
+      .set("authorization", `Bearer ${getU2Token()}`);
+    expect(resp.statusCode).toEqual(200);
+  });
+
+  test("403 for other members", async function () {
+    const expense = await createDinner();
+    const resp = await request(app)
+      .delete(`/trips/${testTripIds["privateTripId"]}/expenses/${expense.id}`)
+      .set("authorization", `Bearer ${getU1Token()}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("400 if the expense id isn't a number", async function () {
+    const resp = await request(app)
+      .delete(`/trips/${testTripIds["privateTripId"]}/expenses/abc`)
+      .set("authorization", `Bearer ${getU2Token()}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+});
@@ -0,0 +1,189 @@
+"use strict";
+// Tests for trip invite codes and joining by code.
+
+const request = require("supertest");
+const app = require("../app.js");
+const db = require("../db.js");
+const TripInvite = require("../models/tripInvite.js");
+
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+  testTripIds,
+  testUserIds,
+  getU1Token,
+  getU2Token,
+  getU3Token,
+} = require("./_tripsTestCommon.js");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** POST /trips/:tripId/invites */
+describe("POST /trips/:tripId/invites", function () {
+  test("works: trip owner can create an invite", async function () {
+    const resp = await request(app)
+      .post(`/trips/${testTripIds["privateTripId"]}/invites`)
+      .send({ expiresInHours: 48, maxUses: 5 })
+      .set("authorization", `Bearer ${getU2Token()}`);
+
+    expect(resp.statusCode).toEqual(201);
+    expect(resp.body).toEqual({
+      invite: {
+        id: expect.any(Number),
+        tripId: testTripIds["privateTripId"],
+        code: expect.any(String),
+        createdBy: testUserIds["u2"],
+        expiresAt: expect.any(String),
+        maxUses: 5,
+        useCount: 0,
+        revokedAt: null,
+        createdAt: expect.any(String),
+      },
+    });
+  });
+
+  test("403 if not the trip owner", async function () {
+    const resp = await request(app)
+      .post(`/trips/${testTripIds["privateTripId"]}/invites`)
+      .send({})
+      .set("authorization", `Bearer ${getU1Token()}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("400 if maxUses is invalid", async function () {
+    const resp = await request(app)
+      .post(`/trips/${testTripIds["privateTripId"]}/invites`)
+      .send({ maxUses: 0 })
+      .set("authorization", `Bearer ${getU2Token()}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("401 if anon", async function () {
+    const resp = await request(app)
+      .post(`/trips/${testTripIds["privateTripId"]}/invites`)
+      .send({});
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+/************************************** GET /trips/:tripId/invites */
+describe("GET /trips/:tripId/invites", function () {
+  test("works: trip owner can list invites", async function () {
+    const invite = await TripInvite.create({
+      tripId: testTripIds["privateTripId"],
+      createdBy: testUserIds["u2"],
+    });
+    const resp = await request(app)
+      .get(`/trips/${testTripIds["privateTripId"]}/invites`)
+      .set("authorization", `Bearer ${getU2Token()}`);
+
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body.invites.map((i) => i.code)).toEqual([invite.code]);
+  });
+
+  test("403 if not the trip owner", async function () {
+    const resp = await request(app)
+      .get(`/trips/${testTripIds["privateTripId"]}/invites`)
+      .set("authorization", `Bearer ${getU1Token()}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+});
+
+/************************************** DELETE /trips/:tripId/invites/:inviteId */
+describe("DELETE /trips/:tripId/invites/:inviteId", function () {
+  test("works: trip owner can revoke an invite", async function () {
+    const invite = await TripInvite.create({
+      tripId: testTripIds["privateTripId"],
+      createdBy: testUserIds["u2"],
+    });
+    const resp = await request(app)
+      .delete(`/trips/${testTripIds["privateTripId"]}/invites/${invite.id}`)
+      .set("authorization", `Bearer ${getU2Token()}`);
+
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body.invite.revokedAt).toEqual(expect.any(String));
+  });
+
+  test("404 if invite does not exist", async function () {
+    const resp = await request(app)
+      .delete(`/trips/${testTripIds["privateTripId"]}/invites/9999`)
+      .set("authorization", `Bearer ${getU2Token()}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  test("400 if the invite id isn't a number", async function () {
+    const resp = await request(app)
+      .delete(`/trips/${testTripIds["privateTripId"]}/invites/abc`)
+      .set("authorization", `Bearer ${getU2Token()}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/************************************** POST /trips/join/:code */
+describe("POST /trips/join/:code", function () {
+  test("works: non-friend can join with a valid code", async function () {
+    const invite = await TripInvite.create({
+      tripId: testTripIds["publicTripId"],
+      createdBy: testUserIds["u1"],
+    });
+    const resp = await request(app)
+      .post(`/trips/join/${invite.code.toLowerCase()}`)
+      .set("authorization", `Bearer ${getU3Token()}`);
+
+    expect(resp.statusCode).toEqual(201);
+    expect(resp.body).toEqual({
+      member: {
+        id: expect.any(Number),
+        userId: testUserIds["u3"],
+        tripId: testTripIds["publicTripId"],
+        role: "member",
+      },
+    });
+  });
+
+  test("400 if invite is revoked", async function () {
+    const invite = await TripInvite.create({
+      tripId: testTripIds["publicTripId"],
+      createdBy: testUserIds["u1"],
+    });
+    await TripInvite.revoke(invite.id, testTripIds["publicTripId"]);
+    const resp = await request(app)
+      .post(`/trips/join/${invite.code}`)
+      .set("authorization", `Bearer ${getU3Token()}`);
+
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("400 if invite is expired", async function () {
+    const invite = await TripInvite.create({
+      tripId: testTripIds["publicTripId"],
+      createdBy: testUserIds["u1"],
+    });
+    await db.query(
+      `UPDATE trip_invite SET expires_at = CURRENT_TIMESTAMP - INTERVAL '1 hour' WHERE id = $1`,
+      [invite.id]
+    );
+    const resp = await request(app)
+      .post(`/trips/join/${invite.code}`)
+      .set("authorization", `Bearer ${getU3Token()}`);
+
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("404 for unknown code", async function () {
+    const resp = await request(app)
+      .post(`/trips/join/NOTACODE`)
+      .set("authorization", `Bearer ${getU3Token()}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  test("401 if anon", async function () {
+    const resp = await request(app).post(`/trips/join/NOTACODE`);
+    expect(resp.statusCode).toEqual(401);
+  });
+});
@@ -0,0 +1,224 @@
+"use strict";
+// Tests for the itinerary builder and schedule conflict checks.
+
+const request = require("supertest");
+const app = require("../app.js");
+const Activity = require("../models/activity.js");
+const Trip = require("../models/trip.js");
+const Vote = require("../models/vote.js");
+
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+  testTripIds,
+  testUserIds,
+  testActivityIds,
+  getU1Token,
+  getU2Token,
+  getU3Token,
+} = require("./_tripsTestCommon.js");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** POST /trips/:tripId/itinerary/generate */
+describe("POST /trips/:tripId/itinerary/generate", function () {
+  test("works: ranks activities by net score", async function () {
+    const a2 = await Activity.create({
+      tripId: testTripIds["privateTripId"],
+      name: "Louvre",
+      category: "tours",
+      createdBy: testUserIds["u2"],
+    });
+    await Vote.castVote(testUserIds["u1"], a2.id, 1);
+    await Vote.castVote(testUserIds["u2"], a2.id, 1);
+
+    const resp = await request(app)
+      .post(`/trips/${testTripIds["privateTripId"]}/itinerary/generate`)
+      .send({})
+      .set("authorization", `Bearer ${getU1Token()}`);
+
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body.itinerary).toEqual({
+      scheduled: [
+        {
+          activityId: a2.id,
+          name: "Louvre",
+          netScore: 2,
+          day: "2025-08-01",
+          scheduledTime: "2025-08-01T09:00:00.000Z",
+          endTime: "2025-08-01T11:00:00.000Z",
+        },
+        {
+          activityId: testActivityIds["a1"],
+          name: "Visit Eiffel Tower",
+          netScore: 1,
+          day: "2025-08-02",
+          scheduledTime: "2025-08-02T09:00:00.000Z",
+          endTime: "2025-08-02T11:00:00.000Z",
+        },
+      ],
+      unscheduled: [],
+    });
+  });
+
+  test("works: rejected activities are left out", async function () {
+    await Activity.setStatus(testActivityIds["a1"], "rejected");
+    const resp = await request(app)
+      .post(`/trips/${testTripIds["privateTripId"]}/itinerary/generate`)
+      .send({})
+      .set("authorization", `Bearer ${getU1Token()}`);
+
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body.itinerary).toEqual({ scheduled: [], unscheduled: [] });
+  });
+
+  test("does not change any activity", async function () {
+    const before = await Activity.get(testActivityIds["a1"]);
+    await request(app)
+      .post(`/trips/${testTripIds["privateTripId"]}/itinerary/generate`)
+      .send({})
+      .set("authorization", `Bearer ${getU1Token()}`);
+    const after = await Activity.get(testActivityIds["a1"]);
+    expect(after.scheduledTime).toEqual(before.scheduledTime);
+  });
+
+  test("bad request with invalid options", async function () {
+    const resp = await request(app)
+      .post(`/trips/${testTripIds["privateTripId"]}/itinerary/generate`)
+      .send({ slotMinutes: 5 })
+      .set("authorization", `Bearer ${getU1Token()}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("403 for non-members", async function () {
+    const resp = await request(app)
+      .post(`/trips/${testTripIds["privateTripId"]}/itinerary/generate`)
+      .send({})
+      .set("authorization", `Bearer ${getU3Token()}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+});
+
+/************************************** POST /trips/:tripId/itinerary/commit */
+describe("POST /trips/:tripId/itinerary/commit", function () {
+  test("works: owner saves the schedule", async function () {
+    const resp = await request(app)
+      .post(`/trips/${testTripIds["privateTripId"]}/itinerary/commit`)
+      .send({
+        schedule: [
+          {
+            activityId: testActivityIds["a1"],
+            scheduledTime: "2025-08-02T09:00:00.000Z",
+          },
+        ],
+      })
+      .set("authorization", `Bearer ${getU2Token()}`);
+
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body.activities).toEqual([
+      expect.objectContaining({
+        id: testActivityIds["a1"],
+        tripId: testTripIds["privateTripId"],
+        scheduledTime: expect.any(String),
+      }),
+    ]);
+  });
+
+  test("400 if an activity is not in the trip", async function () {
+    const resp = await request(app)
+      .post(`/trips/${testTripIds["publicTripId"]}/itinerary/commit`)
+      .send({
+        schedule: [
+          {
+            activityId: testActivityIds["a1"],
+            scheduledTime: "2025-06-02T09:00:00.000Z",
+          },
+        ],
+      })
+      .set("authorization", `Bearer ${getU1Token()}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("400 for duplicate activities", async function () {
+    const entry = {
+      activityId: testActivityIds["a1"],
+      scheduledTime: "2025-08-02T09:00:00.000Z",
+    };
+    const resp = await request(app)
+      .post(`/trips/${testTripIds["privateTripId"]}/itinerary/commit`)
+      .send({ schedule: [entry, entry] })
+      .set("authorization", `Bearer ${getU2Token()}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("403 for plain members", async function () {
+    const resp = await request(app)
+      .post(`/trips/${testTripIds["privateTripId"]}/itinerary/commit`)
+      .send({
+        schedule: [
+          {
+            activityId: testActivityIds["a1"],
+            scheduledTime: "2025-08-02T09:00:00.000Z",
+          },
+        ],
+      })
+      .set("authorization", `Bearer ${getU1Token()}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+});
+
+/************************************** GET /trips/:tripId/conflicts */
+describe("GET /trips/:tripId/conflicts", function () {
+  test("works: reports overlapping activities", async function () {
+    // a1 is scheduled for 2025-08-01 at 10:00
+    const a2 = await Activity.create({
+      tripId: testTripIds["privateTripId"],
+      name: "Seine cruise",
+      scheduledTime: "2025-08-01T09:00:00Z",
+      endTime: "2025-08-01T11:00:00Z",
+      createdBy: testUserIds["u2"],
+    });
+
+    const resp = await request(app)
+      .get(`/trips/${testTripIds["privateTripId"]}/conflicts`)
+      .set("authorization", `Bearer ${getU1Token()}`);
+
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body.conflicts.overlapping).toEqual([
+      {
+        activities: [
+          expect.objectContaining({ id: a2.id, name: "Seine cruise" }),
+          expect.objectContaining({ id: testActivityIds["a1"], endTime: null }),
+        ],
+      },
+    ]);
+    expect(resp.body.conflicts.outOfRange).toEqual([]);
+  });
+
+  test("works: reports activities outside new trip dates", async function () {
+    await Trip.update(testTripIds["privateTripId"], {
+      startDate: "2025-08-05",
+    });
+
+    const resp = await request(app)
+      .get(`/trips/${testTripIds["privateTripId"]}/conflicts`)
+      .set("authorization", `Bearer ${getU1Token()}`);
+
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body.conflicts.outOfRange.map((a) => a.id)).toEqual([
+      testActivityIds["a1"],
+    ]);
+  });
+
+  test("403 for non-members", async function () {
+    const resp = await request(app)
+      .get(`/trips/${testTripIds["privateTripId"]}/conflicts`)
+      .set("authorization", `Bearer ${getU3Token()}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+});
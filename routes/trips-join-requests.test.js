@@ -0,0 +1,206 @@
+"use strict";
+// Tests for requesting to join public trips.
+
+const request = require("supertest");
+const app = require("../app.js");
+const TripJoinRequest = require("../models/tripJoinRequest.js");
+
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+  testTripIds,
+  testUserIds,
+  getU1Token,
+  getU2Token,
+  getU3Token,
+} = require("./_tripsTestCommon.js");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** POST /trips/:tripId/join-requests */
+describe("POST /trips/:tripId/join-requests", function () {
+  test("works: non-member can ask to join a public trip", async function () {
+    const resp = await request(app)
+      .post(`/trips/${testTripIds["publicTripId"]}/join-requests`)
+      .send({ message: "Room for one more?" })
+      .set("authorization", `Bearer ${getU3Token()}`);
+
+    expect(resp.statusCode).toEqual(201);
+    expect(resp.body).toEqual({
+      joinRequest: {
+        id: expect.any(Number),
+        tripId: testTripIds["publicTripId"],
+        userId: testUserIds["u3"],
+        message: "Room for one more?",
+        status: "pending",
+        createdAt: expect.any(String),
+        respondedAt: null,
+      },
+    });
+  });
+
+  test("400 for a private trip", async function () {
+    const resp = await request(app)
+      .post(`/trips/${testTripIds["privateTripId"]}/join-requests`)
+      .send({})
+      .set("authorization", `Bearer ${getU3Token()}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("400 if already a member", async function () {
+    const resp = await request(app)
+      .post(`/trips/${testTripIds["publicTripId"]}/join-requests`)
+      .send({})
+      .set("authorization", `Bearer ${getU1Token()}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("401 if anon", async function () {
+    const resp = await request(app)
+      .post(`/trips/${testTripIds["publicTripId"]}/join-requests`)
+      .send({});
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+/************************************** GET /trips/:tripId/join-requests */
+describe("GET /trips/:tripId/join-requests", function () {
+  test("works: owner sees pending requests", async function () {
+    const joinRequest = await TripJoinRequest.create({
+      tripId: testTripIds["publicTripId"],
+      userId: testUserIds["u3"],
+    });
+    const resp = await request(app)
+      .get(`/trips/${testTripIds["publicTripId"]}/join-requests`)
+      .set("authorization", `Bearer ${getU1Token()}`);
+
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body.joinRequests.map((r) => r.id)).toEqual([joinRequest.id]);
+  });
+
+  test("403 if not the owner", async function () {
+    const resp = await request(app)
+      .get(`/trips/${testTripIds["publicTripId"]}/join-requests`)
+      .set("authorization", `Bearer ${getU3Token()}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+});
+
+/************************************** POST /trips/:tripId/join-requests/:requestId/approve */
+describe("POST /trips/:tripId/join-requests/:requestId/approve", function () {
+  test("works: owner approves and requester becomes a member", async function () {
+    const joinRequest = await TripJoinRequest.create({
+      tripId: testTripIds["publicTripId"],
+      userId: testUserIds["u3"],
+    });
+    const resp = await request(app)
+      .post(
+        `/trips/${testTripIds["publicTripId"]}/join-requests/${joinRequest.id}/approve`
+      )
+      .set("authorization", `Bearer ${getU1Token()}`);
+
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body.joinRequest.status).toEqual("approved");
+    expect(resp.body.member).toEqual({
+      id: expect.any(Number),
+      userId: testUserIds["u3"],
+      tripId: testTripIds["publicTripId"],
+      role: "member",
+    });
+  });
+
+  test("403 if not the owner", async function () {
+    const joinRequest = await TripJoinRequest.create({
+      tripId: testTripIds["publicTripId"],
+      userId: testUserIds["u3"],
+    });
+    const resp = await request(app)
+      .post(
+        `/trips/${testTripIds["publicTripId"]}/join-requests/${joinRequest.id}/approve`
+      )
+      .set("authorization", `Bearer ${getU3Token()}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("404 if request does not exist", async function () {
+    const resp = await request(app)
+      .post(`/trips/${testTripIds["publicTripId"]}/join-requests/9999/approve`)
+      .set("authorization", `Bearer ${getU1Token()}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  test("400 if the request id isn't a number", async function () {
+    const resp = await request(app)
+      .post(`/trips/${testTripIds["publicTripId"]}/join-requests/abc/approve`)
+      .set("authorization", `Bearer ${getU1Token()}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/************************************** POST /trips/:tripId/join-requests/:requestId/deny */
+describe("POST /trips/:tripId/join-requests/:requestId/deny", function () {
+  test("works: owner denies a request", async function () {
+    const joinRequest = await TripJoinRequest.create({
+      tripId: testTripIds["publicTripId"],
+      userId: testUserIds["u3"],
+    });
+    const resp = await request(app)
+      .post(
+        `/trips/${testTripIds["publicTripId"]}/join-requests/${joinRequest.id}/deny`
+      )
+      .set("authorization", `Bearer ${getU1Token()}`);
+
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body.joinRequest.status).toEqual("denied");
+  });
+
+  test("400 if the request id isn't a number", async function () {
+    const resp = await request(app)
+      .post(`/trips/${testTripIds["publicTripId"]}/join-requests/1.5/deny`)
+      .set("authorization", `Bearer ${getU1Token()}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/************************************** DELETE /trips/:tripId/join-requests/:requestId */
+describe("DELETE /trips/:tripId/join-requests/:requestId", function () {
+  test("works: requester can cancel", async function () {
+    const joinRequest = await TripJoinRequest.create({
+      tripId: testTripIds["publicTripId"],
+      userId: testUserIds["u3"],
+    });
+    const resp = await request(app)
+      .delete(
+        `/trips/${testTripIds["publicTripId"]}/join-requests/${joinRequest.id}`
+      )
+      .set("authorization", `Bearer ${getU3Token()}`);
+
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body.joinRequest.status).toEqual("cancelled");
+  });
+
+  test("403 if someone else tries to cancel", async function () {
+    const joinRequest = await TripJoinRequest.create({
+      tripId: testTripIds["publicTripId"],
+      userId: testUserIds["u3"],
+    });
+    const resp = await request(app)
+      .delete(
+        `/trips/${testTripIds["publicTripId"]}/join-requests/${joinRequest.id}`
+      )
+      .set("authorization", `Bearer ${getU2Token()}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("400 if the request id isn't a number", async function () {
+    const resp = await request(app)
+      .delete(`/trips/${testTripIds["publicTripId"]}/join-requests/abc`)
+      .set("authorization", `Bearer ${getU3Token()}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+});
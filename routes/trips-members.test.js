@@ -4,6 +4,7 @@
 const request = require("supertest");
 const app = require("../app.js");
 const Friend = require("../models/friend.js");
+const TripMember = require("../models/tripMember.js");
 const db = require("../db.js");
 
 const {
@@ -76,7 +77,7 @@ describe("POST /trips/:tripId/members", function () {
       .set("authorization", `Bearer ${getU2Token()}`);
     expect(resp.body).toEqual({
       error: {
-        message: `Only the trip owner can perform this action.`,
+        message: `You must be a member of this trip to perform this action`,
         status: 403,
       },
     });
@@ -99,6 +100,30 @@ describe("POST /trips/:tripId/members", function () {
       },
     });
   });
+  test("works: owner can add a friend with a role", async function () {
+    const resp = await request(app)
+      .post(`/trips/${testTripIds["privateTripId"]}/members`)
+      .send({ friendId: testUserIds["u3"], role: "viewer" })
+      .set("authorization", `Bearer ${getU2Token()}`);
+    expect(resp.statusCode).toEqual(201);
+    expect(resp.body.member.role).toEqual("viewer");
+  });
+
+  test("403 if a co-owner tries to add another co-owner", async function () {
+    await TripMember.updateRole(getTripMemberId(), "co-owner");
+    const friendReq = await Friend.sendFriendRequest(
+      testUserIds["u1"],
+      testUserIds["u3"]
+    );
+    await Friend.acceptFriendRequest(friendReq.id, testUserIds["u3"]);
+
+    const resp = await request(app)
+      .post(`/trips/${testTripIds["privateTripId"]}/members`)
+      .send({ friendId: testUserIds["u3"], role: "co-owner" })
+      .set("authorization", `Bearer ${getU1Token()}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+
   test("401 if anon", async function () {
     const resp = await request(app)
       .post(`/trips/${testTripIds["publicTripId"]}/members`)
@@ -112,6 +137,72 @@ describe("POST /trips/:tripId/members", function () {
   });
 });
 
+/************************************** PATCH /trips/:tripId/members/:memberId  */
+describe("PATCH /trips/:tripId/members/:memberId", function () {
+  test("works: owner can change a member's role", async function () {
+    const resp = await request(app)
+      .patch(`/trips/${testTripIds["privateTripId"]}/members/${getTripMemberId()}`)
+      .send({ role: "editor" })
+      .set("authorization", `Bearer ${getU2Token()}`);
+
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body).toEqual({
+      member: {
+        id: getTripMemberId(),
+        userId: testUserIds["u1"],
+        tripId: testTripIds["privateTripId"],
+        role: "editor",
+      },
+    });
+  });
+
+  test("400 for the owner role", async function () {
+    const resp = await request(app)
+      .patch(`/trips/${testTripIds["privateTripId"]}/members/${getTripMemberId()}`)
+      .send({ role: "owner" })
+      .set("authorization", `Bearer ${getU2Token()}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("403 if a co-owner tries to demote the owner", async function () {
+    await TripMember.updateRole(getTripMemberId(), "co-owner");
+    const owner = await TripMember.isMember(
+      testUserIds["u2"],
+      testTripIds["privateTripId"]
+    );
+
+    const resp = await request(app)
+      .patch(`/trips/${testTripIds["privateTripId"]}/members/${owner.id}`)
+      .send({ role: "viewer" })
+      .set("authorization", `Bearer ${getU1Token()}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("403 for a plain member", async function () {
+    const resp = await request(app)
+      .patch(`/trips/${testTripIds["privateTripId"]}/members/${getTripMemberId()}`)
+      .send({ role: "editor" })
+      .set("authorization", `Bearer ${getU1Token()}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("404 for a member of another trip", async function () {
+    const resp = await request(app)
+      .patch(`/trips/${testTripIds["publicTripId"]}/members/${getTripMemberId()}`)
+      .send({ role: "editor" })
+      .set("authorization", `Bearer ${getU1Token()}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  test("400 if the member id isn't a number", async function () {
+    const resp = await request(app)
+      .patch(`/trips/${testTripIds["privateTripId"]}/members/abc`)
+      .send({ role: "editor" })
+      .set("authorization", `Bearer ${getU2Token()}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
 /************************************** DELETE /trips/:tripId/members/:friendId  */
 describe("DELETE /trips/:tripId/members/:friendId", function () {
   test("works: trip owner can remove a member", async function () {
@@ -141,12 +232,25 @@ describe("DELETE /trips/:tripId/members/:friendId", function () {
     expect(resp.statusCode).toEqual(403);
     expect(resp.body).toEqual({
       error: {
-        message: "Only the trip owner can perform this action.",
+        message: "Only the trip owner or co-owner can perform this action.",
         status: 403,
       },
     });
   });
 
+  test("403 error: the owner cannot be removed", async function () {
+    await TripMember.updateRole(getTripMemberId(), "co-owner");
+    const owner = await TripMember.isMember(
+      testUserIds["u2"],
+      testTripIds["privateTripId"]
+    );
+    const resp = await request(app)
+      .delete(`/trips/${testTripIds["privateTripId"]}/members/${owner.id}`)
+      .set("authorization", `Bearer ${getU1Token()}`);
+
+    expect(resp.statusCode).toEqual(403);
+  });
+
   test("404 error: cannot remove an invalid friend id", async function () {
     const resp = await request(app)
       .delete(`/trips/${testTripIds["publicTripId"]}/members/3453`)
@@ -161,6 +265,14 @@ describe("DELETE /trips/:tripId/members/:friendId", function () {
     });
   });
 
+  test("400 error: member id isn't a number", async function () {
+    const resp = await request(app)
+      .delete(`/trips/${testTripIds["privateTripId"]}/members/abc`)
+      .set("authorization", `Bearer ${getU2Token()}`);
+
+    expect(resp.statusCode).toEqual(400);
+  });
+
   test("404 error: cannot remove from a non-existent trip", async function () {
     const resp = await request(app)
       .delete(`/trips/46456/members/${getTripMemberId()}`)
@@ -182,3 +294,84 @@ describe("DELETE /trips/:tripId/members/:friendId", function () {
     expect(resp.statusCode).toEqual(401);
   });
 });
+
+/************************************** POST /trips/:tripId/transfer-ownership  */
+describe("POST /trips/:tripId/transfer-ownership", function () {
+  test("works: owner hands the trip to a member", async function () {
+    const resp = await request(app)
+      .post(`/trips/${testTripIds["privateTripId"]}/transfer-ownership`)
+      .send({ newOwnerId: testUserIds["u1"] })
+      .set("authorization", `Bearer ${getU2Token()}`);
+
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body.trip.creatorId).toEqual(testUserIds["u1"]);
+
+    const roles = await db.query(
+      `SELECT user_id, role FROM trip_member WHERE trip_id = $1 ORDER BY user_id`,
+      [testTripIds["privateTripId"]]
+    );
+    expect(roles.rows).toEqual(
+      expect.arrayContaining([
+        { user_id: testUserIds["u1"], role: "owner" },
+        { user_id: testUserIds["u2"], role: "co-owner" },
+      ])
+    );
+  });
+
+  test("400 if the new owner is not a member", async function () {
+    const resp = await request(app)
+      .post(`/trips/${testTripIds["privateTripId"]}/transfer-ownership`)
+      .send({ newOwnerId: testUserIds["u3"] })
+      .set("authorization", `Bearer ${getU2Token()}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("400 for a newOwnerId out of range", async function () {
+    const resp = await request(app)
+      .post(`/trips/${testTripIds["privateTripId"]}/transfer-ownership`)
+      .send({ newOwnerId: 99999999999 })
+      .set("authorization", `Bearer ${getU2Token()}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("403 for non-owners", async function () {
+    await TripMember.updateRole(getTripMemberId(), "co-owner");
+    const resp = await request(app)
+      .post(`/trips/${testTripIds["privateTripId"]}/transfer-ownership`)
+      .send({ newOwnerId: testUserIds["u1"] })
+      .set("authorization", `Bearer ${getU1Token()}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+});
+
+/************************************** POST /trips/:tripId/leave  */
+describe("POST /trips/:tripId/leave", function () {
+  test("works: member leaves a trip", async function () {
+    const resp = await request(app)
+      .post(`/trips/${testTripIds["privateTripId"]}/leave`)
+      .set("authorization", `Bearer ${getU1Token()}`);
+
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body).toEqual({ left: `${testTripIds["privateTripId"]}` });
+
+    const memberCheck = await db.query(
+      `SELECT * FROM trip_member WHERE user_id = $1 AND trip_id = $2`,
+      [testUserIds["u1"], testTripIds["privateTripId"]]
+    );
+    expect(memberCheck.rows.length).toEqual(0);
+  });
+
+  test("400 if the owner tries to leave", async function () {
+    const resp = await request(app)
+      .post(`/trips/${testTripIds["privateTripId"]}/leave`)
+      .set("authorization", `Bearer ${getU2Token()}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("403 if not a member", async function () {
+    const resp = await request(app)
+      .post(`/trips/${testTripIds["privateTripId"]}/leave`)
+      .set("authorization", `Bearer ${getU3Token()}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+});
@@ -0,0 +1,136 @@
+"use strict";
+// Tests for the live trip update stream.
+
+const http = require("http");
+const request = require("supertest");
+const app = require("../app.js");
+
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+  testTripIds,
+  testActivityIds,
+  getU1Token,
+  getU2Token,
+  getU3Token,
+} = require("./_tripsTestCommon.js");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/** Open a stream on a real server and collect what it sends.
+ *
+ * Returns { waitFor(text), close() }.
+ */
+function openStream(server, path) {
+  let received = "";
+  const waiting = [];
+
+  const req = http.get(
+    { port: server.address().port, path },
+    function (res) {
+      res.setEncoding("utf8");
+      res.on("data", function (chunk) {
+        received += chunk;
+        for (let w of waiting) if (received.includes(w.text)) w.resolve();
+      });
+    }
+  );
+  req.on("error", () => {});
+
+  return {
+    get received() {
+      return received;
+    },
+    waitFor(text) {
+      if (received.includes(text)) return Promise.resolve();
+      return new Promise((resolve) => waiting.push({ text, resolve }));
+    },
+    close() {
+      req.destroy();
+    },
+  };
+}
+
+/************************************** GET /trips/:tripId/stream */
+
+describe("GET /trips/:tripId/stream", function () {
+  let server;
+  beforeAll(function (done) {
+    server = app.listen(0, done);
+  });
+  afterAll(function (done) {
+    server.close(done);
+  });
+
+  test("works: members get live votes", async function () {
+    const stream = openStream(
+      server,
+      `/trips/${testTripIds["privateTripId"]}/stream?token=${getU2Token()}`
+    );
+    await stream.waitFor("event: ready");
+
+    await request(app)
+      .post(
+        `/trips/${testTripIds["privateTripId"]}/activities/${testActivityIds["a1"]}/vote`
+      )
+      .send({ voteValue: -1 })
+      .set("authorization", `Bearer ${getU1Token()}`);
+    await stream.waitFor("event: vote.changed");
+    stream.close();
+
+    const data = stream.received
+      .split("event: vote.changed\ndata: ")[1]
+      .split("\n")[0];
+    expect(JSON.parse(data)).toEqual(
+      expect.objectContaining({
+        activityId: testActivityIds["a1"],
+        voteValue: -1,
+        upvotes: 0,
+        downvotes: 1,
+      })
+    );
+  });
+
+  test("works: new activities", async function () {
+    const stream = openStream(
+      server,
+      `/trips/${testTripIds["privateTripId"]}/stream?token=${getU2Token()}`
+    );
+    await stream.waitFor("event: ready");
+
+    await request(app)
+      .post(`/trips/${testTripIds["privateTripId"]}/activities`)
+      .send({ name: "Louvre Museum" })
+      .set("authorization", `Bearer ${getU1Token()}`);
+    await stream.waitFor("event: activity.created");
+    stream.close();
+
+    expect(stream.received).toContain('"name":"Louvre Museum"');
+  });
+
+  test("forbidden for non-members", async function () {
+    const resp = await request(app)
+      .get(`/trips/${testTripIds["privateTripId"]}/stream`)
+      .set("authorization", `Bearer ${getU3Token()}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test("unauth with a bad token", async function () {
+    const resp = await request(app).get(
+      `/trips/${testTripIds["privateTripId"]}/stream?token=nope`
+    );
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("not found if no such trip", async function () {
+    const resp = await request(app)
+      .get(`/trips/0/stream`)
+      .set("authorization", `Bearer ${getU1Token()}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
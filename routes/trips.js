@@ -3,31 +3,70 @@
 /** Routes for trips. */
 
 const express = require("express");
-const { ensureLoggedIn } = require("../middleware/auth");
-const { validateSchema } = require("../middleware/validateSchema");
+const {
+  ensureLoggedIn,
+  ensureVerifiedEmail,
+  authenticateQueryToken,
+} = require("../middleware/auth");
+const {
+  validateSchema,
+  validateIdParams,
+} = require("../middleware/validateSchema");
 const {
   ensureTripExists,
-  ensureTripOwner,
-  ensureTripMember,
+  ensureTripPermission,
 } = require("../middleware/tripMiddleware");
+const { checkSession } = require("../middleware/session");
 const Trip = require("../models/trip");
 const TripMember = require("../models/tripMember");
 const Comment = require("../models/comment");
 const Activity = require("../models/activity");
 const Vote = require("../models/vote");
 const Friend = require("../models/friend");
+const TripInvite = require("../models/tripInvite");
+const TripJoinRequest = require("../models/tripJoinRequest");
+const Expense = require("../models/expense");
 
 const {
   NotFoundError,
   ForbiddenError,
   BadRequestError,
 } = require("../helpers/expressError");
-const { tripNewSchema, tripUpdateSchema } = require("../schemas/tripSchemas");
+const {
+  hasTripPermission,
+  canAssignTripRole,
+} = require("../helpers/tripRoles");
+const {
+  buildItinerary,
+  findScheduleConflicts,
+} = require("../helpers/schedule");
+const { buildCalendar, tripCalendarEvents } = require("../helpers/ical");
+const { openTripStream } = require("../helpers/tripStream");
+const {
+  tripNewSchema,
+  tripUpdateSchema,
+  tripTransferSchema,
+} = require("../schemas/tripSchemas");
+const { tripMemberRoleSchema } = require("../schemas/tripMemberSchemas");
 const {
   activityNewSchema,
   activityUpdateSchema,
 } = require("../schemas/activitySchemas");
 const { voteSchema } = require("../schemas/voteSchemas");
+const { tripInviteNewSchema } = require("../schemas/tripInviteSchemas");
+const {
+  tripJoinRequestNewSchema,
+} = require("../schemas/tripJoinRequestSchemas");
+const {
+  itineraryGenerateSchema,
+  itineraryCommitSchema,
+} = require("../schemas/itinerarySchemas");
+const { expenseNewSchema } = require("../schemas/expenseSchemas");
+const {
+  commentNewSchema,
+  commentUpdateSchema,
+  commentReactionSchema,
+} = require("../schemas/commentSchemas");
 
 const router = new express.Router();
 
@@ -35,8 +74,8 @@ const router = new express.Router();
  *
  * Creates a new trip and adds user as the owner for member_trip
  *
- * Request body: { title, destination, radius, startDate, endDate, isPrivate }
- * Returns: { id, title, destination, radius, startDate, endDate, isPrivate, createdAt, creatorId }
+ * Request body: { title, destination, radius, startDate, endDate, isPrivate, baseCurrency }
+ * Returns: { id, title, destination, radius, startDate, endDate, isPrivate, baseCurrency, createdAt, creatorId }
  *
  * Authorization required: Logged-in user
  */
@@ -64,9 +103,11 @@ router.post(
  *
  * If `isPrivate = true`, only members can see it.
  *
- * Returns: { id, title, destination, radius, startDate, endDate, isPrivate, createdAt, creatorId, activities: [{ id, name, category, description, location, scheduledTime, createdBy }, ...],
+ * Returns: { id, title, destination, radius, startDate, endDate, isPrivate, baseCurrency, createdAt, creatorId,
+ *   activities: [{ id, name, category, description, location, scheduledTime, endTime, status, createdBy }, ...] (accepted only),
+ *   proposedActivities: [{ id, name, category, description, location, scheduledTime, endTime, status, createdBy }, ...],
  *   members: [{ id, userId, username, firstName, lastName, email, profilePic, role }, ...],
- *   comments: [{ id, userId, tripId, text, createdAt }, ...] }
+ *   comments: [{ id, userId, username, tripId, activityId, parentId, text, createdAt, editedAt, isDeleted, mentions, reactions, replies: [...] }, ...] (trip-wide threads) }
  *
  * Authorization required: Logged in users - any for non-private trips, member-only for private trips.
  */
@@ -89,7 +130,7 @@ router.get(
   }
 );
 
-/** GET /trips  => { trips: [{ id, title, destination, radius, startDate, endDate, isPrivate, createdAt, creatorId }, ...] }
+/** GET /trips  => { trips: [{ id, title, destination, radius, startDate, endDate, isPrivate, baseCurrency, createdAt, creatorId }, ...] }
  *
  * Retrieves all public trips, with optional filters.
  *
@@ -97,7 +138,7 @@ router.get(
  *  - title
  *  - destination
  *
- * Returns: [{ id, title, destination, radius, startDate, endDate, isPrivate, createdAt, creatorId }, ...]
+ * Returns: [{ id, title, destination, radius, startDate, endDate, isPrivate, baseCurrency, createdAt, creatorId }, ...]
  *
  * Authorization required: Logged-in user
  */
@@ -115,16 +156,16 @@ router.get("/", ensureLoggedIn, async function (req, res, next) {
  *
  * Updates a trip.
  *
- * Request body: { title, destination, radius, startDate, endDate, isPrivate }
- * Returns: { id, title, destination, radius, startDate, endDate, isPrivate, createdAt, creatorId }
+ * Request body: { title, destination, radius, startDate, endDate, isPrivate, baseCurrency }
+ * Returns: { id, title, destination, radius, startDate, endDate, isPrivate, baseCurrency, createdAt, creatorId }
  *
- * Authorization required: Trip owner/member
+ * Authorization required: Trip owner, co-owner or editor
  */
 router.patch(
   "/:tripId",
   ensureLoggedIn,
   ensureTripExists,
-  ensureTripMember,
+  ensureTripPermission("editTrip"),
   validateSchema(tripUpdateSchema),
   async function (req, res, next) {
     try {
@@ -148,7 +189,7 @@ router.delete(
   "/:tripId",
   ensureLoggedIn,
   ensureTripExists,
-  ensureTripOwner,
+  ensureTripPermission("deleteTrip"),
   async function (req, res, next) {
     try {
       await Trip.remove(req.params.tripId);
@@ -165,24 +206,28 @@ router.delete(
  *
  * Adds a member to a trip.
  *
- * Request body: { friendId }
+ * Request body: { friendId, role } (role is optional and defaults to "member")
  * Returns: { id, userId, tripId, role, joinedAt }
  *
- * Authorization required: Trip owner - can only add friends
+ * Authorization required: Trip owner or co-owner - can only add their own friends.
+ *  Only the owner can add co-owners.
  */
 router.post(
   "/:tripId/members",
   ensureLoggedIn,
   ensureTripExists,
-  ensureTripOwner,
+  ensureTripPermission("manageMembers"),
   async function (req, res, next) {
     try {
-      const { friendId } = req.body;
+      const { friendId, role = "member" } = req.body;
       const { tripId } = req.params;
       const userId = res.locals.user.id;
       if (!friendId || typeof friendId !== "number") {
         throw new BadRequestError("Invalid or missing friendId.");
       }
+      if (!canAssignTripRole(res.locals.tripMember.role, role)) {
+        throw new ForbiddenError(`You cannot add members as ${role}.`);
+      }
 
       //  check if the owner is friends with the friendId
       const areFriends = await Friend.areFriends(userId, friendId);
@@ -192,7 +237,12 @@ router.post(
         );
       }
 
-      const newMember = await TripMember.addMember(friendId, tripId);
+      const newMember = await TripMember.addMember(
+        friendId,
+        tripId,
+        role,
+        res.locals.user.id
+      );
       return res.status(201).json({ member: newMember });
     } catch (err) {
       return next(err);
@@ -200,21 +250,70 @@ router.post(
   }
 );
 
+/** PATCH /trips/:tripId/members/:memberId  =>  { member }
+ *
+ * Changes a member's role.
+ *
+ * Request body: { role } - one of co-owner, editor, member, viewer
+ * Returns: { id, userId, tripId, role }
+ *
+ * Authorization required: Trip owner or co-owner. Only the owner can appoint
+ *  or demote co-owners, and the owner's own role cannot be changed here.
+ */
+router.patch(
+  "/:tripId/members/:memberId",
+  ensureLoggedIn,
+  ensureTripExists,
+  ensureTripPermission("manageMembers"),
+  validateIdParams("memberId"),
+  validateSchema(tripMemberRoleSchema),
+  async function (req, res, next) {
+    try {
+      const actorRole = res.locals.tripMember.role;
+      const target = await TripMember.getMember(
+        Number(req.params.memberId),
+        req.params.tripId
+      );
+
+      if (
+        !canAssignTripRole(actorRole, target.role) ||
+        !canAssignTripRole(actorRole, req.body.role)
+      ) {
+        throw new ForbiddenError(
+          `You cannot change a ${target.role} to ${req.body.role}.`
+        );
+      }
+
+      const member = await TripMember.updateRole(target.id, req.body.role);
+      return res.json({ member });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
 /** DELETE /trips/:tripId/members/:memberId  =>  { removed: true }
  *
  * Removes a member from a trip.
  *
- * Authorization required: Trip owner.
+ * Authorization required: Trip owner or co-owner. The owner cannot be removed,
+ *  and only the owner can remove co-owners.
  */
 router.delete(
   "/:tripId/members/:memberId",
   ensureLoggedIn,
   ensureTripExists,
-  ensureTripOwner,
+  ensureTripPermission("manageMembers"),
+  validateIdParams("memberId"),
   async function (req, res, next) {
     try {
       const memberId = Number(req.params.memberId);
 
+      const target = await TripMember.getMember(memberId, req.params.tripId);
+      if (!canAssignTripRole(res.locals.tripMember.role, target.role)) {
+        throw new ForbiddenError(`You cannot remove the trip ${target.role}.`);
+      }
+
       await TripMember.removeMember(memberId);
 
       return res.json({ removed: memberId });
@@ -224,242 +323,1182 @@ router.delete(
   }
 );
 
-/************************************** Handles comments within a trip  */
-
-/**
- * POST /trips/:tripId/comments  => { comment }
+/** POST /trips/:tripId/transfer-ownership  =>  { trip }
  *
- * Adds a comment to a trip.
+ * Hands the trip to another member. The previous owner stays on as a co-owner.
  *
- * Request body: {  text }
- * Returns: { id, tripId, userId, text, createdAt }
+ * Request body: { newOwnerId } - the user id of an existing trip member
+ * Returns: { id, title, destination, radius, startDate, endDate, isPrivate, baseCurrency, createdAt, creatorId }
  *
- * Authorization required: Trip member
+ * Authorization required: Trip owner
  */
 router.post(
-  "/:tripId/comments",
+  "/:tripId/transfer-ownership",
   ensureLoggedIn,
   ensureTripExists,
-  ensureTripMember,
+  ensureTripPermission("transferOwnership"),
+  validateSchema(tripTransferSchema),
   async function (req, res, next) {
     try {
-      if (!req.body.text || req.body.text.trim() === "") {
-        throw new BadRequestError("Comment text cannot be empty.");
-      }
-      const newComment = await Comment.create({
-        tripId: req.params.tripId,
-        userId: res.locals.user.id,
-        text: req.body.text,
-      });
-
-      return res.status(201).json({ comment: newComment });
+      const trip = await Trip.transferOwnership(
+        Number(req.params.tripId),
+        req.body.newOwnerId
+      );
+      return res.json({ trip });
     } catch (err) {
       return next(err);
     }
   }
 );
 
-/** DELETE /trips/:tripId/comments/:commentId  => { deleted: commentId }
- *
- * Deletes a comment
+/** POST /trips/:tripId/leave  =>  { left: tripId }
  *
- * Returns: { deleted: commentId }
+ * Removes the logged-in user from a trip. Owners must transfer ownership first.
  *
- * Authorization required: Logged in, comment owner
+ * Authorization required: Trip member
  */
-router.delete(
-  "/:tripId/comments/:commentId",
+router.post(
+  "/:tripId/leave",
   ensureLoggedIn,
-  ensureTripMember,
   ensureTripExists,
+  ensureTripPermission("view"),
   async function (req, res, next) {
     try {
-      const { tripId, commentId } = req.params;
-      const userId = res.locals.user.id;
-
-      const comment = await Comment.get(commentId);
-
-      // make sure the comment belongs to the correct trip
-      if (comment.tripId !== Number(tripId)) {
-        throw new ForbiddenError("Comment does not belong to this trip.");
-      }
-
-      // make sure the user is the owner of the comment
-      if (comment.userId !== userId) {
-        throw new ForbiddenError(
-          "You are not authorized to delete this comment."
+      const { tripMember } = res.locals;
+      if (tripMember.role === "owner") {
+        throw new BadRequestError(
+          "The trip owner must transfer ownership before leaving."
         );
       }
 
-      await Comment.remove(commentId);
-      return res.json({ deleted: commentId });
+      await TripMember.removeMember(tripMember.id);
+      return res.json({ left: req.params.tripId });
     } catch (err) {
       return next(err);
     }
   }
 );
 
-/************************************** Handles activities within a trip  */
+/************************************** Handles trip invites  */
 
-/** POST /trips/:tripId/activities  => { activity }
+/** POST /trips/join/:code  => { member }
  *
- * Creates a new activity within a trip
+ * Joins a trip using an invite code. The caller does not need to be friends
+ * with the trip owner.
+ *
+ * Returns: { id, userId, tripId, role }
+ *
+ * Authorization required: Logged-in user
+ */
+router.post("/join/:code", ensureLoggedIn, async function (req, res, next) {
+  try {
+    const member = await TripInvite.redeem(
+      req.params.code.toUpperCase(),
+      res.locals.user.id
+    );
+    return res.status(201).json({ member });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** POST /trips/:tripId/invites  => { invite }
+ *
+ * Generates a new invite code for a trip.
  *
- * Request body: { name, category, description, location, scheduledTime }
- * Returns: { id, tripId, name, category, description, location, scheduledTime, createdBy, createdAt }
+ * Request body: { expiresInHours, maxUses } (both optional; defaults to 7 days and unlimited uses)
+ * Returns: { id, tripId, code, createdBy, expiresAt, maxUses, useCount, revokedAt, createdAt }
  *
- * Authorization required: trip member
+ * Authorization required: Trip owner or co-owner
  */
 router.post(
-  "/:tripId/activities",
+  "/:tripId/invites",
   ensureLoggedIn,
   ensureTripExists,
-  ensureTripMember,
-  validateSchema(activityNewSchema),
+  ensureTripPermission("manageMembers"),
+  validateSchema(tripInviteNewSchema),
   async function (req, res, next) {
     try {
-      const newActivity = await Activity.create({
+      const invite = await TripInvite.create({
         tripId: req.params.tripId,
-        name: req.body.name,
-        category: req.body.category,
-        description: req.body.description,
-        location: req.body.location,
-        scheduledTime: req.body.scheduledTime,
         createdBy: res.locals.user.id,
+        expiresInHours: req.body.expiresInHours,
+        maxUses: req.body.maxUses,
       });
-
-      return res.status(201).json({ activity: newActivity });
+      return res.status(201).json({ invite });
     } catch (err) {
       return next(err);
     }
   }
 );
 
-/** GET /:tripId/activities  => { activity }
+/** GET /trips/:tripId/invites  => { invites }
  *
- * Returns all activity details for a trip, including votes.
+ * Returns all invite codes for a trip, including expired and revoked ones.
  *
- * Returns: [{ id, tripId, name, category, description, location, scheduledTime, createdBy, createdAt, votes: [{ userId, voteValue }, ...] }, ...]
+ * Returns: [{ id, tripId, code, createdBy, expiresAt, maxUses, useCount, revokedAt, createdAt }, ...]
  *
- * Authorization required: Public if trip is public, else trip member.
+ * Authorization required: Trip owner or co-owner
  */
 router.get(
-  "/:tripId/activities",
+  "/:tripId/invites",
   ensureLoggedIn,
+  ensureTripExists,
+  ensureTripPermission("manageMembers"),
   async function (req, res, next) {
     try {
-      const { tripId } = req.params;
+      const invites = await TripInvite.getInvitesByTrip(req.params.tripId);
+      return res.json({ invites });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
 
-      // Fetch trip details to check access permissions
-      const trip = await Trip.get(tripId);
+/** DELETE /trips/:tripId/invites/:inviteId  => { invite }
+ *
+ * Revokes an invite code.
+ *
+ * Returns: { id, tripId, code, createdBy, expiresAt, maxUses, useCount, revokedAt, createdAt }
+ *
+ * Authorization required: Trip owner or co-owner
+ */
+router.delete(
+  "/:tripId/invites/:inviteId",
+  ensureLoggedIn,
+  ensureTripExists,
+  ensureTripPermission("manageMembers"),
+  validateIdParams("inviteId"),
+  async function (req, res, next) {
+    try {
+      const invite = await TripInvite.revoke(
+        Number(req.params.inviteId),
+        req.params.tripId
+      );
+      return res.json({ invite });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
 
-      // If trip is private, check if user is a member
-      if (trip.isPrivate) {
-        const member = await TripMember.isMember(res.locals.user.id, trip.id);
-        if (!member) {
-          throw new ForbiddenError("Unauthorized to view this activity.");
-        }
-      }
+/************************************** Handles requests to join public trips  */
 
-      // Fetch all activities for the trip
-      const activities = await Activity.getActivitiesByTrip(tripId);
-      return res.json({ activities });
+/** POST /trips/:tripId/join-requests  => { joinRequest }
+ *
+ * Asks to join a public trip.
+ *
+ * Request body: { message } (optional)
+ * Returns: { id, tripId, userId, message, status, createdAt, respondedAt }
+ *
+ * Authorization required: Logged-in user with a verified email who is not already a member
+ */
+router.post(
+  "/:tripId/join-requests",
+  ensureVerifiedEmail,
+  ensureTripExists,
+  validateSchema(tripJoinRequestNewSchema),
+  async function (req, res, next) {
+    try {
+      const joinRequest = await TripJoinRequest.create({
+        tripId: req.params.tripId,
+        userId: res.locals.user.id,
+        message: req.body.message,
+      });
+      return res.status(201).json({ joinRequest });
     } catch (err) {
       return next(err);
     }
   }
 );
 
+/** GET /trips/:tripId/join-requests  => { joinRequests }
+ *
+ * Returns the pending requests to join a trip.
+ *
+ * Returns: [{ id, tripId, userId, username, firstName, lastName, profilePic, message, status, createdAt }, ...]
+ *
+ * Authorization required: Trip owner or co-owner
+ */
+router.get(
+  "/:tripId/join-requests",
+  ensureLoggedIn,
+  ensureTripExists,
+  ensureTripPermission("manageMembers"),
+  async function (req, res, next) {
+    try {
+      const joinRequests = await TripJoinRequest.getPendingByTrip(
+        req.params.tripId
+      );
+      return res.json({ joinRequests });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
 
-/** PATCH /trips/:tripId/activities/:activityId   => { activity }
+/** POST /trips/:tripId/join-requests/:requestId/approve  => { joinRequest, member }
  *
- * Updates an activity.
+ * Approves a pending request and adds the requester to the trip.
  *
- * Request body: { name, category, description, location, scheduledTime }
- * Returns: { id, tripId, name, category, description, location, scheduledTime, createdBy, createdAt }
+ * Returns: { joinRequest: { id, tripId, userId, message, status, createdAt, respondedAt },
+ *   member: { id, userId, tripId, role } }
  *
- * Authorization required: Must be a trip member.
+ * Authorization required: Trip owner or co-owner
  */
-router.patch(
-  "/:tripId/activities/:activityId",
+router.post(
+  "/:tripId/join-requests/:requestId/approve",
   ensureLoggedIn,
   ensureTripExists,
-  ensureTripMember,
-  validateSchema(activityUpdateSchema),
+  ensureTripPermission("manageMembers"),
+  validateIdParams("requestId"),
   async function (req, res, next) {
     try {
-      const activity = await Activity.get(req.params.activityId);
+      const { joinRequest, member } = await TripJoinRequest.approve(
+        Number(req.params.requestId),
+        req.params.tripId,
+        res.locals.user.id
+      );
+      return res.json({ joinRequest, member });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
 
-      if (activity.tripId !== Number(req.params.tripId)) {
-        throw new ForbiddenError("Activity does not belong to this trip.");
-      }
-      const updatedActivity = await Activity.update(
-        req.params.activityId,
-        req.body
+/** POST /trips/:tripId/join-requests/:requestId/deny  => { joinRequest }
+ *
+ * Denies a pending request.
+ *
+ * Returns: { id, tripId, userId, message, status, createdAt, respondedAt }
+ *
+ * Authorization required: Trip owner or co-owner
+ */
+router.post(
+  "/:tripId/join-requests/:requestId/deny",
+  ensureLoggedIn,
+  ensureTripExists,
+  ensureTripPermission("manageMembers"),
+  validateIdParams("requestId"),
+  async function (req, res, next) {
+    try {
+      const joinRequest = await TripJoinRequest.deny(
+        Number(req.params.requestId),
+        req.params.tripId
       );
-      return res.json({ activity: updatedActivity });
+      return res.json({ joinRequest });
     } catch (err) {
       return next(err);
     }
   }
 );
 
-/** DELETE /trips/:tripId/activities/:activityId   => { deleted: activityId }
+/** DELETE /trips/:tripId/join-requests/:requestId  => { joinRequest }
  *
- * Deletes an activity.
+ * Cancels a pending request.
  *
- * Returns: { deleted: activityId }
+ * Returns: { id, tripId, userId, message, status, createdAt, respondedAt }
  *
- * Authorization required: trip member
+ * Authorization required: The user who made the request
  */
 router.delete(
-  "/:tripId/activities/:activityId",
+  "/:tripId/join-requests/:requestId",
   ensureLoggedIn,
   ensureTripExists,
-  ensureTripMember,
+  validateIdParams("requestId"),
   async function (req, res, next) {
     try {
-      const activity = await Activity.get(req.params.activityId);
-      if (activity.tripId !== Number(req.params.tripId)) {
-        throw new ForbiddenError("Activity does not belong to this trip.");
+      const requestId = Number(req.params.requestId);
+      const existing = await TripJoinRequest.get(
+        requestId,
+        req.params.tripId
+      );
+      if (existing.userId !== res.locals.user.id) {
+        throw new ForbiddenError(
+          "You can only cancel your own join requests."
+        );
       }
 
-      await Activity.remove(req.params.activityId);
-      return res.json({ deleted: req.params.activityId });
+      const joinRequest = await TripJoinRequest.cancel(
+        requestId,
+        req.params.tripId
+      );
+      return res.json({ joinRequest });
     } catch (err) {
       return next(err);
     }
   }
 );
 
-/** POST /trips/:tripId/activities/:activityId/vote   => { vote }
+/************************************** Handles comments within a trip  */
+
+/**
+ * POST /trips/:tripId/comments  => { comment }
  *
- * Casts or updates a vote on an activity.
+ * Adds a trip-wide comment, or a reply to one when parentId is given.
+ * @username mentions of trip members are saved with the comment.
  *
- * Request body: { voteValue }
- * Returns: { userId, activityId, voteValue }
+ * Request body: { text, parentId }
+ * Returns: { id, tripId, userId, activityId, parentId, text, createdAt, editedAt, isDeleted, mentions: [{ userId, username }, ...] }
  *
- * Authorization required: Must be a trip member.
+ * Authorization required: Trip member (not viewers)
  */
 router.post(
-  "/:tripId/activities/:activityId/vote",
+  "/:tripId/comments",
   ensureLoggedIn,
   ensureTripExists,
-  ensureTripMember,
-  validateSchema(voteSchema),
+  ensureTripPermission("comment"),
+  validateSchema(commentNewSchema),
   async function (req, res, next) {
     try {
-      const activity = await Activity.get(req.params.activityId);
-      if (activity.tripId !== Number(req.params.tripId)) {
-        throw new ForbiddenError("Activity does not belong to this trip.");
+      const newComment = await Comment.create({
+        tripId: req.params.tripId,
+        userId: res.locals.user.id,
+        parentId: req.body.parentId,
+        text: req.body.text,
+      });
+
+      return res.status(201).json({ comment: newComment });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/** PATCH /trips/:tripId/comments/:commentId  => { comment }
+ *
+ * Edits a comment. The previous text is kept in the comment's revision
+ * history and the comment is marked as edited (editedAt).
+ *
+ * Request body: { text }
+ * Returns: { id, tripId, userId, activityId, parentId, text, createdAt, editedAt, isDeleted, mentions: [{ userId, username }, ...] }
+ *
+ * Authorization required: Comment author (not viewers)
+ */
+router.patch(
+  "/:tripId/comments/:commentId",
+  ensureLoggedIn,
+  ensureTripExists,
+  ensureTripPermission("comment"),
+  validateIdParams("commentId"),
+  validateSchema(commentUpdateSchema),
+  async function (req, res, next) {
+    try {
+      const comment = await Comment.get(req.params.commentId);
+
+      if (comment.tripId !== Number(req.params.tripId)) {
+        throw new ForbiddenError("Comment does not belong to this trip.");
+      }
+      if (comment.userId !== res.locals.user.id) {
+        throw new ForbiddenError("You can only edit your own comments.");
       }
 
-      const vote = await Vote.castVote(
-        res.locals.user.id,
-        req.params.activityId,
-        req.body.voteValue
-      );
-      return res.json({ vote });
+      const updated = await Comment.update(comment.id, { text: req.body.text });
+      return res.json({ comment: updated });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/** GET /trips/:tripId/comments/:commentId/revisions  => { revisions }
+ *
+ * Lists the earlier versions of an edited comment, oldest first.
+ *
+ * Returns: [{ id, commentId, text, writtenAt, replacedAt }, ...]
+ *
+ * Authorization required: Trip member
+ */
+router.get(
+  "/:tripId/comments/:commentId/revisions",
+  ensureLoggedIn,
+  ensureTripExists,
+  ensureTripPermission("view"),
+  validateIdParams("commentId"),
+  async function (req, res, next) {
+    try {
+      const comment = await Comment.get(req.params.commentId);
+      if (comment.tripId !== Number(req.params.tripId)) {
+        throw new ForbiddenError("Comment does not belong to this trip.");
+      }
+
+      const revisions = await Comment.getRevisions(comment.id);
+      return res.json({ revisions });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/** DELETE /trips/:tripId/comments/:commentId  => { deleted: commentId }
+ *
+ * Deletes a comment. Deleted comments stay in their thread as a "[deleted]"
+ * placeholder while they have replies.
+ *
+ * Returns: { deleted: commentId }
+ *
+ * Authorization required: Logged in, trip member, comment owner; the trip
+ * owner or co-owner can delete anyone's comment.
+ */
+router.delete(
+  "/:tripId/comments/:commentId",
+  ensureLoggedIn,
+  ensureTripExists,
+  ensureTripPermission("view"),
+  validateIdParams("commentId"),
+  async function (req, res, next) {
+    try {
+      const { tripId, commentId } = req.params;
+      const userId = res.locals.user.id;
+
+      const comment = await Comment.get(commentId);
+
+      // make sure the comment belongs to the correct trip
+      if (comment.tripId !== Number(tripId)) {
+        throw new ForbiddenError("Comment does not belong to this trip.");
+      }
+
+      // make sure the user is the owner of the comment, or a moderator
+      if (
+        comment.userId !== userId &&
+        !hasTripPermission(res.locals.tripMember.role, "moderateComments")
+      ) {
+        throw new ForbiddenError(
+          "You are not authorized to delete this comment."
+        );
+      }
+
+      await Comment.remove(commentId, userId);
+      return res.json({ deleted: commentId });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/** POST /trips/:tripId/comments/:commentId/reactions  => { reaction }
+ *
+ * Reacts to a comment with an emoji. Reacting again with the same emoji has
+ * no further effect.
+ *
+ * Request body: { emoji }
+ * Returns: { commentId, userId, emoji }
+ *
+ * Authorization required: Trip member (not viewers)
+ */
+router.post(
+  "/:tripId/comments/:commentId/reactions",
+  ensureLoggedIn,
+  ensureTripExists,
+  ensureTripPermission("comment"),
+  validateIdParams("commentId"),
+  validateSchema(commentReactionSchema),
+  async function (req, res, next) {
+    try {
+      const comment = await Comment.get(req.params.commentId);
+      if (comment.tripId !== Number(req.params.tripId)) {
+        throw new ForbiddenError("Comment does not belong to this trip.");
+      }
+
+      const reaction = await Comment.addReaction(
+        comment.id,
+        res.locals.user.id,
+        req.body.emoji
+      );
+      return res.status(201).json({ reaction });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/** DELETE /trips/:tripId/comments/:commentId/reactions/:emoji  => { removed: emoji }
+ *
+ * Takes back the logged-in user's emoji reaction. The emoji must be URL-encoded.
+ *
+ * Authorization required: Trip member
+ */
+router.delete(
+  "/:tripId/comments/:commentId/reactions/:emoji",
+  ensureLoggedIn,
+  ensureTripExists,
+  ensureTripPermission("view"),
+  validateIdParams("commentId"),
+  async function (req, res, next) {
+    try {
+      const comment = await Comment.get(req.params.commentId);
+      if (comment.tripId !== Number(req.params.tripId)) {
+        throw new ForbiddenError("Comment does not belong to this trip.");
+      }
+
+      await Comment.removeReaction(
+        comment.id,
+        res.locals.user.id,
+        req.params.emoji
+      );
+      return res.json({ removed: req.params.emoji });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/** GET /trips/:tripId/activities/:activityId/comments  => { comments }
+ *
+ * Returns the discussion about one activity, as threads of replies.
+ *
+ * Returns: [{ id, userId, username, tripId, activityId, parentId, text, createdAt, editedAt, isDeleted,
+ *            mentions: [{ userId, username }, ...], reactions: [{ emoji, count }, ...], replies: [{ ... }, ...] }, ...]
+ *
+ * Authorization required: Public if trip is public, else trip member.
+ */
+router.get(
+  "/:tripId/activities/:activityId/comments",
+  ensureLoggedIn,
+  ensureTripExists,
+  validateIdParams("activityId"),
+  async function (req, res, next) {
+    try {
+      const trip = await Trip.get(req.params.tripId);
+      if (trip.isPrivate) {
+        const member = await TripMember.isMember(res.locals.user.id, trip.id);
+        if (!member) {
+          throw new ForbiddenError("Unauthorized to view this activity.");
+        }
+      }
+
+      const activity = await Activity.get(req.params.activityId);
+      if (activity.tripId !== trip.id) {
+        throw new ForbiddenError("Activity does not belong to this trip.");
+      }
+
+      const comments = await Comment.getCommentsByActivity(activity.id);
+      return res.json({ comments });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/** POST /trips/:tripId/activities/:activityId/comments  => { comment }
+ *
+ * Comments on an activity, or replies to a comment on it when parentId is given.
+ *
+ * Request body: { text, parentId }
+ * Returns: { id, tripId, userId, activityId, parentId, text, createdAt, editedAt, isDeleted, mentions: [{ userId, username }, ...] }
+ *
+ * Authorization required: Trip member (not viewers)
+ */
+router.post(
+  "/:tripId/activities/:activityId/comments",
+  ensureLoggedIn,
+  ensureTripExists,
+  ensureTripPermission("comment"),
+  validateIdParams("activityId"),
+  validateSchema(commentNewSchema),
+  async function (req, res, next) {
+    try {
+      const activity = await Activity.get(req.params.activityId);
+      if (activity.tripId !== Number(req.params.tripId)) {
+        throw new ForbiddenError("Activity does not belong to this trip.");
+      }
+
+      const comment = await Comment.create({
+        tripId: activity.tripId,
+        activityId: activity.id,
+        userId: res.locals.user.id,
+        parentId: req.body.parentId,
+        text: req.body.text,
+      });
+      return res.status(201).json({ comment });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/************************************** Handles activities within a trip  */
+
+/** POST /trips/:tripId/activities  => { activity }
+ *
+ * Creates a new activity within a trip
+ *
+ * Request body: { name, category, description, location, scheduledTime, endTime }
+ * Returns: { id, tripId, name, category, description, location, scheduledTime, endTime, status, createdBy, createdAt }
+ *
+ * Authorization required: Trip member (not viewers)
+ */
+router.post(
+  "/:tripId/activities",
+  ensureLoggedIn,
+  ensureTripExists,
+  ensureTripPermission("addActivity"),
+  validateSchema(activityNewSchema),
+  async function (req, res, next) {
+    try {
+      const newActivity = await Activity.create({
+        tripId: req.params.tripId,
+        name: req.body.name,
+        category: req.body.category,
+        description: req.body.description,
+        location: req.body.location,
+        scheduledTime: req.body.scheduledTime,
+        endTime: req.body.endTime,
+        createdBy: res.locals.user.id,
+      });
+
+      return res.status(201).json({ activity: newActivity });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/** GET /:tripId/activities  => { activity }
+ *
+ * Returns all activity details for a trip, including votes.
+ *
+ * Optional query parameters:
+ *  - status ("proposed", "accepted" or "rejected")
+ *
+ * Returns: [{ id, tripId, name, category, description, location, scheduledTime, endTime, status, createdBy, createdAt, votes: [{ userId, voteValue }, ...] }, ...]
+ *
+ * Authorization required: Public if trip is public, else trip member.
+ */
+router.get(
+  "/:tripId/activities",
+  ensureLoggedIn,
+  async function (req, res, next) {
+    try {
+      const { tripId } = req.params;
+
+      // Fetch trip details to check access permissions
+      const trip = await Trip.get(tripId);
+
+      // If trip is private, check if user is a member
+      if (trip.isPrivate) {
+        const member = await TripMember.isMember(res.locals.user.id, trip.id);
+        if (!member) {
+          throw new ForbiddenError("Unauthorized to view this activity.");
+        }
+      }
+
+      // Fetch all activities for the trip
+      const activities = await Activity.getActivitiesByTrip(
+        tripId,
+        req.query.status
+      );
+      return res.json({ activities });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+
+/** PATCH /trips/:tripId/activities/:activityId   => { activity }
+ *
+ * Updates an activity.
+ *
+ * Request body: { name, category, description, location, scheduledTime, endTime }
+ * Returns: { id, tripId, name, category, description, location, scheduledTime, endTime, status, createdBy, createdAt }
+ *
+ * Authorization required: Activity creator, or trip owner, co-owner or editor.
+ */
+router.patch(
+  "/:tripId/activities/:activityId",
+  ensureLoggedIn,
+  ensureTripExists,
+  ensureTripPermission("addActivity"),
+  validateSchema(activityUpdateSchema),
+  async function (req, res, next) {
+    try {
+      const activity = await Activity.get(req.params.activityId);
+
+      if (activity.tripId !== Number(req.params.tripId)) {
+        throw new ForbiddenError("Activity does not belong to this trip.");
+      }
+      // members may only change their own activities
+      if (
+        activity.createdBy !== res.locals.user.id &&
+        !hasTripPermission(res.locals.tripMember.role, "manageActivities")
+      ) {
+        throw new ForbiddenError(
+          "You can only change activities that you created."
+        );
+      }
+
+      const updatedActivity = await Activity.update(
+        req.params.activityId,
+        req.body
+      );
+      return res.json({ activity: updatedActivity });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/** DELETE /trips/:tripId/activities/:activityId   => { deleted: activityId }
+ *
+ * Deletes an activity.
+ *
+ * Returns: { deleted: activityId }
+ *
+ * Authorization required: Activity creator, or trip owner, co-owner or editor
+ */
+router.delete(
+  "/:tripId/activities/:activityId",
+  ensureLoggedIn,
+  ensureTripExists,
+  ensureTripPermission("addActivity"),
+  async function (req, res, next) {
+    try {
+      const activity = await Activity.get(req.params.activityId);
+      if (activity.tripId !== Number(req.params.tripId)) {
+        throw new ForbiddenError("Activity does not belong to this trip.");
+      }
+      // members may only change their own activities
+      if (
+        activity.createdBy !== res.locals.user.id &&
+        !hasTripPermission(res.locals.tripMember.role, "manageActivities")
+      ) {
+        throw new ForbiddenError(
+          "You can only change activities that you created."
+        );
+      }
+
+      await Activity.remove(req.params.activityId);
+      return res.json({ deleted: req.params.activityId });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/** POST /trips/:tripId/activities/:activityId/accept   => { activity }
+ *
+ * Moves an activity onto the trip's agreed itinerary.
+ *
+ * Returns: { id, tripId, name, category, description, location, scheduledTime, endTime, status, createdBy, createdAt }
+ *
+ * Authorization required: Trip owner, co-owner or editor.
+ */
+router.post(
+  "/:tripId/activities/:activityId/accept",
+  ensureLoggedIn,
+  ensureTripExists,
+  ensureTripPermission("manageActivities"),
+  validateIdParams("activityId"),
+  async function (req, res, next) {
+    try {
+      const activity = await Activity.get(req.params.activityId);
+      if (activity.tripId !== Number(req.params.tripId)) {
+        throw new ForbiddenError("Activity does not belong to this trip.");
+      }
+
+      const accepted = await Activity.setStatus(activity.id, "accepted");
+      return res.json({ activity: accepted });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/** POST /trips/:tripId/activities/:activityId/reject   => { activity }
+ *
+ * Rejects a proposed (or previously accepted) activity.
+ *
+ * Returns: { id, tripId, name, category, description, location, scheduledTime, endTime, status, createdBy, createdAt }
+ *
+ * Authorization required: Trip owner, co-owner or editor.
+ */
+router.post(
+  "/:tripId/activities/:activityId/reject",
+  ensureLoggedIn,
+  ensureTripExists,
+  ensureTripPermission("manageActivities"),
+  validateIdParams("activityId"),
+  async function (req, res, next) {
+    try {
+      const activity = await Activity.get(req.params.activityId);
+      if (activity.tripId !== Number(req.params.tripId)) {
+        throw new ForbiddenError("Activity does not belong to this trip.");
+      }
+
+      const rejected = await Activity.setStatus(activity.id, "rejected");
+      return res.json({ activity: rejected });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/** POST /trips/:tripId/activities/:activityId/vote   => { vote }
+ *
+ * Casts or updates a vote on an activity.
+ *
+ * Request body: { voteValue }
+ * Returns: { userId, activityId, voteValue }
+ *
+ * Authorization required: Trip member (not viewers).
+ */
+router.post(
+  "/:tripId/activities/:activityId/vote",
+  ensureLoggedIn,
+  ensureTripExists,
+  ensureTripPermission("vote"),
+  validateSchema(voteSchema),
+  async function (req, res, next) {
+    try {
+      const activity = await Activity.get(req.params.activityId);
+      if (activity.tripId !== Number(req.params.tripId)) {
+        throw new ForbiddenError("Activity does not belong to this trip.");
+      }
+
+      const vote = await Vote.castVote(
+        res.locals.user.id,
+        req.params.activityId,
+        req.body.voteValue
+      );
+      return res.json({ vote });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/************************************** Handles the itinerary builder and schedule checks  */
+
+/** POST /trips/:tripId/itinerary/generate  => { itinerary }
+ *
+ * Proposes a schedule from the trip's votes. Activities that have not been
+ * rejected are ranked by net score (upvotes - downvotes) and spread over the
+ * days between the trip's start and end date without overlapping.
+ * Nothing is saved; send the schedule to /itinerary/commit to keep it.
+ *
+ * Request body (all optional): { dayStartHour, dayEndHour, slotMinutes, minScore }
+ * Returns: { scheduled: [{ activityId, name, netScore, day, scheduledTime, endTime }, ...],
+ *            unscheduled: [{ activityId, name, netScore, reason }, ...] }
+ *
+ * Authorization required: Trip member
+ */
+router.post(
+  "/:tripId/itinerary/generate",
+  ensureLoggedIn,
+  ensureTripExists,
+  ensureTripPermission("view"),
+  validateSchema(itineraryGenerateSchema),
+  async function (req, res, next) {
+    try {
+      const trip = await Trip.get(req.params.tripId);
+      const activities = await Activity.getActivitiesByTrip(trip.id);
+
+      const candidates = [];
+      for (let activity of activities) {
+        if (activity.status === "rejected") continue;
+        const { upvotes, downvotes } = await Vote.getVotesForActivity(
+          activity.id
+        );
+        candidates.push({
+          id: activity.id,
+          name: activity.name,
+          netScore: upvotes - downvotes,
+          durationMinutes:
+            activity.scheduledTime && activity.endTime
+              ? (activity.endTime - activity.scheduledTime) / 60000
+              : null,
+        });
+      }
+
+      const itinerary = buildItinerary(candidates, {
+        ...req.body,
+        startDate: trip.startDate,
+        endDate: trip.endDate,
+      });
+      return res.json({ itinerary });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/** POST /trips/:tripId/itinerary/commit  => { activities }
+ *
+ * Saves a (possibly hand-tweaked) generated schedule to the activities'
+ * scheduled times. Either every activity is updated or none are.
+ *
+ * Request body: { schedule: [{ activityId, scheduledTime, endTime }, ...] }
+ *  endTime is optional; without it the activity keeps its current duration.
+ * Returns: { activities: [{ id, tripId, name, category, description, location, scheduledTime, endTime, status, createdBy, createdAt }, ...] }
+ *
+ * Authorization required: Trip owner, co-owner or editor.
+ */
+router.post(
+  "/:tripId/itinerary/commit",
+  ensureLoggedIn,
+  ensureTripExists,
+  ensureTripPermission("manageActivities"),
+  validateSchema(itineraryCommitSchema),
+  async function (req, res, next) {
+    try {
+      const activities = await Activity.setScheduledTimes(
+        req.params.tripId,
+        req.body.schedule
+      );
+      return res.json({ activities });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/** GET /trips/:tripId/conflicts  => { conflicts }
+ *
+ * Reports scheduling problems: pairs of activities whose times overlap and
+ * activities that fall outside the trip's dates. Rejected activities are
+ * not included.
+ *
+ * Returns: { overlapping: [{ activities: [{ id, name, scheduledTime, endTime }, { ... }] }, ...],
+ *            outOfRange: [{ id, name, scheduledTime, endTime }, ...] }
+ *
+ * Authorization required: Trip member
+ */
+router.get(
+  "/:tripId/conflicts",
+  ensureLoggedIn,
+  ensureTripExists,
+  ensureTripPermission("view"),
+  async function (req, res, next) {
+    try {
+      const trip = await Trip.get(req.params.tripId);
+      const activities = await Activity.getActivitiesByTrip(trip.id);
+
+      const conflicts = findScheduleConflicts(
+        activities.filter((a) => a.status !== "rejected"),
+        trip
+      );
+      return res.json({ conflicts });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/** GET /trips/:tripId/calendar.ics  => text/calendar
+ *
+ * Exports the trip as an iCalendar file: an all-day event for the trip dates
+ * and an event for every scheduled activity that hasn't been rejected.
+ * Proposed activities are marked tentative.
+ *
+ * To subscribe to every trip from a calendar app, see POST /users/:username/calendar-token.
+ *
+ * Authorization required: Logged in users - any for non-private trips, member-only for private trips.
+ */
+router.get(
+  "/:tripId/calendar.ics",
+  ensureLoggedIn,
+  ensureTripExists,
+  async function (req, res, next) {
+    try {
+      const trip = await Trip.get(req.params.tripId);
+      const member = await TripMember.isMember(res.locals.user.id, trip.id);
+
+      if (trip.isPrivate && !member) {
+        throw new ForbiddenError("Unauthorized to view this trip.");
+      }
+
+      const activities = await Activity.getActivitiesByTrip(trip.id);
+      const calendar = buildCalendar({
+        name: trip.title,
+        events: tripCalendarEvents(trip, activities),
+      });
+
+      res.type("text/calendar");
+      res.attachment(`trip-${trip.id}.ics`);
+      return res.send(calendar);
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/************************************** Handles live trip updates  */
+
+/** GET /trips/:tripId/stream  => text/event-stream
+ *
+ * Streams the trip's changes as Server-Sent Events while the connection is
+ * open: activity.created, activity.updated, activity.deleted, vote.changed,
+ * comment.created, comment.updated, comment.deleted, tripMember.added,
+ * tripMember.updated and tripMember.removed. Each event's data is the
+ * changed record as JSON. A "ready" event is sent once the stream is open.
+ *
+ * EventSource can't send headers, so the token may also be passed as ?token=.
+ * The stream ends when the token expires or its session is logged out;
+ * reconnect with a new token.
+ *
+ * Authorization required: Trip member
+ */
+router.get(
+  "/:tripId/stream",
+  authenticateQueryToken,
+  ensureLoggedIn,
+  ensureTripExists,
+  ensureTripPermission("view"),
+  function (req, res) {
+    const user = res.locals.user;
+    openTripStream(req, res, {
+      tripId: req.params.tripId,
+      userId: user.id,
+      expiresAt: user.exp * 1000,
+      checkAccess: async () => Boolean(await checkSession(user)),
+    });
+  }
+);
+
+/************************************** Handles trip expenses  */
+
+/** POST /trips/:tripId/expenses  => { expense }
+ *
+ * Records an expense paid by a member and splits it between members.
+ * paidBy defaults to the logged-in user. splitType is "equal" (default),
+ * "shares" or "exact"; an equal split without splits covers every member.
+ *
+ * Request body: { description, amount, currency, paidBy, activityId, splitType,
+ *                 splits: [{ userId, shares, amount }, ...] }
+ * Returns: { id, tripId, paidBy, activityId, description, amount, currency, splitType, createdBy, createdAt,
+ *            shares: [{ userId, username, shares, amount }, ...] }
+ *
+ * Authorization required: Trip member (not viewers)
+ */
+router.post(
+  "/:tripId/expenses",
+  ensureLoggedIn,
+  ensureTripExists,
+  ensureTripPermission("addExpense"),
+  validateSchema(expenseNewSchema),
+  async function (req, res, next) {
+    try {
+      const expense = await Expense.create({
+        ...req.body,
+        tripId: Number(req.params.tripId),
+        paidBy: req.body.paidBy ?? res.locals.user.id,
+        createdBy: res.locals.user.id,
+      });
+      return res.status(201).json({ expense });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/** GET /trips/:tripId/expenses  => { expenses }
+ *
+ * Returns: [{ id, tripId, paidBy, activityId, description, amount, currency, splitType, createdBy, createdAt,
+ *             shares: [{ userId, username, shares, amount }, ...] }, ...]
+ *
+ * Authorization required: Trip member
+ */
+router.get(
+  "/:tripId/expenses",
+  ensureLoggedIn,
+  ensureTripExists,
+  ensureTripPermission("view"),
+  async function (req, res, next) {
+    try {
+      const expenses = await Expense.getByTrip(req.params.tripId);
+      return res.json({ expenses });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/** GET /trips/:tripId/expenses/balances  => { balances }
+ *
+ * Trip totals and who owes whom, in the trip's base currency, with the
+ * transfers that would settle up. Expenses in other currencies are converted
+ * with the stored exchange rates. A positive net means the member is owed money.
+ *
+ * Returns: { currency, total,
+ *            totalsByCurrency: [{ currency, total }, ...],
+ *            members: [{ userId, username, paid, owes, net }, ...],
+ *            transfers: [{ fromUserId, fromUsername, toUserId, toUsername, amount }, ...] }
+ *
+ * Authorization required: Trip member
+ */
+router.get(
+  "/:tripId/expenses/balances",
+  ensureLoggedIn,
+  ensureTripExists,
+  ensureTripPermission("view"),
+  async function (req, res, next) {
+    try {
+      const balances = await Expense.getBalances(req.params.tripId);
+      return res.json({ balances });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/** GET /trips/:tripId/expenses/:expenseId  => { expense }
+ *
+ * Returns: { id, tripId, paidBy, activityId, description, amount, currency, splitType, createdBy, createdAt,
+ *            shares: [{ userId, username, shares, amount }, ...] }
+ *
+ * Authorization required: Trip member
+ */
+router.get(
+  "/:tripId/expenses/:expenseId",
+  ensureLoggedIn,
+  ensureTripExists,
+  ensureTripPermission("view"),
+  validateIdParams("expenseId"),
+  async function (req, res, next) {
+    try {
+      const expense = await Expense.get(
+        req.params.expenseId,
+        req.params.tripId
+      );
+      return res.json({ expense });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/** DELETE /trips/:tripId/expenses/:expenseId  => { deleted: expenseId }
+ *
+ * Authorization required: The member who recorded or paid the expense, or
+ * the trip owner or co-owner.
+ */
+router.delete(
+  "/:tripId/expenses/:expenseId",
+  ensureLoggedIn,
+  ensureTripExists,
+  ensureTripPermission("addExpense"),
+  validateIdParams("expenseId"),
+  async function (req, res, next) {
+    try {
+      const expense = await Expense.get(
+        req.params.expenseId,
+        req.params.tripId
+      );
+
+      const userId = res.locals.user.id;
+      if (
+        expense.createdBy !== userId &&
+        expense.paidBy !== userId &&
+        !hasTripPermission(res.locals.tripMember.role, "manageExpenses")
+      ) {
+        throw new ForbiddenError(
+          "You can only delete expenses that you recorded or paid."
+        );
+      }
+
+      await Expense.remove(expense.id, req.params.tripId);
+      return res.json({ deleted: req.params.expenseId });
     } catch (err) {
       return next(err);
     }
@@ -3,6 +3,7 @@
 
 const request = require("supertest");
 const app = require("../app.js");
+const TripMember = require("../models/tripMember.js");
 
 const {
   commonBeforeAll,
@@ -45,12 +46,26 @@ describe("POST /trips", function () {
         startDate: "2025-06-01T05:00:00.000Z",
         endDate: "2025-06-10T05:00:00.000Z",
         isPrivate: false,
+        baseCurrency: "USD",
         createdAt: expect.any(String),
         creatorId: testUserIds["u1"],
       },
     });
   });
 
+  test("400 error for an invalid base currency", async function () {
+    const resp = await request(app)
+      .post("/trips")
+      .send({
+        title: "New Trip",
+        destination: "New York",
+        radius: 30,
+        baseCurrency: "dollars",
+      })
+      .set("authorization", `Bearer ${getU1Token()}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
   test("401 error for anonymous users", async function () {
     const resp = await request(app).post("/trips").send({
       title: "New Trip",
@@ -104,8 +119,10 @@ describe("GET /trips/:tripId", function () {
         startDate: "2025-08-01T05:00:00.000Z",
         endDate: "2025-08-10T05:00:00.000Z",
         isPrivate: true,
+        baseCurrency: "USD",
         creatorId: testUserIds["u2"],
         activities: expect.any(Array),
+        proposedActivities: expect.any(Array),
         comments: expect.any(Array),
         createdAt: expect.any(String),
         members: expect.any(Array),
@@ -125,8 +142,10 @@ describe("GET /trips/:tripId", function () {
         startDate: "2025-06-01T05:00:00.000Z",
         endDate: "2025-06-10T05:00:00.000Z",
         isPrivate: false,
+        baseCurrency: "USD",
         creatorId: testUserIds["u1"],
         activities: expect.any(Array),
+        proposedActivities: expect.any(Array),
         comments: [],
         createdAt: expect.any(String),
         members: expect.any(Array),
@@ -147,8 +166,10 @@ describe("GET /trips/:tripId", function () {
         startDate: "2025-08-01T05:00:00.000Z",
         endDate: "2025-08-10T05:00:00.000Z",
         isPrivate: true,
+        baseCurrency: "USD",
         creatorId: testUserIds["u2"],
         activities: expect.any(Array),
+        proposedActivities: expect.any(Array),
         comments: expect.any(Array),
         createdAt: expect.any(String),
         members: expect.any(Array),
@@ -197,6 +218,7 @@ describe("GET /trips", function () {
         startDate: "2025-06-01T05:00:00.000Z",
         endDate: "2025-06-10T05:00:00.000Z",
         isPrivate: false,
+        baseCurrency: "USD",
         creatorId: testUserIds["u1"],
         createdAt: expect.any(String),
         id: expect.any(Number),
@@ -217,6 +239,7 @@ describe("GET /trips", function () {
         startDate: "2025-06-01T05:00:00.000Z",
         endDate: "2025-06-10T05:00:00.000Z",
         isPrivate: false,
+        baseCurrency: "USD",
         creatorId: testUserIds["u1"],
         createdAt: expect.any(String),
         id: expect.any(Number),
@@ -237,6 +260,7 @@ describe("GET /trips", function () {
         startDate: "2025-06-01T05:00:00.000Z",
         endDate: "2025-06-10T05:00:00.000Z",
         isPrivate: false,
+        baseCurrency: "USD",
         creatorId: testUserIds["u1"],
         createdAt: expect.any(String),
         id: expect.any(Number),
@@ -279,12 +303,19 @@ describe("PATCH /trips/:tripId", function () {
         startDate: "2025-06-01T05:00:00.000Z",
         endDate: "2025-06-10T05:00:00.000Z",
         isPrivate: false,
+        baseCurrency: "USD",
         createdAt: expect.any(String),
         creatorId: testUserIds["u1"],
       },
     });
   });
-  test("works for member of trip", async function () {
+  test("works for trip editor", async function () {
+    const member = await TripMember.isMember(
+      testUserIds["u1"],
+      testTripIds["privateTripId"]
+    );
+    await TripMember.updateRole(member.id, "editor");
+
     const resp = await request(app)
       .patch(`/trips/${testTripIds["privateTripId"]}`)
       .send({ title: "Updated Trip" })
@@ -300,11 +331,23 @@ describe("PATCH /trips/:tripId", function () {
         startDate: "2025-08-01T05:00:00.000Z",
         endDate: "2025-08-10T05:00:00.000Z",
         isPrivate: true,
+        baseCurrency: "USD",
         createdAt: expect.any(String),
         creatorId: testUserIds["u2"],
       },
     });
   });
+  test("403 - fails for plain trip member", async function () {
+    const resp = await request(app)
+      .patch(`/trips/${testTripIds["privateTripId"]}`)
+      .send({ title: "Unauthorized Update" })
+      .set("authorization", `Bearer ${getU1Token()}`);
+
+    expect(resp.statusCode).toEqual(403);
+    expect(resp.body.error.message).toEqual(
+      "Only the trip owner, co-owner or editor can perform this action."
+    );
+  });
   test("403 - fails for non-member user", async function () {
     const resp = await request(app)
       .patch(`/trips/${testTripIds["publicTripId"]}`)
@@ -0,0 +1,266 @@
+"use strict";
+// Tests for the notification inbox and the events that fill it.
+
+const request = require("supertest");
+const app = require("../app.js");
+const db = require("../db.js");
+
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+  testTripIds,
+  testUserIds,
+  getU1Token,
+  getU2Token,
+  getU3Token,
+} = require("./_tripsTestCommon.js");
+
+beforeAll(async function () {
+  await commonBeforeAll();
+  // start every inbox empty; the fixtures themselves send a few notifications
+  await db.query("DELETE FROM notification");
+  await db.query("DELETE FROM email_outbox");
+});
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+async function inbox(username, token) {
+  const resp = await request(app)
+    .get(`/users/${username}/notifications`)
+    .set("authorization", `Bearer ${token}`);
+  return resp.body;
+}
+
+/************************************** notifications from app events */
+
+describe("notifications from app events", function () {
+  test("adding a friend to a trip notifies them", async function () {
+    await request(app)
+      .post(`/trips/${testTripIds["privateTripId"]}/members`)
+      .send({ friendId: testUserIds["u3"] })
+      .set("authorization", `Bearer ${getU2Token()}`);
+
+    const { unreadCount, notifications } = await inbox("u3", getU3Token());
+    expect(unreadCount).toEqual(1);
+    expect(notifications[0]).toEqual(
+      expect.objectContaining({
+        type: "trip_added",
+        message: "u2 added you to Trip2.",
+        tripId: testTripIds["privateTripId"],
+      })
+    );
+  });
+
+  test("a new activity notifies the other members", async function () {
+    const resp = await request(app)
+      .post(`/trips/${testTripIds["privateTripId"]}/activities`)
+      .send({ name: "Louvre Museum" })
+      .set("authorization", `Bearer ${getU1Token()}`);
+
+    const { notifications } = await inbox("u2", getU2Token());
+    expect(notifications).toEqual([
+      expect.objectContaining({
+        type: "activity_added",
+        message: "u1 proposed Louvre Museum for Trip2.",
+        activityId: resp.body.activity.id,
+      }),
+    ]);
+    expect((await inbox("u1", getU1Token())).notifications).toEqual([]);
+  });
+
+  test("a comment mentioning someone notifies them once", async function () {
+    await request(app)
+      .post(`/trips/${testTripIds["privateTripId"]}/comments`)
+      .send({ text: "@u2 what do you think?" })
+      .set("authorization", `Bearer ${getU1Token()}`);
+
+    const { notifications } = await inbox("u2", getU2Token());
+    expect(notifications.map((n) => n.type)).toEqual(["mention"]);
+    expect(notifications[0].message).toEqual("u1 mentioned you on Trip2.");
+  });
+
+  test("a reply notifies the parent comment's author", async function () {
+    const parent = await db.query(
+      `SELECT id FROM comment WHERE text = 'Test comment 1'`
+    );
+    await request(app)
+      .post(`/trips/${testTripIds["privateTripId"]}/comments`)
+      .send({ text: "Sounds good", parentId: parent.rows[0].id })
+      .set("authorization", `Bearer ${getU2Token()}`);
+
+    const { notifications } = await inbox("u1", getU1Token());
+    expect(notifications.map((n) => n.message)).toEqual([
+      "u2 replied to your comment on Trip2.",
+    ]);
+  });
+
+  test("friend requests notify both sides", async function () {
+    const sent = await request(app)
+      .post(`/friends/${testUserIds["u1"]}`)
+      .set("authorization", `Bearer ${getU3Token()}`);
+    const requestNotice = (await inbox("u1", getU1Token())).notifications[0];
+    expect(requestNotice).toEqual(
+      expect.objectContaining({
+        type: "friend_request",
+        message: "u3 sent you a friend request.",
+        friendRequestId: sent.body.friendRequest.id,
+      })
+    );
+
+    await request(app)
+      .patch(`/friends/${sent.body.friendRequest.id}`)
+      .set("authorization", `Bearer ${getU1Token()}`);
+    const acceptNotice = (await inbox("u3", getU3Token())).notifications[0];
+    expect(acceptNotice.message).toEqual("u1 accepted your friend request.");
+  });
+});
+
+/************************************** emails */
+
+describe("emails", function () {
+  test("being added to a trip is emailed", async function () {
+    await request(app)
+      .post(`/trips/${testTripIds["privateTripId"]}/members`)
+      .send({ friendId: testUserIds["u3"] })
+      .set("authorization", `Bearer ${getU2Token()}`);
+
+    const outbox = await db.query(
+      `SELECT user_id, kind, subject FROM email_outbox`
+    );
+    expect(outbox.rows).toEqual([
+      {
+        user_id: testUserIds["u3"],
+        kind: "trip_added",
+        subject: "u2 added you to Trip2",
+      },
+    ]);
+  });
+
+  test("not if they turned these emails off", async function () {
+    await request(app)
+      .patch(`/users/u3/email-preferences`)
+      .send({ tripInvites: false })
+      .set("authorization", `Bearer ${getU3Token()}`);
+    await request(app)
+      .post(`/trips/${testTripIds["privateTripId"]}/members`)
+      .send({ friendId: testUserIds["u3"] })
+      .set("authorization", `Bearer ${getU2Token()}`);
+
+    const outbox = await db.query(`SELECT * FROM email_outbox`);
+    expect(outbox.rows).toEqual([]);
+  });
+});
+
+/************************************** GET /users/:username/notifications */
+
+describe("GET /users/:username/notifications", function () {
+  beforeEach(async function () {
+    await request(app)
+      .post(`/trips/${testTripIds["privateTripId"]}/activities`)
+      .send({ name: "Louvre Museum" })
+      .set("authorization", `Bearer ${getU1Token()}`);
+    await request(app)
+      .post(`/trips/${testTripIds["privateTripId"]}/activities`)
+      .send({ name: "Seine Cruise" })
+      .set("authorization", `Bearer ${getU1Token()}`);
+  });
+
+  test("works with limit", async function () {
+    const resp = await request(app)
+      .get(`/users/u2/notifications?limit=1`)
+      .set("authorization", `Bearer ${getU2Token()}`);
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body.unreadCount).toEqual(2);
+    expect(resp.body.notifications.length).toEqual(1);
+  });
+
+  test("works for admin", async function () {
+    const resp = await request(app)
+      .get(`/users/u2/notifications`)
+      .set("authorization", `Bearer ${getU3Token()}`);
+    expect(resp.statusCode).toEqual(200);
+  });
+
+  test("bad request with invalid limit", async function () {
+    const resp = await request(app)
+      .get(`/users/u2/notifications?limit=500`)
+      .set("authorization", `Bearer ${getU2Token()}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("unauth for other users", async function () {
+    const resp = await request(app)
+      .get(`/users/u2/notifications`)
+      .set("authorization", `Bearer ${getU1Token()}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("unauth for anon", async function () {
+    const resp = await request(app).get(`/users/u2/notifications`);
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+/************************************** POST /users/:username/notifications/.../read */
+
+describe("marking notifications read", function () {
+  beforeEach(async function () {
+    await request(app)
+      .post(`/trips/${testTripIds["privateTripId"]}/activities`)
+      .send({ name: "Louvre Museum" })
+      .set("authorization", `Bearer ${getU1Token()}`);
+    await request(app)
+      .post(`/trips/${testTripIds["privateTripId"]}/activities`)
+      .send({ name: "Seine Cruise" })
+      .set("authorization", `Bearer ${getU1Token()}`);
+  });
+
+  test("works: one", async function () {
+    const [first] = (await inbox("u2", getU2Token())).notifications;
+    const resp = await request(app)
+      .post(`/users/u2/notifications/${first.id}/read`)
+      .set("authorization", `Bearer ${getU2Token()}`);
+    expect(resp.body).toEqual({
+      notification: { id: first.id, readAt: expect.any(String) },
+    });
+
+    const unread = await request(app)
+      .get(`/users/u2/notifications?unread=true`)
+      .set("authorization", `Bearer ${getU2Token()}`);
+    expect(unread.body.unreadCount).toEqual(1);
+    expect(unread.body.notifications.length).toEqual(1);
+  });
+
+  test("not found: someone else's notification", async function () {
+    const [first] = (await inbox("u2", getU2Token())).notifications;
+    const resp = await request(app)
+      .post(`/users/u1/notifications/${first.id}/read`)
+      .set("authorization", `Bearer ${getU1Token()}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  test("bad request: not a notification id", async function () {
+    const resp = await request(app)
+      .post(`/users/u2/notifications/abc/read`)
+      .set("authorization", `Bearer ${getU2Token()}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("works: all", async function () {
+    const resp = await request(app)
+      .post(`/users/u2/notifications/read-all`)
+      .set("authorization", `Bearer ${getU2Token()}`);
+    expect(resp.body).toEqual({ marked: 2 });
+    expect((await inbox("u2", getU2Token())).unreadCount).toEqual(0);
+  });
+
+  test("unauth for other users", async function () {
+    const resp = await request(app)
+      .post(`/users/u2/notifications/read-all`)
+      .set("authorization", `Bearer ${getU1Token()}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+});
@@ -4,6 +4,7 @@
 
 const express = require("express");
 const {
+  ensureCorrectUser,
   ensureCorrectUserOrAdmin,
   ensureLoggedIn,
   ensureAdmin,
@@ -11,24 +12,40 @@ const {
 const {
   BadRequestError,
 } = require("../helpers/expressError");
-const { validateSchema } = require("../middleware/validateSchema");
+const {
+  validateSchema,
+  validateIdParams,
+} = require("../middleware/validateSchema");
 const User = require("../models/user");
+const Comment = require("../models/comment");
+const Notification = require("../models/notification");
+const EmailOutbox = require("../models/emailOutbox");
+const TwoFactor = require("../models/twoFactor");
+const LoginAttempt = require("../models/loginAttempt");
 const {
   userRegisterSchema,
   userUpdateSchema,
+  emailPreferencesSchema,
+  changePasswordSchema,
+  twoFactorCodeSchema,
 } = require("../schemas/userSchemas");
 const { createToken } = require("../helpers/tokens");
+const { startSession } = require("../helpers/logins");
+const { queueVerificationEmail } = require("../helpers/emailNotifications");
+const { passwordResetEmail } = require("../helpers/emails");
 
 const router = new express.Router();
 
-/** POST / { user }  => { user, token }
+/** POST / { user }  => { user, token, refreshToken }
  *
  * Adds a new user. This is not the registration endpoint --- instead, this is
  * only for admin users to add new users. The new user being added can be an
  * admin.
  *
- * This returns the newly created user and an authentication token for them:
- *  {user: { id, username, firstName, lastName, email, profilePic, bio, isAdmin }, token }
+ * This returns the newly created user and a login session for them:
+ *  {user: { id, username, firstName, lastName, email, profilePic, bio, isAdmin }, token, refreshToken }
+ *
+ * The new user is emailed a link to verify their email address.
  *
  * Authorization required: admin
  **/
@@ -39,8 +56,9 @@ router.post(
   async function (req, res, next) {
     try {
       const newUser = await User.register({ ...req.body });
-      const token = createToken(newUser);
-      return res.status(201).json({ user: newUser, token });
+      await queueVerificationEmail(newUser.id);
+      const { token, refreshToken } = await startSession(newUser);
+      return res.status(201).json({ user: newUser, token, refreshToken });
     } catch (err) {
       return next(err);
     }
@@ -67,6 +85,8 @@ router.get("/:username", ensureCorrectUserOrAdmin, async function (req, res, nex
  *
  * Returns updated fields and correspondeing upated data 
  *
+ * A new email must be verified again; a verification link is sent to it.
+ *
  * Authorization required: admin or same-user-as-:username
  **/
 router.patch(
@@ -76,6 +96,9 @@ router.patch(
   async function (req, res, next) {
     try {
       const updatedUser = await User.update(req.params.username, req.body);
+      if (req.body.email !== undefined && !updatedUser.emailVerified) {
+        await queueVerificationEmail(updatedUser.id);
+      }
       return res.json({ user: updatedUser });
     } catch (err) {
       return next(err);
@@ -100,6 +123,386 @@ router.delete(
   }
 );
 
+/** POST /[username]/email-verification  =>  { message }
+ *
+ * Sends a new link to verify the user's email address; earlier links stop
+ * working.
+ *
+ * Authorization required: admin or same-user-as-:username
+ **/
+router.post(
+  "/:username/email-verification",
+  ensureCorrectUserOrAdmin,
+  async function (req, res, next) {
+    try {
+      const user = await User.get(req.params.username);
+      await queueVerificationEmail(user.id);
+      return res
+        .status(202)
+        .json({ message: `A verification link was sent to ${user.email}.` });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/** POST /[username]/password { currentPassword, newPassword }  =>  { token }
+ *
+ * Changes the user's password. The new password must follow the password
+ * policy (see helpers/passwordPolicy.js).
+ *
+ * The user's other sessions are logged out. Returns a new JWT token for this
+ * session, as tokens issued before the change stop working; its refresh
+ * token keeps working.
+ *
+ * Authorization required: same-user-as-:username
+ **/
+router.post(
+  "/:username/password",
+  ensureCorrectUser,
+  validateSchema(changePasswordSchema),
+  async function (req, res, next) {
+    try {
+      const { sessionId } = res.locals.user;
+      const user = await User.changePassword(req.params.username, req.body, {
+        keepSessionId: sessionId,
+      });
+      const token = createToken(user, { sessionId });
+      return res.json({ token });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/** POST /[username]/password-reset  =>  { message }
+ *
+ * Makes the user choose a new password: their current one stops working,
+ * they are logged out everywhere and they are emailed a link to set a new
+ * one (see POST /auth/reset-password).
+ *
+ * Authorization required: admin
+ **/
+router.post(
+  "/:username/password-reset",
+  ensureAdmin,
+  async function (req, res, next) {
+    try {
+      const { token, user } = await User.forcePasswordReset(
+        req.params.username
+      );
+      await EmailOutbox.enqueue({
+        userId: user.id,
+        to: user.email,
+        kind: "password_reset",
+        ...passwordResetEmail(user, token),
+      });
+      return res
+        .status(202)
+        .json({ message: `A password reset link was sent to ${user.email}.` });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/** POST /[username]/unlock  =>  { unlocked: { username, clearedFailures } }
+ *
+ * Clears the user's failed logins, so a username locked out by them (see
+ * POST /auth/token) can log in again straight away.
+ *
+ * Authorization required: admin
+ **/
+router.post("/:username/unlock", ensureAdmin, async function (req, res, next) {
+  try {
+    const unlocked = await LoginAttempt.unlock(req.params.username);
+    return res.json({ unlocked });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** POST /[username]/2fa  =>  { secret, otpauthUri }
+ *
+ * Starts turning on two-factor authentication. Add the secret to an
+ * authenticator app (most scan otpauthUri as a QR code), then confirm with
+ * POST /[username]/2fa/confirm; until then logins don't ask for codes.
+ *
+ * Authorization required: same-user-as-:username
+ **/
+router.post(
+  "/:username/2fa",
+  ensureCorrectUser,
+  async function (req, res, next) {
+    try {
+      const enrollment = await TwoFactor.startEnrollment(req.params.username);
+      return res.json(enrollment);
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/** POST /[username]/2fa/confirm { code }  =>  { recoveryCodes }
+ *
+ * Turns on two-factor authentication, given a first code from the
+ * authenticator app. Returns recovery codes, which can each be used once to
+ * log in without the app; they aren't shown again.
+ *
+ * Authorization required: same-user-as-:username
+ **/
+router.post(
+  "/:username/2fa/confirm",
+  ensureCorrectUser,
+  validateSchema(twoFactorCodeSchema),
+  async function (req, res, next) {
+    try {
+      const { recoveryCodes } = await TwoFactor.confirmEnrollment(
+        req.params.username,
+        req.body.code
+      );
+      return res.json({ recoveryCodes });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/** POST /[username]/2fa/recovery-codes { code }  =>  { recoveryCodes }
+ *
+ * Replaces the user's recovery codes; the old ones stop working. Needs a
+ * current two-factor code.
+ *
+ * Authorization required: same-user-as-:username
+ **/
+router.post(
+  "/:username/2fa/recovery-codes",
+  ensureCorrectUser,
+  validateSchema(twoFactorCodeSchema),
+  async function (req, res, next) {
+    try {
+      await TwoFactor.verify(res.locals.user.id, req.body.code);
+      const { recoveryCodes } = await TwoFactor.regenerateRecoveryCodes(
+        req.params.username
+      );
+      return res.json({ recoveryCodes });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/** DELETE /[username]/2fa { code }  =>  { message }
+ *
+ * Turns off two-factor authentication. Users need a current two-factor code;
+ * admins can turn it off for users who lost their app and recovery codes
+ * without one.
+ *
+ * Authorization required: admin or same-user-as-:username
+ **/
+router.delete(
+  "/:username/2fa",
+  ensureCorrectUserOrAdmin,
+  async function (req, res, next) {
+    try {
+      const user = res.locals.user;
+      if (user.username === req.params.username) {
+        const { error } = twoFactorCodeSchema.validate(req.body || {});
+        if (error) throw new BadRequestError(error.message);
+        await TwoFactor.verify(user.id, req.body.code);
+      }
+
+      await TwoFactor.disable(req.params.username);
+      return res.json({ message: "Two-factor authentication is off." });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/** GET /[username]/mentions  =>  { mentions }
+ *
+ * Comments that @mention the user, newest first, from trips they are still a
+ * member of.
+ *
+ * Returns: [{ commentId, tripId, tripTitle, activityId, authorId, authorUsername, text, createdAt }, ...]
+ *
+ * Authorization required: admin or same-user-as-:username
+ **/
+router.get(
+  "/:username/mentions",
+  ensureCorrectUserOrAdmin,
+  async function (req, res, next) {
+    try {
+      const mentions = await Comment.getMentionsOfUser(req.params.username);
+      return res.json({ mentions });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/** GET /[username]/notifications  =>  { unreadCount, notifications }
+ *
+ * The user's notification inbox, newest first.
+ *
+ * Optional query parameters:
+ *  - unread=true: only unread notifications
+ *  - limit: how many to return (1-100, default 50)
+ *
+ * Returns: { unreadCount,
+ *            notifications: [{ id, type, message, actorId, actorUsername, tripId, tripTitle,
+ *                              activityId, activityName, commentId, friendRequestId, readAt, createdAt }, ...] }
+ *
+ * Authorization required: admin or same-user-as-:username
+ **/
+router.get(
+  "/:username/notifications",
+  ensureCorrectUserOrAdmin,
+  async function (req, res, next) {
+    try {
+      const limit = req.query.limit === undefined ? 50 : Number(req.query.limit);
+      if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+        throw new BadRequestError("limit must be a whole number from 1 to 100.");
+      }
+
+      const inbox = await Notification.getForUser(req.params.username, {
+        unreadOnly: req.query.unread === "true",
+        limit,
+      });
+      return res.json(inbox);
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/** POST /[username]/notifications/read-all  =>  { marked }
+ *
+ * Marks every notification as read. marked is how many were unread.
+ *
+ * Authorization required: admin or same-user-as-:username
+ **/
+router.post(
+  "/:username/notifications/read-all",
+  ensureCorrectUserOrAdmin,
+  async function (req, res, next) {
+    try {
+      const marked = await Notification.markAllRead(req.params.username);
+      return res.json({ marked });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/** POST /[username]/notifications/[notificationId]/read  =>  { notification: { id, readAt } }
+ *
+ * Authorization required: admin or same-user-as-:username
+ **/
+router.post(
+  "/:username/notifications/:notificationId/read",
+  ensureCorrectUserOrAdmin,
+  validateIdParams("notificationId"),
+  async function (req, res, next) {
+    try {
+      const notification = await Notification.markRead(
+        req.params.username,
+        Number(req.params.notificationId)
+      );
+      return res.json({ notification });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/** POST /[username]/calendar-token  =>  { calendarToken, feedUrl }
+ *
+ * Creates the secret token for the user's calendar feed (see routes/calendar.js).
+ * Any earlier token stops working. The token is only shown this once.
+ *
+ * Authorization required: admin or same-user-as-:username
+ **/
+router.post(
+  "/:username/calendar-token",
+  ensureCorrectUserOrAdmin,
+  async function (req, res, next) {
+    try {
+      const calendarToken = await User.createCalendarToken(req.params.username);
+      return res.status(201).json({
+        calendarToken,
+        feedUrl: `/calendar/${calendarToken}.ics`,
+      });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/** DELETE /[username]/calendar-token  =>  { revoked: username }
+ *
+ * Turns off the user's calendar feed.
+ *
+ * Authorization required: admin or same-user-as-:username
+ **/
+router.delete(
+  "/:username/calendar-token",
+  ensureCorrectUserOrAdmin,
+  async function (req, res, next) {
+    try {
+      await User.revokeCalendarToken(req.params.username);
+      return res.json({ revoked: req.params.username });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/** GET /[username]/email-preferences  =>  { preferences: { friendRequests, tripInvites, digest } }
+ *
+ * Which emails the user gets: friend requests, being added to a trip, and
+ * the daily digest of changes to their trips.
+ *
+ * Authorization required: admin or same-user-as-:username
+ **/
+router.get(
+  "/:username/email-preferences",
+  ensureCorrectUserOrAdmin,
+  async function (req, res, next) {
+    try {
+      const preferences = await User.getEmailPreferences(req.params.username);
+      return res.json({ preferences });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/** PATCH /[username]/email-preferences { friendRequests, tripInvites, digest }
+ *    =>  { preferences: { friendRequests, tripInvites, digest } }
+ *
+ * Turns emails on (true) or off (false); only the preferences sent change.
+ *
+ * Authorization required: admin or same-user-as-:username
+ **/
+router.patch(
+  "/:username/email-preferences",
+  ensureCorrectUserOrAdmin,
+  validateSchema(emailPreferencesSchema),
+  async function (req, res, next) {
+    try {
+      const preferences = await User.updateEmailPreferences(
+        req.params.username,
+        req.body
+      );
+      return res.json({ preferences });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
 /** GET /users?query=username => { users: [{ id, username, firstName, lastName, profilePic }, ...] }
  *
  * Allows searching for users by username.
@@ -3,6 +3,7 @@
 const request = require("supertest");
 const db = require("../db.js");
 const app = require("../app.js");
+const { totpCode, totpStep } = require("../helpers/totp");
 
 const {
   commonBeforeAll,
@@ -46,7 +47,14 @@ describe("POST /users", function () {
         isAdmin: true,
       },
       token: expect.any(String),
+      refreshToken: expect.any(String),
     });
+
+    // a session like any other login's
+    const refresh = await request(app)
+      .post("/auth/refresh")
+      .send({ refreshToken: resp.body.refreshToken });
+    expect(refresh.statusCode).toEqual(200);
   });
 
   test("works for admins: create non-admin", async function () {
@@ -73,6 +81,7 @@ describe("POST /users", function () {
         isAdmin: false,
       },
       token: expect.any(String),
+      refreshToken: expect.any(String),
     });
   });
 
@@ -146,6 +155,7 @@ describe("GET /users/:username", function () {
         firstName: "U1F",
         lastName: "U1L",
         email: "user1@user.com",
+        emailVerified: true,
         isAdmin: false,
         bio: null,
         profilePic: null,
@@ -180,6 +190,7 @@ describe("GET /users/:username", function () {
         firstName: "U1F",
         lastName: "U1L",
         email: "user1@user.com",
+        emailVerified: true,
         isAdmin: false,
         bio: null,
         profilePic: null,
@@ -249,6 +260,7 @@ describe("PATCH /users/:username", function () {
         firstName: "Updated",
         lastName: "U1L",
         email: "user1@user.com",
+        emailVerified: true,
         bio: null,
         profilePic: null,
       },
@@ -269,12 +281,26 @@ describe("PATCH /users/:username", function () {
         firstName: "U1F",
         lastName: "Updated",
         email: "user1@user.com",
+        emailVerified: true,
         bio: null,
         profilePic: null,
       },
     });
   });
 
+  test("works: a new email is sent a verification link", async function () {
+    const resp = await request(app)
+      .patch(`/users/u1`)
+      .send({ email: "new@user.com" })
+      .set("authorization", `Bearer ${getU1Token()}`);
+
+    expect(resp.body.user.emailVerified).toEqual(false);
+    const outbox = await db.query(
+      `SELECT to_address FROM email_outbox WHERE kind = 'email_verification'`
+    );
+    expect(outbox.rows).toEqual([{ to_address: "new@user.com" }]);
+  });
+
   test("fails for non-admin users updating others", async function () {
     const resp = await request(app)
       .patch(`/users/u1`)
@@ -396,6 +422,62 @@ describe("DELETE /users/:username", function () {
   });
 });
 
+/************************************** POST /users/:username/calendar-token */
+
+describe("POST /users/:username/calendar-token", function () {
+  test("works for same user", async function () {
+    const resp = await request(app)
+      .post(`/users/u1/calendar-token`)
+      .set("authorization", `Bearer ${getU1Token()}`);
+
+    expect(resp.statusCode).toEqual(201);
+    expect(resp.body).toEqual({
+      calendarToken: expect.any(String),
+      feedUrl: `/calendar/${resp.body.calendarToken}.ics`,
+    });
+  });
+
+  test("fails for another non-admin user", async function () {
+    const resp = await request(app)
+      .post(`/users/u1/calendar-token`)
+      .set("authorization", `Bearer ${getU2Token()}`);
+
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("fails for anonymous user", async function () {
+    const resp = await request(app).post(`/users/u1/calendar-token`);
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+/************************************** DELETE /users/:username/calendar-token */
+
+describe("DELETE /users/:username/calendar-token", function () {
+  test("works: old feed url stops working", async function () {
+    const created = await request(app)
+      .post(`/users/u1/calendar-token`)
+      .set("authorization", `Bearer ${getU1Token()}`);
+
+    const resp = await request(app)
+      .delete(`/users/u1/calendar-token`)
+      .set("authorization", `Bearer ${getU1Token()}`);
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body).toEqual({ revoked: "u1" });
+
+    const feed = await request(app).get(created.body.feedUrl);
+    expect(feed.statusCode).toEqual(404);
+  });
+
+  test("fails for another non-admin user", async function () {
+    const resp = await request(app)
+      .delete(`/users/u1/calendar-token`)
+      .set("authorization", `Bearer ${getU2Token()}`);
+
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
 /************************************** GET /users/ */
 
 describe("GET /users/", function () {
@@ -458,3 +540,369 @@ describe("GET /users/", function () {
     });
   });
 });
+
+/************************************** /users/:username/email-preferences */
+
+describe("GET /users/:username/email-preferences", function () {
+  test("works for same user", async function () {
+    const resp = await request(app)
+      .get("/users/u1/email-preferences")
+      .set("authorization", `Bearer ${getU1Token()}`);
+    expect(resp.body).toEqual({
+      preferences: { friendRequests: true, tripInvites: true, digest: true },
+    });
+  });
+
+  test("unauth for other users", async function () {
+    const resp = await request(app)
+      .get("/users/u1/email-preferences")
+      .set("authorization", `Bearer ${getU2Token()}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+describe("PATCH /users/:username/email-preferences", function () {
+  test("works for same user", async function () {
+    const resp = await request(app)
+      .patch("/users/u1/email-preferences")
+      .send({ digest: false })
+      .set("authorization", `Bearer ${getU1Token()}`);
+    expect(resp.body).toEqual({
+      preferences: { friendRequests: true, tripInvites: true, digest: false },
+    });
+  });
+
+  test("works for admin", async function () {
+    const resp = await request(app)
+      .patch("/users/u1/email-preferences")
+      .send({ friendRequests: false })
+      .set("authorization", `Bearer ${getAdminToken()}`);
+    expect(resp.body.preferences.friendRequests).toEqual(false);
+  });
+
+  test("bad request with no or invalid preferences", async function () {
+    const empty = await request(app)
+      .patch("/users/u1/email-preferences")
+      .send({})
+      .set("authorization", `Bearer ${getU1Token()}`);
+    expect(empty.statusCode).toEqual(400);
+
+    const invalid = await request(app)
+      .patch("/users/u1/email-preferences")
+      .send({ newsletter: true })
+      .set("authorization", `Bearer ${getU1Token()}`);
+    expect(invalid.statusCode).toEqual(400);
+  });
+
+  test("unauth for other users", async function () {
+    const resp = await request(app)
+      .patch("/users/u1/email-preferences")
+      .send({ digest: false })
+      .set("authorization", `Bearer ${getU2Token()}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+/************************************** POST /users/:username/email-verification */
+
+describe("POST /users/:username/email-verification", function () {
+  test("works: sends a new link", async function () {
+    await db.query(
+      `UPDATE users SET email_verified = FALSE WHERE username = 'u1'`
+    );
+    const resp = await request(app)
+      .post("/users/u1/email-verification")
+      .set("authorization", `Bearer ${getU1Token()}`);
+
+    expect(resp.statusCode).toEqual(202);
+    const outbox = await db.query(
+      `SELECT to_address FROM email_outbox WHERE kind = 'email_verification'`
+    );
+    expect(outbox.rows).toEqual([{ to_address: "user1@user.com" }]);
+  });
+
+  test("bad request if already verified", async function () {
+    const resp = await request(app)
+      .post("/users/u1/email-verification")
+      .set("authorization", `Bearer ${getU1Token()}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("unauth for other users", async function () {
+    const resp = await request(app)
+      .post("/users/u1/email-verification")
+      .set("authorization", `Bearer ${getU2Token()}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+/************************************** POST /users/:username/password */
+
+describe("POST /users/:username/password", function () {
+  test("works: other sessions are logged out", async function () {
+    const login = async () =>
+      (
+        await request(app)
+          .post("/auth/token")
+          .send({ username: "u1", password: "password1" })
+      ).body;
+    const current = await login();
+    const other = await login();
+
+    const resp = await request(app)
+      .post("/users/u1/password")
+      .send({ currentPassword: "password1", newPassword: "new-Password1" })
+      .set("authorization", `Bearer ${current.token}`);
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body).toEqual({ token: expect.any(String) });
+
+    const withNewToken = await request(app)
+      .get("/users/u1")
+      .set("authorization", `Bearer ${resp.body.token}`);
+    expect(withNewToken.statusCode).toEqual(200);
+    const refresh = await request(app)
+      .post("/auth/refresh")
+      .send({ refreshToken: current.refreshToken });
+    expect(refresh.statusCode).toEqual(200);
+
+    const otherSession = await request(app)
+      .get("/users/u1")
+      .set("authorization", `Bearer ${other.token}`);
+    expect(otherSession.statusCode).toEqual(401);
+    const otherRefresh = await request(app)
+      .post("/auth/refresh")
+      .send({ refreshToken: other.refreshToken });
+    expect(otherRefresh.statusCode).toEqual(401);
+
+    const newLogin = await request(app)
+      .post("/auth/token")
+      .send({ username: "u1", password: "new-Password1" });
+    expect(newLogin.statusCode).toEqual(200);
+  });
+
+  test("unauth with wrong current password", async function () {
+    const resp = await request(app)
+      .post("/users/u1/password")
+      .send({ currentPassword: "wrong", newPassword: "new-Password1" })
+      .set("authorization", `Bearer ${getU1Token()}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("bad request with a weak password", async function () {
+    const resp = await request(app)
+      .post("/users/u1/password")
+      .send({ currentPassword: "password1", newPassword: "password" })
+      .set("authorization", `Bearer ${getU1Token()}`);
+    expect(resp.statusCode).toEqual(400);
+    expect(resp.body.error.message).toContain("Password is too common.");
+  });
+
+  test("bad request with missing data", async function () {
+    const resp = await request(app)
+      .post("/users/u1/password")
+      .send({ newPassword: "new-Password1" })
+      .set("authorization", `Bearer ${getU1Token()}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("unauth for admins", async function () {
+    const resp = await request(app)
+      .post("/users/u1/password")
+      .send({ currentPassword: "password1", newPassword: "new-Password1" })
+      .set("authorization", `Bearer ${getAdminToken()}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+/************************************** POST /users/:username/password-reset */
+
+describe("POST /users/:username/password-reset", function () {
+  test("works for admins", async function () {
+    const resp = await request(app)
+      .post("/users/u1/password-reset")
+      .set("authorization", `Bearer ${getAdminToken()}`);
+    expect(resp.statusCode).toEqual(202);
+    expect(resp.body).toEqual({
+      message: "A password reset link was sent to user1@user.com.",
+    });
+
+    const outbox = await db.query(
+      `SELECT to_address FROM email_outbox WHERE kind = 'password_reset'`
+    );
+    expect(outbox.rows).toEqual([{ to_address: "user1@user.com" }]);
+
+    const oldSession = await request(app)
+      .get("/users/u1")
+      .set("authorization", `Bearer ${getU1Token()}`);
+    expect(oldSession.statusCode).toEqual(401);
+    const oldPassword = await request(app)
+      .post("/auth/token")
+      .send({ username: "u1", password: "password1" });
+    expect(oldPassword.statusCode).toEqual(401);
+  });
+
+  test("unauth for the user themselves", async function () {
+    const resp = await request(app)
+      .post("/users/u1/password-reset")
+      .set("authorization", `Bearer ${getU1Token()}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("not found if no such user", async function () {
+    const resp = await request(app)
+      .post("/users/nope/password-reset")
+      .set("authorization", `Bearer ${getAdminToken()}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** POST /users/:username/unlock */
+
+describe("POST /users/:username/unlock", function () {
+  test("works for admins", async function () {
+    await db.query(
+      `INSERT INTO login_attempt (username, ip, succeeded)
+       SELECT 'u1', '203.0.113.1', FALSE FROM generate_series(1, 10)`
+    );
+    const locked = await request(app)
+      .post("/auth/token")
+      .send({ username: "u1", password: "password1" });
+    expect(locked.statusCode).toEqual(429);
+
+    const resp = await request(app)
+      .post("/users/u1/unlock")
+      .set("authorization", `Bearer ${getAdminToken()}`);
+    expect(resp.body).toEqual({
+      unlocked: { username: "u1", clearedFailures: 10 },
+    });
+
+    const unlocked = await request(app)
+      .post("/auth/token")
+      .send({ username: "u1", password: "password1" });
+    expect(unlocked.statusCode).toEqual(200);
+  });
+
+  test("unauth for the user themselves", async function () {
+    const resp = await request(app)
+      .post("/users/u1/unlock")
+      .set("authorization", `Bearer ${getU1Token()}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("not found if no such user", async function () {
+    const resp = await request(app)
+      .post("/users/nope/unlock")
+      .set("authorization", `Bearer ${getAdminToken()}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** /users/:username/2fa */
+
+describe("two-factor authentication", function () {
+  /** Turn on 2FA for u1 over the API; returns { secret, recoveryCodes } */
+  async function enrollU1() {
+    const start = await request(app)
+      .post("/users/u1/2fa")
+      .set("authorization", `Bearer ${getU1Token()}`);
+    const { secret } = start.body;
+    const confirm = await request(app)
+      .post("/users/u1/2fa/confirm")
+      .send({ code: totpCode(secret, totpStep()) })
+      .set("authorization", `Bearer ${getU1Token()}`);
+    return { secret, recoveryCodes: confirm.body.recoveryCodes };
+  }
+
+  test("works: enroll", async function () {
+    const start = await request(app)
+      .post("/users/u1/2fa")
+      .set("authorization", `Bearer ${getU1Token()}`);
+    expect(start.statusCode).toEqual(200);
+    expect(start.body).toEqual({
+      secret: expect.any(String),
+      otpauthUri: expect.stringContaining("otpauth://totp/OurTabi%3Au1?"),
+    });
+
+    const confirm = await request(app)
+      .post("/users/u1/2fa/confirm")
+      .send({ code: totpCode(start.body.secret, totpStep()) })
+      .set("authorization", `Bearer ${getU1Token()}`);
+    expect(confirm.statusCode).toEqual(200);
+    expect(confirm.body.recoveryCodes).toHaveLength(10);
+
+    const login = await request(app)
+      .post("/auth/token")
+      .send({ username: "u1", password: "password1" });
+    expect(login.body.twoFactorRequired).toEqual(true);
+  });
+
+  test("bad request: confirm with a wrong code", async function () {
+    await request(app)
+      .post("/users/u1/2fa")
+      .set("authorization", `Bearer ${getU1Token()}`);
+    const resp = await request(app)
+      .post("/users/u1/2fa/confirm")
+      .send({ code: "000000" })
+      .set("authorization", `Bearer ${getU1Token()}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("unauth for other users and admins", async function () {
+    for (let token of [getU2Token(), getAdminToken()]) {
+      const resp = await request(app)
+        .post("/users/u1/2fa")
+        .set("authorization", `Bearer ${token}`);
+      expect(resp.statusCode).toEqual(401);
+    }
+  });
+
+  test("works: new recovery codes", async function () {
+    const { secret, recoveryCodes } = await enrollU1();
+    const resp = await request(app)
+      .post("/users/u1/2fa/recovery-codes")
+      .send({ code: totpCode(secret, totpStep() + 1) })
+      .set("authorization", `Bearer ${getU1Token()}`);
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body.recoveryCodes).toHaveLength(10);
+    expect(resp.body.recoveryCodes).not.toContain(recoveryCodes[0]);
+  });
+
+  test("works: turn off with a code", async function () {
+    const { recoveryCodes } = await enrollU1();
+    const resp = await request(app)
+      .delete("/users/u1/2fa")
+      .send({ code: recoveryCodes[0] })
+      .set("authorization", `Bearer ${getU1Token()}`);
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body).toEqual({
+      message: "Two-factor authentication is off.",
+    });
+
+    const login = await request(app)
+      .post("/auth/token")
+      .send({ username: "u1", password: "password1" });
+    expect(login.body.token).toEqual(expect.any(String));
+  });
+
+  test("turning off needs a code from the user", async function () {
+    await enrollU1();
+    const missing = await request(app)
+      .delete("/users/u1/2fa")
+      .set("authorization", `Bearer ${getU1Token()}`);
+    expect(missing.statusCode).toEqual(400);
+
+    const wrong = await request(app)
+      .delete("/users/u1/2fa")
+      .send({ code: "AAAAA-AAAAA" })
+      .set("authorization", `Bearer ${getU1Token()}`);
+    expect(wrong.statusCode).toEqual(401);
+  });
+
+  test("works: admins can turn it off without a code", async function () {
+    await enrollU1();
+    const resp = await request(app)
+      .delete("/users/u1/2fa")
+      .set("authorization", `Bearer ${getAdminToken()}`);
+    expect(resp.statusCode).toEqual(200);
+  });
+});
@@ -18,7 +18,8 @@ const activityNewSchema = Joi.object({
   description: Joi.string().max(500).allow(null, ""),
   location: Joi.string().max(255).allow(null, ""),
   scheduledTime: Joi.date().optional(),
-});
+  endTime: Joi.date().greater(Joi.ref("scheduledTime")).optional(),
+}).with("endTime", "scheduledTime");
 
 const activityUpdateSchema = Joi.object({
   name: Joi.string().min(3).max(100),
@@ -26,6 +27,7 @@ const activityUpdateSchema = Joi.object({
   description: Joi.string().max(500).allow(null, ""),
   location: Joi.string().max(255).allow(null, ""),
   scheduledTime: Joi.date(),
+  endTime: Joi.date().allow(null),
 }).min(1);
 
 module.exports = { activityNewSchema, activityUpdateSchema };
@@ -1,9 +1,24 @@
 const Joi = require("joi");
 
 const commentNewSchema = Joi.object({
-  userId: Joi.number().integer().required(),
-  activityId: Joi.number().integer().required(),
-  text: Joi.string().min(1).max(500).required(),
+  text: Joi.string().trim().min(1).max(500).required(),
+  parentId: Joi.number().integer().positive().max(2147483647),
 });
 
-module.exports = { commentNewSchema };
+const commentUpdateSchema = Joi.object({
+  text: Joi.string().trim().min(1).max(500).required(),
+});
+
+// emoji only, including skin tones, flags and ZWJ sequences like 👩‍👩‍👧
+const EMOJI =
+  /^(?:\p{Extended_Pictographic}|\p{Regional_Indicator})[\p{Extended_Pictographic}\p{Regional_Indicator}\p{Emoji_Modifier}\u200d\ufe0f]*$/u;
+
+const commentReactionSchema = Joi.object({
+  emoji: Joi.string().max(32).pattern(EMOJI).required(),
+});
+
+module.exports = {
+  commentNewSchema,
+  commentUpdateSchema,
+  commentReactionSchema,
+};
@@ -0,0 +1,24 @@
+const Joi = require("joi");
+const { SPLIT_TYPES } = require("../helpers/expenses");
+
+const expenseNewSchema = Joi.object({
+  description: Joi.string().min(1).max(255).required(),
+  amount: Joi.number().positive().precision(2).required(),
+  currency: Joi.string()
+    .length(3)
+    .pattern(/^[A-Za-z]{3}$/),
+  paidBy: Joi.number().integer(),
+  activityId: Joi.number().integer().allow(null),
+  splitType: Joi.string().valid(...SPLIT_TYPES),
+  splits: Joi.array()
+    .items(
+      Joi.object({
+        userId: Joi.number().integer().required(),
+        shares: Joi.number().integer().min(1),
+        amount: Joi.number().min(0).precision(2),
+      })
+    )
+    .min(1),
+});
+
+module.exports = { expenseNewSchema };
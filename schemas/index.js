@@ -5,6 +5,10 @@ const voteSchemas = require("./voteSchemas");
 const commentSchemas = require("./commentSchemas");
 const friendSchemas = require("./friendSchemas");
 const tripMemberSchemas = require("./tripMemberSchemas");
+const tripInviteSchemas = require("./tripInviteSchemas");
+const tripJoinRequestSchemas = require("./tripJoinRequestSchemas");
+const itinerarySchemas = require("./itinerarySchemas");
+const expenseSchemas = require("./expenseSchemas");
 
 module.exports = {
   ...userSchemas,
@@ -14,4 +18,8 @@ module.exports = {
   ...commentSchemas,
   ...friendSchemas,
   ...tripMemberSchemas,
+  ...tripInviteSchemas,
+  ...tripJoinRequestSchemas,
+  ...itinerarySchemas,
+  ...expenseSchemas,
 };
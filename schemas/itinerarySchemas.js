@@ -0,0 +1,24 @@
+const Joi = require("joi");
+
+const itineraryGenerateSchema = Joi.object({
+  dayStartHour: Joi.number().integer().min(0).max(23),
+  dayEndHour: Joi.number().integer().min(1).max(24),
+  slotMinutes: Joi.number().integer().min(15).max(720),
+  minScore: Joi.number().integer(),
+});
+
+const itineraryCommitSchema = Joi.object({
+  schedule: Joi.array()
+    .items(
+      Joi.object({
+        activityId: Joi.number().integer().required(),
+        scheduledTime: Joi.date().iso().required(),
+        endTime: Joi.date().iso().greater(Joi.ref("scheduledTime")),
+      }).unknown(true)
+    )
+    .min(1)
+    .unique("activityId")
+    .required(),
+});
+
+module.exports = { itineraryGenerateSchema, itineraryCommitSchema };
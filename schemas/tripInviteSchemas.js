@@ -0,0 +1,8 @@
+const Joi = require("joi");
+
+const tripInviteNewSchema = Joi.object({
+  expiresInHours: Joi.number().integer().min(1).max(720),
+  maxUses: Joi.number().integer().min(1).allow(null),
+});
+
+module.exports = { tripInviteNewSchema };
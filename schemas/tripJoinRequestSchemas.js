@@ -0,0 +1,7 @@
+const Joi = require("joi");
+
+const tripJoinRequestNewSchema = Joi.object({
+  message: Joi.string().max(500).allow(null, ""),
+});
+
+module.exports = { tripJoinRequestNewSchema };
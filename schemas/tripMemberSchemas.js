@@ -1,8 +1,16 @@
 const Joi = require("joi");
+const { TRIP_ROLES } = require("../helpers/tripRoles");
 
 const tripMemberSchema = Joi.object({
   friendId: Joi.number().integer().required(),
   tripId: Joi.number().integer().required(),
 });
 
-module.exports = { tripMemberSchema };
+// ownership changes hands through its own endpoint, never a role update
+const tripMemberRoleSchema = Joi.object({
+  role: Joi.string()
+    .valid(...TRIP_ROLES.filter((role) => role !== "owner"))
+    .required(),
+});
+
+module.exports = { tripMemberSchema, tripMemberRoleSchema };
@@ -10,6 +10,7 @@ const tripNewSchema = Joi.object({
     .when("startDate", { is: Joi.exist(), then: Joi.required() })
     .optional(),
   isPrivate: Joi.boolean().default(true),
+  baseCurrency: Joi.string().pattern(/^[A-Za-z]{3}$/),
 });
 
 const tripUpdateSchema = Joi.object({
@@ -22,6 +23,11 @@ const tripUpdateSchema = Joi.object({
     .when("startDate", { is: Joi.exist(), then: Joi.required() })
     .optional(),
   isPrivate: Joi.boolean(),
+  baseCurrency: Joi.string().pattern(/^[A-Za-z]{3}$/),
 }).min(1);
 
-module.exports = { tripNewSchema, tripUpdateSchema };
+const tripTransferSchema = Joi.object({
+  newOwnerId: Joi.number().integer().positive().max(2147483647).required(),
+});
+
+module.exports = { tripNewSchema, tripUpdateSchema, tripTransferSchema };
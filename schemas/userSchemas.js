@@ -24,4 +24,56 @@ const userUpdateSchema = Joi.object({
   bio: Joi.string().max(500).allow(null, ""),
 }).min(1); // At least one field must be provided
 
-module.exports = { userRegisterSchema, userAuthSchema, userUpdateSchema };
+const forgotPasswordSchema = Joi.object({
+  email: Joi.string().email().required(),
+});
+
+const resetPasswordSchema = Joi.object({
+  token: Joi.string().required(),
+  password: Joi.string().min(6).required(),
+});
+
+// the new password is checked against helpers/passwordPolicy.js by the model
+const changePasswordSchema = Joi.object({
+  currentPassword: Joi.string().required(),
+  newPassword: Joi.string().required(),
+});
+
+// a 6-digit code from an authenticator app, or a recovery code
+const twoFactorCodeSchema = Joi.object({
+  code: Joi.string().max(20).required(),
+});
+
+const twoFactorLoginSchema = Joi.object({
+  challengeToken: Joi.string().required(),
+  code: Joi.string().max(20).required(),
+});
+
+const refreshTokenSchema = Joi.object({
+  refreshToken: Joi.string().required(),
+});
+
+const oidcCallbackSchema = Joi.object({
+  code: Joi.string().max(2000).required(),
+  state: Joi.string().max(100).required(),
+});
+
+const emailPreferencesSchema = Joi.object({
+  friendRequests: Joi.boolean(),
+  tripInvites: Joi.boolean(),
+  digest: Joi.boolean(),
+}).min(1);
+
+module.exports = {
+  userRegisterSchema,
+  userAuthSchema,
+  userUpdateSchema,
+  emailPreferencesSchema,
+  forgotPasswordSchema,
+  resetPasswordSchema,
+  refreshTokenSchema,
+  changePasswordSchema,
+  twoFactorCodeSchema,
+  twoFactorLoginSchema,
+  oidcCallbackSchema,
+};
@@ -0,0 +1,72 @@
+"use strict";
+
+/** Send the emails waiting in the outbox.
+ *
+ * Usage: npm run email:worker            keep sending, checking every 30 seconds
+ *        npm run email:worker -- --once  send what's due now and exit
+ *
+ * Emails go out through MAIL_TRANSPORT (see helpers/mailer.js). Failed
+ * sends are retried with backoff (see models/emailOutbox.js).
+ */
+
+const db = require("../db");
+const EmailOutbox = require("../models/emailOutbox");
+const { createTransport } = require("../helpers/mailer");
+
+const POLL_MS = 30 * 1000;
+
+async function deliver(transport) {
+  let total = { sent: 0, failed: 0 };
+  let batch;
+  do {
+    batch = await EmailOutbox.deliverDue(transport);
+    total.sent += batch.sent;
+    total.failed += batch.failed;
+  } while (batch.sent + batch.failed > 0);
+
+  if (total.sent || total.failed) {
+    console.log(`Sent ${total.sent} emails, ${total.failed} failed`);
+  }
+}
+
+async function main() {
+  const transport = createTransport();
+  console.log(`Email worker sending through ${transport.name}`);
+
+  if (process.argv.includes("--once")) {
+    await deliver(transport);
+    return;
+  }
+
+  // finish the current batch, then exit
+  let stopping = false;
+  let wake = () => {};
+  const stop = () => {
+    stopping = true;
+    wake();
+  };
+  process.on("SIGINT", stop);
+  process.on("SIGTERM", stop);
+
+  while (!stopping) {
+    try {
+      await deliver(transport);
+    } catch (err) {
+      console.error(err.message);
+    }
+    await new Promise((resolve) => {
+      const timer = setTimeout(resolve, POLL_MS);
+      wake = () => {
+        clearTimeout(timer);
+        resolve();
+      };
+    });
+  }
+}
+
+main()
+  .catch((err) => {
+    console.error(err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => db.end());
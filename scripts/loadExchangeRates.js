@@ -0,0 +1,34 @@
+"use strict";
+
+/** Load exchange rates from a CSV file into the database.
+ *
+ * Usage: npm run rates:load -- path/to/rates.csv
+ *
+ * The file has one "base,quote,rate" per line (see helpers/currency.js).
+ * Nothing is fetched from the network.
+ */
+
+const fs = require("fs");
+const db = require("../db");
+const ExchangeRate = require("../models/exchangeRate");
+const { parseRatesCsv } = require("../helpers/currency");
+
+async function main() {
+  const file = process.argv[2];
+  if (!file) {
+    console.error("Usage: npm run rates:load -- path/to/rates.csv");
+    process.exitCode = 1;
+    return;
+  }
+
+  const rates = parseRatesCsv(fs.readFileSync(file, "utf8"));
+  const saved = await ExchangeRate.upsertMany(rates);
+  console.log(`Loaded ${saved.length} exchange rates from ${file}`);
+}
+
+main()
+  .catch((err) => {
+    console.error(err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => db.end());
@@ -0,0 +1,84 @@
+"use strict";
+
+/** Change the database schema with migrations (see helpers/migrations.js).
+ *
+ * Usage: npm run migrate                          run the pending migrations
+ *        npm run migrate:rollback                 undo the last migration
+ *        npm run migrate:rollback -- --steps 3    undo the last 3
+ *        npm run migrate:status                   list applied and pending ones
+ *        npm run migrate:create -- add trip notes start a new migration file
+ *        npm run migrate:baseline -- 0001         record migrations up to 0001
+ *                                                 as applied without running them
+ *
+ * The database is DATABASE_URL's, or the dev database (see config.js); e.g.
+ * for the test database: DATABASE_URL=postgresql:///ourtabi_test npm run migrate
+ */
+
+const fs = require("fs");
+const path = require("path");
+const db = require("../db");
+const {
+  MIGRATIONS_DIR,
+  loadMigrations,
+  nextMigrationFile,
+  migrate,
+  rollback,
+  baseline,
+  migrationStatus,
+} = require("../helpers/migrations");
+
+const NEW_MIGRATION = `-- migrate:up
+
+-- migrate:down
+`;
+
+/** "0002_add_trip_notes" */
+function label({ version, name }) {
+  return `${version}_${name}`;
+}
+
+async function main() {
+  const [command = "up", ...args] = process.argv.slice(2);
+  const migrations = loadMigrations();
+
+  if (command === "up") {
+    const ran = await migrate(migrations);
+    for (const m of ran) console.log(`Applied ${label(m)}`);
+    console.log(ran.length ? "Done." : "Nothing to migrate.");
+  } else if (command === "rollback") {
+    const stepsAt = args.indexOf("--steps");
+    const steps = stepsAt === -1 ? 1 : Number(args[stepsAt + 1]);
+    if (!Number.isInteger(steps) || steps < 1) {
+      throw new Error("--steps has to be a whole number of at least 1");
+    }
+    const undone = await rollback(migrations, steps);
+    for (const m of undone) console.log(`Rolled back ${label(m)}`);
+    if (!undone.length) console.log("Nothing to roll back.");
+  } else if (command === "status") {
+    for (const m of await migrationStatus(migrations)) {
+      let state = "pending";
+      if (m.missing) state = "applied, file missing";
+      else if (m.appliedAt) state = `applied ${m.appliedAt.toISOString()}`;
+      console.log(`${label(m).padEnd(40)} ${state}`);
+    }
+  } else if (command === "create") {
+    const file = nextMigrationFile(migrations, args.join(" "));
+    fs.writeFileSync(path.join(MIGRATIONS_DIR, file), NEW_MIGRATION, {
+      flag: "wx",
+    });
+    console.log(`Created migrations/${file}`);
+  } else if (command === "baseline") {
+    if (!args[0]) throw new Error("Which version is the database at?");
+    const recorded = await baseline(migrations, args[0]);
+    for (const m of recorded) console.log(`Recorded ${label(m)} as applied`);
+  } else {
+    throw new Error(`Unknown command: ${command}`);
+  }
+}
+
+main()
+  .catch((err) => {
+    console.error(err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => db.end());
@@ -0,0 +1,25 @@
+"use strict";
+
+/** Queue the daily email digests.
+ *
+ * Usage: npm run email:digest
+ *
+ * Run once a day (e.g. from cron). Each user who wants a digest gets one
+ * email with their unread trip notifications since the last digest; the
+ * email worker (scripts/emailWorker.js) sends them.
+ */
+
+const db = require("../db");
+const { queueDailyDigests } = require("../helpers/emailNotifications");
+
+async function main() {
+  const queued = await queueDailyDigests();
+  console.log(`Queued ${queued} digests`);
+}
+
+main()
+  .catch((err) => {
+    console.error(err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => db.end());